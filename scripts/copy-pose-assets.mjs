@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+// Self-host the pose model assets under public/mediapipe/, so the app works
+// without reaching a CDN (see src/detection/poseDetector.js).
+//
+//   node scripts/copy-pose-assets.mjs               (runs before npm start / build)
+//   node scripts/copy-pose-assets.mjs --no-download
+//
+// Copies the legacy solution (@mediapipe/pose) to public/mediapipe/pose/ and
+// the Tasks WASM fileset (@mediapipe/tasks-vision) to
+// public/mediapipe/tasks-vision/. The PoseLandmarker model bundle of the
+// default backend isn't published to npm, so it is downloaded once from
+// Google's model storage into public/mediapipe/models/ and ships with the
+// build from then on. With --no-download (or no network) place it there by
+// hand; a build without it fetches the model at runtime, or falls back to the
+// legacy solution on the main thread when that fails too.
+import { copyFileSync, existsSync, mkdirSync, readdirSync, statSync, writeFileSync } from "node:fs";
+import path from "node:path";
+
+const PUBLIC_DIR = path.join("public", "mediapipe");
+
+const PACKAGES = [
+  { from: path.join("node_modules", "@mediapipe", "pose"), to: "pose", skip: /\.(md|json|d\.ts)$/ },
+  { from: path.join("node_modules", "@mediapipe", "tasks-vision", "wasm"), to: "tasks-vision", skip: null }
+];
+
+const TASKS_MODEL = {
+  file: "pose_landmarker_full.task",
+  url: "https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_full/float16/latest/pose_landmarker_full.task"
+};
+
+const DOWNLOAD_TIMEOUT_MS = 30000;
+
+// Copy the files of one package folder, skipping those already up to date
+const copyPackage = ({ from, to, skip }) => {
+  if (!existsSync(from)) {
+    console.log(`✗ ${from} not found - run npm install`);
+    return false;
+  }
+  const target = path.join(PUBLIC_DIR, to);
+  mkdirSync(target, { recursive: true });
+
+  let copied = 0;
+  readdirSync(from)
+    .filter(name => !(skip && skip.test(name)) && statSync(path.join(from, name)).isFile())
+    .forEach(name => {
+      const source = path.join(from, name);
+      const destination = path.join(target, name);
+      if (existsSync(destination) && statSync(destination).size === statSync(source).size) return;
+      copyFileSync(source, destination);
+      copied++;
+    });
+  console.log(`✓ ${target} (${copied} file${copied === 1 ? "" : "s"} updated)`);
+  return true;
+};
+
+// Resolves to whether the model is in place. A missing model doesn't fail
+// the build: the app fetches it at runtime instead
+const provideModel = async ({ file, url }, allowDownload) => {
+  const target = path.join(PUBLIC_DIR, "models");
+  const destination = path.join(target, file);
+  if (existsSync(destination)) {
+    console.log(`✓ ${destination}`);
+    return true;
+  }
+  if (!allowDownload) {
+    console.log(`- ${destination} missing; the app will fetch it at runtime (place ${url} there to ship it)`);
+    return false;
+  }
+
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    mkdirSync(target, { recursive: true });
+    writeFileSync(destination, Buffer.from(await response.arrayBuffer()));
+    console.log(`✓ ${destination} (downloaded)`);
+    return true;
+  } catch (err) {
+    console.warn(`- ${destination} could not be downloaded (${err.message}); the app will fetch it at runtime (place ${url} there to ship it)`);
+    return false;
+  }
+};
+
+const copiedAll = PACKAGES.map(copyPackage).every(Boolean);
+await provideModel(TASKS_MODEL, !process.argv.includes("--no-download"));
+if (!copiedAll) process.exitCode = 1;
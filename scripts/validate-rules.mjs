@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+// Validate every exercise rules file in one or more folders.
+//
+//   node scripts/validate-rules.mjs [folder ...]   (default: public/exercises)
+//   node scripts/validate-rules.mjs --print-schema > rules.schema.json
+//
+// index.json in a folder is read as the exercise catalog: when it names a
+// reference video for a rules file and ffprobe is installed, the steps are
+// also checked against the video's duration, and its workout programs are
+// checked against its exercises. Exits with 1 when any file has errors.
+import { execFileSync } from "node:child_process";
+import { existsSync, readdirSync, readFileSync } from "node:fs";
+import path from "node:path";
+import { RULES_SCHEMA } from "../src/pose/rulesSchema.js";
+import { formatIssue, validateRules } from "../src/pose/rulesValidator.js";
+import { validateProgram } from "../src/session/workoutProgram.js";
+
+const CATALOG_FILE = "index.json";
+
+const readJson = (file) => JSON.parse(readFileSync(file, "utf8"));
+
+// Video length in seconds, or null when ffprobe is missing or fails
+const probeDuration = (file) => {
+  try {
+    const output = execFileSync(
+      "ffprobe",
+      ["-v", "error", "-show_entries", "format=duration", "-of", "default=noprint_wrappers=1:nokey=1", file],
+      { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }
+    );
+    const duration = parseFloat(output);
+    return Number.isFinite(duration) ? duration : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// rules file name -> video path on disk, from the folder's catalog
+// Catalog paths are relative to the folder, or to public/ when absolute
+const catalogVideos = (folder) => {
+  const catalogPath = path.join(folder, CATALOG_FILE);
+  if (!existsSync(catalogPath)) return {};
+
+  const publicDir = path.dirname(folder);
+  const videos = {};
+  (readJson(catalogPath).exercises || []).forEach(entry => {
+    if (!entry || !entry.rules || !entry.video || /^[a-z]+:/i.test(entry.video)) return;
+    videos[path.normalize(entry.rules)] = entry.video.startsWith("/")
+      ? path.join(publicDir, entry.video)
+      : path.join(folder, entry.video);
+  });
+  return videos;
+};
+
+// Errors in the workout programs of the folder's catalog
+const validateCatalogPrograms = (folder) => {
+  const catalogPath = path.join(folder, CATALOG_FILE);
+  if (!existsSync(catalogPath)) return 0;
+
+  const catalog = readJson(catalogPath);
+  const exerciseIds = (catalog.exercises || []).filter(entry => entry && entry.id).map(entry => entry.id);
+  let errorCount = 0;
+  (catalog.programs || []).forEach((program, index) => {
+    const errors = validateProgram(program, exerciseIds);
+    console.log(`${errors.length > 0 ? "✗" : "✓"} ${catalogPath} programs[${index}]${program && program.id ? ` (${program.id})` : ""}`);
+    errors.forEach(issue => console.log(`    error: ${formatIssue(issue)}`));
+    errorCount += errors.length;
+  });
+  return errorCount;
+};
+
+const validateFolder = (folder) => {
+  const videos = catalogVideos(folder);
+  const files = readdirSync(folder).filter(name => name.endsWith(".json") && name !== CATALOG_FILE).sort();
+  let errorCount = 0;
+
+  if (files.length === 0) console.log(`${folder}: no rules files`);
+
+  files.forEach(name => {
+    const file = path.join(folder, name);
+    let rules;
+    try {
+      rules = readJson(file);
+    } catch (err) {
+      console.log(`✗ ${file}\n    error: not valid JSON (${err.message})`);
+      errorCount++;
+      return;
+    }
+
+    const video = videos[name];
+    const videoDuration = video && existsSync(video) ? probeDuration(video) : null;
+    const { errors, warnings } = validateRules(rules, videoDuration !== null ? { videoDuration } : {});
+
+    console.log(`${errors.length > 0 ? "✗" : "✓"} ${file}`);
+    errors.forEach(issue => console.log(`    error: ${formatIssue(issue)}`));
+    warnings.forEach(issue => console.log(`    warning: ${formatIssue(issue)}`));
+    if (video && videoDuration === null) {
+      console.log(`    note: video duration not checked (${existsSync(video) ? "ffprobe unavailable" : `${video} not found`})`);
+    }
+    errorCount += errors.length;
+  });
+
+  return errorCount + validateCatalogPrograms(folder);
+};
+
+const args = process.argv.slice(2);
+
+if (args.includes("--print-schema")) {
+  console.log(JSON.stringify(RULES_SCHEMA, null, 2));
+} else {
+  const folders = args.length > 0 ? args : ["public/exercises"];
+  const errorCount = folders.reduce((sum, folder) => sum + validateFolder(path.normalize(folder)), 0);
+  if (errorCount > 0) {
+    console.log(`\n${errorCount} error${errorCount === 1 ? "" : "s"}`);
+    process.exitCode = 1;
+  }
+}
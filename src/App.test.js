@@ -1,8 +1,93 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
+import { CALIBRATION_VERSION } from './pose';
+
+const catalog = {
+  exercises: [
+    { id: 'no-doming-leg-lift', name: 'No Doming leg lift', rules: 'no-doming-leg-lift.json' }
+  ],
+  programs: [
+    { id: 'core', name: 'Core basics', exercises: [{ exercise: 'no-doming-leg-lift', sets: 3 }] }
+  ]
+};
+
+// Serve the catalog, and the given rules file for any other URL
+const mockFetch = (rules = {}, index = catalog) => {
+  global.fetch = jest.fn((url) => Promise.resolve({
+    ok: true,
+    json: () => Promise.resolve(url.endsWith('index.json') ? index : rules)
+  }));
+};
+
+beforeEach(() => {
+  mockFetch();
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('lists the exercises from the catalog', async () => {
+  render(<App />);
+  expect(await screen.findByText(/no doming leg lift/i)).toBeInTheDocument();
+});
+
+test('lists the valid workout programs', async () => {
+  const broken = { id: 'broken', name: 'Broken program', exercises: [{ exercise: 'missing' }] };
+  mockFetch({}, { ...catalog, programs: [...catalog.programs, broken] });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  render(<App />);
+  expect(await screen.findByText('Core basics')).toBeInTheDocument();
+  expect(screen.getByText(/1 exercise · 3 sets/)).toBeInTheDocument();
+  expect(screen.queryByText('Broken program')).not.toBeInTheDocument();
+  expect(console.warn).toHaveBeenCalledWith('index.json programs[1]: exercises[0].exercise: unknown exercise "missing"');
+  console.warn.mockRestore();
+});
+
+test('lists the problems of an invalid rules file', async () => {
+  mockFetch({
+    exercise_name: 'No Doming leg lift',
+    steps: [
+      {
+        step_number: 1,
+        step_name: 'start_position',
+        start_time: 0,
+        end_time: 10,
+        criteria: { left_kne_angle: { min: 80, max: 100 } }
+      }
+    ]
+  });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  render(<App />);
+  fireEvent.click(await screen.findByText(/no doming leg lift/i));
+
+  expect(await screen.findByText(/has 1 problem/i)).toBeInTheDocument();
+  expect(screen.getByText('steps[0].criteria.left_kne_angle: unknown metric "left_kne_angle"')).toBeInTheDocument();
+  console.error.mockRestore();
+});
+
+test('shows a saved calibration and clears it', async () => {
+  window.localStorage.setItem('pose-instructor.calibration', JSON.stringify({
+    version: CALIBRATION_VERSION, created_at: Date.now(), range_of_motion: { image: {} }
+  }));
+
+  render(<App />);
+  expect(await screen.findByText(/live sessions are personalized/i)).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Clear'));
+
+  expect(screen.queryByText(/live sessions are personalized/i)).not.toBeInTheDocument();
+  expect(window.localStorage.getItem('pose-instructor.calibration')).toBeNull();
+});
+
+test('ignores a calibration saved by another version', async () => {
+  window.localStorage.setItem('pose-instructor.calibration', JSON.stringify({
+    version: CALIBRATION_VERSION - 1, created_at: Date.now(), range_of_motion: {}
+  }));
 
-test('renders learn react link', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByText(/no doming leg lift/i)).toBeInTheDocument();
+  expect(screen.queryByText(/live sessions are personalized/i)).not.toBeInTheDocument();
+  window.localStorage.removeItem('pose-instructor.calibration');
 });
@@ -0,0 +1,263 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { drawConnectors, drawLandmarks, POSE_CONNECTIONS } from "@mediapipe/drawing_utils";
+import { CALIBRATION_PHASES, buildCalibrationProfile, checkBodyVisibility, resolveSettings } from "../pose";
+import { startCamera } from "../detection/camera";
+import { createPoseDetector } from "../detection/poseDetector";
+import { DEFAULT_LOCALE, translate } from "../i18n/messages";
+import { speakText } from "../i18n/voice";
+import { createCoach } from "../session/coachingQueue";
+import { saveCalibration } from "../storage/calibrationStore";
+import "../App.css";
+
+// Visible frames needed before recording starts
+const POSITION_FRAMES = 30;
+
+const formatSegment = (name) => name.replace(/_/g, " ");
+
+// Guided calibration: the user holds a neutral pose, then moves through their
+// comfortable range of motion; the resulting profile (see pose/calibration.js)
+// personalizes every exercise's rules until it is cleared or replaced.
+// Instructions are shown and spoken in `locale`, in the voice of the user's
+// `settings` ({ preset, overrides }, see pose/settings.js), through a
+// coaching queue (see session/coachingQueue.js) so one prompt never cuts off
+// another
+export default function Calibration({ onExit, locale = DEFAULT_LOCALE, settings }) {
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const phaseRef = useRef("position"); // position, then each CALIBRATION_PHASES id, then done
+  const phaseStartRef = useRef(0);
+  const visibleFramesRef = useRef(0);
+  const framesRef = useRef({ neutral: [], range: [] });
+  const [phase, setPhase] = useState("position");
+  const [secondsLeft, setSecondsLeft] = useState(null);
+  const [bodyVisible, setBodyVisible] = useState(false);
+  const [profile, setProfile] = useState(null);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+  const t = useCallback((id, params) => translate(locale, id, params), [locale]);
+
+  const coachRef = useRef(null);
+  if (!coachRef.current) {
+    const { voice_rate: rate, voice_volume: volume, feedback_cooldown: feedbackCooldown } = resolveSettings(settings);
+    coachRef.current = createCoach({
+      locale,
+      feedbackCooldown: feedbackCooldown * 1000,
+      speak: (cue) => speakText(cue.text, locale, { rate, volume })
+    });
+  }
+
+  // Queue a cue of the catalog in the calibration's locale
+  const say = useCallback((id) => {
+    coachRef.current.say({ id, text: translate(locale, id) });
+  }, [locale]);
+
+  // Leaving calibration silences whatever was still to be said
+  useEffect(() => {
+    const coach = coachRef.current;
+    return () => {
+      coach.clear();
+      if (typeof window !== "undefined" && window.speechSynthesis) window.speechSynthesis.cancel();
+    };
+  }, []);
+
+  const enterPhase = useCallback((next) => {
+    phaseRef.current = next;
+    phaseStartRef.current = Date.now();
+    setPhase(next);
+
+    const phaseConfig = CALIBRATION_PHASES.find(p => p.id === next);
+    if (phaseConfig) {
+      say(phaseConfig.cue);
+      return;
+    }
+    if (next === "done") {
+      try {
+        setProfile(buildCalibrationProfile(framesRef.current, Date.now()));
+        say("calibration.complete");
+      } catch (err) {
+        setError(err.message);
+      }
+    }
+  }, [say]);
+
+  useEffect(() => {
+    let detector = null;
+    let stopCamera = null;
+    let cancelled = false;
+
+    const handleResults = (results) => {
+      if (!canvasRef.current) return;
+      const ctx = canvasRef.current.getContext("2d");
+      ctx.clearRect(0, 0, canvasRef.current.width, canvasRef.current.height);
+      if (!results) return;
+
+      const landmarks = results.landmarks;
+      const visible = checkBodyVisibility(landmarks);
+      setBodyVisible(visible);
+
+      ctx.save();
+      ctx.translate(canvasRef.current.width, 0);
+      ctx.scale(-1, 1);
+      drawConnectors(ctx, landmarks, POSE_CONNECTIONS, { color: visible ? "#00FF00" : "#FF9800", lineWidth: 6 });
+      drawLandmarks(ctx, landmarks, { color: visible ? "#00FF00" : "#FFB300", lineWidth: 2, radius: 4 });
+      ctx.restore();
+
+      const current = phaseRef.current;
+      if (current === "position") {
+        visibleFramesRef.current = visible ? visibleFramesRef.current + 1 : 0;
+        if (visibleFramesRef.current >= POSITION_FRAMES) enterPhase(CALIBRATION_PHASES[0].id);
+        return;
+      }
+
+      const index = CALIBRATION_PHASES.findIndex(p => p.id === current);
+      if (index === -1) return;
+
+      if (visible) framesRef.current[current].push({ landmarks, worldLandmarks: results.worldLandmarks });
+      const remainingMs = CALIBRATION_PHASES[index].seconds * 1000 - (Date.now() - phaseStartRef.current);
+      setSecondsLeft(Math.max(0, Math.ceil(remainingMs / 1000)));
+      if (remainingMs <= 0) {
+        enterPhase(index < CALIBRATION_PHASES.length - 1 ? CALIBRATION_PHASES[index + 1].id : "done");
+      }
+    };
+
+    const start = async () => {
+      const video = videoRef.current;
+      if (!video) return;
+      try {
+        detector = await createPoseDetector();
+        if (cancelled) {
+          detector.close();
+          return;
+        }
+        stopCamera = await startCamera(video, {
+          width: 640,
+          height: 640,
+          onFrame: async (timestamp) => {
+            if (cancelled || !detector) return;
+            handleResults(await detector.detect(video, timestamp));
+          },
+        });
+        if (cancelled) stopCamera();
+      } catch (err) {
+        if (!cancelled) setError(`Could not start the camera or pose model: ${err.message}`);
+      }
+    };
+
+    start();
+    say("calibration.step_back");
+
+    return () => {
+      cancelled = true;
+      if (stopCamera) stopCamera();
+      if (detector) {
+        detector.close();
+        detector = null;
+      }
+    };
+  }, [enterPhase, say]);
+
+  const handleRestart = () => {
+    framesRef.current = { neutral: [], range: [] };
+    visibleFramesRef.current = 0;
+    setProfile(null);
+    setError(null);
+    setSaved(false);
+    setSecondsLeft(null);
+    enterPhase("position");
+  };
+
+  const handleSave = () => {
+    saveCalibration(profile);
+    setSaved(true);
+  };
+
+  const phaseConfig = CALIBRATION_PHASES.find(p => p.id === phase);
+
+  return (
+    <div className="app-container">
+      <div className="app-header">
+        <h1>Calibration</h1>
+        <p>Personalize every exercise to your body and range of motion</p>
+      </div>
+
+      <div className="calibration-layout">
+        <div className="calibration-camera">
+          <video ref={videoRef} className="video" width="640" height="640" autoPlay muted playsInline />
+          <canvas ref={canvasRef} className="canvas" width="640" height="640" />
+        </div>
+
+        <div className="instruction-panel calibration-panel">
+          <div className="instruction-header">
+            <h3>🎯 {phase === "done" ? "Your profile" : "Calibrating"}</h3>
+          </div>
+
+          <ol className="calibration-phases">
+            <li className={phase === "position" ? "active" : "done"}>{t("calibration.get_into_view")}</li>
+            {CALIBRATION_PHASES.map((p, index) => {
+              const currentIndex = CALIBRATION_PHASES.findIndex(c => c.id === phase);
+              const state = p.id === phase ? "active" : (phase === "done" || index < currentIndex ? "done" : "");
+              return <li key={p.id} className={state}>{t(p.cue)} ({p.seconds}s)</li>;
+            })}
+          </ol>
+
+          {phase === "position" && (
+            <div className="instruction-message positioning">
+              <div className="message-text">
+                {bodyVisible ? t("calibration.hold_still") : t("calibration.not_visible")}
+              </div>
+            </div>
+          )}
+
+          {phaseConfig && (
+            <div className="instruction-message confirming">
+              <div className="message-text">
+                {t(phaseConfig.cue)} - <strong>{secondsLeft ?? phaseConfig.seconds}s</strong>
+                {!bodyVisible && ` ${t("calibration.not_recording")}`}
+              </div>
+            </div>
+          )}
+
+          {error && <div className="picker-error">⚠️ {error}</div>}
+
+          {profile && (
+            <>
+              <table className="report-table">
+                <thead>
+                  <tr>
+                    <th>Joint</th>
+                    <th>Range of motion</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(profile.range_of_motion.image).map(([name, rom]) => (
+                    <tr key={name}>
+                      <td>{formatSegment(name)}</td>
+                      <td>{Math.round(rom.min)}° - {Math.round(rom.max)}°</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          <div className="picker-actions">
+            <button className="back-btn" onClick={onExit}>
+              <span className="btn-icon">←</span>
+              <span className="btn-text">Exercises</span>
+            </button>
+            <button className="restart-btn" onClick={handleRestart}>
+              <span className="btn-icon">↻</span>
+              <span className="btn-text">Start over</span>
+            </button>
+            {profile && (
+              <button className="voice-btn voice-on" onClick={handleSave} disabled={saved}>
+                <span className="btn-icon">💾</span>
+                <span className="btn-text">{saved ? "Saved" : "Save profile"}</span>
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
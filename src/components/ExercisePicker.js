@@ -0,0 +1,206 @@
+import React, { useEffect, useState } from "react";
+import { loadCatalog, loadExerciseRules } from "../exercises/catalog";
+import { LOCALES } from "../i18n/messages";
+import { RulesValidationError, formatIssue } from "../pose";
+import { clearCalibration, loadCalibration } from "../storage/calibrationStore";
+import "../App.css";
+
+// e.g. "2 exercises · 5 sets"
+const programSummary = (program) => {
+  const sets = program.exercises.reduce((sum, item) => sum + (item.sets || 1), 0);
+  const count = program.exercises.length;
+  return `${count} exercise${count === 1 ? "" : "s"} · ${sets} set${sets === 1 ? "" : "s"}`;
+};
+
+// Exercise picker screen - lists the exercises from public/exercises/index.json
+// and hands the selected entry, its parsed rules and the chosen mode
+// ("session" for live coaching, "analysis" for a recorded video) to onSelect.
+// Workout programs from the same catalog are handed to onStartProgram with
+// the catalog's exercises. The coaching language (locale) is picked here and
+// reported to onChangeLocale.
+export default function ExercisePicker({
+  onSelect, onStartProgram, onCreateExercise, onShowHistory, onShowSettings, onCalibrate, locale, onChangeLocale
+}) {
+  const [exercises, setExercises] = useState([]);
+  const [programs, setPrograms] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [errorDetails, setErrorDetails] = useState([]); // Problems found in an invalid rules file
+  const [loadingId, setLoadingId] = useState(null);
+  const [calibration, setCalibration] = useState(() => loadCalibration());
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadCatalog()
+      .then(catalog => {
+        if (cancelled) return;
+        setExercises(catalog.exercises);
+        setPrograms(catalog.programs);
+      })
+      .catch(err => {
+        console.error("Catalog error:", err);
+        if (!cancelled) setError("Could not load the exercise catalog.");
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleSelect = async (entry, mode) => {
+    setLoadingId(entry.id);
+    setError(null);
+    setErrorDetails([]);
+    try {
+      const rules = await loadExerciseRules(entry);
+      onSelect(entry, rules, mode);
+    } catch (err) {
+      console.error("Rules error:", err);
+      if (err instanceof RulesValidationError) {
+        setError(`The rules file for "${entry.name}" has ${err.errors.length} problem${err.errors.length === 1 ? "" : "s"}:`);
+        setErrorDetails(err.errors.map(formatIssue));
+      } else if (err instanceof SyntaxError) {
+        setError(`The rules file for "${entry.name}" is not valid JSON.`);
+      } else {
+        setError(`Could not load the rules for "${entry.name}".`);
+      }
+      setLoadingId(null);
+    }
+  };
+
+  const handleClearCalibration = () => {
+    clearCalibration();
+    setCalibration(null);
+  };
+
+  return (
+    <div className="app-container">
+      <div className="app-header">
+        <h1>M2 Method Exercise Instructor</h1>
+        <p>Choose an exercise to begin</p>
+      </div>
+
+      <div className="exercise-picker">
+        {loading && <div className="loading-spinner"></div>}
+
+        {error && (
+          <div className="picker-error">
+            ⚠️ {error}
+            {errorDetails.length > 0 && (
+              <ul className="picker-error-details">
+                {errorDetails.map(detail => <li key={detail}>{detail}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {!loading && exercises.length === 0 && !error && (
+          <div className="picker-empty">
+            No exercises found. Add one to <code>public/exercises/index.json</code>.
+          </div>
+        )}
+
+        <div className="exercise-list">
+          {exercises.map(entry => (
+            <div key={entry.id} className="exercise-card-wrapper">
+              <button
+                className="exercise-card"
+                onClick={() => handleSelect(entry, "session")}
+                disabled={loadingId !== null}
+              >
+                <span className="exercise-card-name">{entry.name}</span>
+                {entry.description && (
+                  <span className="exercise-card-description">{entry.description}</span>
+                )}
+                <span className="exercise-card-meta">
+                  {loadingId === entry.id ? "Loading..." : entry.video ? "🎬 Reference video" : "No reference video"}
+                </span>
+              </button>
+              <button
+                className="exercise-card-action"
+                onClick={() => handleSelect(entry, "analysis")}
+                disabled={loadingId !== null}
+              >
+                📼 Analyze recording
+              </button>
+            </div>
+          ))}
+        </div>
+
+        {onStartProgram && programs.length > 0 && (
+          <>
+            <h2 className="picker-section-title">Workout programs</h2>
+            <div className="exercise-list">
+              {programs.map(program => (
+                <button
+                  key={program.id}
+                  className="exercise-card"
+                  onClick={() => onStartProgram(program, exercises)}
+                  disabled={loadingId !== null}
+                >
+                  <span className="exercise-card-name">{program.name}</span>
+                  {program.description && (
+                    <span className="exercise-card-description">{program.description}</span>
+                  )}
+                  <span className="exercise-card-meta">
+                    🏋️ {programSummary(program)}
+                  </span>
+                </button>
+              ))}
+            </div>
+          </>
+        )}
+
+        {calibration && (
+          <div className="picker-calibration">
+            🎯 Calibrated on {new Date(calibration.created_at).toLocaleDateString()} - live sessions are personalized
+            to your range of motion.
+            <button className="authoring-remove" onClick={handleClearCalibration}>Clear</button>
+          </div>
+        )}
+
+        {onChangeLocale && (
+          <label className="picker-language">
+            🗣 Coaching language
+            <select value={locale} onChange={event => onChangeLocale(event.target.value)}>
+              {Object.entries(LOCALES).map(([code, { label }]) => (
+                <option key={code} value={code}>{label}</option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        <div className="picker-actions">
+          {onCalibrate && (
+            <button className="back-btn" onClick={onCalibrate}>
+              <span className="btn-icon">🎯</span>
+              <span className="btn-text">Calibrate</span>
+            </button>
+          )}
+          {onShowSettings && (
+            <button className="back-btn" onClick={onShowSettings}>
+              <span className="btn-icon">⚙️</span>
+              <span className="btn-text">Settings</span>
+            </button>
+          )}
+          {onShowHistory && (
+            <button className="back-btn" onClick={onShowHistory}>
+              <span className="btn-icon">📈</span>
+              <span className="btn-text">History</span>
+            </button>
+          )}
+          {onCreateExercise && (
+            <button className="back-btn" onClick={onCreateExercise}>
+              <span className="btn-icon">🎥</span>
+              <span className="btn-text">Record reference</span>
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import React from "react";
+
+// Minimal SVG line chart
+// points: [{ x, y }] in data units; band: optional { min, max } y range shaded
+// as the target zone; xDomain: optional [min, max] to pin the x axis
+export default function LineChart({ points, band, xDomain, width = 260, height = 60, showDots = false }) {
+  const ys = points.map(p => p.y);
+  const bounds = band ? [band.min, band.max] : [];
+  const low = Math.min(...ys, ...bounds);
+  const high = Math.max(...ys, ...bounds);
+  const span = high - low || 1;
+
+  const [xMin, xMax] = xDomain || [Math.min(...points.map(p => p.x)), Math.max(...points.map(p => p.x))];
+  const xSpan = xMax - xMin || 1;
+
+  const x = (value) => ((value - xMin) / xSpan) * width;
+  const y = (value) => height - ((value - low) / span) * height;
+
+  return (
+    <svg className="line-chart" width={width} height={height} viewBox={`0 0 ${width} ${height}`}>
+      {band && (
+        <rect
+          className="line-chart-band"
+          x="0"
+          y={y(band.max)}
+          width={width}
+          height={Math.max(y(band.min) - y(band.max), 1)}
+        />
+      )}
+      <polyline
+        className="line-chart-line"
+        points={points.map(p => `${x(p.x)},${y(p.y)}`).join(" ")}
+      />
+      {showDots && points.map((p, i) => (
+        <circle key={i} className="line-chart-dot" cx={x(p.x)} cy={y(p.y)} r="3" />
+      ))}
+    </svg>
+  );
+}
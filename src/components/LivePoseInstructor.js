@@ -0,0 +1,1404 @@
+import React, { useEffect, useRef, useState, useCallback } from "react";
+import { drawConnectors, drawLandmarks, POSE_CONNECTIONS } from "@mediapipe/drawing_utils";
+import {
+  alignPose,
+  appendMetricSample,
+  areRepsComplete,
+  areSidesComplete,
+  calculateCameraDistance,
+  checkBodyVisibility,
+  checkCameraDistance,
+  checkStepsWithinVideo,
+  completeSide,
+  countRep,
+  detectCameraView,
+  dominantCameraView,
+  flatBackGuide,
+  formatIssue,
+  getFeedbackCue,
+  getHoldRule,
+  getSideConfig,
+  holdRemainingMs,
+  initialHoldState,
+  initialRepState,
+  initialSideState,
+  jointAngles,
+  limbDifferences,
+  orientStepRule,
+  otherSide,
+  referencePoseAt,
+  resolveSettings,
+  scoreMetrics,
+  scoringWithSettings,
+  sideAsymmetry,
+  sideLabel,
+  updateHold,
+  updateSide
+} from "../pose";
+import { startCamera } from "../detection/camera";
+import { createRateController } from "../detection/frameRate";
+import { createPosePipeline } from "../detection/posePipeline";
+import useThrottledState from "../hooks/useThrottledState";
+import { DEFAULT_LOCALE, translate } from "../i18n/messages";
+import { speakText } from "../i18n/voice";
+import {
+  createSessionLog,
+  recordFeedback,
+  recordFrame,
+  recordStepCompleted,
+  recordStepEntered,
+  summarizeSession
+} from "../session/sessionLog";
+import { createCoach } from "../session/coachingQueue";
+import { createSessionMachine, describeSession, isScoring } from "../session/sessionMachine";
+import { stepAtTime } from "../session/stepTimeline";
+import { saveSession } from "../storage/sessionStore";
+import drawAnalysisOverlay, { drawGhostSkeleton } from "./drawAnalysisOverlay";
+import MetricSparklines from "./MetricSparklines";
+import SessionExport from "./SessionExport";
+import StepVideoControls from "./StepVideoControls";
+import "../App.css";
+
+// Seconds left at which the voice calls out a hold
+const HOLD_ANNOUNCEMENTS = [10, 5];
+// Left/right range-of-motion difference (%) highlighted on bilateral steps
+const ASYMMETRY_WARNING = 15;
+
+// Frames the detected camera view is voted over
+const VIEW_SAMPLE_FRAMES = 30;
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// "left leg", "right arm"... of a bilateral step, in the session's locale
+const localizedSide = (locale, stepRule, side) => translate(locale, sideLabel(stepRule, side));
+
+// Shortest time between re-renders of the per-frame numeric readouts
+const READOUT_INTERVAL_MS = 100;
+// Shortest time between updates of the fps / latency readout
+const STATS_INTERVAL_MS = 500;
+// How long "Exercise complete" stays up before a program moves on
+const COMPLETION_DELAY_MS = 3000;
+
+// Settings of a session started without any (see pose/settings.js)
+const DEFAULT_SETTINGS = resolveSettings();
+
+// Say one cue in the locale's voice at the settings' rate and volume, with
+// the reference video turned down meanwhile; resolves once it has been said
+const utter = async (text, locale, settings, video) => {
+  const originalVolume = video ? video.volume : 1;
+  if (video) video.volume = 0.2; // Lower video volume to 20% when speaking
+  try {
+    await speakText(text, locale, { rate: settings.voice_rate, volume: settings.voice_volume });
+  } finally {
+    if (video) video.volume = originalVolume;
+  }
+};
+
+// validationRules is the parsed rules file of the exercise chosen in the picker
+// (steps, ideal_camera_distance, exercise_name), already scaled to the user's
+// calibration when personalized is set; exerciseId is its catalog id, used to
+// group saved sessions. The parent remounts this component with a new
+// key whenever a different exercise is selected. Cues are shown and spoken
+// in `locale` (see i18n/messages.js); the rules are expected to be localized
+// to it already (see i18n/localizeRules.js). `settings` are the tuning values
+// the session runs with, resolved from the user's preset, the rules file and
+// the user's overrides (see pose/settings.js).
+// Inside a workout program, `workout` ({ title, sets, restSeconds, countdownSeconds })
+// runs the steps for several sets; onSetComplete receives the history summary
+// of every finished set and onComplete is called once the last set is done
+export default function LivePoseInstructor({
+  validationRules, exerciseId, personalized, referenceVideo, workout, onSetComplete, onComplete, onExit,
+  locale = DEFAULT_LOCALE, settings = DEFAULT_SETTINGS
+}) {
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  // Session flow (positioning, countdown, active step, pauses, rests between
+  // sets...) lives in a state machine; its events drive the UI, voice,
+  // reference video and log
+  const machineRef = useRef(null);
+  if (!machineRef.current) machineRef.current = createSessionMachine(validationRules, {
+    ...workout, locale, confirmFrames: settings.confirm_frames
+  });
+  const [sessionState, setSessionState] = useState(() => machineRef.current.getState());
+  const [metrics, setMetrics] = useThrottledState({ 
+    left_hip_angle: 0, 
+    left_knee_angle: 0,
+    left_ankle_angle: 0,
+    left_elbow_angle: 0,
+    left_shoulder_angle: 0,
+    right_hip_angle: 0,
+    right_knee_angle: 0,
+    right_ankle_angle: 0,
+    right_elbow_angle: 0,
+    right_shoulder_angle: 0,
+    ankle_height: 0,
+    knee_height: 0,
+    hip_height: 0,
+    shoulder_height: 0,
+    back_flatness_deviation: 0
+  }, READOUT_INTERVAL_MS);
+  const [feedback, setFeedback] = useState("");
+  const [voiceEnabled, setVoiceEnabled] = useState(true);
+  const [referenceVideoUrl, setReferenceVideoUrl] = useState(null);
+  const [pacingChoice, setPacingChoice] = useState(null); // "video" or "self" picked by the user, null for automatic
+  const [loopStep, setLoopStep] = useState(false); // Video-paced: replay an unmatched step instead of waiting at its end
+  const [slowMotion, setSlowMotion] = useState(false); // Reference video at 0.5x
+  const [referenceVideoElement, setReferenceVideoElement] = useState(null);
+  const [videoError, setVideoError] = useState(false);
+  const referenceVideoRef = useRef(null);
+  const videoStepTimesRef = useRef([]);
+  const [instructionMessage, setInstructionMessage] = useThrottledState(""); // Step feedback while active
+  const [instructionType, setInstructionType] = useState("ready"); // positioning, confirming, ready, feedback
+  const [cameraDistance, setCameraDistance] = useThrottledState(0, READOUT_INTERVAL_MS);
+  const [distanceStatus, setDistanceStatus] = useState("unknown"); // "too_close", "too_far", "good", "unknown"
+  const [cameraView, setCameraView] = useState(null); // View detected over the last VIEW_SAMPLE_FRAMES frames
+  const [repProgress, setRepProgress] = useState(null); // { stepIndex, count, setsCompleted } for steps with reps
+  const [holdProgress, setHoldProgress] = useState(null); // { stepIndex, remainingMs, requiredMs } for the hold countdown
+  const [sideProgress, setSideProgress] = useState(null); // { stepIndex, side, counts: {left, right}, asymmetry } for bilateral steps
+  const [formScore, setFormScore] = useThrottledState(null, READOUT_INTERVAL_MS); // 0-100 grade of the latest frame
+  const [rulesWarnings, setRulesWarnings] = useState([]); // Steps that don't fit the reference video
+  const [detectorError, setDetectorError] = useState(null); // Message ID: pose model or camera failed to start
+  const [performanceStats, setPerformanceStats] = useThrottledState(null, STATS_INTERVAL_MS); // { fps, latencyMs, inWorker }
+  const [exportSnapshot, setExportSnapshot] = useState(null); // { log, endedAt } while the export dialog is open
+  const [showSparklines, setShowSparklines] = useState(false);
+  const [showGhost, setShowGhost] = useState(false); // Ghost skeleton of the reference pose (see pose/ghost.js)
+  const [sparklines, setSparklines] = useThrottledState(null, READOUT_INTERVAL_MS); // { history, now, stepRule } of the sparkline panel
+
+  // Refs for stability and timing
+  const pipelineRef = useRef(null); // Detection and smoothing (see detection/posePipeline.js)
+  const viewSamplesRef = useRef([]);
+  const holdStateRef = useRef(initialHoldState());
+  const holdStepIndexRef = useRef(null);
+  const lastHoldAnnouncementRef = useRef(null);
+  const repStateRef = useRef(initialRepState());
+  const repStepIndexRef = useRef(null);
+  const sideStateRef = useRef(null); // Working side of a bilateral step (see pose/sides.js)
+  const sideStepIndexRef = useRef(null);
+  const sessionLogRef = useRef(null); // Log of the running session, saved to history when it ends
+  const metricHistoryRef = useRef([]); // Metrics of the last SPARKLINE_WINDOW_MS of scored frames
+  const showSparklinesRef = useRef(showSparklines);
+  const showGhostRef = useRef(showGhost);
+  const matchedStepRef = useRef(null); // Index of the current step once the user has held it
+  const initializedRef = useRef(false);
+  const poseInitializedRef = useRef(false);
+  const voiceEnabledRef = useRef(voiceEnabled);
+  const onSetCompleteRef = useRef(onSetComplete);
+  // Everything the voice says goes through the coaching queue (see
+  // session/coachingQueue.js): one cue at a time, most urgent first, without
+  // repeating itself. Spoken corrections are logged with the session
+  const coachRef = useRef(null);
+  if (!coachRef.current) {
+    coachRef.current = createCoach({
+      locale,
+      feedbackCooldown: settings.feedback_cooldown * 1000,
+      speak: (cue) => {
+        if (cue.fault && sessionLogRef.current) recordFeedback(sessionLogRef.current, cue.text);
+        return voiceEnabledRef.current
+          ? utter(cue.text, locale, settings, referenceVideoRef.current)
+          : Promise.resolve();
+      }
+    });
+  }
+
+  useEffect(() => {
+    voiceEnabledRef.current = voiceEnabled;
+  }, [voiceEnabled]);
+
+  useEffect(() => {
+    showSparklinesRef.current = showSparklines;
+  }, [showSparklines]);
+
+  useEffect(() => {
+    showGhostRef.current = showGhost;
+  }, [showGhost]);
+
+  // Message of the session's locale
+  const t = useCallback((id, params) => translate(locale, id, params), [locale]);
+
+  // Queue a cue of the catalog; text defaults to the message in the locale.
+  // Reads the voice toggle through a ref so that turning the voice off doesn't
+  // restart the pose pipeline
+  const say = useCallback((id, params, text) => {
+    coachRef.current.say({ id, text: text ?? t(id, params) });
+  }, [t]);
+
+  // Leaving the session silences whatever was still to be said
+  useEffect(() => {
+    const coach = coachRef.current;
+    return () => {
+      coach.clear();
+      if ("speechSynthesis" in window) speechSynthesis.cancel();
+    };
+  }, []);
+
+  // Calculate time boundaries for each step based on start_time and end_time
+  const calculateStepTimeBoundaries = useCallback(() => {
+    const times = [];
+    
+    validationRules.steps.forEach(step => {
+      times.push({
+        start: step.start_time,
+        end: step.end_time,
+        stepNumber: step.step_number
+      });
+    });
+    
+    videoStepTimesRef.current = times;
+  }, [validationRules]);
+
+  // Load the reference video declared for this exercise in the catalog
+  useEffect(() => {
+    if (!referenceVideo) return;
+
+    const loadExerciseVideo = async () => {
+      try {
+        const response = await fetch(referenceVideo, { method: 'HEAD' });
+        if (response.ok) {
+          setReferenceVideoUrl(referenceVideo);
+          calculateStepTimeBoundaries();
+          return;
+        }
+      } catch (err) {
+        // Fall through to the upload placeholder
+      }
+      console.warn(`Reference video not found: ${referenceVideo}`);
+    };
+
+    loadExerciseVideo();
+  }, [referenceVideo, calculateStepTimeBoundaries]);
+
+  // Welcome message
+  useEffect(() => {
+    if (!initializedRef.current && voiceEnabled) {
+      initializedRef.current = true;
+      setTimeout(() => {
+        say("positioning.welcome");
+      }, 800);
+    }
+  }, [say, voiceEnabled]);
+
+  // Save the running session to history - called at the end of every set of
+  // a program, when the user restarts or leaves, and when the page is closed.
+  // Returns the saved summary, or null when nothing was scored
+  const saveCurrentSession = useCallback(() => {
+    const log = sessionLogRef.current;
+    sessionLogRef.current = null;
+    if (!log || log.frames === 0) return null;
+
+    const summary = summarizeSession(log, Date.now());
+    saveSession(summary).catch(err => console.error("Could not save session:", err));
+    return summary;
+  }, []);
+
+  // Session machine subscribers: UI state, voice, reference video and session log
+  useEffect(() => {
+    const machine = machineRef.current;
+    return machine.subscribe((event) => {
+      const video = referenceVideoRef.current;
+      switch (event.type) {
+        case "state":
+          setSessionState(event.state);
+          if (event.state.status === "active" && event.previous.status !== "active") {
+            const step = validationRules.steps[event.state.stepIndex];
+            setInstructionType("ready");
+            setInstructionMessage(t(event.previous.status === "countdown" ? "coach.starting" : "coach.continuing", { step: step.step_name }));
+          }
+          break;
+        case "speak":
+          coachRef.current.say({ id: event.cue, text: event.text });
+          break;
+        case "video":
+          if (!video) break;
+          if (event.action === "play" && video.paused) {
+            video.play().catch(err => console.warn("Video play error:", err));
+          } else if (event.action === "pause") {
+            video.pause();
+          } else if (event.action === "rewind") {
+            video.pause();
+            video.currentTime = 0;
+          } else if (event.action === "seek") {
+            video.currentTime = event.time;
+          }
+          break;
+        case "started":
+          matchedStepRef.current = null;
+          coachRef.current.dropFault();
+          // Every set is logged, and saved to history, as a session of its own
+          sessionLogRef.current = createSessionLog(validationRules, exerciseId, event.at);
+          recordStepEntered(sessionLogRef.current, 0, event.at);
+          break;
+        case "step":
+          coachRef.current.dropFault();
+          if (sessionLogRef.current) {
+            for (let i = event.from; i < event.to; i++) recordStepCompleted(sessionLogRef.current, i, event.at);
+            recordStepEntered(sessionLogRef.current, event.to, event.at);
+          }
+          break;
+        case "set_completed":
+        case "completed": {
+          if (sessionLogRef.current) recordStepCompleted(sessionLogRef.current, machine.getState().stepIndex, event.at);
+          // A single exercise keeps its log for export until the user leaves
+          if (!onSetCompleteRef.current) break;
+          const summary = saveCurrentSession();
+          if (summary) onSetCompleteRef.current({ ...summary, set: machine.getState().set });
+          break;
+        }
+        case "aborted": {
+          // A set the user ends early still counts in the program's summary
+          if (!onSetCompleteRef.current) break;
+          const summary = saveCurrentSession();
+          if (summary) onSetCompleteRef.current({ ...summary, set: machine.getState().set, incomplete: true });
+          break;
+        }
+        default:
+          break;
+      }
+    });
+  }, [t, validationRules, exerciseId, setInstructionMessage, saveCurrentSession]);
+
+  useEffect(() => {
+    onSetCompleteRef.current = onSetComplete;
+  }, [onSetComplete]);
+
+  // Steps follow the reference video when there is one, unless the user
+  // chose to go at their own pace; without a video they are always self-paced
+  useEffect(() => {
+    const pacing = referenceVideoUrl ? pacingChoice || "video" : "self";
+    machineRef.current.send({ type: "PACE", now: Date.now(), pacing });
+  }, [referenceVideoUrl, pacingChoice]);
+
+  // Hand over to the program once "Exercise complete" has been shown
+  useEffect(() => {
+    if (sessionState.status !== "completed" || !onComplete) return undefined;
+    const timer = setTimeout(onComplete, COMPLETION_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [sessionState.status, onComplete]);
+
+  // Pose initialization - runs once per exercise; everything that changes
+  // while it runs is read through refs and the session machine
+  useEffect(() => {
+    if (!videoRef.current || !canvasRef.current || poseInitializedRef.current) return;
+    poseInitializedRef.current = true;
+    const machine = machineRef.current;
+
+    let pipeline = null;
+    let stopCamera = null;
+    let isCleaningUp = false;
+    // The rules file's scoring block with the scoring settings
+    const scoringBlock = scoringWithSettings(validationRules.scoring, settings);
+
+    const initializePose = async () => {
+      try {
+        pipeline = await createPosePipeline({
+          normalization: validationRules.normalization,
+          smoothingFrames: settings.smoothing_frames
+        });
+      } catch (err) {
+        console.error("Pose model error:", err);
+        setDetectorError("screen.model_error");
+        return;
+      }
+      if (isCleaningUp) {
+        pipeline.close();
+        return;
+      }
+      pipelineRef.current = pipeline;
+
+      // results: { landmarks, worldLandmarks, metrics } or null when no pose was
+      // detected; metrics (of the smoothed landmarks) is null for the first frames
+      const handleResults = (results) => {
+        if (!canvasRef.current || isCleaningUp) return;
+        
+        const ctx = canvasRef.current.getContext("2d");
+        ctx.save();
+        ctx.clearRect(0, 0, canvasRef.current.width, canvasRef.current.height);
+
+        if (!results) machine.send({ type: "POSE", now: Date.now(), visible: false, distance: "unknown" });
+
+        if (results) {
+          const rawLandmarks = results.landmarks;
+          const bodyVisible = checkBodyVisibility(rawLandmarks, settings.visibility_threshold);
+          
+          // Calculate and check camera distance
+          const avgZ = calculateCameraDistance(rawLandmarks);
+          setCameraDistance(avgZ);
+          const distStatus = checkCameraDistance(avgZ, validationRules.ideal_camera_distance);
+          setDistanceStatus(distStatus);
+
+          // Compare the camera placement with the view the rules were recorded from
+          if (bodyVisible) {
+            viewSamplesRef.current.push(detectCameraView(rawLandmarks));
+            if (viewSamplesRef.current.length > VIEW_SAMPLE_FRAMES) viewSamplesRef.current.shift();
+            const view = dominantCameraView(viewSamplesRef.current);
+            setCameraView(view);
+
+            const expectedView = validationRules.camera_view;
+            if (expectedView && view && view !== expectedView && viewSamplesRef.current.length === VIEW_SAMPLE_FRAMES) {
+              say(`camera.${expectedView}`);
+            }
+          }
+          
+          machine.send({ type: "POSE", now: Date.now(), visible: bodyVisible, distance: distStatus });
+
+          // Draw skeleton - mirrored to match video, thicker and more visible
+          ctx.save();
+          ctx.translate(canvasRef.current.width, 0);
+          ctx.scale(-1, 1);
+          
+          // Bright, vibrant colors like in the reference image
+          const skeletonColor = bodyVisible ? "#00FF00" : "#FF9800";  // Bright neon green
+          const landmarkColor = bodyVisible ? "#00FF00" : "#FFB300";   // Bright neon green
+          
+          // Draw connections (skeleton lines) - thick like in reference image
+          drawConnectors(ctx, rawLandmarks, POSE_CONNECTIONS, { 
+            color: skeletonColor, 
+            lineWidth: 12  // Very thick lines for high visibility
+          });
+          
+          // Draw landmark points - visible dots at joints
+          drawLandmarks(ctx, rawLandmarks, { 
+            color: landmarkColor, 
+            fillColor: landmarkColor,
+            lineWidth: 3,
+            radius: 8  // Larger dots for better visibility
+          });
+          
+          ctx.restore();
+
+          // Only score while a step is running
+          const session = machine.getState();
+          if (!isScoring(session)) {
+            ctx.restore();
+            return;
+          }
+
+          if (results.metrics) {
+
+          // Video-paced: check which step the video is currently in. Self-paced,
+          // or while the video waits at the end of the user's step: the
+          // user's own step
+          const selfPaced = session.pacing === "self";
+          const followVideo = !selfPaced && session.pauseReason !== "step_boundary";
+          const currentVideoTime = referenceVideoRef.current ? referenceVideoRef.current.currentTime : 0;
+          const videoTimeStep = followVideo ? stepAtTime(validationRules.steps, currentVideoTime) : -1;
+          const videoStepIndex = videoTimeStep === -1 ? session.stepIndex : videoTimeStep;
+          
+          // Video-paced, the user's pose is ALWAYS evaluated against the video's
+          // current step - the user must match what the video is showing
+          const videoStep = validationRules.steps[videoStepIndex];
+          const frameMetrics = results.metrics;
+
+          // Bilateral steps are scored against the side the user is working
+          let sideState = null;
+          if (getSideConfig(videoStep)) {
+            if (sideStepIndexRef.current !== videoStepIndex) {
+              sideStepIndexRef.current = videoStepIndex;
+              sideStateRef.current = initialSideState(videoStep);
+            }
+            sideState = updateSide(sideStateRef.current, frameMetrics, videoStep, scoringBlock);
+            sideStateRef.current = sideState;
+
+            if (sideState.switched && !sideState.repSide) {
+              say("side.using", { side: localizedSide(locale, videoStep, sideState.side) });
+            }
+            if (sideState.switched || sideState.repSide) {
+              setSideProgress({
+                stepIndex: videoStepIndex,
+                side: sideState.side,
+                counts: { left: sideState.reps.left.count, right: sideState.reps.right.count },
+                asymmetry: sideAsymmetry(sideState)
+              });
+            }
+          }
+          const activeStep = sideState ? orientStepRule(videoStep, sideState.side) : videoStep;
+
+          const { score, maxScore, formScore, isPassing, metrics: newMetrics } =
+            scoreMetrics(frameMetrics, activeStep, scoringBlock);
+          setMetrics(newMetrics);
+          setFormScore(Math.round(formScore));
+
+          // Ghost skeleton: the instructor's pose at the video's time (the
+          // step's middle without a video) on the user's torso, with the
+          // limbs the user holds differently highlighted
+          if (showGhostRef.current && validationRules.reference_landmarks) {
+            const track = validationRules.reference_landmarks;
+            const referenceTime = referenceVideoRef.current
+              ? currentVideoTime
+              : (videoStep.start_time + videoStep.end_time) / 2;
+            const reference = referencePoseAt(track.frames, referenceTime);
+            const camera = videoRef.current;
+            const userAspect = camera && camera.videoHeight ? camera.videoWidth / camera.videoHeight : 1;
+            const ghost = reference && alignPose(reference, rawLandmarks, track.aspect_ratio, userAspect);
+            if (ghost) {
+              drawGhostSkeleton(ctx, ghost, limbDifferences(rawLandmarks, ghost, {
+                visibilityThreshold: settings.visibility_threshold,
+                aspect: userAspect
+              }), canvasRef.current.width, canvasRef.current.height);
+            }
+          }
+
+          // Analysis overlay: joint angles against the step's ranges, and the
+          // line a flat back follows
+          drawAnalysisOverlay(ctx, {
+            angles: jointAngles(rawLandmarks, newMetrics, activeStep, {
+              buffers: scoringBlock,
+              visibilityThreshold: settings.visibility_threshold
+            }),
+            guide: flatBackGuide(rawLandmarks, newMetrics, activeStep)
+          }, canvasRef.current.width, canvasRef.current.height);
+          const sampledAt = Date.now();
+          metricHistoryRef.current = appendMetricSample(metricHistoryRef.current, newMetrics, sampledAt);
+          if (showSparklinesRef.current) {
+            setSparklines({ history: metricHistoryRef.current, now: sampledAt, stepRule: activeStep });
+          }
+          if (sessionLogRef.current) {
+            // form_score is logged with the metrics so history and exports can trend it
+            recordFrame(sessionLogRef.current, videoStepIndex, isPassing, { ...newMetrics, form_score: formScore }, Date.now());
+          }
+
+          // Count reps for dynamic steps, against the step the video is showing
+          const repRule = videoStep.reps;
+          if (repRule && sideState) {
+            // Both sides are counted by updateSide
+            if (sideState.repSide) {
+              const side = sideState.repSide;
+              const sideRule = orientStepRule(videoStep, side).reps;
+              const repState = sideState.reps[side];
+              const label = localizedSide(locale, videoStep, side);
+              const otherLabel = localizedSide(locale, videoStep, otherSide(side));
+              setRepProgress({ stepIndex: videoStepIndex, count: repState.count, setsCompleted: repState.setsCompleted });
+
+              if (sideState.wrongSide) {
+                say("side.switch", { side: otherLabel });
+              } else if (areSidesComplete(sideState, videoStep)) {
+                say("reps.all_complete");
+              } else if (areRepsComplete(repState, sideRule)) {
+                const params = { side: label, other: otherLabel };
+                say("side.done_switch", params, capitalize(t("side.done_switch", params)));
+              } else if (repState.setCompleted) {
+                const params = { side: label, set: repState.setsCompleted };
+                say("side.set_complete", params, capitalize(t("side.set_complete", params)));
+              } else {
+                const params = { side: label, count: repState.count };
+                say("side.count", params, capitalize(t("side.count", params)));
+              }
+            }
+          } else if (repRule) {
+            if (repStepIndexRef.current !== videoStepIndex) {
+              repStepIndexRef.current = videoStepIndex;
+              repStateRef.current = initialRepState();
+              setRepProgress({ stepIndex: videoStepIndex, count: 0, setsCompleted: 0 });
+            }
+
+            const repState = countRep(repStateRef.current, newMetrics[repRule.metric], repRule);
+            repStateRef.current = repState;
+
+            if (repState.repCompleted) {
+              setRepProgress({ stepIndex: videoStepIndex, count: repState.count, setsCompleted: repState.setsCompleted });
+
+              if (areRepsComplete(repState, repRule)) {
+                say("reps.all_complete");
+              } else if (repState.setCompleted) {
+                say("reps.set_complete", { set: repState.setsCompleted });
+              } else {
+                say("reps.count", { count: repState.count });
+              }
+            }
+          }
+          
+          // Check back flatness - the session pauses while the back isn't flat when required
+          const backFlat = videoStep.back_flat;
+          const backFlatFailed = backFlat && backFlat.should_be_flat &&
+                                 newMetrics.back_flatness_deviation > backFlat.max_deviation;
+          machine.send({ type: "BACK", now: Date.now(), flat: !backFlatFailed });
+          
+          const stepIndex = session.stepIndex;
+
+          const completeStep = () => {
+            if (stepIndex < validationRules.steps.length - 1) {
+              const nextStep = validationRules.steps[stepIndex + 1];
+              machine.send({ type: "ADVANCE", now: Date.now(), stepIndex: stepIndex + 1 });
+              setInstructionMessage(t("coach.next", { step: nextStep.step_name }));
+            } else {
+              // Completing the last step completes the exercise
+              machine.send({ type: "FINISH", now: Date.now() });
+            }
+          };
+
+          // Self-paced, a step with a rep target is done once every rep (on
+          // every side it needs) is; other steps once they have been held
+          const pacedByReps = selfPaced && Boolean(repRule && repRule.target);
+          if (pacedByReps && (sideState ? areSidesComplete(sideState, videoStep) : areRepsComplete(repStateRef.current, repRule))) {
+            completeStep();
+            ctx.restore();
+            return;
+          }
+          
+          // The user held their step and the video has moved on - follow it
+          if (videoStepIndex > stepIndex && matchedStepRef.current === stepIndex) {
+            machine.send({ type: "ADVANCE", now: Date.now(), stepIndex: videoStepIndex });
+            setInstructionMessage(t("coach.next", { step: videoStep.step_name }));
+            holdStateRef.current = initialHoldState();
+            ctx.restore();
+            return;
+          }
+
+          // If video is ahead of user's tracked step, they need to catch up
+          if (videoStepIndex > stepIndex && referenceVideoRef.current && !referenceVideoRef.current.paused) {
+            const stepName = videoStep.step_name.replace(/_/g, ' ');
+            
+            // If user's pose doesn't match the video's step, give feedback
+            if (!isPassing) {
+              setInstructionType("feedback");
+              setInstructionMessage(t("coach.follow_video_hint", { step: stepName }));
+              say("coach.follow_video", { step: stepName });
+            } else if (isPassing) {
+              // User is matching! Advance their step
+              setInstructionType("ready");
+              setInstructionMessage(t("coach.matching_video", { step: stepName }));
+              machine.send({ type: "ADVANCE", now: Date.now(), stepIndex: videoStepIndex });
+              holdStateRef.current = initialHoldState();
+            }
+            ctx.restore();
+            return;
+          }
+
+          // Skip feedback for first 5s
+          if (Date.now() - session.startedAt < 5000) {
+            setInstructionType("ready");
+            setInstructionMessage(t("coach.in_progress"));
+            ctx.restore();
+            return;
+          }
+
+          // Hold timer - measured in wall-clock time, so it doesn't depend on
+          // camera FPS, inference speed or the reference video's currentTime
+          const holdRule = getHoldRule(videoStep);
+          if (holdStepIndexRef.current !== videoStepIndex) {
+            holdStepIndexRef.current = videoStepIndex;
+            holdStateRef.current = initialHoldState();
+            lastHoldAnnouncementRef.current = null;
+          }
+          let holdState = updateHold(holdStateRef.current, isPassing, Date.now(), holdRule);
+          holdStateRef.current = holdState;
+
+          // A bilateral hold counts for the side that held it; "alternate"
+          // steps then start the hold again on the other side
+          let sidesDone = true;
+          if (sideState && !repRule) {
+            if (holdState.complete && !sideState.completedSides.includes(sideState.side)) {
+              sideState = completeSide(sideState, sideState.side);
+              sideStateRef.current = sideState;
+              if (!areSidesComplete(sideState, videoStep)) {
+                holdState = initialHoldState();
+                holdStateRef.current = holdState;
+                lastHoldAnnouncementRef.current = null;
+                say("side.switch_now", { side: localizedSide(locale, videoStep, otherSide(sideState.side)) });
+              }
+            }
+            sidesDone = areSidesComplete(sideState, videoStep);
+          }
+
+          // Once held, the video may play past the end of the step
+          if (stepIndex === videoStepIndex && holdState.complete && sidesDone) matchedStepRef.current = stepIndex;
+
+          const remainingMs = holdRemainingMs(holdState, holdRule);
+          const secondsLeft = Math.ceil(remainingMs / 1000);
+          // Re-render the countdown ring only when its tenth-of-a-second reading changes
+          setHoldProgress(prev => (
+            prev && prev.stepIndex === videoStepIndex && Math.ceil(prev.remainingMs / 100) === Math.ceil(remainingMs / 100)
+              ? prev
+              : { stepIndex: videoStepIndex, remainingMs, requiredMs: holdRule.seconds * 1000 }
+          ));
+
+          if (isPassing && HOLD_ANNOUNCEMENTS.includes(secondsLeft) && secondsLeft < holdRule.seconds &&
+              lastHoldAnnouncementRef.current !== secondsLeft) {
+            lastHoldAnnouncementRef.current = secondsLeft;
+            say("hold.seconds_left", { seconds: secondsLeft });
+          }
+
+          // Held pose → advance (with video synchronization)
+          // User must match the video's current step for the step's hold time to advance
+          if (isPassing) {
+            // User is matching the video's current step
+            setInstructionType("ready");
+            setInstructionMessage(holdState.complete
+              ? t("hold.keep_holding")
+              : t("hold.hold_for", { count: secondsLeft }));
+            
+            // Only advance if user has held the step AND, video-paced, the video has moved to the next step
+            if (stepIndex === videoStepIndex && holdState.complete && sidesDone && !pacedByReps) {
+              const nextStep = validationRules.steps[videoStepIndex + 1];
+              if (nextStep && followVideo && currentVideoTime < nextStep.start_time) {
+                // Pose is good but video not at next step yet
+                const timeLeft = Math.round(nextStep.start_time - currentVideoTime);
+                if (timeLeft > 0) {
+                  setInstructionMessage(t("hold.wait_for_video", { count: timeLeft }));
+                }
+              } else {
+                completeStep();
+              }
+            } else if (stepIndex < videoStepIndex) {
+              // User is behind - they need to catch up (handled above)
+              holdStateRef.current = initialHoldState();
+            }
+          }
+
+          // Only give feedback if score is low (user is actually doing something wrong)
+          // This prevents false positives when user is in correct position
+          // Use videoStep since we're always evaluating against what the video is showing.
+          // The coach hears about every scored frame: it decides when a fault
+          // is said, said again more firmly, or praised once fixed
+          if (!isPassing) {
+            const cue = getFeedbackCue(newMetrics, activeStep);
+            const fb = cue ? translate(locale, cue.id, cue.params, activeStep.cues) : "";
+            setFeedback(fb);
+            coachRef.current.observe(cue ? { id: cue.id, text: fb } : null);
+            if (fb) {
+              setInstructionType("feedback");
+              setInstructionMessage(fb);
+            } else {
+              // Clear feedback if no message and score is improving
+              setFeedback("");
+              const improvingThreshold = Math.ceil(maxScore * 0.3);
+              if (score >= improvingThreshold) {
+                setInstructionType("ready");
+                setInstructionMessage(t("coach.doing_well"));
+              }
+            }
+          } else {
+            // Score is good (passing threshold), clear any previous feedback
+            // Message already set above in the isPassing block
+            setFeedback("");
+            coachRef.current.observe(null);
+          }
+        }
+        }
+        ctx.restore();
+      };
+
+      // Initialize camera - frames are skipped when the device can't keep up
+      // (see detection/frameRate.js)
+      if (videoRef.current) {
+        const rate = createRateController({ busyShare: pipeline.inWorker ? 1 : 0.5 });
+        try {
+          const video = videoRef.current;
+          stopCamera = await startCamera(video, {
+            width: 640,
+            height: 640,
+            onFrame: async (timestamp) => {
+              if (isCleaningUp || !pipeline || !rate.shouldProcess(timestamp)) return;
+              rate.start(timestamp);
+              const results = await pipeline.process(video, timestamp);
+              handleResults(results);
+              const now = performance.now();
+              rate.finish(now, now - timestamp);
+              setPerformanceStats({ ...rate.stats(now), inWorker: pipeline.inWorker });
+            },
+          });
+          if (isCleaningUp) stopCamera();
+        } catch (err) {
+          console.error("Camera error:", err);
+          setDetectorError("screen.camera_error");
+        }
+      }
+    };
+
+    initializePose();
+
+    return () => {
+      isCleaningUp = true;
+      poseInitializedRef.current = false;
+      
+      if (stopCamera) {
+        stopCamera();
+        stopCamera = null;
+      }
+      
+      if (pipeline) {
+        pipeline.close();
+        pipeline = null;
+        pipelineRef.current = null;
+      }
+    };
+  }, [say, t, locale, validationRules, settings, setMetrics, setFormScore, setSparklines, setInstructionMessage, setCameraDistance, setPerformanceStats]);
+
+
+  useEffect(() => {
+    window.addEventListener("pagehide", saveCurrentSession);
+    return () => {
+      window.removeEventListener("pagehide", saveCurrentSession);
+      saveCurrentSession();
+    };
+  }, [saveCurrentSession]);
+
+
+  const handleRestart = () => {
+    saveCurrentSession();
+    holdStateRef.current = initialHoldState();
+    holdStepIndexRef.current = null;
+    lastHoldAnnouncementRef.current = null;
+    setHoldProgress(null);
+    setFormScore(null);
+    setFeedback("");
+    if (pipelineRef.current) pipelineRef.current.reset();
+    viewSamplesRef.current = [];
+    setCameraView(null);
+    repStateRef.current = initialRepState();
+    repStepIndexRef.current = null;
+    setRepProgress(null);
+    sideStateRef.current = null;
+    sideStepIndexRef.current = null;
+    setSideProgress(null);
+    setInstructionMessage("");
+    setInstructionType("ready");
+    matchedStepRef.current = null;
+    coachRef.current.clear(); // Cues still waiting belong to the old attempt
+    machineRef.current.send({ type: "RESTART", now: Date.now() });
+  };
+
+  const handleExit = () => {
+    machineRef.current.send({ type: "ABORT", now: Date.now() });
+    onExit();
+  };
+
+  const handleToggleVoice = () => setVoiceEnabled(v => !v);
+  const handleToggleSparklines = () => setShowSparklines(v => !v);
+
+  const handleToggleGhost = () => setShowGhost(v => !v);
+
+  const handleTogglePacing = () => setPacingChoice(sessionState.pacing === "self" ? "video" : "self");
+
+  const handleExport = () => {
+    if (sessionLogRef.current) setExportSnapshot({ log: sessionLogRef.current, endedAt: Date.now() });
+  };
+
+  const handleVideoUpload = (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      const url = URL.createObjectURL(file);
+      setReferenceVideoUrl(url);
+      
+      // Calculate step time boundaries
+      calculateStepTimeBoundaries();
+    }
+  };
+
+  const handleRemoveVideo = () => {
+    if (referenceVideoUrl) {
+      URL.revokeObjectURL(referenceVideoUrl);
+      setReferenceVideoUrl(null);
+      setRulesWarnings([]);
+      videoStepTimesRef.current = [];
+    }
+  };
+
+  // Handle video time update - video-paced, the video plays on until the end
+  // of a step the user hasn't held yet and waits there (or, looping, replays
+  // the step); self-paced, it loops the segment of the step being shown
+  const handleVideoTimeUpdate = (event) => {
+    const machine = machineRef.current;
+    const session = machine.getState();
+    const video = event.currentTarget;
+
+    if (session.pacing === "self") {
+      const shown = validationRules.steps[session.shownStep];
+      if (video.currentTime >= shown.end_time || video.currentTime < shown.start_time) {
+        video.currentTime = shown.start_time;
+      }
+      return;
+    }
+
+    const step = validationRules.steps[session.stepIndex];
+    if (session.status !== "active" || matchedStepRef.current === session.stepIndex || video.currentTime < step.end_time) return;
+    machine.send(loopStep ? { type: "REPLAY", now: Date.now() } : { type: "BOUNDARY", now: Date.now() });
+  };
+
+  const handleReplay = useCallback((stepIndex) => {
+    machineRef.current.send({ type: "REPLAY", now: Date.now(), stepIndex });
+  }, []);
+
+  const handleToggleLoop = useCallback(() => setLoopStep(loop => !loop), []);
+
+  const handleToggleSlowMotion = useCallback(() => setSlowMotion(slow => !slow), []);
+
+  // The reference video element, for the step controls (a state so they
+  // re-render once it mounts)
+  const referenceVideoCallbackRef = useCallback((element) => {
+    referenceVideoRef.current = element;
+    setReferenceVideoElement(element);
+  }, []);
+
+  useEffect(() => {
+    if (!referenceVideoElement) return;
+    referenceVideoElement.defaultPlaybackRate = slowMotion ? 0.5 : 1;
+    referenceVideoElement.playbackRate = slowMotion ? 0.5 : 1;
+  }, [referenceVideoElement, slowMotion]);
+
+  const currentStepIndex = sessionState.stepIndex;
+  const scoring = isScoring(sessionState);
+  const started = sessionState.startedAt !== null;
+  const shownInstruction = describeSession(sessionState, locale, settings.confirm_frames) || { type: instructionType, message: instructionMessage };
+
+  return (
+    <div className="app-container">
+      <div className="app-header">
+        <h1>M2 Method Exercise Instructor</h1>
+        <p>{t("screen.subtitle")}</p>
+      </div>
+
+      <div className="video-section">
+        <div className="video-and-instructions">
+          {/* Reference Video */}
+          {referenceVideoUrl ? (
+            <div className="reference-video-container">
+              <div className="video-header">
+                <h3>{t("screen.reference_video")}</h3>
+                <button onClick={handleRemoveVideo} className="remove-video-btn" title="Remove video">
+                  ✕
+                </button>
+              </div>
+              <video 
+                ref={referenceVideoCallbackRef}
+                className="reference-video" 
+                width="640" 
+                height="480"
+                controls
+                onTimeUpdate={handleVideoTimeUpdate}
+                onLoadedMetadata={(e) => setRulesWarnings(
+                  checkStepsWithinVideo(validationRules, e.currentTarget.duration).map(formatIssue)
+                )}
+              >
+                <source src={referenceVideoUrl} type="video/mp4" />
+                Your browser does not support the video tag.
+              </video>
+              {rulesWarnings.length > 0 && (
+                <div className="rules-warning">
+                  ⚠️ The rules don't fit this video:
+                  <ul>
+                    {rulesWarnings.map(warning => <li key={warning}>{warning}</li>)}
+                  </ul>
+                </div>
+              )}
+              <div className="video-sync-indicator">
+                {sessionState.status === "paused" && (
+                  <div className="sync-message">
+                    {t("pause.video_paused", { reason: t(`pause.${sessionState.pauseReason}`) })}
+                  </div>
+                )}
+              </div>
+            </div>
+          ) : (
+            <div className="video-upload-container">
+              <div className="upload-placeholder">
+                <div className="upload-icon">🎬</div>
+                <h3>No Reference Video</h3>
+                <p>Add a <code>video</code> to this exercise in <code>public/exercises/index.json</code></p>
+                <p className="video-names">Videos are served from <code>public/videos/</code></p>
+                <div className="upload-divider">OR</div>
+                <label className="upload-label">
+                  <input 
+                    type="file" 
+                    accept="video/*" 
+                    onChange={handleVideoUpload}
+                    style={{ display: 'none' }}
+                  />
+                  <span className="upload-btn-text">📁 Choose Video</span>
+                </label>
+              </div>
+            </div>
+          )}
+
+          {/* Instruction Panel */}
+          <div className="instruction-panel">
+            <div className="instruction-header">
+              <h3>📝 Live Instructions</h3>
+            </div>
+            
+            {/* Status Message */}
+            <div className={`instruction-message ${shownInstruction.type}`}>
+              <div className="message-icon">
+                {shownInstruction.type === "positioning" && "⚠️"}
+                {shownInstruction.type === "confirming" && "⏱️"}
+                {shownInstruction.type === "ready" && "✅"}
+                {shownInstruction.type === "feedback" && "💬"}
+              </div>
+              <div className="message-text">{shownInstruction.message}</div>
+            </div>
+
+            {referenceVideoUrl && (
+              <StepVideoControls
+                video={referenceVideoElement}
+                steps={validationRules.steps}
+                currentStepIndex={currentStepIndex}
+                shownStep={sessionState.pacing === "self" ? sessionState.shownStep : currentStepIndex}
+                canPreviewAhead={sessionState.pacing === "self"}
+                loopStep={loopStep || sessionState.pacing === "self"}
+                loopLocked={sessionState.pacing === "self"}
+                slowMotion={slowMotion}
+                onReplay={handleReplay}
+                onToggleLoop={handleToggleLoop}
+                onToggleSlowMotion={handleToggleSlowMotion}
+              />
+            )}
+
+            {/* Camera Distance Indicator */}
+            <div className={`distance-indicator ${distanceStatus}`}>
+              <div className="distance-icon">
+                {distanceStatus === "too_close" && "🔴"}
+                {distanceStatus === "too_far" && "🟡"}
+                {distanceStatus === "good" && "🟢"}
+                {distanceStatus === "unknown" && "⚪"}
+              </div>
+              <div className="distance-info">
+                <span className="distance-label">{t("screen.distance")}</span>
+                <span className="distance-value">{t(`screen.distance_${distanceStatus}`)}</span>
+                <span className="distance-metric">({cameraDistance.toFixed(3)})</span>
+              </div>
+            </div>
+
+            {detectorError && <div className="rules-warning">⚠️ {t(detectorError)}</div>}
+
+            {validationRules.camera_view && cameraView && cameraView !== validationRules.camera_view && (
+              <div className="rules-warning view-warning">
+                📷 {t(`camera.${validationRules.camera_view}`)}{" "}
+                {t("camera.detected", { view: t(`camera.view_${cameraView}`) })}
+              </div>
+            )}
+
+            {/* Current Step Info */}
+            {started && (
+              <div className="step-info">
+                <div className="step-badge">
+                  {t("screen.step", { step: currentStepIndex + 1, steps: validationRules.steps.length })}
+                </div>
+                <div className="step-current">
+                  <span className="step-icon">🎯</span>
+                  <strong>{validationRules.steps[currentStepIndex].step_name}</strong>
+                </div>
+                <div className="step-description">
+                  ⏱️ {validationRules.steps[currentStepIndex].start_time}s - {validationRules.steps[currentStepIndex].end_time}s
+                </div>
+
+                {validationRules.steps[currentStepIndex].hold && holdProgress && holdProgress.stepIndex === currentStepIndex && (() => {
+                  const radius = 18;
+                  const circumference = 2 * Math.PI * radius;
+                  const fraction = holdProgress.requiredMs > 0 ? holdProgress.remainingMs / holdProgress.requiredMs : 0;
+                  return (
+                    <div className="hold-countdown">
+                      <svg className="hold-ring" viewBox="0 0 44 44" width="44" height="44">
+                        <circle className="hold-ring-track" cx="22" cy="22" r={radius} />
+                        <circle
+                          className="hold-ring-fill"
+                          cx="22"
+                          cy="22"
+                          r={radius}
+                          strokeDasharray={circumference}
+                          strokeDashoffset={circumference * (1 - fraction)}
+                        />
+                      </svg>
+                      <div className="hold-countdown-text">
+                        {holdProgress.remainingMs > 0
+                          ? <strong>{t("hold.remaining", { seconds: Math.ceil(holdProgress.remainingMs / 1000) })}</strong>
+                          : <strong>{t("hold.complete")}</strong>}
+                      </div>
+                    </div>
+                  );
+                })()}
+
+                {getSideConfig(validationRules.steps[currentStepIndex]) && (() => {
+                  const step = validationRules.steps[currentStepIndex];
+                  const progress = sideProgress && sideProgress.stepIndex === currentStepIndex ? sideProgress : null;
+                  const side = progress ? progress.side : getSideConfig(step).reference;
+                  return (
+                    <div className="step-sides">
+                      <span className="step-sides-working">↔️ {capitalize(localizedSide(locale, step, side))}</span>
+                      {step.reps && progress && (
+                        <span className="step-sides-counts">
+                          {t("screen.side_counts", { left: progress.counts.left, right: progress.counts.right })}
+                        </span>
+                      )}
+                      {progress && progress.asymmetry !== null && (
+                        <span className={`step-sides-asymmetry${progress.asymmetry > ASYMMETRY_WARNING ? " high" : ""}`}>
+                          {t("screen.asymmetry", { percent: Math.round(progress.asymmetry) })}
+                        </span>
+                      )}
+                    </div>
+                  );
+                })()}
+
+                {validationRules.steps[currentStepIndex].reps && (() => {
+                  const repRule = validationRules.steps[currentStepIndex].reps;
+                  const progress = repProgress && repProgress.stepIndex === currentStepIndex
+                    ? repProgress
+                    : { count: 0, setsCompleted: 0 };
+                  const totalSets = repRule.sets || 1;
+                  const setsDone = progress.setsCompleted >= totalSets;
+                  return (
+                    <div className="step-reps">
+                      <div className="step-reps-count">
+                        {t("screen.reps")} <strong>{progress.count}</strong>{repRule.target ? `/${repRule.target}` : ""}
+                      </div>
+                      {repRule.target && (
+                        <div className="step-reps-sets">
+                          {setsDone ? t("screen.sets_done") : t("screen.set", { set: progress.setsCompleted + 1, sets: totalSets })}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })()}
+                
+                {currentStepIndex < validationRules.steps.length - 1 && (
+                  <div className="step-next">
+                    <span className="next-icon">▶️</span> {validationRules.steps[currentStepIndex + 1].step_name}
+                  </div>
+                )}
+                
+                {currentStepIndex === validationRules.steps.length - 1 && (
+                  <div className="step-complete">
+                    {t("screen.final_step")}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Metrics Display */}
+            {started && (
+              <div className="metrics-display">
+                <h4>{t("screen.live_metrics")}</h4>
+                <div className="metrics-grid">
+                  {/* Form Score */}
+                  {formScore !== null && (
+                    <div className="metric-item">
+                      <div className="metric-icon">⭐</div>
+                      <div className="metric-content">
+                        <span className="metric-label">{t("screen.form_score")}</span>
+                        <span className="metric-value">{formScore}/100</span>
+                      </div>
+                    </div>
+                  )}
+
+                  {/* Left Knee Angle with Range */}
+                  <div className="metric-item">
+                    <div className="metric-icon knee">🟢</div>
+                    <div className="metric-content">
+                      <span className="metric-label">{capitalize(t("metric.left_knee_angle"))}</span>
+                      <span className="metric-value">{metrics.left_knee_angle.toFixed(0)}°</span>
+                    </div>
+                  </div>
+                  {validationRules.steps[currentStepIndex]?.criteria?.left_knee_angle && (() => {
+                    const crit = validationRules.steps[currentStepIndex].criteria.left_knee_angle;
+                    const range = crit.max - crit.min;
+                    const buffer = range * settings.lenient_range_buffer; // Knee angles get the lenient buffer
+                    return (
+                      <div className="metric-range">
+                        {t("metrics.acceptable", {
+                          min: `${(crit.min - buffer).toFixed(0)}°`,
+                          max: `${(crit.max + buffer).toFixed(0)}°`
+                        })}
+                      </div>
+                    );
+                  })()}
+                  
+                  {/* Right Knee Angle with Range */}
+                  <div className="metric-item">
+                    <div className="metric-icon knee">🟢</div>
+                    <div className="metric-content">
+                      <span className="metric-label">{capitalize(t("metric.right_knee_angle"))}</span>
+                      <span className="metric-value">{metrics.right_knee_angle.toFixed(0)}°</span>
+                    </div>
+                  </div>
+                  {validationRules.steps[currentStepIndex]?.criteria?.right_knee_angle && (() => {
+                    const crit = validationRules.steps[currentStepIndex].criteria.right_knee_angle;
+                    const range = crit.max - crit.min;
+                    const buffer = range * settings.lenient_range_buffer; // Knee angles get the lenient buffer
+                    return (
+                      <div className="metric-range">
+                        {t("metrics.acceptable", {
+                          min: `${(crit.min - buffer).toFixed(0)}°`,
+                          max: `${(crit.max + buffer).toFixed(0)}°`
+                        })}
+                      </div>
+                    );
+                  })()}
+                  
+                  {/* Ankle Height (Average) with Range */}
+                  <div className="metric-item">
+                    <div className="metric-icon ankle">🟡</div>
+                    <div className="metric-content">
+                      <span className="metric-label">{capitalize(t("metric.ankle_height"))}</span>
+                      <span className="metric-value">{metrics.ankle_height.toFixed(2)}</span>
+                    </div>
+                  </div>
+                  {validationRules.steps[currentStepIndex]?.criteria?.ankle_height && (() => {
+                    const crit = validationRules.steps[currentStepIndex].criteria.ankle_height;
+                    const range = crit.max - crit.min;
+                    const buffer = range * settings.range_buffer;
+                    return (
+                      <div className="metric-range">
+                        {t("metrics.acceptable", {
+                          min: (crit.min - buffer).toFixed(2),
+                          max: (crit.max + buffer).toFixed(2)
+                        })}
+                      </div>
+                    );
+                  })()}
+                  
+                  {/* Knee Height with Range */}
+                  {validationRules.steps[currentStepIndex]?.criteria?.knee_height && (
+                    <>
+                      <div className="metric-item">
+                        <div className="metric-icon knee">🟢</div>
+                        <div className="metric-content">
+                          <span className="metric-label">{capitalize(t("metric.knee_height"))}</span>
+                          <span className="metric-value">{metrics.knee_height.toFixed(2)}</span>
+                        </div>
+                      </div>
+                      {(() => {
+                        const crit = validationRules.steps[currentStepIndex].criteria.knee_height;
+                        const range = crit.max - crit.min;
+                        const buffer = range * settings.range_buffer;
+                        return (
+                          <div className="metric-range">
+                            {t("metrics.acceptable", {
+                              min: (crit.min - buffer).toFixed(2),
+                              max: (crit.max + buffer).toFixed(2)
+                            })}
+                          </div>
+                        );
+                      })()}
+                    </>
+                  )}
+                </div>
+                
+                {showSparklines && sparklines && (
+                  <MetricSparklines
+                    history={sparklines.history}
+                    now={sparklines.now}
+                    stepRule={sparklines.stepRule}
+                    buffers={scoringWithSettings(validationRules.scoring, settings)}
+                    locale={locale}
+                  />
+                )}
+
+                {/* Progress Bar */}
+                <div className="progress-section">
+                  <div className="progress-label">
+                    {t("screen.progress", { percent: Math.round(((currentStepIndex + 1) / validationRules.steps.length) * 100) })}
+                  </div>
+                  <div className="progress-bar-container">
+                    <div 
+                      className="progress-bar-fill" 
+                      style={{ width: `${((currentStepIndex + 1) / validationRules.steps.length) * 100}%` }}
+                    ></div>
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Camera Feed moved outside video-section to position fixed at bottom-right */}
+      
+      </div>
+
+      {/* Controls and Info Row */}
+      <div className="bottom-section">
+        <div className="exercise-info-card">
+          <div className="exercise-title">
+            {workout && (
+              <div className="workout-progress">
+                {t("screen.workout_set", { workout: workout.title, set: sessionState.set, sets: workout.sets })}
+              </div>
+            )}
+            <h2>{t("screen.exercise", { exercise: validationRules.exercise_name })}</h2>
+            {personalized && <div className="personalized-badge">{t("screen.personalized")}</div>}
+          </div>
+          <div className={`status-badge ${scoring ? 'ready' : 'positioning'}`}>
+            {t(`badge.${sessionState.status}`)}
+          </div>
+        </div>
+
+        <div className="controls">
+          {onExit && (
+            <button onClick={handleExit} className="back-btn">
+              <span className="btn-icon">←</span>
+              <span className="btn-text">{t(workout ? "screen.end_workout" : "screen.exercises")}</span>
+            </button>
+          )}
+          <button onClick={handleRestart} className="restart-btn">
+            <span className="btn-icon">↻</span>
+            <span className="btn-text">{t("screen.restart")}</span>
+          </button>
+          <button
+            onClick={handleTogglePacing}
+            className="back-btn"
+            disabled={!referenceVideoUrl}
+            title={t(referenceVideoUrl ? "screen.pacing_hint" : "screen.pacing_no_video")}
+          >
+            <span className="btn-icon">{sessionState.pacing === "self" ? '🧘' : '🎬'}</span>
+            <span className="btn-text">{t(sessionState.pacing === "self" ? "screen.self_paced" : "screen.video_paced")}</span>
+          </button>
+          <button onClick={handleToggleVoice} className={`voice-btn ${voiceEnabled ? 'voice-on' : 'voice-off'}`}>
+            <span className="btn-icon">{voiceEnabled ? '🔊' : '🔇'}</span>
+            <span className="btn-text">{t(voiceEnabled ? "screen.voice_on" : "screen.voice_off")}</span>
+          </button>
+          {started && (
+            <button onClick={handleToggleSparklines} className={`voice-btn ${showSparklines ? 'voice-on' : 'voice-off'}`}>
+              <span className="btn-icon">📈</span>
+              <span className="btn-text">{t(showSparklines ? "screen.hide_trends" : "screen.show_trends")}</span>
+            </button>
+          )}
+          {started && validationRules.reference_landmarks && (
+            <button onClick={handleToggleGhost} className={`voice-btn ${showGhost ? 'voice-on' : 'voice-off'}`}>
+              <span className="btn-icon">👻</span>
+              <span className="btn-text">{t(showGhost ? "screen.hide_ghost" : "screen.show_ghost")}</span>
+            </button>
+          )}
+          {started && (
+            <button onClick={handleExport} className="back-btn">
+              <span className="btn-icon">📤</span>
+              <span className="btn-text">{t("screen.export")}</span>
+            </button>
+          )}
+        </div>
+      </div>
+
+      {exportSnapshot && (
+        <SessionExport
+          log={exportSnapshot.log}
+          rules={validationRules}
+          endedAt={exportSnapshot.endedAt}
+          onClose={() => setExportSnapshot(null)}
+        />
+      )}
+
+      {/* Your Camera Feed - Fixed Bottom Right */}
+      <div className="video-container">
+        <div className="video-header">
+          <h3>{t("screen.your_feed")}</h3>
+          <div className={`status-indicator ${scoring ? 'active' : 'inactive'}`}>
+            {scoring ? '●' : '○'}
+          </div>
+        </div>
+        <video 
+          ref={videoRef} 
+          className="video" 
+          width="640" 
+          height="640" 
+          autoPlay 
+          muted 
+          playsInline 
+          crossOrigin="anonymous"
+          style={{ opacity: 1, visibility: 'visible' }}
+        ></video>
+        <canvas ref={canvasRef} className="canvas" width="640" height="640"></canvas>
+        {performanceStats && (
+          <div className="performance-readout">
+            {Math.round(performanceStats.fps)} fps · {Math.round(performanceStats.latencyMs)} ms
+            {performanceStats.inWorker && " · worker"}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import React from "react";
+import { translate } from "../i18n/messages";
+import { LENIENT_METRICS, SPARKLINE_WINDOW_MS, metricSeries, rangeStatus, scoredMetricNames } from "../pose";
+import LineChart from "./LineChart";
+import "../App.css";
+
+// A metric's name in the locale; metrics the catalog doesn't know keep their own
+const metricLabel = (name, locale) => {
+  const id = `metric.${name}`;
+  const label = translate(locale, id);
+  return label === id ? name.replace(/_/g, " ") : label;
+};
+
+const formatValue = (name, value) => (name.endsWith("_angle") ? `${Math.round(value)}°` : value.toFixed(2));
+
+// The range a metric should stay in, shaded behind its line
+const targetBand = (name, stepRule) => {
+  if (name === "back_flatness_deviation") return { min: 0, max: stepRule.back_flat.max_deviation };
+  const criterion = stepRule.criteria[name];
+  return criterion && Number.isFinite(criterion.min) && Number.isFinite(criterion.max)
+    ? { min: criterion.min, max: criterion.max }
+    : null;
+};
+
+// Sparklines of the last SPARKLINE_WINDOW_MS of every metric the step scores
+// (see pose/overlay.js), each over its target range. history is from
+// appendMetricSample, now the time of its latest sample, stepRule the step
+// being scored, buffers the scoring block the frames were scored with and
+// locale the language of the labels
+export default function MetricSparklines({ history, now, stepRule, buffers, locale }) {
+  const windowSeconds = SPARKLINE_WINDOW_MS / 1000;
+
+  return (
+    <div className="metric-sparklines">
+      <h4>{translate(locale, "screen.trends", { seconds: windowSeconds })}</h4>
+      <div className="metric-sparklines-list">
+        {scoredMetricNames(stepRule).map(name => {
+          const points = metricSeries(history, name, now);
+          if (points.length < 2) return null;
+          const band = targetBand(name, stepRule);
+          const latest = points[points.length - 1].y;
+          const status = name === "back_flatness_deviation"
+            ? (latest <= band.max ? "in" : "out")
+            : rangeStatus(latest, stepRule.criteria[name], LENIENT_METRICS.includes(name), buffers);
+          return (
+            <div key={name} className="metric-sparkline">
+              <div className="metric-sparkline-header">
+                <span>{metricLabel(name, locale)}</span>
+                <span className={`metric-sparkline-value ${status}`}>{formatValue(name, latest)}</span>
+              </div>
+              <LineChart points={points} band={band} xDomain={[-windowSeconds, 0]} width={240} height={40} />
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,278 @@
+import React, { useEffect, useRef, useState } from "react";
+import { extractVideoLandmarks } from "../recording/extractLandmarks";
+import { buildRecordingReport } from "../pose";
+import LineChart from "./LineChart";
+import "../App.css";
+
+// Sampling rates offered for analysis - lower is faster, higher catches more detail
+const SAMPLING_RATES = [5, 10, 15];
+
+const formatTime = (seconds) => {
+  const m = Math.floor(seconds / 60);
+  const s = Math.floor(seconds % 60);
+  return `${m}:${String(s).padStart(2, "0")}`;
+};
+
+// "2 sets + 3" from a report's { count, setsCompleted }
+const formatReps = ({ count, setsCompleted }) => `${setsCompleted > 0 ? `${setsCompleted} sets + ` : ""}${count}`;
+
+// One metric over a step, with the criteria range shaded
+function MetricTimeline({ name, points, criterion, startTime, endTime }) {
+  return (
+    <div className="metric-timeline">
+      <span className="metric-label">{name.replace(/_/g, " ")}</span>
+      <LineChart
+        points={points.map(p => ({ x: p.time, y: p.value }))}
+        band={criterion}
+        xDomain={[startTime, endTime]}
+      />
+    </div>
+  );
+}
+
+// "Analyze recording" mode - runs an uploaded workout video through the Pose
+// pipeline frame by frame and scores it against the exercise's step windows
+export default function RecordingAnalysis({ validationRules, onExit }) {
+  const abortRef = useRef(null);
+  const [videoUrl, setVideoUrl] = useState(null);
+  const [videoName, setVideoName] = useState("");
+  const [fps, setFps] = useState(10);
+  const [progress, setProgress] = useState(null); // { fraction, speed } while analyzing
+  const [report, setReport] = useState(null);
+  const [selectedStep, setSelectedStep] = useState(0);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    return () => {
+      if (abortRef.current) abortRef.current.abort();
+      if (videoUrl) URL.revokeObjectURL(videoUrl);
+    };
+  }, [videoUrl]);
+
+  const handleVideoUpload = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    setVideoUrl(URL.createObjectURL(file));
+    setVideoName(file.name);
+    setReport(null);
+    setError(null);
+  };
+
+  const handleAnalyze = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setError(null);
+    setReport(null);
+    setProgress({ fraction: 0, speed: 0 });
+
+    const startedAt = performance.now();
+    try {
+      const { frames } = await extractVideoLandmarks(videoUrl, {
+        fps,
+        signal: controller.signal,
+        onProgress: (fraction, videoTime) => {
+          // Seconds of video processed per wall-clock second
+          const elapsed = (performance.now() - startedAt) / 1000;
+          setProgress({ fraction, speed: elapsed > 0 ? videoTime / elapsed : 0 });
+        }
+      });
+
+      const result = buildRecordingReport(frames, validationRules);
+      setReport(result);
+      setSelectedStep(0);
+    } catch (err) {
+      if (err.name !== "AbortError") {
+        console.error("Recording analysis error:", err);
+        setError(err.message);
+      }
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const handleCancel = () => {
+    if (abortRef.current) abortRef.current.abort();
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([JSON.stringify({ video: videoName, fps, ...report }, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${videoName.replace(/\.[^.]+$/, "") || "recording"}-report.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const analyzing = progress !== null;
+  const stepReport = report && report.steps[selectedStep];
+  const stepRule = validationRules.steps[selectedStep];
+
+  return (
+    <div className="app-container">
+      <div className="app-header">
+        <h1>Analyze Recording</h1>
+        <p>{validationRules.exercise_name}</p>
+      </div>
+
+      <div className="analysis-layout">
+        <div className="instruction-panel analysis-setup">
+          <div className="instruction-header">
+            <h3>📼 Recording</h3>
+          </div>
+
+          <label className="upload-label">
+            <input
+              type="file"
+              accept="video/*"
+              onChange={handleVideoUpload}
+              style={{ display: 'none' }}
+              disabled={analyzing}
+            />
+            <span className="upload-btn-text">📁 {videoName || "Choose Video"}</span>
+          </label>
+
+          <label className="authoring-field">
+            <span>Frames analyzed per second</span>
+            <select value={fps} onChange={(e) => setFps(Number(e.target.value))} disabled={analyzing}>
+              {SAMPLING_RATES.map(rate => (
+                <option key={rate} value={rate}>{rate} fps</option>
+              ))}
+            </select>
+          </label>
+
+          {error && <div className="picker-error">⚠️ {error}</div>}
+
+          {analyzing ? (
+            <div className="progress-section">
+              <div className="progress-label">
+                Analyzing: {Math.round(progress.fraction * 100)}%
+                {progress.speed > 0 && ` (${progress.speed.toFixed(1)}× real time)`}
+              </div>
+              <div className="progress-bar-container">
+                <div className="progress-bar-fill" style={{ width: `${progress.fraction * 100}%` }}></div>
+              </div>
+              <button className="back-btn" onClick={handleCancel}>Cancel</button>
+            </div>
+          ) : (
+            <button className="restart-btn" onClick={handleAnalyze} disabled={!videoUrl}>
+              <span className="btn-icon">🔍</span>
+              <span className="btn-text">Analyze</span>
+            </button>
+          )}
+
+          {report && (
+            <button className="voice-btn voice-on" onClick={handleDownload}>
+              <span className="btn-icon">⬇️</span>
+              <span className="btn-text">Download report</span>
+            </button>
+          )}
+        </div>
+
+        {report && (
+          <div className="instruction-panel analysis-report">
+            <div className="instruction-header">
+              <h3>📊 Step Report</h3>
+            </div>
+
+            {report.cameraView.expected && report.cameraView.detected &&
+              report.cameraView.expected !== report.cameraView.detected && (
+              <div className="rules-warning">
+                ⚠️ This exercise is scored from a {report.cameraView.expected} view, but the recording looks like
+                a {report.cameraView.detected} view - scores may be off.
+              </div>
+            )}
+
+            <table className="report-table">
+              <thead>
+                <tr>
+                  <th>Step</th>
+                  <th>Window</th>
+                  <th>Visible</th>
+                  <th>Pass</th>
+                  <th>Form</th>
+                  <th>Reps</th>
+                  <th>Feedback</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.steps.map((step, index) => (
+                  <tr
+                    key={step.step_number}
+                    className={index === selectedStep ? "selected" : ""}
+                    onClick={() => setSelectedStep(index)}
+                  >
+                    <td>{step.step_number}. {step.step_name}</td>
+                    <td>{formatTime(step.start_time)} - {formatTime(step.end_time)}</td>
+                    <td>{step.frames > 0 ? `${Math.round((step.visibleFrames / step.frames) * 100)}%` : "–"}</td>
+                    <td className={step.passPercentage >= 50 ? "pass" : "fail"}>
+                      {step.visibleFrames > 0 ? `${Math.round(step.passPercentage)}%` : "–"}
+                    </td>
+                    <td>{step.meanFormScore !== null ? Math.round(step.meanFormScore) : "–"}</td>
+                    <td>
+                      {step.sides && step.reps
+                        ? `L ${formatReps(step.sides.reps.left)} / R ${formatReps(step.sides.reps.right)}`
+                        : step.reps ? formatReps(step.reps) : "–"}
+                      {step.sides && step.sides.asymmetry !== null && (
+                        <span className="report-asymmetry"> ({Math.round(step.sides.asymmetry)}% asym.)</span>
+                      )}
+                    </td>
+                    <td>{step.feedback.length}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {stepReport && (
+              <>
+                <h4>{stepReport.step_name}: metric timelines</h4>
+                {Object.keys(stepReport.timelines).length === 0 ? (
+                  <p className="authoring-hint">No scored frames in this step.</p>
+                ) : (
+                  <div className="metric-timelines">
+                    {Object.entries(stepReport.timelines).map(([name, points]) => (
+                      <MetricTimeline
+                        key={name}
+                        name={name}
+                        points={points}
+                        criterion={name === "back_flatness_deviation"
+                          ? { min: 0, max: stepRule.back_flat.max_deviation }
+                          : stepRule.criteria[name]}
+                        startTime={stepReport.start_time}
+                        endTime={stepReport.end_time}
+                      />
+                    ))}
+                  </div>
+                )}
+
+                <h4>Feedback that would have been given</h4>
+                {stepReport.feedback.length === 0 ? (
+                  <p className="authoring-hint">None.</p>
+                ) : (
+                  <ul className="report-feedback">
+                    {stepReport.feedback.map(event => (
+                      <li key={event.time}>
+                        <span className="report-feedback-time">{formatTime(event.time)}</span> {event.message}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="bottom-section">
+        <div className="controls">
+          <button onClick={onExit} className="back-btn">
+            <span className="btn-icon">←</span>
+            <span className="btn-text">Exercises</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,330 @@
+import React, { useEffect, useRef, useState } from "react";
+import { extractVideoLandmarks } from "../recording/extractLandmarks";
+import { NORMALIZATION_MODES, buildExerciseRules, buildReferenceTrack } from "../pose";
+import "../App.css";
+
+// Round to the precision used when marking steps on the timeline
+const roundTime = (t) => Math.round(t * 10) / 10;
+
+let nextStepId = 1;
+
+// "Record reference" mode - the trainer loads a reference video, marks step
+// boundaries on a timeline, and the app derives per-step criteria from the
+// video with the runtime metric code and exports a ready-to-use rules file
+export default function RuleAuthoring({ onExit }) {
+  const videoRef = useRef(null);
+  const abortRef = useRef(null);
+  const [videoUrl, setVideoUrl] = useState(null);
+  const [videoName, setVideoName] = useState("");
+  const [duration, setDuration] = useState(0);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [exerciseName, setExerciseName] = useState("");
+  const [normalization, setNormalization] = useState("image");
+  const [includeReferencePose, setIncludeReferencePose] = useState(true); // For the ghost skeleton
+  const [steps, setSteps] = useState([]);
+  const [extraction, setExtraction] = useState(null); // { duration, aspectRatio, frames } once analyzed
+  const [progress, setProgress] = useState(null); // 0-1 while analyzing
+  const [rules, setRules] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Release the object URL and stop any running analysis when leaving
+  useEffect(() => {
+    return () => {
+      if (abortRef.current) abortRef.current.abort();
+      if (videoUrl) URL.revokeObjectURL(videoUrl);
+    };
+  }, [videoUrl]);
+
+  const handleVideoUpload = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    setVideoUrl(URL.createObjectURL(file));
+    setVideoName(file.name);
+    setExerciseName(name => name || file.name.replace(/\.[^.]+$/, ""));
+    setSteps([]);
+    setExtraction(null);
+    setRules(null);
+    setError(null);
+  };
+
+  const seekTo = (time) => {
+    if (videoRef.current) videoRef.current.currentTime = time;
+  };
+
+  const handleTimelineClick = (event) => {
+    if (!duration) return;
+    const rect = event.currentTarget.getBoundingClientRect();
+    seekTo(((event.clientX - rect.left) / rect.width) * duration);
+  };
+
+  const updateStep = (id, changes) => {
+    setSteps(prev => prev.map(step => (step.id === id ? { ...step, ...changes } : step)));
+    setRules(null);
+  };
+
+  const handleAddStep = () => {
+    const start = roundTime(currentTime);
+    const end = roundTime(Math.min(start + 5, duration));
+    setSteps(prev => [
+      ...prev,
+      {
+        id: nextStepId++,
+        step_name: prev.length === 0 ? "start_position" : `step ${prev.length + 1}`,
+        start_time: start,
+        end_time: end,
+        back_should_be_flat: false
+      }
+    ].sort((a, b) => a.start_time - b.start_time));
+    setRules(null);
+  };
+
+  const handleRemoveStep = (id) => {
+    setSteps(prev => prev.filter(step => step.id !== id));
+    setRules(null);
+  };
+
+  const handleGenerate = async () => {
+    setError(null);
+    setRules(null);
+
+    const invalid = steps.find(step => !(step.end_time > step.start_time));
+    if (invalid) {
+      setError(`Step "${invalid.step_name}" must end after it starts.`);
+      return;
+    }
+
+    try {
+      let result = extraction;
+      if (!result) {
+        const controller = new AbortController();
+        abortRef.current = controller;
+        setProgress(0);
+        result = await extractVideoLandmarks(videoUrl, {
+          signal: controller.signal,
+          onProgress: (fraction) => setProgress(fraction)
+        });
+        setExtraction(result);
+      }
+
+      const built = buildExerciseRules(result.frames, steps, { exerciseName, normalization });
+      setRules(includeReferencePose
+        ? { ...built, reference_landmarks: buildReferenceTrack(result.frames, { aspectRatio: result.aspectRatio }) }
+        : built);
+    } catch (err) {
+      if (err.name !== "AbortError") {
+        console.error("Rule generation error:", err);
+        setError(err.message);
+      }
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const handleCancel = () => {
+    if (abortRef.current) abortRef.current.abort();
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([JSON.stringify(rules, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${(exerciseName || "exercise").trim().toLowerCase().replace(/[^a-z0-9]+/g, "-")}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const analyzing = progress !== null;
+
+  return (
+    <div className="app-container">
+      <div className="app-header">
+        <h1>Record Reference</h1>
+        <p>Generate exercise rules from a reference video</p>
+      </div>
+
+      <div className="authoring-layout">
+        <div className="authoring-video">
+          {videoUrl ? (
+            <div className="reference-video-container">
+              <div className="video-header">
+                <h3>▶️ {videoName}</h3>
+              </div>
+              <video
+                ref={videoRef}
+                className="reference-video"
+                src={videoUrl}
+                controls
+                onLoadedMetadata={(e) => setDuration(e.currentTarget.duration)}
+                onTimeUpdate={(e) => setCurrentTime(e.currentTarget.currentTime)}
+              />
+            </div>
+          ) : (
+            <div className="video-upload-container">
+              <div className="upload-placeholder">
+                <div className="upload-icon">🎬</div>
+                <h3>Choose a reference video</h3>
+                <p>The trainer's demonstration of the whole exercise</p>
+                <label className="upload-label">
+                  <input
+                    type="file"
+                    accept="video/*"
+                    onChange={handleVideoUpload}
+                    style={{ display: 'none' }}
+                  />
+                  <span className="upload-btn-text">📁 Choose Video</span>
+                </label>
+              </div>
+            </div>
+          )}
+
+          {/* Step timeline - click to seek */}
+          {videoUrl && duration > 0 && (
+            <div className="step-timeline" onClick={handleTimelineClick} title="Click to seek">
+              {steps.map(step => (
+                <div
+                  key={step.id}
+                  className="step-timeline-segment"
+                  style={{
+                    left: `${(step.start_time / duration) * 100}%`,
+                    width: `${(Math.max(step.end_time - step.start_time, 0) / duration) * 100}%`
+                  }}
+                >
+                  {step.step_name}
+                </div>
+              ))}
+              <div className="step-timeline-playhead" style={{ left: `${(currentTime / duration) * 100}%` }} />
+            </div>
+          )}
+        </div>
+
+        <div className="instruction-panel authoring-panel">
+          <div className="instruction-header">
+            <h3>🧭 Steps</h3>
+          </div>
+
+          <label className="authoring-field">
+            <span>Exercise name</span>
+            <input type="text" value={exerciseName} onChange={(e) => setExerciseName(e.target.value)} />
+          </label>
+
+          <label className="authoring-field">
+            <span>Normalization</span>
+            <select
+              value={normalization}
+              onChange={(e) => {
+                setNormalization(e.target.value);
+                setRules(null);
+              }}
+            >
+              {NORMALIZATION_MODES.map(mode => <option key={mode} value={mode}>{mode}</option>)}
+            </select>
+          </label>
+
+          <div className="authoring-step-options">
+            <label>
+              <input
+                type="checkbox"
+                checked={includeReferencePose}
+                onChange={(e) => {
+                  setIncludeReferencePose(e.target.checked);
+                  setRules(null);
+                }}
+              />
+              Include the instructor's pose for the ghost skeleton
+            </label>
+          </div>
+
+          {steps.map(step => (
+            <div key={step.id} className="authoring-step">
+              <input
+                type="text"
+                className="authoring-step-name"
+                value={step.step_name}
+                onChange={(e) => updateStep(step.id, { step_name: e.target.value })}
+              />
+              <div className="authoring-step-times">
+                <input
+                  type="number"
+                  step="0.1"
+                  min="0"
+                  value={step.start_time}
+                  onChange={(e) => updateStep(step.id, { start_time: Number(e.target.value) })}
+                />
+                <button onClick={() => updateStep(step.id, { start_time: roundTime(currentTime) })}>Set start</button>
+                <span>–</span>
+                <input
+                  type="number"
+                  step="0.1"
+                  min="0"
+                  value={step.end_time}
+                  onChange={(e) => updateStep(step.id, { end_time: Number(e.target.value) })}
+                />
+                <button onClick={() => updateStep(step.id, { end_time: roundTime(currentTime) })}>Set end</button>
+              </div>
+              <div className="authoring-step-options">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={step.back_should_be_flat}
+                    onChange={(e) => updateStep(step.id, { back_should_be_flat: e.target.checked })}
+                  />
+                  Back must stay flat
+                </label>
+                <button className="authoring-remove" onClick={() => handleRemoveStep(step.id)}>Remove</button>
+              </div>
+            </div>
+          ))}
+
+          <button className="back-btn" onClick={handleAddStep} disabled={!videoUrl || analyzing}>
+            <span className="btn-icon">＋</span>
+            <span className="btn-text">Add step at {roundTime(currentTime)}s</span>
+          </button>
+
+          {error && <div className="picker-error">⚠️ {error}</div>}
+
+          {analyzing ? (
+            <div className="progress-section">
+              <div className="progress-label">Analyzing video: {Math.round(progress * 100)}%</div>
+              <div className="progress-bar-container">
+                <div className="progress-bar-fill" style={{ width: `${progress * 100}%` }}></div>
+              </div>
+              <button className="back-btn" onClick={handleCancel}>Cancel</button>
+            </div>
+          ) : (
+            <button className="restart-btn" onClick={handleGenerate} disabled={steps.length === 0}>
+              <span className="btn-icon">⚙️</span>
+              <span className="btn-text">Generate rules</span>
+            </button>
+          )}
+
+          {rules && (
+            <div className="authoring-result">
+              <div className="step-complete">
+                ✓ {rules.steps.length} steps from {extraction.frames.length} analyzed frames
+              </div>
+              <button className="voice-btn voice-on" onClick={handleDownload}>
+                <span className="btn-icon">⬇️</span>
+                <span className="btn-text">Download rules JSON</span>
+              </button>
+              <p className="authoring-hint">
+                Save it to <code>public/exercises/</code> and add an entry to <code>index.json</code>.
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="bottom-section">
+        <div className="controls">
+          <button onClick={onExit} className="back-btn">
+            <span className="btn-icon">←</span>
+            <span className="btn-text">Exercises</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+import React, { useMemo } from "react";
+import { summarizeSession } from "../session/sessionLog";
+import { buildSessionExport, findFormDeviations, sessionToCsv } from "../session/sessionExport";
+import "../App.css";
+
+const downloadFile = (content, fileName, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const formatDuration = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.round(seconds % 60)).padStart(2, "0")}`;
+
+const formatValue = (value) => (Math.abs(value) >= 10 ? value.toFixed(0) : value.toFixed(2));
+
+// Export dialog for the running session - raw CSV, structured JSON and a
+// printable one-page summary, all generated in the browser
+export default function SessionExport({ log, rules, endedAt, onClose }) {
+  const summary = useMemo(() => summarizeSession(log, endedAt), [log, endedAt]);
+  const deviations = useMemo(() => findFormDeviations(log, rules), [log, rules]);
+
+  const date = new Date(summary.started_at);
+  const baseName = `${summary.exercise_id}-${date.toISOString().slice(0, 16).replace(/[:T]/g, "-")}`;
+
+  return (
+    <div className="export-overlay">
+      <div className="export-dialog">
+        <div className="export-actions">
+          <button className="voice-btn voice-on" onClick={() => downloadFile(sessionToCsv(log), `${baseName}.csv`, "text/csv")}>
+            <span className="btn-icon">⬇️</span>
+            <span className="btn-text">Frames CSV</span>
+          </button>
+          <button
+            className="voice-btn voice-on"
+            onClick={() => downloadFile(
+              JSON.stringify(buildSessionExport(log, rules, endedAt), null, 2),
+              `${baseName}.json`,
+              "application/json"
+            )}
+          >
+            <span className="btn-icon">⬇️</span>
+            <span className="btn-text">Session JSON</span>
+          </button>
+          <button className="restart-btn" onClick={() => window.print()}>
+            <span className="btn-icon">🖨️</span>
+            <span className="btn-text">Print summary</span>
+          </button>
+          <button className="back-btn" onClick={onClose}>
+            <span className="btn-text">Close</span>
+          </button>
+        </div>
+
+        {/* Printable summary - the only thing shown when printing */}
+        <div className="print-summary">
+          <h2>{summary.exercise_name}</h2>
+          <p className="print-summary-meta">
+            {date.toLocaleString()} · {formatDuration((summary.ended_at - summary.started_at) / 1000)} ·{" "}
+            {summary.steps_completed}/{summary.steps.length} steps completed · {summary.frames} frames scored
+          </p>
+
+          <h3>Step outcomes</h3>
+          <table className="report-table">
+            <thead>
+              <tr>
+                <th>Step</th>
+                <th>Frames</th>
+                <th>Pass</th>
+                <th>Time to complete</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.steps.map(step => (
+                <tr key={step.step_number}>
+                  <td>{step.step_number}. {step.step_name}</td>
+                  <td>{step.frames}</td>
+                  <td className={step.frames === 0 ? "" : step.pass_ratio >= 0.5 ? "pass" : "fail"}>
+                    {step.frames > 0 ? `${Math.round(step.pass_ratio * 100)}%` : "–"}
+                  </td>
+                  <td>{step.time_to_complete !== null ? `${step.time_to_complete.toFixed(1)} s` : "Not completed"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h3>Biggest form deviations</h3>
+          {deviations.length === 0 ? (
+            <p>Every scored metric stayed within its target range.</p>
+          ) : (
+            <table className="report-table">
+              <thead>
+                <tr>
+                  <th>Step</th>
+                  <th>Metric</th>
+                  <th>Target</th>
+                  <th>Out of range</th>
+                  <th>Avg. off by</th>
+                  <th>Worst</th>
+                </tr>
+              </thead>
+              <tbody>
+                {deviations.map(d => (
+                  <tr key={`${d.step_number}-${d.metric}`}>
+                    <td>{d.step_number}. {d.step_name}</td>
+                    <td>{d.metric.replace(/_/g, " ")}</td>
+                    <td>{formatValue(d.min)} – {formatValue(d.max)}</td>
+                    <td>{Math.round(d.out_of_range_ratio * 100)}% of frames</td>
+                    <td>{formatValue(d.mean_deviation)}</td>
+                    <td>{formatValue(d.worst_value)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {summary.top_feedback.length > 0 && (
+            <>
+              <h3>Most frequent feedback</h3>
+              <ul className="report-feedback">
+                {summary.top_feedback.map(item => (
+                  <li key={item.message}>{item.message} (×{item.count})</li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,226 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { deleteSession, listSessions } from "../storage/sessionStore";
+import LineChart from "./LineChart";
+import "../App.css";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RANGES = [
+  { label: "Past week", days: 7 },
+  { label: "Past month", days: 30 },
+  { label: "Past 3 months", days: 90 },
+  { label: "All time", days: null }
+];
+
+// Step-level values that can be charted besides the metrics themselves
+const PASS_RATIO = "pass_ratio";
+const TIME_TO_COMPLETE = "time_to_complete";
+
+const formatDate = (ms) => new Date(ms).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+
+const formatDuration = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+};
+
+// Pass ratio over all scored frames of a session
+const overallPassRatio = (session) => {
+  const frames = session.steps.reduce((sum, step) => sum + step.frames, 0);
+  const passed = session.steps.reduce((sum, step) => sum + step.pass_ratio * step.frames, 0);
+  return frames > 0 ? passed / frames : 0;
+};
+
+// Value plotted for one session, or null when the session has no data for it
+const seriesValue = (session, stepName, metric, measure) => {
+  const step = session.steps.find(s => s.step_name === stepName);
+  if (!step || step.frames === 0) return null;
+  if (metric === PASS_RATIO) return step.pass_ratio * 100;
+  if (metric === TIME_TO_COMPLETE) return step.time_to_complete;
+  const stats = step.metrics[metric];
+  return stats ? stats[measure] : null;
+};
+
+// Session history page - progress charts across sessions plus the session list
+export default function SessionHistory({ onExit }) {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [exerciseId, setExerciseId] = useState("");
+  const [stepName, setStepName] = useState("");
+  const [metric, setMetric] = useState(PASS_RATIO);
+  const [measure, setMeasure] = useState("mean"); // mean or std (consistency)
+  const [rangeDays, setRangeDays] = useState(30);
+
+  useEffect(() => {
+    listSessions()
+      .then(setSessions)
+      .catch(err => {
+        console.error("History error:", err);
+        setError("Could not load session history.");
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  // Exercises that have history, newest session's name wins
+  const exercises = useMemo(() => {
+    const byId = new Map();
+    sessions.forEach(session => byId.set(session.exercise_id, session.exercise_name));
+    return [...byId.entries()].map(([id, name]) => ({ id, name }));
+  }, [sessions]);
+
+  const exerciseSessions = useMemo(
+    () => sessions.filter(session => session.exercise_id === exerciseId),
+    [sessions, exerciseId]
+  );
+
+  const latestSession = exerciseSessions[exerciseSessions.length - 1];
+  const stepNames = useMemo(
+    () => (latestSession ? latestSession.steps.map(step => step.step_name) : []),
+    [latestSession]
+  );
+  const selectedStep = latestSession && latestSession.steps.find(step => step.step_name === stepName);
+  const metricNames = selectedStep ? Object.keys(selectedStep.metrics).sort() : [];
+
+  // Default the selections to the first available options
+  useEffect(() => {
+    if (!exerciseId && exercises.length > 0) setExerciseId(exercises[exercises.length - 1].id);
+  }, [exercises, exerciseId]);
+
+  useEffect(() => {
+    if (stepNames.length > 0 && !stepNames.includes(stepName)) setStepName(stepNames[0]);
+  }, [stepNames, stepName]);
+
+  const since = rangeDays ? Date.now() - rangeDays * DAY_MS : 0;
+  const points = exerciseSessions
+    .filter(session => session.started_at >= since)
+    .map(session => ({ x: session.started_at, y: seriesValue(session, stepName, metric, measure) }))
+    .filter(point => point.y !== null && Number.isFinite(point.y));
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteSession(id);
+      setSessions(prev => prev.filter(session => session.id !== id));
+    } catch (err) {
+      console.error("Delete session error:", err);
+    }
+  };
+
+  const isMetric = metric !== PASS_RATIO && metric !== TIME_TO_COMPLETE;
+
+  return (
+    <div className="app-container">
+      <div className="app-header">
+        <h1>Session History</h1>
+        <p>Your progress across sessions</p>
+      </div>
+
+      <div className="history-layout">
+        {loading && <div className="loading-spinner"></div>}
+        {error && <div className="picker-error">⚠️ {error}</div>}
+        {!loading && !error && sessions.length === 0 && (
+          <div className="picker-empty">No sessions yet. Finish or restart an exercise to save one.</div>
+        )}
+
+        {exercises.length > 0 && (
+          <div className="instruction-panel history-chart">
+            <div className="instruction-header">
+              <h3>📈 Progress</h3>
+            </div>
+
+            <div className="history-filters">
+              <select value={exerciseId} onChange={(e) => setExerciseId(e.target.value)}>
+                {exercises.map(exercise => (
+                  <option key={exercise.id} value={exercise.id}>{exercise.name}</option>
+                ))}
+              </select>
+              <select value={stepName} onChange={(e) => setStepName(e.target.value)}>
+                {stepNames.map(name => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+              <select value={metric} onChange={(e) => setMetric(e.target.value)}>
+                <option value={PASS_RATIO}>Pass ratio (%)</option>
+                <option value={TIME_TO_COMPLETE}>Time to complete (s)</option>
+                {metricNames.map(name => (
+                  <option key={name} value={name}>{name.replace(/_/g, " ")}</option>
+                ))}
+              </select>
+              {isMetric && (
+                <select value={measure} onChange={(e) => setMeasure(e.target.value)}>
+                  <option value="mean">Average</option>
+                  <option value="std">Consistency (std. dev.)</option>
+                </select>
+              )}
+              <select value={rangeDays ?? ""} onChange={(e) => setRangeDays(e.target.value ? Number(e.target.value) : null)}>
+                {RANGES.map(range => (
+                  <option key={range.label} value={range.days ?? ""}>{range.label}</option>
+                ))}
+              </select>
+            </div>
+
+            {points.length > 0 ? (
+              <div className="history-chart-body">
+                <LineChart points={points} width={640} height={160} showDots />
+                <div className="history-chart-axis">
+                  <span>{formatDate(points[0].x)}</span>
+                  <span>
+                    Latest: <strong>{points[points.length - 1].y.toFixed(isMetric ? 2 : 0)}</strong>
+                    {isMetric && measure === "std" && " (lower is more consistent)"}
+                  </span>
+                  <span>{formatDate(points[points.length - 1].x)}</span>
+                </div>
+              </div>
+            ) : (
+              <p className="authoring-hint">No sessions with data for this selection in the chosen period.</p>
+            )}
+          </div>
+        )}
+
+        {sessions.length > 0 && (
+          <div className="instruction-panel history-sessions">
+            <div className="instruction-header">
+              <h3>🗂️ Sessions</h3>
+            </div>
+            <table className="report-table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Exercise</th>
+                  <th>Duration</th>
+                  <th>Steps</th>
+                  <th>Pass</th>
+                  <th>Top feedback</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...sessions].reverse().map(session => (
+                  <tr key={session.id}>
+                    <td>{new Date(session.started_at).toLocaleString()}</td>
+                    <td>{session.exercise_name}</td>
+                    <td>{formatDuration(session.ended_at - session.started_at)}</td>
+                    <td>{session.steps_completed}/{session.steps.length}</td>
+                    <td>{Math.round(overallPassRatio(session) * 100)}%</td>
+                    <td>{session.top_feedback[0] ? session.top_feedback[0].message : "–"}</td>
+                    <td>
+                      <button className="authoring-remove" onClick={() => handleDelete(session.id)}>Delete</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="bottom-section">
+        <div className="controls">
+          <button onClick={onExit} className="back-btn">
+            <span className="btn-icon">←</span>
+            <span className="btn-text">Exercises</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
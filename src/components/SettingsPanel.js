@@ -0,0 +1,94 @@
+import React, { useState } from "react";
+import { PRESETS, SETTINGS, resolveSettings } from "../pose";
+import "../App.css";
+
+// What each difficulty preset is for
+const PRESET_DESCRIPTIONS = {
+  beginner: "Forgiving ranges, more smoothing and a slower voice while you learn the movements",
+  standard: "The default balance between guidance and accuracy",
+  strict: "Tight ranges and quicker corrections for precise form"
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Coaching settings screen - the difficulty preset and advanced overrides of
+// the tuning values (see pose/settings.js). `settings` is the user's
+// { preset, overrides }; every change is reported to onChange, which saves it.
+// An override left empty follows the preset.
+export default function SettingsPanel({ settings, onChange, onExit }) {
+  const presetValues = resolveSettings({ preset: settings.preset });
+  const [showAdvanced, setShowAdvanced] = useState(() => Object.keys(settings.overrides).length > 0);
+
+  const setOverride = (name, input) => {
+    const { [name]: _previous, ...overrides } = settings.overrides;
+    const value = parseFloat(input);
+    onChange({ ...settings, overrides: Number.isFinite(value) ? { ...overrides, [name]: value } : overrides });
+  };
+
+  return (
+    <div className="app-container">
+      <div className="app-header">
+        <h1>Settings</h1>
+        <p>How strict the coach is and how it sounds</p>
+      </div>
+
+      <div className="settings-panel">
+        <h2 className="picker-section-title">Difficulty</h2>
+        <div className="settings-presets">
+          {Object.keys(PRESETS).map(name => (
+            <button
+              key={name}
+              className={`settings-preset ${settings.preset === name ? "selected" : ""}`}
+              onClick={() => onChange({ ...settings, preset: name })}
+            >
+              <span className="exercise-card-name">{capitalize(name)}</span>
+              <span className="exercise-card-description">{PRESET_DESCRIPTIONS[name]}</span>
+            </button>
+          ))}
+        </div>
+
+        <details
+          className="settings-advanced"
+          open={showAdvanced}
+          onToggle={event => setShowAdvanced(event.currentTarget.open)}
+        >
+          <summary>Advanced</summary>
+          <p className="authoring-hint">
+            Leave a value empty to follow the preset. Some exercises adjust these values in their rules file;
+            your overrides apply on top.
+          </p>
+          <div className="settings-grid">
+            {Object.entries(SETTINGS).map(([name, setting]) => (
+              <label key={name} className="settings-field">
+                <span>{setting.label}</span>
+                <input
+                  type="number"
+                  min={setting.min}
+                  max={setting.max}
+                  step={setting.step}
+                  placeholder={String(presetValues[name])}
+                  value={settings.overrides[name] ?? ""}
+                  onChange={event => setOverride(name, event.target.value)}
+                />
+              </label>
+            ))}
+          </div>
+          <button
+            className="authoring-remove"
+            onClick={() => onChange({ ...settings, overrides: {} })}
+            disabled={Object.keys(settings.overrides).length === 0}
+          >
+            Reset to preset
+          </button>
+        </details>
+
+        <div className="picker-actions">
+          <button className="back-btn" onClick={onExit}>
+            <span className="btn-icon">←</span>
+            <span className="btn-text">Exercises</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import React, { useEffect, useRef, useState } from "react";
+import { buildStepTimeline } from "../session/stepTimeline";
+import "../App.css";
+
+// Keyboard shortcuts, shown on the buttons
+const SHORTCUTS = {
+  replay: "R",
+  loop: "L",
+  slowMotion: "S",
+  previous: "←",
+  next: "→"
+};
+
+// Keys pressed in a form field or on a media element's own controls never
+// trigger a shortcut
+const ownsKeys = (target) => target && /^(INPUT|TEXTAREA|SELECT|VIDEO|AUDIO)$/.test(target.tagName);
+
+// Step-aware controls for the reference video: a timeline split into the
+// rules' step windows (click a step to replay it), replay / loop-until-matched
+// / 0.5x buttons and their keyboard shortcuts. The arrow keys only step
+// through the video while one of these controls has focus, so they keep
+// seeking and scrolling everywhere else. Steps after the current one can
+// only be previewed when the session is self-paced (canPreviewAhead).
+export default function StepVideoControls({
+  video, steps, currentStepIndex, shownStep, canPreviewAhead, loopStep, loopLocked, slowMotion,
+  onReplay, onToggleLoop, onToggleSlowMotion
+}) {
+  const [playback, setPlayback] = useState({ time: 0, duration: NaN });
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!video) return undefined;
+    const update = () => setPlayback({ time: video.currentTime, duration: video.duration });
+    update();
+    video.addEventListener("timeupdate", update);
+    video.addEventListener("loadedmetadata", update);
+    return () => {
+      video.removeEventListener("timeupdate", update);
+      video.removeEventListener("loadedmetadata", update);
+    };
+  }, [video]);
+
+  const lastSelectable = canPreviewAhead ? steps.length - 1 : currentStepIndex;
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.ctrlKey || event.metaKey || event.altKey || ownsKeys(event.target)) return;
+      const focused = containerRef.current && containerRef.current.contains(event.target);
+      switch (event.key) {
+        case "r":
+        case "R":
+          onReplay(currentStepIndex);
+          break;
+        case "l":
+        case "L":
+          if (!loopLocked) onToggleLoop();
+          break;
+        case "s":
+        case "S":
+          onToggleSlowMotion();
+          break;
+        case "ArrowLeft":
+          if (!focused) return;
+          onReplay(Math.max(shownStep - 1, 0));
+          break;
+        case "ArrowRight":
+          if (!focused) return;
+          onReplay(Math.min(shownStep + 1, lastSelectable));
+          break;
+        default:
+          return;
+      }
+      event.preventDefault();
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [currentStepIndex, shownStep, lastSelectable, loopLocked, onReplay, onToggleLoop, onToggleSlowMotion]);
+
+  const segments = buildStepTimeline(steps, playback.duration);
+  const timelineEnd = segments.length > 0
+    ? (Number.isFinite(playback.duration) && playback.duration > 0 ? playback.duration : segments[segments.length - 1].end)
+    : 0;
+
+  return (
+    <div className="step-video-controls" ref={containerRef}>
+      <div className="step-timeline">
+        {segments.map(segment => {
+          const state = segment.stepIndex === currentStepIndex ? "current" : segment.stepIndex < currentStepIndex ? "done" : "";
+          return (
+            <button
+              key={segment.stepIndex}
+              className={`step-timeline-segment ${state}${segment.stepIndex === shownStep ? " shown" : ""}`}
+              style={{ left: `${segment.left}%`, width: `${segment.width}%` }}
+              disabled={segment.stepIndex > lastSelectable}
+              onClick={() => onReplay(segment.stepIndex)}
+              title={`Step ${segment.stepIndex + 1}: ${segment.name}`}
+            >
+              {segment.stepIndex + 1}
+            </button>
+          );
+        })}
+        {timelineEnd > 0 && (
+          <div className="step-timeline-playhead" style={{ left: `${Math.min(playback.time / timelineEnd, 1) * 100}%` }} />
+        )}
+      </div>
+
+      <div className="step-video-buttons">
+        <button className="step-video-btn" onClick={() => onReplay(Math.max(shownStep - 1, 0))} title={`Previous step (${SHORTCUTS.previous})`}>
+          ⏮
+        </button>
+        <button className="step-video-btn" onClick={() => onReplay(currentStepIndex)} title={`Replay this step (${SHORTCUTS.replay})`}>
+          ↺ Replay step
+        </button>
+        <button
+          className={`step-video-btn${loopStep ? " on" : ""}`}
+          onClick={onToggleLoop}
+          disabled={loopLocked}
+          aria-pressed={loopStep}
+          title={loopLocked ? "Self-paced steps always loop" : `Loop this step until you match it (${SHORTCUTS.loop})`}
+        >
+          🔁 Loop until matched
+        </button>
+        <button
+          className={`step-video-btn${slowMotion ? " on" : ""}`}
+          onClick={onToggleSlowMotion}
+          aria-pressed={slowMotion}
+          title={`Slow-motion demo (${SHORTCUTS.slowMotion})`}
+        >
+          🐢 0.5x
+        </button>
+        <button
+          className="step-video-btn"
+          onClick={() => onReplay(Math.min(shownStep + 1, lastSelectable))}
+          disabled={shownStep >= lastSelectable}
+          title={`Next step (${SHORTCUTS.next})`}
+        >
+          ⏭
+        </button>
+      </div>
+      <div className="step-video-hint">
+        Keys: {SHORTCUTS.replay} replay · {SHORTCUTS.loop} loop · {SHORTCUTS.slowMotion} slow motion ·{" "}
+        {SHORTCUTS.previous} {SHORTCUTS.next} steps
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,208 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { loadExerciseRules } from "../exercises/catalog";
+import { localizeRules } from "../i18n/localizeRules";
+import { DEFAULT_LOCALE, translate } from "../i18n/messages";
+import { speakText } from "../i18n/voice";
+import { personalizeRules, resolveSettings } from "../pose";
+import { createCoach } from "../session/coachingQueue";
+import { buildWorkoutPlan, summarizeWorkout } from "../session/workoutProgram";
+import { loadCalibration } from "../storage/calibrationStore";
+import LivePoseInstructor from "./LivePoseInstructor";
+import WorkoutSummary from "./WorkoutSummary";
+import "../App.css";
+
+// Rest seconds left from which every second is spoken
+const SPOKEN_REST_SECONDS = 3;
+
+// Runs a workout program (see session/workoutProgram.js): its exercises one
+// after another, each as a live session of several sets, with a spoken rest
+// countdown between two exercises and a completion summary at the end, all
+// coached in `locale` with the user's `settings` ({ preset, overrides }, see
+// pose/settings.js). Its announcements go through a coaching queue of their
+// own (see session/coachingQueue.js), so they wait for each other instead of
+// cutting each other off
+export default function WorkoutSession({ program, exercises, onExit, locale = DEFAULT_LOCALE, settings }) {
+  const [plan] = useState(() => buildWorkoutPlan(program));
+  const [blocks, setBlocks] = useState(null); // { entry, rules, personalized, settings } per plan block
+  const [error, setError] = useState(null);
+  const [phase, setPhase] = useState({ type: "exercise", block: 0 }); // exercise, rest (after block) or summary
+  const [restLeft, setRestLeft] = useState(null);
+  const [sets, setSets] = useState([]); // Summaries of the finished sets, with block and set added
+  const [startedAt] = useState(() => Date.now());
+
+  const coachRef = useRef(null);
+  if (!coachRef.current) {
+    const { voice_rate: rate, voice_volume: volume, feedback_cooldown: feedbackCooldown } = resolveSettings(settings);
+    coachRef.current = createCoach({
+      locale,
+      feedbackCooldown: feedbackCooldown * 1000,
+      speak: (cue) => speakText(cue.text, locale, { rate, volume })
+    });
+  }
+
+  // Queue a cue of the catalog in the workout's locale
+  const say = useCallback((id, params) => {
+    coachRef.current.say({ id, text: translate(locale, id, params) });
+  }, [locale]);
+
+  // Leaving the workout silences whatever was still to be said
+  useEffect(() => {
+    const coach = coachRef.current;
+    return () => {
+      coach.clear();
+      if (typeof window !== "undefined" && window.speechSynthesis) window.speechSynthesis.cancel();
+    };
+  }, []);
+
+  // Load every exercise up front so a broken rules file shows before the workout starts
+  useEffect(() => {
+    let cancelled = false;
+    const profile = loadCalibration();
+
+    Promise.all(plan.map(async (block) => {
+      const entry = exercises.find(e => e.id === block.exerciseId);
+      const original = await loadExerciseRules(entry);
+      const rules = localizeRules(original, locale);
+      return {
+        entry,
+        rules: profile ? personalizeRules(rules, profile) : rules,
+        personalized: Boolean(profile),
+        settings: resolveSettings(settings, original)
+      };
+    }))
+      .then(loaded => {
+        if (!cancelled) setBlocks(loaded);
+      })
+      .catch(err => {
+        console.error("Program error:", err);
+        if (!cancelled) setError(`Could not load the exercises of "${program.name}".`);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [plan, exercises, program.name, locale, settings]);
+
+  const nextPhase = useCallback((block) => {
+    if (block >= plan.length - 1) return { type: "summary", endedAt: Date.now() };
+    return plan[block].restAfter > 0 ? { type: "rest", block } : { type: "exercise", block: block + 1 };
+  }, [plan]);
+
+  const handleExerciseComplete = useCallback(() => {
+    setPhase(current => (current.type === "exercise" ? nextPhase(current.block) : current));
+  }, [nextPhase]);
+
+  // A restarted exercise reports its sets again; the latest result of a set wins
+  const handleSetComplete = useCallback((block, summary) => {
+    setSets(prev => [...prev.filter(set => set.block !== block || set.set !== summary.set), { ...summary, block }]);
+  }, []);
+
+  // Rest between two exercises, counted down on screen and spoken
+  useEffect(() => {
+    if (phase.type !== "rest" || !blocks) return undefined;
+    const restSeconds = plan[phase.block].restAfter;
+    const endsAt = Date.now() + restSeconds * 1000;
+    let lastLeft = null;
+    let done = false;
+
+    say("workout.rest", { seconds: restSeconds, exercise: blocks[phase.block + 1].rules.exercise_name });
+    const tick = () => {
+      if (done) return;
+      const left = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+      setRestLeft(left);
+      if (left === 0) {
+        done = true;
+        setPhase({ type: "exercise", block: phase.block + 1 });
+      } else if (left <= SPOKEN_REST_SECONDS && left !== lastLeft) {
+        say("session.seconds", { seconds: left });
+      }
+      lastLeft = left;
+    };
+    tick();
+    const timer = setInterval(tick, 250);
+    return () => clearInterval(timer);
+  }, [phase, blocks, plan, say]);
+
+  useEffect(() => {
+    if (phase.type === "summary" && sets.length > 0) say("workout.complete");
+  }, [phase.type, sets.length, say]);
+
+  if (phase.type === "summary") {
+    return <WorkoutSummary summary={summarizeWorkout(program, sets, startedAt, phase.endedAt)} onExit={onExit} />;
+  }
+
+  if (error || !blocks) {
+    return (
+      <div className="app-container">
+        <div className="app-header">
+          <h1>{program.name}</h1>
+          <p>Workout program</p>
+        </div>
+        <div className="exercise-picker">
+          {error ? <div className="picker-error">⚠️ {error}</div> : <div className="loading-spinner"></div>}
+          <div className="picker-actions">
+            <button className="back-btn" onClick={onExit}>
+              <span className="btn-icon">←</span>
+              <span className="btn-text">Exercises</span>
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (phase.type === "rest") {
+    const next = blocks[phase.block + 1];
+    return (
+      <div className="app-container">
+        <div className="app-header">
+          <h1>{program.name}</h1>
+          <p>Exercise {phase.block + 1} of {plan.length} done</p>
+        </div>
+        <div className="instruction-panel workout-rest">
+          <div className="instruction-header">
+            <h3>☕ Rest</h3>
+          </div>
+          <div className="workout-rest-countdown">{restLeft ?? plan[phase.block].restAfter}s</div>
+          <p className="workout-rest-next">
+            Next: <strong>{next.rules.exercise_name}</strong> · {plan[phase.block + 1].sets} set
+            {plan[phase.block + 1].sets === 1 ? "" : "s"}
+          </p>
+          <div className="picker-actions">
+            <button className="back-btn" onClick={() => setPhase({ type: "summary", endedAt: Date.now() })}>
+              <span className="btn-icon">■</span>
+              <span className="btn-text">End workout</span>
+            </button>
+            <button className="restart-btn" onClick={() => setPhase({ type: "exercise", block: phase.block + 1 })}>
+              <span className="btn-icon">⏭</span>
+              <span className="btn-text">Skip rest</span>
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const block = plan[phase.block];
+  const { entry, rules, personalized, settings: blockSettings } = blocks[phase.block];
+  return (
+    <LivePoseInstructor
+      key={phase.block}
+      exerciseId={entry.id}
+      validationRules={rules}
+      personalized={personalized}
+      referenceVideo={entry.video}
+      locale={locale}
+      settings={blockSettings}
+      workout={{
+        title: `${program.name} · exercise ${phase.block + 1} of ${plan.length}`,
+        sets: block.sets,
+        restSeconds: block.restSeconds,
+        countdownSeconds: block.countdownSeconds
+      }}
+      onSetComplete={summary => handleSetComplete(phase.block, summary)}
+      onComplete={handleExerciseComplete}
+      onExit={() => setPhase({ type: "summary", endedAt: Date.now() })}
+    />
+  );
+}
@@ -0,0 +1,89 @@
+import React from "react";
+import "../App.css";
+
+const formatDuration = (seconds) => {
+  const rounded = Math.round(seconds);
+  return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(2, "0")}`;
+};
+
+const formatPercent = (ratio) => (ratio === null ? "-" : `${Math.round(ratio * 100)}%`);
+
+// Completion screen of a workout program - the summary built by
+// summarizeWorkout (see session/workoutProgram.js)
+export default function WorkoutSummary({ summary, onExit }) {
+  const finished = summary.sets_completed === summary.sets_planned;
+
+  return (
+    <div className="app-container">
+      <div className="app-header">
+        <h1>{finished ? "🎉 Workout complete" : "Workout ended"}</h1>
+        <p>{summary.program_name}</p>
+      </div>
+
+      <div className="instruction-panel workout-summary">
+        <div className="workout-summary-totals">
+          <div className="metric-item">
+            <div className="metric-content">
+              <span className="metric-label">Duration</span>
+              <span className="metric-value">{formatDuration((summary.ended_at - summary.started_at) / 1000)}</span>
+            </div>
+          </div>
+          <div className="metric-item">
+            <div className="metric-content">
+              <span className="metric-label">Sets completed</span>
+              <span className="metric-value">{summary.sets_completed} / {summary.sets_planned}</span>
+            </div>
+          </div>
+          <div className="metric-item">
+            <div className="metric-content">
+              <span className="metric-label">Good form</span>
+              <span className="metric-value">{formatPercent(summary.pass_ratio)}</span>
+            </div>
+          </div>
+        </div>
+
+        <table className="report-table">
+          <thead>
+            <tr>
+              <th>Exercise</th>
+              <th>Set</th>
+              <th>Duration</th>
+              <th>Steps</th>
+              <th>Good form</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.exercises.map((exercise, index) => (
+              exercise.sets.length > 0 ? exercise.sets.map(set => (
+                <tr key={`${index}-${set.set}`}>
+                  <td>{set.set === exercise.sets[0].set ? exercise.exercise_name : ""}</td>
+                  <td>
+                    {set.set} / {exercise.sets_planned}
+                    {set.incomplete && " (ended early)"}
+                  </td>
+                  <td>{formatDuration(set.duration)}</td>
+                  <td className={set.steps_completed === set.steps ? "pass" : "fail"}>
+                    {set.steps_completed} / {set.steps}
+                  </td>
+                  <td>{formatPercent(set.pass_ratio)}</td>
+                </tr>
+              )) : (
+                <tr key={index}>
+                  <td>{exercise.exercise_name}</td>
+                  <td colSpan={4}>Not started</td>
+                </tr>
+              )
+            ))}
+          </tbody>
+        </table>
+
+        <div className="picker-actions">
+          <button className="back-btn" onClick={onExit}>
+            <span className="btn-icon">←</span>
+            <span className="btn-text">Exercises</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+// Analysis overlay drawing
+// Draws the joint angles and flat-back guide worked out by pose/overlay.js,
+// and the ghost skeleton of pose/ghost.js, onto the live instructor's
+// canvas. The camera feed is shown mirrored, so points are mirrored here too
+// - by hand rather than with a transform, so the value labels don't come out
+// backwards. Sizes are in canvas pixels of the 640×640 canvas, which is
+// shown at about half size.
+import { GHOST_LIMBS, LANDMARKS } from "../pose";
+
+// Color of each rangeStatus: in range, within the buffer, out of range, not scored
+export const STATUS_COLORS = {
+  in: "#4CAF50",
+  near: "#FF9800",
+  out: "#F44336",
+  none: "#FFFFFF"
+};
+
+const ARC_RADIUS = 40;
+const LABEL_DISTANCE = ARC_RADIUS + 26;
+const LABEL_FONT = "bold 30px sans-serif";
+
+const GHOST_COLOR = "rgba(255, 255, 255, 0.55)";
+const GHOST_WIDTH = 10;
+
+// The ghost's lines: its limbs, and across the shoulders and hips
+const GHOST_LINES = [
+  ...Object.values(GHOST_LIMBS),
+  [LANDMARKS.L_SHOULDER, LANDMARKS.R_SHOULDER],
+  [LANDMARKS.L_HIP, LANDMARKS.R_HIP]
+];
+
+const toCanvas = (point, width, height) => ({ x: (1 - point.x) * width, y: point.y * height });
+
+// The arc between a joint's two segments, filled in the status color, with the value beside it
+const drawJointAngle = (ctx, { points, value, status }, width, height) => {
+  const [end, joint, otherEnd] = points.map(point => toCanvas(point, width, height));
+  const start = Math.atan2(end.y - joint.y, end.x - joint.x);
+  let sweep = Math.atan2(otherEnd.y - joint.y, otherEnd.x - joint.x) - start;
+  // Always the inner angle
+  if (sweep > Math.PI) sweep -= 2 * Math.PI;
+  if (sweep < -Math.PI) sweep += 2 * Math.PI;
+  const color = STATUS_COLORS[status];
+
+  ctx.beginPath();
+  ctx.moveTo(joint.x, joint.y);
+  ctx.arc(joint.x, joint.y, ARC_RADIUS, start, start + sweep, sweep < 0);
+  ctx.closePath();
+  ctx.globalAlpha = 0.35;
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.globalAlpha = 1;
+  ctx.lineWidth = 4;
+  ctx.strokeStyle = color;
+  ctx.stroke();
+
+  // Label on the far side of the joint from the arc, where the limbs aren't
+  const labelAngle = start + sweep / 2 + Math.PI;
+  const x = joint.x + Math.cos(labelAngle) * LABEL_DISTANCE;
+  const y = joint.y + Math.sin(labelAngle) * LABEL_DISTANCE;
+  const text = `${Math.round(value)}°`;
+  ctx.font = LABEL_FONT;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.lineWidth = 6;
+  ctx.strokeStyle = "rgba(0, 0, 0, 0.7)";
+  ctx.strokeText(text, x, y);
+  ctx.fillStyle = color;
+  ctx.fillText(text, x, y);
+};
+
+// The dashed line a flat back follows, inside its tolerance band, and how
+// far the shoulders are from it
+const drawFlatBackGuide = (ctx, { hip, shoulder, target, tolerance, flat }, width, height) => {
+  const [from, to, shoulders] = [hip, target, shoulder].map(point => toCanvas(point, width, height));
+  const [above, below] = [tolerance.above * height, tolerance.below * height];
+
+  ctx.fillStyle = flat ? "rgba(76, 175, 80, 0.15)" : "rgba(255, 255, 255, 0.15)";
+  ctx.fillRect(Math.min(from.x, to.x), to.y - above, Math.abs(to.x - from.x), above + below);
+
+  ctx.setLineDash([14, 10]);
+  ctx.lineWidth = 5;
+  ctx.strokeStyle = flat ? STATUS_COLORS.in : STATUS_COLORS.none;
+  ctx.beginPath();
+  ctx.moveTo(from.x, from.y);
+  ctx.lineTo(to.x, to.y);
+  ctx.stroke();
+
+  if (!flat) {
+    ctx.strokeStyle = STATUS_COLORS.out;
+    ctx.beginPath();
+    ctx.moveTo(shoulders.x, shoulders.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+  }
+  ctx.setLineDash([]);
+};
+
+// Draw a frame's overlay: { angles } from jointAngles and guide from flatBackGuide (or null)
+export default function drawAnalysisOverlay(ctx, { angles, guide }, width, height) {
+  ctx.save();
+  if (guide) drawFlatBackGuide(ctx, guide, width, height);
+  angles.forEach(angle => drawJointAngle(ctx, angle, width, height));
+  ctx.restore();
+}
+
+// Draw the ghost skeleton: ghost from alignPose, differences from
+// limbDifferences. Limbs the user holds differently are drawn in their
+// status color, and a dashed line leads from the end of each limb that is
+// out to where the ghost's is.
+export function drawGhostSkeleton(ctx, ghost, differences, width, height) {
+  const points = ghost.map(point => toCanvas(point, width, height));
+  const line = (from, to) => {
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+  };
+
+  ctx.save();
+  ctx.lineCap = "round";
+  ctx.lineWidth = GHOST_WIDTH;
+  ctx.strokeStyle = GHOST_COLOR;
+  GHOST_LINES.forEach(([from, to]) => line(points[from], points[to]));
+
+  differences.filter(difference => difference.status !== "in").forEach(({ user, ghost: ends, status }) => {
+    const [ghostStart, ghostEnd] = ends.map(point => toCanvas(point, width, height));
+    ctx.globalAlpha = 0.8;
+    ctx.lineWidth = GHOST_WIDTH;
+    ctx.strokeStyle = STATUS_COLORS[status];
+    line(ghostStart, ghostEnd);
+    ctx.globalAlpha = 1;
+
+    if (status === "out") {
+      ctx.setLineDash([10, 8]);
+      ctx.lineWidth = 4;
+      line(toCanvas(user[1], width, height), ghostEnd);
+      ctx.setLineDash([]);
+    }
+  });
+  ctx.restore();
+}
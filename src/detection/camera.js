@@ -0,0 +1,39 @@
+// Webcam frame loop
+// Streams the user-facing camera into a <video> element and calls onFrame
+// once per displayed frame, waiting for the previous call to finish, so a
+// slow detector drops frames instead of queueing them.
+
+// Start the camera. Options: width, height (requested resolution),
+// onFrame(timestampMs) - may be async
+// Resolves to a stop() function once the stream is playing.
+export const startCamera = async (video, { width = 640, height = 640, onFrame }) => {
+  const stream = await navigator.mediaDevices.getUserMedia({
+    video: { facingMode: "user", width, height },
+    audio: false
+  });
+  video.srcObject = stream;
+  await video.play();
+
+  let stopped = false;
+  let frameRequest = null;
+
+  const loop = async () => {
+    if (stopped) return;
+    if (video.readyState >= 2) {
+      try {
+        await onFrame(performance.now());
+      } catch (err) {
+        console.error("Frame processing error:", err);
+      }
+    }
+    if (!stopped) frameRequest = requestAnimationFrame(loop);
+  };
+  frameRequest = requestAnimationFrame(loop);
+
+  return () => {
+    stopped = true;
+    if (frameRequest !== null) cancelAnimationFrame(frameRequest);
+    stream.getTracks().forEach(track => track.stop());
+    video.srcObject = null;
+  };
+};
@@ -0,0 +1,67 @@
+// Frame processing
+// What happens to a detector result before the live instructor sees it:
+// landmarks are copied into plain objects, averaged over the last few frames
+// and turned into metrics. Nothing here touches the DOM, so it runs in the
+// pose worker (pose.worker.js) as well as on the main thread.
+import { computeMetrics, getMetricOptions } from "../pose";
+
+// Frames averaged before metrics are computed
+export const SMOOTHING_FRAMES = 5;
+
+// Copy one list of landmarks into plain objects, so results don't hold on to
+// backend-owned memory and all backends return the same shape
+export const toLandmarks = (points, { withVisibility = true } = {}) => {
+  if (!points || points.length === 0) return null;
+  return points.map(lm => (withVisibility
+    ? { x: lm.x, y: lm.y, z: lm.z, visibility: lm.visibility }
+    : { x: lm.x, y: lm.y, z: lm.z }));
+};
+
+// A backend's { landmarks, worldLandmarks } as copied landmark lists, or null without a pose
+export const toPoseResult = (result) => {
+  const landmarks = result && toLandmarks(result.landmarks);
+  if (!landmarks) return null;
+  return { landmarks, worldLandmarks: toLandmarks(result.worldLandmarks, { withVisibility: false }) };
+};
+
+// Per-coordinate mean of a buffer of landmark arrays
+export const averageLandmarks = (buffer) => buffer[0].map((_, i) => {
+  const sum = buffer.reduce((acc, lm) => ({
+    x: acc.x + lm[i].x, y: acc.y + lm[i].y, z: acc.z + lm[i].z
+  }), { x: 0, y: 0, z: 0 });
+  return { x: sum.x / buffer.length, y: sum.y / buffer.length, z: sum.z / buffer.length };
+});
+
+// Options: normalization (the rules file's), smoothingFrames
+// process(result) takes a toPoseResult value and returns null without a pose,
+// else { landmarks, worldLandmarks, metrics } where metrics (from
+// computeMetrics on the smoothed landmarks) stays null until smoothingFrames
+// frames were seen. reset() forgets the smoothed frames.
+export const createFrameProcessor = ({ normalization = "image", smoothingFrames = SMOOTHING_FRAMES } = {}) => {
+  let buffer = [];
+  let worldBuffer = [];
+  const push = (list, item) => [...list, item].slice(-smoothingFrames);
+
+  return {
+    process: (result) => {
+      if (!result) return null;
+      buffer = push(buffer, result.landmarks);
+      // World landmarks (meters, hip-centered) back "world" normalization
+      if (result.worldLandmarks) worldBuffer = push(worldBuffer, result.worldLandmarks);
+
+      let metrics = null;
+      if (buffer.length >= smoothingFrames) {
+        const metricOptions = getMetricOptions(
+          { normalization },
+          worldBuffer.length > 0 ? averageLandmarks(worldBuffer) : undefined
+        );
+        metrics = computeMetrics(averageLandmarks(buffer), metricOptions);
+      }
+      return { ...result, metrics };
+    },
+    reset: () => {
+      buffer = [];
+      worldBuffer = [];
+    }
+  };
+};
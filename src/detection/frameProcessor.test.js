@@ -0,0 +1,62 @@
+import { lyingKneesBent } from "../pose/__fixtures__/landmarks";
+import { computeMetrics } from "../pose";
+import { averageLandmarks, createFrameProcessor, toPoseResult } from "./frameProcessor";
+
+const shifted = (landmarks, dy) => landmarks.map(lm => ({ ...lm, y: lm.y + dy }));
+
+describe("toPoseResult", () => {
+  test("copies landmarks and drops backend-specific fields", () => {
+    const raw = lyingKneesBent().map(lm => ({ ...lm, presence: 0.5 }));
+    const result = toPoseResult({ landmarks: raw, worldLandmarks: raw });
+    expect(result.landmarks[0]).toEqual({ x: 0.12, y: 0.66, z: 0, visibility: 0.99 });
+    expect(result.landmarks[0]).not.toBe(raw[0]);
+    expect(result.worldLandmarks[0]).toEqual({ x: 0.12, y: 0.66, z: 0 });
+  });
+
+  test("is null without landmarks", () => {
+    expect(toPoseResult(null)).toBeNull();
+    expect(toPoseResult({ landmarks: [] })).toBeNull();
+  });
+});
+
+describe("createFrameProcessor", () => {
+  test("has no metrics until enough frames are smoothed", () => {
+    const processor = createFrameProcessor({ smoothingFrames: 3 });
+    const frame = toPoseResult({ landmarks: lyingKneesBent() });
+    expect(processor.process(frame).metrics).toBeNull();
+    expect(processor.process(frame).metrics).toBeNull();
+    expect(processor.process(frame).metrics.left_knee_angle).toBeCloseTo(53.13, 1);
+  });
+
+  test("computes metrics on the average of the last frames", () => {
+    const processor = createFrameProcessor({ smoothingFrames: 2 });
+    const base = lyingKneesBent();
+    processor.process(toPoseResult({ landmarks: shifted(base, 0.5) }));
+    processor.process(toPoseResult({ landmarks: shifted(base, -0.1) }));
+    const { metrics } = processor.process(toPoseResult({ landmarks: shifted(base, 0.1) }));
+
+    const expected = computeMetrics(averageLandmarks([shifted(base, -0.1), shifted(base, 0.1)]));
+    expect(metrics.hip_height).toBeCloseTo(expected.hip_height, 6);
+  });
+
+  test("skips frames without a pose and starts over after reset", () => {
+    const processor = createFrameProcessor({ smoothingFrames: 2 });
+    const frame = toPoseResult({ landmarks: lyingKneesBent() });
+    processor.process(frame);
+    expect(processor.process(null)).toBeNull();
+    expect(processor.process(frame).metrics).not.toBeNull();
+
+    processor.reset();
+    expect(processor.process(frame).metrics).toBeNull();
+  });
+
+  test("uses world landmarks for world normalization", () => {
+    const processor = createFrameProcessor({ normalization: "world", smoothingFrames: 1 });
+    const landmarks = lyingKneesBent();
+    const { metrics } = processor.process(toPoseResult({ landmarks, worldLandmarks: landmarks }));
+    expect(metrics).toEqual(computeMetrics(averageLandmarks([landmarks]), {
+      normalization: "world",
+      worldLandmarks: averageLandmarks([landmarks])
+    }));
+  });
+});
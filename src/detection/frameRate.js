@@ -0,0 +1,51 @@
+// Adaptive processing rate
+// Decides which camera frames get processed. The interval between processed
+// frames follows the measured latency: on the main thread it is kept at
+// twice the latency, so half of every interval is left for rendering and the
+// reference video; in a worker frames can follow each other back to back.
+// Slow devices settle at a lower rate instead of stalling the page.
+
+export const MIN_PROCESS_FPS = 5;
+export const MAX_PROCESS_FPS = 30;
+
+// Weight of the newest frame in the latency moving average
+export const LATENCY_SMOOTHING = 0.2;
+
+// Slack for display frames arriving slightly early, so 30 fps on a 60 Hz
+// display isn't rounded down to every third frame
+const FRAME_TOLERANCE_MS = 4;
+
+// Window the reported fps is counted over
+const STATS_WINDOW_MS = 1000;
+
+// Options: minFps, maxFps, busyShare (share of the interval processing may take)
+// shouldProcess(now) says whether a frame arriving now is due; call start(now)
+// when processing one and finish(now, latencyMs) when it is done. stats(now)
+// returns { fps (processed in the last second), latencyMs (moving average,
+// null before the first frame), targetFps }.
+export const createRateController = ({ minFps = MIN_PROCESS_FPS, maxFps = MAX_PROCESS_FPS, busyShare = 0.5 } = {}) => {
+  let latencyMs = null;
+  let lastStart = -Infinity;
+  let finished = [];
+
+  const interval = () => {
+    const wanted = latencyMs === null ? 0 : latencyMs / busyShare;
+    return Math.min(1000 / minFps, Math.max(1000 / maxFps, wanted));
+  };
+
+  return {
+    shouldProcess: (now) => now - lastStart >= interval() - FRAME_TOLERANCE_MS,
+    start: (now) => {
+      lastStart = now;
+    },
+    finish: (now, frameLatencyMs) => {
+      latencyMs = latencyMs === null ? frameLatencyMs : latencyMs + LATENCY_SMOOTHING * (frameLatencyMs - latencyMs);
+      finished = [...finished.filter(time => now - time < STATS_WINDOW_MS), now];
+    },
+    stats: (now) => ({
+      fps: finished.filter(time => now - time < STATS_WINDOW_MS).length * (1000 / STATS_WINDOW_MS),
+      latencyMs,
+      targetFps: 1000 / interval()
+    })
+  };
+};
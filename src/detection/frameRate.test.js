@@ -0,0 +1,56 @@
+import { MAX_PROCESS_FPS, MIN_PROCESS_FPS, createRateController } from "./frameRate";
+
+// Run the controller over a 60 Hz display for durationMs with a fixed latency
+const simulate = (controller, latencyMs, durationMs = 2000) => {
+  let processed = 0;
+  let busyUntil = -Infinity;
+  for (let now = 0; now < durationMs; now += 1000 / 60) {
+    if (now < busyUntil || !controller.shouldProcess(now)) continue;
+    controller.start(now);
+    busyUntil = now + latencyMs;
+    controller.finish(busyUntil, latencyMs);
+    processed++;
+  }
+  return processed / (durationMs / 1000);
+};
+
+describe("createRateController", () => {
+  test("processes at most MAX_PROCESS_FPS on a fast device", () => {
+    const fps = simulate(createRateController(), 5);
+    expect(fps).toBeGreaterThanOrEqual(MAX_PROCESS_FPS - 1);
+    expect(fps).toBeLessThanOrEqual(MAX_PROCESS_FPS);
+  });
+
+  test("leaves half of every interval free on the main thread", () => {
+    const controller = createRateController();
+    const fps = simulate(controller, 50);
+    expect(fps).toBeLessThanOrEqual(10.5);
+    expect(controller.stats(2000).targetFps).toBeCloseTo(10, 5);
+  });
+
+  test("follows the latency back to back in a worker", () => {
+    const controller = createRateController({ busyShare: 1 });
+    simulate(controller, 50);
+    expect(controller.stats(2000).targetFps).toBeCloseTo(20, 5);
+  });
+
+  test("never drops below MIN_PROCESS_FPS", () => {
+    const controller = createRateController();
+    simulate(controller, 400);
+    expect(controller.stats(2000).targetFps).toBe(MIN_PROCESS_FPS);
+  });
+
+  test("reports the frames processed in the last second and the average latency", () => {
+    const controller = createRateController();
+    const initial = controller.stats(0);
+    expect(initial).toMatchObject({ fps: 0, latencyMs: null });
+    expect(initial.targetFps).toBeCloseTo(MAX_PROCESS_FPS, 6);
+
+    controller.finish(100, 20);
+    controller.finish(200, 40);
+    controller.finish(1150, 20);
+    const stats = controller.stats(1150);
+    expect(stats.fps).toBe(2);
+    expect(stats.latencyMs).toBeCloseTo(20 + 0.2 * 20 + 0.2 * (20 - 24), 6);
+  });
+});
@@ -0,0 +1,36 @@
+// Legacy MediaPipe Pose solution (@mediapipe/pose)
+// The solution loads its WASM, graph and model files through locateFile;
+// they are served from <assetsUrl>/pose/ instead of the jsDelivr CDN.
+import { Pose } from "@mediapipe/pose";
+
+export const createLegacyPoseDetector = async ({ assetsUrl }) => {
+  const pose = new Pose({
+    locateFile: (file) => `${assetsUrl}/pose/${file}`,
+  });
+  pose.setOptions({
+    modelComplexity: 1,
+    smoothLandmarks: true,
+    minDetectionConfidence: 0.5,
+    minTrackingConfidence: 0.5,
+  });
+
+  // send() resolves after onResults has run for that image
+  let latestResults = null;
+  pose.onResults((results) => {
+    latestResults = results;
+  });
+  await pose.initialize();
+
+  return {
+    detect: async (image) => {
+      latestResults = null;
+      await pose.send({ image });
+      if (!latestResults || !latestResults.poseLandmarks) return null;
+      return {
+        landmarks: latestResults.poseLandmarks,
+        worldLandmarks: latestResults.poseWorldLandmarks || null
+      };
+    },
+    close: () => pose.close()
+  };
+};
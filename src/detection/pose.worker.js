@@ -0,0 +1,52 @@
+// Pose worker
+// Runs a DOM-free detector backend and the frame processor off the main
+// thread (see posePipeline.js). Every request carries an id that its reply
+// repeats:
+//   { type: "init", backend, assetsUrl, normalization, smoothingFrames } -> { result: true }
+//   { type: "frame", bitmap, timestampMs }                               -> { result: frame or null }
+//   { type: "reset" }                                                    -> { result: true }
+// Failures reply with { error: message } instead. The ImageBitmap of a frame
+// is transferred in and closed here once detection is done.
+import { createFrameProcessor, toPoseResult } from "./frameProcessor";
+import { createTasksPoseDetector } from "./tasksPoseBackend";
+
+// Backends that can run in a worker (POSE_BACKENDS entries with worker: true)
+const WORKER_BACKENDS = {
+  "mediapipe-tasks": createTasksPoseDetector
+};
+
+const scope = globalThis;
+
+let detector = null;
+let processor = null;
+
+const handlers = {
+  init: async ({ backend, assetsUrl, normalization, smoothingFrames }) => {
+    const create = WORKER_BACKENDS[backend];
+    if (!create) throw new Error(`Pose backend "${backend}" can't run in a worker`);
+    detector = await create({ assetsUrl });
+    processor = createFrameProcessor({ normalization, smoothingFrames });
+    return true;
+  },
+  frame: async ({ bitmap, timestampMs }) => {
+    try {
+      if (!detector) throw new Error("Pose worker isn't initialized");
+      return processor.process(toPoseResult(await detector.detect(bitmap, timestampMs)));
+    } finally {
+      bitmap.close();
+    }
+  },
+  reset: async () => {
+    if (processor) processor.reset();
+    return true;
+  }
+};
+
+scope.addEventListener("message", async ({ data }) => {
+  try {
+    const result = await handlers[data.type](data);
+    scope.postMessage({ id: data.id, result });
+  } catch (err) {
+    scope.postMessage({ id: data.id, error: err.message || String(err) });
+  }
+});
@@ -0,0 +1,84 @@
+// Pose detection backends
+// Every component that needs landmarks gets them through a detector created
+// here instead of talking to a MediaPipe API directly:
+//
+//   const detector = await createPoseDetector();
+//   const result = await detector.detect(videoElement, performance.now());
+//   // result: { landmarks, worldLandmarks } or null when no one is in view
+//   detector.close();
+//
+// landmarks is always the 33-point MediaPipe Pose schema that src/pose/
+// expects (normalized image coordinates with visibility) and worldLandmarks
+// the matching 3D points in meters, whichever backend produced them.
+//
+// Model and WASM files are served from public/mediapipe/ (copied there by
+// scripts/copy-pose-assets.mjs before start and build), so the app never
+// needs to reach a CDN.
+//
+// The default backend runs in pose.worker.js; when it can't be loaded (no
+// WebAssembly SIMD or WebGL, or its model is missing and can't be fetched)
+// createPoseDetector falls back to the legacy solution, which runs on the
+// main thread.
+import { toPoseResult } from "./frameProcessor";
+import { createLegacyPoseDetector } from "./legacyPoseBackend";
+import { createTasksPoseDetector } from "./tasksPoseBackend";
+
+// Where the self-hosted model assets are served from
+export const POSE_ASSETS_URL = `${process.env.PUBLIC_URL || ""}/mediapipe`;
+
+export const POSE_BACKENDS = {
+  "mediapipe-pose": {
+    label: "MediaPipe Pose (legacy solution)",
+    create: createLegacyPoseDetector
+  },
+  "mediapipe-tasks": {
+    label: "MediaPipe Tasks PoseLandmarker",
+    create: createTasksPoseDetector,
+    // Needs no DOM, so pose.worker.js can run it off the main thread
+    worker: true
+  }
+};
+
+export const DEFAULT_POSE_BACKEND = "mediapipe-tasks";
+
+// Used when the configured backend can't be loaded
+export const FALLBACK_POSE_BACKEND = "mediapipe-pose";
+
+// The backend picked for this build: REACT_APP_POSE_BACKEND, else the default
+export const getPoseBackend = () => {
+  const configured = process.env.REACT_APP_POSE_BACKEND;
+  return configured && POSE_BACKENDS[configured] ? configured : DEFAULT_POSE_BACKEND;
+};
+
+// Create a detector. Options: backend (a POSE_BACKENDS key, default
+// getPoseBackend()), assetsUrl (default POSE_ASSETS_URL), fallback (the
+// backend tried when this one can't be loaded, default FALLBACK_POSE_BACKEND;
+// null for none)
+// Resolves once the model is loaded; backend then names the one in use.
+// Rejects for an unknown backend or when no model can be loaded.
+// detect(image, timestampMs) takes a video, image or canvas element and the
+// frame's time; timestamps must not go backwards.
+export const createPoseDetector = async ({
+  backend = getPoseBackend(),
+  assetsUrl = POSE_ASSETS_URL,
+  fallback = FALLBACK_POSE_BACKEND
+} = {}) => {
+  const config = POSE_BACKENDS[backend];
+  if (!config) {
+    throw new Error(`Unknown pose backend "${backend}" (expected one of: ${Object.keys(POSE_BACKENDS).join(", ")})`);
+  }
+  let adapter;
+  try {
+    adapter = await config.create({ assetsUrl });
+  } catch (err) {
+    if (!fallback || fallback === backend) throw err;
+    console.warn(`Pose backend "${backend}" unavailable, falling back to "${fallback}":`, err);
+    return createPoseDetector({ backend: fallback, assetsUrl, fallback: null });
+  }
+
+  return {
+    backend,
+    detect: async (image, timestampMs) => toPoseResult(await adapter.detect(image, timestampMs)),
+    close: () => adapter.close()
+  };
+};
@@ -0,0 +1,139 @@
+import { Pose } from "@mediapipe/pose";
+import { FilesetResolver, PoseLandmarker } from "@mediapipe/tasks-vision";
+import { createPoseDetector, getPoseBackend, DEFAULT_POSE_BACKEND } from "./poseDetector";
+import { TASKS_POSE_MODEL_URL } from "./tasksPoseBackend";
+
+jest.mock("@mediapipe/pose", () => ({ Pose: jest.fn() }));
+jest.mock("@mediapipe/tasks-vision", () => ({
+  FilesetResolver: { forVisionTasks: jest.fn() },
+  PoseLandmarker: { createFromOptions: jest.fn() }
+}));
+
+const makePoints = (withVisibility) => Array.from({ length: 33 }, (_, i) => ({
+  x: i / 100, y: 0.5, z: -0.1, ...(withVisibility && { visibility: 0.9 }), presence: 0.8
+}));
+
+// A stand-in for the legacy solution that reports `results` for every image sent
+const mockLegacyPose = (results) => {
+  const instance = {
+    setOptions: jest.fn(),
+    initialize: jest.fn().mockResolvedValue(),
+    close: jest.fn(),
+    onResults: jest.fn(callback => { instance.callback = callback; }),
+    send: jest.fn(async () => instance.callback(results))
+  };
+  Pose.mockImplementation((config) => {
+    instance.config = config;
+    return instance;
+  });
+  return instance;
+};
+
+const mockLandmarker = (result) => {
+  const landmarker = { detectForVideo: jest.fn(() => result), close: jest.fn() };
+  FilesetResolver.forVisionTasks.mockResolvedValue({ wasm: true });
+  PoseLandmarker.createFromOptions.mockResolvedValue(landmarker);
+  return landmarker;
+};
+
+afterEach(() => {
+  jest.clearAllMocks();
+  delete process.env.REACT_APP_POSE_BACKEND;
+});
+
+describe("getPoseBackend", () => {
+  test("defaults to the backend that runs in a worker", () => {
+    expect(getPoseBackend()).toBe(DEFAULT_POSE_BACKEND);
+    expect(DEFAULT_POSE_BACKEND).toBe("mediapipe-tasks");
+  });
+
+  test("reads REACT_APP_POSE_BACKEND and ignores unknown values", () => {
+    process.env.REACT_APP_POSE_BACKEND = "mediapipe-pose";
+    expect(getPoseBackend()).toBe("mediapipe-pose");
+    process.env.REACT_APP_POSE_BACKEND = "openpose";
+    expect(getPoseBackend()).toBe(DEFAULT_POSE_BACKEND);
+  });
+});
+
+describe("createPoseDetector", () => {
+  test("rejects an unknown backend", async () => {
+    await expect(createPoseDetector({ backend: "openpose" })).rejects.toThrow(/Unknown pose backend "openpose"/);
+  });
+
+  test("legacy backend loads its files from the self-hosted folder", async () => {
+    const pose = mockLegacyPose({ poseLandmarks: makePoints(true), poseWorldLandmarks: makePoints(true) });
+    const detector = await createPoseDetector({ backend: "mediapipe-pose", assetsUrl: "/app/mediapipe" });
+
+    expect(detector.backend).toBe("mediapipe-pose");
+    expect(pose.config.locateFile("pose_solution_simd_wasm_bin.wasm")).toBe("/app/mediapipe/pose/pose_solution_simd_wasm_bin.wasm");
+    expect(pose.initialize).toHaveBeenCalled();
+
+    detector.close();
+    expect(pose.close).toHaveBeenCalled();
+  });
+
+  test("legacy backend returns copied landmarks, or null without a pose", async () => {
+    const pose = mockLegacyPose({ poseLandmarks: makePoints(true), poseWorldLandmarks: makePoints(true) });
+    const detector = await createPoseDetector({ backend: "mediapipe-pose" });
+    const video = {};
+
+    const result = await detector.detect(video, 1000);
+    expect(pose.send).toHaveBeenCalledWith({ image: video });
+    expect(result.landmarks).toHaveLength(33);
+    expect(result.landmarks[5]).toEqual({ x: 0.05, y: 0.5, z: -0.1, visibility: 0.9 });
+    expect(result.worldLandmarks[5]).toEqual({ x: 0.05, y: 0.5, z: -0.1 });
+
+    mockLegacyPose({});
+    const empty = await createPoseDetector({ backend: "mediapipe-pose" });
+    expect(await empty.detect(video, 1000)).toBeNull();
+  });
+
+  test("tasks backend maps the first pose to the same schema", async () => {
+    const landmarker = mockLandmarker({ landmarks: [makePoints(true)], worldLandmarks: [makePoints(false)] });
+    const detector = await createPoseDetector({ backend: "mediapipe-tasks", assetsUrl: "/app/mediapipe" });
+
+    expect(FilesetResolver.forVisionTasks).toHaveBeenCalledWith("/app/mediapipe/tasks-vision");
+    const options = PoseLandmarker.createFromOptions.mock.calls[0][1];
+    expect(options.baseOptions.modelAssetPath).toBe("/app/mediapipe/models/pose_landmarker_full.task");
+    expect(options.runningMode).toBe("VIDEO");
+
+    const result = await detector.detect({}, 1000);
+    expect(result.landmarks).toHaveLength(33);
+    expect(result.landmarks[5]).toEqual({ x: 0.05, y: 0.5, z: -0.1, visibility: 0.9 });
+    expect(result.worldLandmarks[5]).toEqual({ x: 0.05, y: 0.5, z: -0.1 });
+
+    landmarker.detectForVideo.mockReturnValue({ landmarks: [], worldLandmarks: [] });
+    expect(await detector.detect({}, 1100)).toBeNull();
+  });
+
+  test("tasks backend fetches the published model when the self-hosted one is missing", async () => {
+    mockLandmarker({ landmarks: [], worldLandmarks: [] });
+    PoseLandmarker.createFromOptions.mockRejectedValueOnce(new Error("404"));
+    await createPoseDetector({ backend: "mediapipe-tasks" });
+
+    const paths = PoseLandmarker.createFromOptions.mock.calls.map(call => call[1].baseOptions.modelAssetPath);
+    expect(paths).toEqual(["/mediapipe/models/pose_landmarker_full.task", TASKS_POSE_MODEL_URL]);
+  });
+
+  test("falls back to the legacy solution when the backend can't be loaded", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    FilesetResolver.forVisionTasks.mockRejectedValue(new Error("no SIMD"));
+    mockLegacyPose({});
+
+    const detector = await createPoseDetector({ backend: "mediapipe-tasks" });
+    expect(detector.backend).toBe("mediapipe-pose");
+    expect(console.warn).toHaveBeenCalled();
+    await expect(createPoseDetector({ backend: "mediapipe-tasks", fallback: null })).rejects.toThrow("no SIMD");
+    console.warn.mockRestore();
+  });
+
+  test("tasks backend never sends a timestamp that doesn't increase", async () => {
+    const landmarker = mockLandmarker({ landmarks: [], worldLandmarks: [] });
+    const detector = await createPoseDetector({ backend: "mediapipe-tasks" });
+
+    await detector.detect({}, 1000.2);
+    await detector.detect({}, 1000.4);
+    await detector.detect({}, 500);
+    expect(landmarker.detectForVideo.mock.calls.map(call => call[1])).toEqual([1000, 1001, 1002]);
+  });
+});
@@ -0,0 +1,99 @@
+// Pose pipeline
+// Detection plus frame processing (frameProcessor.js) for the live
+// instructor. When the backend can run without the DOM and the browser has
+// OffscreenCanvas, both run in pose.worker.js and each camera frame is handed
+// over as a transferred ImageBitmap, so inference never blocks rendering or
+// the reference video. Otherwise they run on the main thread, on the legacy
+// backend when the configured one can't be loaded there either.
+import { SMOOTHING_FRAMES, createFrameProcessor } from "./frameProcessor";
+import { POSE_ASSETS_URL, POSE_BACKENDS, createPoseDetector, getPoseBackend } from "./poseDetector";
+
+// Whether this browser can run the pose worker
+export const canUseWorker = () => (
+  typeof Worker !== "undefined" &&
+  typeof OffscreenCanvas !== "undefined" &&
+  typeof createImageBitmap === "function"
+);
+
+const createMainThreadPipeline = async ({ backend, assetsUrl, normalization, smoothingFrames }) => {
+  const detector = await createPoseDetector({ backend, assetsUrl });
+  const processor = createFrameProcessor({ normalization, smoothingFrames });
+  return {
+    inWorker: false,
+    process: async (image, timestampMs) => processor.process(await detector.detect(image, timestampMs)),
+    reset: processor.reset,
+    close: detector.close
+  };
+};
+
+const createWorkerPipeline = async ({ backend, assetsUrl, normalization, smoothingFrames }) => {
+  const { spawnPoseWorker } = await import("./spawnPoseWorker");
+  const worker = spawnPoseWorker();
+  const pending = new Map();
+  let nextId = 0;
+
+  const failAll = (error) => {
+    pending.forEach(({ reject }) => reject(error));
+    pending.clear();
+  };
+  worker.onmessage = ({ data }) => {
+    const request = pending.get(data.id);
+    if (!request) return;
+    pending.delete(data.id);
+    if (data.error) request.reject(new Error(data.error));
+    else request.resolve(data.result);
+  };
+  worker.onerror = (event) => failAll(new Error(event.message || "The pose worker failed"));
+
+  const send = (message, transfer = []) => new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject });
+    worker.postMessage({ ...message, id }, transfer);
+  });
+
+  try {
+    await send({ type: "init", backend, assetsUrl, normalization, smoothingFrames });
+  } catch (err) {
+    worker.terminate();
+    throw err;
+  }
+
+  return {
+    inWorker: true,
+    process: async (image, timestampMs) => {
+      const bitmap = await createImageBitmap(image);
+      return send({ type: "frame", bitmap, timestampMs }, [bitmap]);
+    },
+    reset: () => {
+      send({ type: "reset" }).catch(() => {});
+    },
+    close: () => {
+      worker.terminate();
+      failAll(new Error("The pose worker was closed"));
+    }
+  };
+};
+
+// Create the pipeline. Options: backend (default getPoseBackend()), assetsUrl,
+// normalization (the rules file's), smoothingFrames (default SMOOTHING_FRAMES),
+// useWorker (default true)
+// process(image, timestampMs) resolves to frameProcessor's output for the
+// frame, or null without a pose; reset() clears the smoothing; inWorker tells
+// where it runs. A worker that fails to start falls back to the main thread.
+export const createPosePipeline = async ({
+  backend = getPoseBackend(),
+  assetsUrl = POSE_ASSETS_URL,
+  normalization = "image",
+  smoothingFrames = SMOOTHING_FRAMES,
+  useWorker = true
+} = {}) => {
+  const options = { backend, assetsUrl, normalization, smoothingFrames };
+  if (useWorker && POSE_BACKENDS[backend] && POSE_BACKENDS[backend].worker && canUseWorker()) {
+    try {
+      return await createWorkerPipeline(options);
+    } catch (err) {
+      console.warn("Pose worker unavailable, running on the main thread:", err);
+    }
+  }
+  return createMainThreadPipeline(options);
+};
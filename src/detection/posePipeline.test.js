@@ -0,0 +1,92 @@
+import { lyingKneesBent } from "../pose/__fixtures__/landmarks";
+import { createPoseDetector } from "./poseDetector";
+import { createPosePipeline } from "./posePipeline";
+import { spawnPoseWorker } from "./spawnPoseWorker";
+
+jest.mock("./poseDetector", () => ({
+  ...jest.requireActual("./poseDetector"),
+  createPoseDetector: jest.fn()
+}));
+jest.mock("./spawnPoseWorker", () => ({ spawnPoseWorker: jest.fn() }));
+
+// A stand-in worker that answers every request with reply(message)
+const mockWorker = (reply) => {
+  const worker = {
+    messages: [],
+    terminate: jest.fn(),
+    postMessage: jest.fn((message) => {
+      worker.messages.push(message);
+      Promise.resolve().then(() => worker.onmessage({ data: { id: message.id, ...reply(message) } }));
+    })
+  };
+  spawnPoseWorker.mockReturnValue(worker);
+  return worker;
+};
+
+const workerGlobals = ["Worker", "OffscreenCanvas", "createImageBitmap"];
+
+afterEach(() => {
+  jest.clearAllMocks();
+  workerGlobals.forEach(name => delete global[name]);
+});
+
+describe("createPosePipeline", () => {
+  test("runs on the main thread without worker support", async () => {
+    const detector = { detect: jest.fn().mockResolvedValue({ landmarks: lyingKneesBent(), worldLandmarks: null }), close: jest.fn() };
+    createPoseDetector.mockResolvedValue(detector);
+
+    const pipeline = await createPosePipeline({ backend: "mediapipe-tasks" });
+    expect(pipeline.inWorker).toBe(false);
+    expect(spawnPoseWorker).not.toHaveBeenCalled();
+
+    const frame = await pipeline.process({}, 1000);
+    expect(frame.landmarks).toHaveLength(33);
+    expect(frame.metrics).toBeNull();
+
+    pipeline.close();
+    expect(detector.close).toHaveBeenCalled();
+  });
+
+  describe("with worker support", () => {
+    beforeEach(() => {
+      global.Worker = jest.fn();
+      global.OffscreenCanvas = jest.fn();
+      global.createImageBitmap = jest.fn().mockResolvedValue({ bitmap: true });
+    });
+
+    test("hands frames to the worker as transferred bitmaps", async () => {
+      const worker = mockWorker(message => ({ result: message.type === "frame" ? { landmarks: [], metrics: null } : true }));
+      const pipeline = await createPosePipeline({ backend: "mediapipe-tasks", normalization: "torso", assetsUrl: "/m" });
+
+      expect(pipeline.inWorker).toBe(true);
+      expect(worker.messages[0]).toMatchObject({ type: "init", backend: "mediapipe-tasks", normalization: "torso", assetsUrl: "/m" });
+
+      const frame = await pipeline.process({}, 1234);
+      expect(frame).toEqual({ landmarks: [], metrics: null });
+      const [message, transfer] = worker.postMessage.mock.calls[1];
+      expect(message).toMatchObject({ type: "frame", timestampMs: 1234, bitmap: { bitmap: true } });
+      expect(transfer).toEqual([{ bitmap: true }]);
+
+      pipeline.close();
+      expect(worker.terminate).toHaveBeenCalled();
+    });
+
+    test("keeps backends that need the DOM on the main thread", async () => {
+      createPoseDetector.mockResolvedValue({ detect: jest.fn(), close: jest.fn() });
+      const pipeline = await createPosePipeline({ backend: "mediapipe-pose" });
+      expect(pipeline.inWorker).toBe(false);
+      expect(spawnPoseWorker).not.toHaveBeenCalled();
+    });
+
+    test("falls back to the main thread when the worker can't start", async () => {
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+      const worker = mockWorker(() => ({ error: "no WebGL" }));
+      createPoseDetector.mockResolvedValue({ detect: jest.fn(), close: jest.fn() });
+
+      const pipeline = await createPosePipeline({ backend: "mediapipe-tasks" });
+      expect(pipeline.inWorker).toBe(false);
+      expect(worker.terminate).toHaveBeenCalled();
+      console.warn.mockRestore();
+    });
+  });
+});
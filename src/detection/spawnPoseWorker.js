@@ -0,0 +1,3 @@
+// Start pose.worker.js. Kept in its own module, imported only when a worker
+// is actually started, because Jest can't parse import.meta.
+export const spawnPoseWorker = () => new Worker(new URL("./pose.worker.js", import.meta.url));
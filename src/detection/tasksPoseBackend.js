@@ -0,0 +1,49 @@
+// MediaPipe Tasks PoseLandmarker (@mediapipe/tasks-vision)
+// Same 33-landmark topology as the legacy solution, on the maintained Tasks
+// runtime. The WASM fileset is served from <assetsUrl>/tasks-vision/ and the
+// model bundle from <assetsUrl>/models/, where the build puts it. A
+// deployment without it fetches the model from Google's model storage at
+// runtime instead. The package is imported on first use so pages that never
+// detect a pose don't load it.
+
+export const TASKS_POSE_MODEL = "pose_landmarker_full.task";
+
+// Where the model is published (scripts/copy-pose-assets.mjs fetches the same file)
+export const TASKS_POSE_MODEL_URL =
+  "https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_full/float16/latest/pose_landmarker_full.task";
+
+export const createTasksPoseDetector = async ({ assetsUrl }) => {
+  const { FilesetResolver, PoseLandmarker } = await import("@mediapipe/tasks-vision");
+  const fileset = await FilesetResolver.forVisionTasks(`${assetsUrl}/tasks-vision`);
+  const createLandmarker = (modelAssetPath) => PoseLandmarker.createFromOptions(fileset, {
+    baseOptions: { modelAssetPath, delegate: "GPU" },
+    runningMode: "VIDEO",
+    numPoses: 1,
+    minPoseDetectionConfidence: 0.5,
+    minTrackingConfidence: 0.5
+  });
+  let landmarker;
+  try {
+    landmarker = await createLandmarker(`${assetsUrl}/models/${TASKS_POSE_MODEL}`);
+  } catch (err) {
+    landmarker = await createLandmarker(TASKS_POSE_MODEL_URL);
+  }
+
+  // VIDEO mode rejects timestamps that don't increase, e.g. two frames within
+  // the same millisecond or a seek back in an analyzed file
+  let lastTimestamp = -1;
+
+  return {
+    detect: async (image, timestampMs) => {
+      const timestamp = Math.max(Math.round(timestampMs), lastTimestamp + 1);
+      lastTimestamp = timestamp;
+      const result = landmarker.detectForVideo(image, timestamp);
+      if (!result.landmarks || result.landmarks.length === 0) return null;
+      return {
+        landmarks: result.landmarks[0],
+        worldLandmarks: result.worldLandmarks ? result.worldLandmarks[0] : null
+      };
+    },
+    close: () => landmarker.close()
+  };
+};
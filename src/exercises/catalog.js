@@ -0,0 +1,67 @@
+// Exercise catalog
+// The catalog and every rules file are served from public/exercises/ and
+// fetched at runtime, so a new protocol only needs a rules file, a video in
+// public/videos/ and an entry in public/exercises/index.json - no rebuild.
+// Workout programs (see session/workoutProgram.js) are listed in the same file.
+import { RulesValidationError, formatIssue, validateRules } from "../pose";
+import { validateProgram } from "../session/workoutProgram";
+
+const EXERCISES_BASE_URL = `${process.env.PUBLIC_URL || ""}/exercises`;
+
+const fetchJson = async (url) => {
+  // Bypass the HTTP cache so freshly edited rule files are picked up on reload
+  const response = await fetch(url, { cache: "no-store" });
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url} (${response.status})`);
+  }
+  return response.json();
+};
+
+// Resolve a path from the catalog relative to public/exercises/ unless it is
+// already absolute (e.g. "/videos/a4.mov" or a full URL)
+const resolveUrl = (path) => {
+  if (!path) return null;
+  if (/^([a-z]+:)?\/\//i.test(path) || path.startsWith("/")) return path;
+  return `${EXERCISES_BASE_URL}/${path}`;
+};
+
+// Load the available exercises and workout programs
+// Returns { exercises, programs }: exercises are entries of the form
+// { id, name, description, rules, video }; programs that don't validate
+// against the exercises are left out with a warning
+export const loadCatalog = async () => {
+  const catalog = await fetchJson(`${EXERCISES_BASE_URL}/index.json`);
+  const exerciseEntries = Array.isArray(catalog.exercises) ? catalog.exercises : [];
+  const programEntries = Array.isArray(catalog.programs) ? catalog.programs : [];
+
+  const exercises = exerciseEntries
+    .filter(entry => entry && entry.id && entry.rules)
+    .map(entry => ({
+      ...entry,
+      name: entry.name || entry.id,
+      rules: resolveUrl(entry.rules),
+      video: resolveUrl(entry.video)
+    }));
+
+  const exerciseIds = exercises.map(entry => entry.id);
+  const programs = programEntries.filter((program, index) => {
+    const errors = validateProgram(program, exerciseIds);
+    errors.forEach(issue => console.warn(`index.json programs[${index}]: ${formatIssue(issue)}`));
+    return errors.length === 0;
+  });
+
+  return { exercises, programs };
+};
+
+// Load the validation rules (steps, ideal_camera_distance, ...) for a catalog entry
+// Throws a RulesValidationError listing every problem when the file doesn't
+// validate; warnings are only logged
+export const loadExerciseRules = async (entry) => {
+  const rules = await fetchJson(entry.rules);
+  const { errors, warnings } = validateRules(rules);
+  if (errors.length > 0) {
+    throw new RulesValidationError(entry.rules, errors);
+  }
+  warnings.forEach(warning => console.warn(`${entry.rules}: ${formatIssue(warning)}`));
+  return rules;
+};
@@ -0,0 +1,35 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// useState for values set on every camera frame: only the latest value is
+// kept and it is committed at most once per animation frame (and no more
+// often than every minIntervalMs), so the page re-renders at display rate
+// however fast frames are processed. The setter takes values, not updater
+// functions.
+export default function useThrottledState(initialValue, minIntervalMs = 0) {
+  const [value, setValue] = useState(initialValue);
+  const pendingRef = useRef(initialValue);
+  const frameRef = useRef(null);
+  const lastCommitRef = useRef(-Infinity);
+
+  const setThrottled = useCallback((next) => {
+    pendingRef.current = next;
+    if (frameRef.current !== null) return;
+
+    const flush = (now) => {
+      if (now - lastCommitRef.current < minIntervalMs) {
+        frameRef.current = requestAnimationFrame(flush);
+        return;
+      }
+      frameRef.current = null;
+      lastCommitRef.current = now;
+      setValue(pendingRef.current);
+    };
+    frameRef.current = requestAnimationFrame(flush);
+  }, [minIntervalMs]);
+
+  useEffect(() => () => {
+    if (frameRef.current !== null) cancelAnimationFrame(frameRef.current);
+  }, []);
+
+  return [value, setThrottled];
+}
@@ -0,0 +1,204 @@
+// English coaching messages - the reference catalog: every other locale
+// translates these IDs, and any ID a locale misses falls back to English.
+// Placeholders in braces are filled in by translate; a message with one/other
+// forms is picked by its {count}.
+const en = {
+  // Corrections (see pose/feedback.js)
+  "feedback.bend_left_knee": "Bend your left knee more!",
+  "feedback.straighten_left_knee": "Straighten your left knee!",
+  "feedback.bend_right_knee": "Bend your right knee more!",
+  "feedback.straighten_right_knee": "Straighten your right knee!",
+  "feedback.raise_legs": "Raise your legs higher!",
+  "feedback.lower_legs": "Lower your legs slightly!",
+  "feedback.raise_knees": "Raise your knees higher!",
+  "feedback.lower_knees": "Lower your knees slightly!",
+  "feedback.adjust_left_hip": "Adjust your left hip position!",
+  "feedback.adjust_right_hip": "Adjust your right hip position!",
+  "feedback.adjust_left_ankle": "Adjust your left ankle position!",
+  "feedback.adjust_right_ankle": "Adjust your right ankle position!",
+  "feedback.adjust_left_arm": "Adjust your left arm position!",
+  "feedback.adjust_right_arm": "Adjust your right arm position!",
+  "feedback.adjust_left_shoulder": "Adjust your left shoulder position!",
+  "feedback.adjust_right_shoulder": "Adjust your right shoulder position!",
+  "feedback.adjust_hip_height": "Adjust your hip height!",
+  "feedback.adjust_shoulder_height": "Adjust your shoulder height!",
+  "feedback.align_spine": "Keep your spine aligned!",
+  "feedback.adjust_upper_body": "Adjust your upper body position!",
+  "feedback.adjust_head": "Adjust your head position!",
+  "feedback.turn_hips": "Turn your hips to match the video!",
+  "feedback.turn_shoulders": "Turn your shoulders to match the video!",
+  "feedback.adjust_metric": "Adjust your {metric}!",
+  "feedback.back_flat": "⚠️ Lie down flat! Keep your back flat on the ground!",
+
+  // Metric names, in cues and readouts (see pose/metrics.js)
+  "metric.ankle_height": "ankle height",
+  "metric.head_tilt_angle": "head tilt angle",
+  "metric.hip_height": "hip height",
+  "metric.hip_width": "hip width",
+  "metric.knee_height": "knee height",
+  "metric.left_ankle_angle": "left ankle angle",
+  "metric.left_elbow_angle": "left elbow angle",
+  "metric.left_hip_angle": "left hip angle",
+  "metric.left_knee_angle": "left knee angle",
+  "metric.left_shoulder_angle": "left shoulder angle",
+  "metric.right_ankle_angle": "right ankle angle",
+  "metric.right_elbow_angle": "right elbow angle",
+  "metric.right_hip_angle": "right hip angle",
+  "metric.right_knee_angle": "right knee angle",
+  "metric.right_shoulder_angle": "right shoulder angle",
+  "metric.shoulder_height": "shoulder height",
+  "metric.shoulder_width": "shoulder width",
+  "metric.spine_angle": "spine angle",
+  "metric.torso_angle": "torso angle",
+  "metric.back_flatness_deviation": "back flatness",
+
+  // Getting into view
+  "positioning.welcome": "Please position yourself so your upper body and knees are visible in the camera.",
+  "positioning.too_close": "Please step back. You are too close to the camera.",
+  "positioning.too_far": "Please move closer to the camera.",
+  "positioning.not_visible": "Please adjust your position. Your upper body and knees need to be visible.",
+  "camera.side": "Place the camera at your side. This exercise is scored from a side view.",
+  "camera.front": "Face the camera. This exercise is scored from a front view.",
+  "camera.overhead": "Place the camera above you. This exercise is scored from an overhead view.",
+  "camera.detected": "The camera currently sees a {view} view.",
+  "camera.view_side": "side",
+  "camera.view_front": "front",
+  "camera.view_overhead": "overhead",
+
+  // Session flow (see session/sessionMachine.js)
+  "session.get_ready": "Good! Get ready.",
+  "session.get_ready_set": "Get ready for set {set} of {sets}.",
+  "session.start": "Let's start. Step 1: {step}",
+  "session.start_set": "Set {set}. Step 1: {step}",
+  "session.match_step": "Match {step} to continue",
+  "session.next_step": "Good job! Now {step}",
+  "session.set_rest": "Set {set} done. Rest for {seconds} seconds",
+  "session.seconds": "{seconds}",
+  "session.complete": "Exercise complete. Well done!",
+  "session.restarting": "Restarting. Please ensure your upper body and knees are visible.",
+
+  // Instruction shown for each session status
+  "status.positioning": "Please position yourself so your shoulders, hips, and knees are visible.",
+  "status.not_visible": "⚠ Step Back - Upper body and knees need to be visible",
+  "status.too_close": "⚠ Please step back - You're too close to the camera",
+  "status.too_far": "⚠ Please move closer - You're too far from the camera",
+  "status.confirming": "Hold still... {percent}% confirmed",
+  "status.countdown": "Get ready... {seconds}",
+  "status.countdown_set": "Set {set} - get ready... {seconds}",
+  "status.back_not_flat": "⚠️ Video paused - Lie down flat! Keep your back flat on the ground!",
+  "status.out_of_frame": "⚠ Key body parts not visible - Please adjust your position",
+  "status.rest_set": "Rest - {seconds}s, then set {next}",
+  "status.completed": "🎉 Exercise complete! Well done.",
+  "status.aborted": "Session ended",
+
+  // Status badge and on-screen readouts
+  "badge.positioning": "⚠️ Position Required",
+  "badge.calibrating": "⏱️ Hold Still",
+  "badge.countdown": "⏱️ Starting",
+  "badge.active": "✅ Active",
+  "badge.paused": "⏸ Paused",
+  "badge.rest": "☕ Rest",
+  "badge.completed": "🏁 Completed",
+  "badge.aborted": "⏹ Ended",
+  "metrics.acceptable": "Acceptable: {min} - {max}",
+  "screen.subtitle": "Real-time pose detection and guidance",
+  "screen.reference_video": "▶️ Reference Video",
+  "screen.your_feed": "📷 Your Feed",
+  "screen.model_error": "The pose model could not be loaded. Check that public/mediapipe/ was deployed with the app.",
+  "screen.camera_error": "The camera could not be started. Allow camera access and reload the page.",
+  "screen.distance": "Body distance from camera:",
+  "screen.distance_too_close": "Too Close",
+  "screen.distance_too_far": "Too Far",
+  "screen.distance_good": "Perfect",
+  "screen.distance_unknown": "Detecting...",
+  "screen.step": "Step {step}/{steps}",
+  "screen.side_counts": "L {left} · R {right}",
+  "screen.asymmetry": "{percent}% asymmetry",
+  "screen.reps": "🔁 Reps:",
+  "screen.sets_done": "✓ All sets done",
+  "screen.set": "Set {set}/{sets}",
+  "screen.final_step": "🏆 Final Step - Almost Done!",
+  "screen.live_metrics": "📊 Live Metrics",
+  "screen.form_score": "Form Score",
+  "screen.trends": "📈 Last {seconds} seconds",
+  "screen.progress": "Overall Progress: {percent}%",
+  "screen.workout_set": "🏋️ {workout} · Set {set} of {sets}",
+  "screen.exercise": "Exercise: {exercise}",
+  "screen.personalized": "🎯 Personalized to your calibration",
+  "screen.end_workout": "End workout",
+  "screen.exercises": "Exercises",
+  "screen.restart": "Restart",
+  "screen.self_paced": "Self-paced",
+  "screen.video_paced": "Video-paced",
+  "screen.pacing_hint": "Follow the video, or advance as you complete each step",
+  "screen.pacing_no_video": "Without a reference video every step is self-paced",
+  "screen.voice_on": "Voice On",
+  "screen.voice_off": "Voice Off",
+  "screen.show_trends": "Show trends",
+  "screen.hide_trends": "Hide trends",
+  "screen.show_ghost": "Show ghost",
+  "screen.hide_ghost": "Hide ghost",
+  "screen.export": "Export",
+
+  // Why the reference video is paused
+  "pause.out_of_frame": "Get back into view to continue",
+  "pause.back_not_flat": "Keep your back flat to continue",
+  "pause.step_boundary": "Match this step to continue",
+  "pause.video_paused": "⏸ Video paused - {reason}",
+
+  // Coaching during a step
+  "coach.starting": "Starting: {step}",
+  "coach.continuing": "Continuing: {step}",
+  "coach.next": "Next: {step}",
+  "coach.in_progress": "Exercise in progress...",
+  "coach.doing_well": "Keep going, you're doing well!",
+  "coach.follow_video": "Follow the video. {step}. Your pose doesn't match yet.",
+  "coach.follow_video_hint": "⚠️ Follow the video! {step} - Your pose doesn't match yet.",
+  "coach.matching_video": "✓ Good! You're matching the video: {step}",
+  "coach.escalate_1": "Still not quite. {cue}",
+  "coach.escalate_2": "Let's fix this one. {cue} Slow down and watch the video.",
+  "coach.praise": "That's it, much better! Keep it there.",
+  "hold.seconds_left": "{seconds} seconds left",
+  "hold.remaining": "Hold {seconds}s",
+  "hold.complete": "✓ Hold complete",
+  "hold.keep_holding": "✓ Great form! Keep holding...",
+  "hold.hold_for": {
+    one: "✓ Great form! Hold for {count} more second...",
+    other: "✓ Great form! Hold for {count} more seconds..."
+  },
+  "hold.wait_for_video": {
+    one: "✓ Perfect! Hold for {count} more second...",
+    other: "✓ Perfect! Hold for {count} more seconds..."
+  },
+
+  // Reps and sides (see pose/reps.js and pose/sides.js)
+  "reps.count": "{count}",
+  "reps.set_complete": "Set {set} complete!",
+  "reps.all_complete": "All sets complete. Well done!",
+  "side.left_leg": "left leg",
+  "side.right_leg": "right leg",
+  "side.left_arm": "left arm",
+  "side.right_arm": "right arm",
+  "side.using": "Using your {side}",
+  "side.switch": "Switch to your {side}",
+  "side.switch_now": "Now switch to your {side}",
+  "side.done_switch": "{side} done. Switch to your {other}",
+  "side.set_complete": "{side}: set {set} complete!",
+  "side.count": "{side}: {count}",
+
+  // Workout programs
+  "workout.rest": "Rest for {seconds} seconds. Next: {exercise}",
+  "workout.complete": "Workout complete. Great work!",
+
+  // Calibration (see pose/calibration.js)
+  "calibration.step_back": "Step back until your whole body is visible.",
+  "calibration.get_into_view": "Get into view",
+  "calibration.not_visible": "Step back until your upper body and knees are visible",
+  "calibration.hold_still": "Hold still...",
+  "calibration.neutral": "Hold still in the starting position of your exercise",
+  "calibration.range": "Slowly bend and straighten your knees, hips and arms as far as is comfortable",
+  "calibration.not_recording": "(out of view, not recording)",
+  "calibration.complete": "Calibration complete."
+};
+
+export default en;
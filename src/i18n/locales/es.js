@@ -0,0 +1,190 @@
+// Spanish coaching messages (see en.js for the IDs and placeholders)
+const es = {
+  "feedback.bend_left_knee": "¡Dobla más la rodilla izquierda!",
+  "feedback.straighten_left_knee": "¡Estira la rodilla izquierda!",
+  "feedback.bend_right_knee": "¡Dobla más la rodilla derecha!",
+  "feedback.straighten_right_knee": "¡Estira la rodilla derecha!",
+  "feedback.raise_legs": "¡Sube más las piernas!",
+  "feedback.lower_legs": "¡Baja un poco las piernas!",
+  "feedback.raise_knees": "¡Sube más las rodillas!",
+  "feedback.lower_knees": "¡Baja un poco las rodillas!",
+  "feedback.adjust_left_hip": "¡Ajusta la posición de la cadera izquierda!",
+  "feedback.adjust_right_hip": "¡Ajusta la posición de la cadera derecha!",
+  "feedback.adjust_left_ankle": "¡Ajusta la posición del tobillo izquierdo!",
+  "feedback.adjust_right_ankle": "¡Ajusta la posición del tobillo derecho!",
+  "feedback.adjust_left_arm": "¡Ajusta la posición del brazo izquierdo!",
+  "feedback.adjust_right_arm": "¡Ajusta la posición del brazo derecho!",
+  "feedback.adjust_left_shoulder": "¡Ajusta la posición del hombro izquierdo!",
+  "feedback.adjust_right_shoulder": "¡Ajusta la posición del hombro derecho!",
+  "feedback.adjust_hip_height": "¡Ajusta la altura de la cadera!",
+  "feedback.adjust_shoulder_height": "¡Ajusta la altura de los hombros!",
+  "feedback.align_spine": "¡Mantén la columna alineada!",
+  "feedback.adjust_upper_body": "¡Ajusta la posición de la parte superior del cuerpo!",
+  "feedback.adjust_head": "¡Ajusta la posición de la cabeza!",
+  "feedback.turn_hips": "¡Gira la cadera como en el video!",
+  "feedback.turn_shoulders": "¡Gira los hombros como en el video!",
+  "feedback.adjust_metric": "¡Ajusta: {metric}!",
+  "feedback.back_flat": "⚠️ ¡Túmbate! ¡Mantén la espalda apoyada en el suelo!",
+
+  "metric.ankle_height": "altura de los tobillos",
+  "metric.head_tilt_angle": "inclinación de la cabeza",
+  "metric.hip_height": "altura de la cadera",
+  "metric.hip_width": "anchura de la cadera",
+  "metric.knee_height": "altura de las rodillas",
+  "metric.left_ankle_angle": "ángulo del tobillo izquierdo",
+  "metric.left_elbow_angle": "ángulo del codo izquierdo",
+  "metric.left_hip_angle": "ángulo de la cadera izquierda",
+  "metric.left_knee_angle": "ángulo de la rodilla izquierda",
+  "metric.left_shoulder_angle": "ángulo del hombro izquierdo",
+  "metric.right_ankle_angle": "ángulo del tobillo derecho",
+  "metric.right_elbow_angle": "ángulo del codo derecho",
+  "metric.right_hip_angle": "ángulo de la cadera derecha",
+  "metric.right_knee_angle": "ángulo de la rodilla derecha",
+  "metric.right_shoulder_angle": "ángulo del hombro derecho",
+  "metric.shoulder_height": "altura de los hombros",
+  "metric.shoulder_width": "anchura de los hombros",
+  "metric.spine_angle": "ángulo de la columna",
+  "metric.torso_angle": "ángulo del torso",
+  "metric.back_flatness_deviation": "espalda recta",
+
+  "positioning.welcome": "Colócate de modo que la parte superior del cuerpo y las rodillas se vean en la cámara.",
+  "positioning.too_close": "Da un paso atrás. Estás demasiado cerca de la cámara.",
+  "positioning.too_far": "Acércate a la cámara.",
+  "positioning.not_visible": "Ajusta tu posición. La parte superior del cuerpo y las rodillas deben verse.",
+  "camera.side": "Coloca la cámara a tu lado. Este ejercicio se evalúa de perfil.",
+  "camera.front": "Ponte de frente a la cámara. Este ejercicio se evalúa de frente.",
+  "camera.overhead": "Coloca la cámara encima de ti. Este ejercicio se evalúa desde arriba.",
+  "camera.detected": "Ahora la cámara te ve en vista {view}.",
+  "camera.view_side": "lateral",
+  "camera.view_front": "frontal",
+  "camera.view_overhead": "cenital",
+
+  "session.get_ready": "¡Bien! Prepárate.",
+  "session.get_ready_set": "Prepárate para la serie {set} de {sets}.",
+  "session.start": "Empezamos. Paso 1: {step}",
+  "session.start_set": "Serie {set}. Paso 1: {step}",
+  "session.match_step": "Haz {step} para continuar",
+  "session.next_step": "¡Buen trabajo! Ahora {step}",
+  "session.set_rest": "Serie {set} terminada. Descansa {seconds} segundos",
+  "session.seconds": "{seconds}",
+  "session.complete": "Ejercicio terminado. ¡Muy bien!",
+  "session.restarting": "Reiniciando. Asegúrate de que la parte superior del cuerpo y las rodillas se vean.",
+
+  "status.positioning": "Colócate de modo que se vean los hombros, la cadera y las rodillas.",
+  "status.not_visible": "⚠ Da un paso atrás - Deben verse la parte superior del cuerpo y las rodillas",
+  "status.too_close": "⚠ Da un paso atrás - Estás demasiado cerca de la cámara",
+  "status.too_far": "⚠ Acércate - Estás demasiado lejos de la cámara",
+  "status.confirming": "Quédate quieto... {percent}% confirmado",
+  "status.countdown": "Prepárate... {seconds}",
+  "status.countdown_set": "Serie {set} - prepárate... {seconds}",
+  "status.back_not_flat": "⚠️ Video en pausa - ¡Túmbate! ¡Mantén la espalda apoyada en el suelo!",
+  "status.out_of_frame": "⚠ No se ven partes clave del cuerpo - Ajusta tu posición",
+  "status.rest_set": "Descanso - {seconds}s, luego la serie {next}",
+  "status.completed": "🎉 ¡Ejercicio terminado! Muy bien.",
+  "status.aborted": "Sesión terminada",
+
+  "badge.positioning": "⚠️ Colócate",
+  "badge.calibrating": "⏱️ Quieto",
+  "badge.countdown": "⏱️ Empezando",
+  "badge.active": "✅ Activo",
+  "badge.paused": "⏸ En pausa",
+  "badge.rest": "☕ Descanso",
+  "badge.completed": "🏁 Terminado",
+  "badge.aborted": "⏹ Finalizado",
+  "metrics.acceptable": "Aceptable: {min} - {max}",
+  "screen.subtitle": "Detección y guía de la postura en tiempo real",
+  "screen.reference_video": "▶️ Video de referencia",
+  "screen.your_feed": "📷 Tu cámara",
+  "screen.model_error": "No se pudo cargar el modelo de postura. Comprueba que public/mediapipe/ se haya desplegado con la aplicación.",
+  "screen.camera_error": "No se pudo iniciar la cámara. Permite el acceso a la cámara y recarga la página.",
+  "screen.distance": "Distancia del cuerpo a la cámara:",
+  "screen.distance_too_close": "Demasiado cerca",
+  "screen.distance_too_far": "Demasiado lejos",
+  "screen.distance_good": "Perfecta",
+  "screen.distance_unknown": "Detectando...",
+  "screen.step": "Paso {step}/{steps}",
+  "screen.side_counts": "I {left} · D {right}",
+  "screen.asymmetry": "{percent}% de asimetría",
+  "screen.reps": "🔁 Repeticiones:",
+  "screen.sets_done": "✓ Todas las series hechas",
+  "screen.set": "Serie {set}/{sets}",
+  "screen.final_step": "🏆 Último paso - ¡Ya casi está!",
+  "screen.live_metrics": "📊 Métricas en directo",
+  "screen.form_score": "Puntuación de postura",
+  "screen.trends": "📈 Últimos {seconds} segundos",
+  "screen.progress": "Progreso total: {percent}%",
+  "screen.workout_set": "🏋️ {workout} · Serie {set} de {sets}",
+  "screen.exercise": "Ejercicio: {exercise}",
+  "screen.personalized": "🎯 Ajustado a tu calibración",
+  "screen.end_workout": "Terminar entrenamiento",
+  "screen.exercises": "Ejercicios",
+  "screen.restart": "Reiniciar",
+  "screen.self_paced": "A tu ritmo",
+  "screen.video_paced": "Al ritmo del video",
+  "screen.pacing_hint": "Sigue el video o avanza al completar cada paso",
+  "screen.pacing_no_video": "Sin video de referencia, cada paso va a tu ritmo",
+  "screen.voice_on": "Voz activada",
+  "screen.voice_off": "Voz desactivada",
+  "screen.show_trends": "Mostrar tendencias",
+  "screen.hide_trends": "Ocultar tendencias",
+  "screen.show_ghost": "Mostrar guía",
+  "screen.hide_ghost": "Ocultar guía",
+  "screen.export": "Exportar",
+
+  "pause.out_of_frame": "Vuelve a ponerte a la vista para continuar",
+  "pause.back_not_flat": "Mantén la espalda apoyada para continuar",
+  "pause.step_boundary": "Haz este paso para continuar",
+  "pause.video_paused": "⏸ Video en pausa - {reason}",
+
+  "coach.starting": "Empezando: {step}",
+  "coach.continuing": "Continuando: {step}",
+  "coach.next": "Siguiente: {step}",
+  "coach.in_progress": "Ejercicio en curso...",
+  "coach.doing_well": "¡Sigue así, lo estás haciendo bien!",
+  "coach.follow_video": "Sigue el video. {step}. Tu postura aún no coincide.",
+  "coach.follow_video_hint": "⚠️ ¡Sigue el video! {step} - Tu postura aún no coincide.",
+  "coach.matching_video": "✓ ¡Bien! Coincides con el video: {step}",
+  "coach.escalate_1": "Todavía no. {cue}",
+  "coach.escalate_2": "Vamos a corregirlo. {cue} Ve más despacio y mira el video.",
+  "coach.praise": "¡Eso es, mucho mejor! Mantenlo así.",
+  "hold.seconds_left": "Quedan {seconds} segundos",
+  "hold.remaining": "Mantén {seconds}s",
+  "hold.complete": "✓ Posición mantenida",
+  "hold.keep_holding": "✓ ¡Muy buena postura! Sigue manteniendo...",
+  "hold.hold_for": {
+    one: "✓ ¡Muy buena postura! Mantén {count} segundo más...",
+    other: "✓ ¡Muy buena postura! Mantén {count} segundos más..."
+  },
+  "hold.wait_for_video": {
+    one: "✓ ¡Perfecto! Mantén {count} segundo más...",
+    other: "✓ ¡Perfecto! Mantén {count} segundos más..."
+  },
+
+  "reps.count": "{count}",
+  "reps.set_complete": "¡Serie {set} completada!",
+  "reps.all_complete": "Todas las series completadas. ¡Muy bien!",
+  "side.left_leg": "pierna izquierda",
+  "side.right_leg": "pierna derecha",
+  "side.left_arm": "brazo izquierdo",
+  "side.right_arm": "brazo derecho",
+  "side.using": "Usando tu {side}",
+  "side.switch": "Cambia a tu {side}",
+  "side.switch_now": "Ahora cambia a tu {side}",
+  "side.done_switch": "{side}: hecho. Cambia a tu {other}",
+  "side.set_complete": "{side}: ¡serie {set} completada!",
+  "side.count": "{side}: {count}",
+
+  "workout.rest": "Descansa {seconds} segundos. Siguiente: {exercise}",
+  "workout.complete": "Entrenamiento terminado. ¡Excelente trabajo!",
+
+  "calibration.step_back": "Da un paso atrás hasta que se vea todo tu cuerpo.",
+  "calibration.get_into_view": "Colócate a la vista",
+  "calibration.not_visible": "Da un paso atrás hasta que se vean la parte superior del cuerpo y las rodillas",
+  "calibration.hold_still": "Quédate quieto...",
+  "calibration.neutral": "Quédate quieto en la posición inicial de tu ejercicio",
+  "calibration.range": "Dobla y estira despacio las rodillas, la cadera y los brazos hasta donde te resulte cómodo",
+  "calibration.not_recording": "(fuera de la vista, sin grabar)",
+  "calibration.complete": "Calibración completa."
+};
+
+export default es;
@@ -0,0 +1,184 @@
+// Hindi coaching messages (see en.js for the IDs and placeholders)
+const hi = {
+  "feedback.bend_left_knee": "बायाँ घुटना और मोड़ें!",
+  "feedback.straighten_left_knee": "बायाँ घुटना सीधा करें!",
+  "feedback.bend_right_knee": "दायाँ घुटना और मोड़ें!",
+  "feedback.straighten_right_knee": "दायाँ घुटना सीधा करें!",
+  "feedback.raise_legs": "पैर और ऊपर उठाएँ!",
+  "feedback.lower_legs": "पैर थोड़ा नीचे करें!",
+  "feedback.raise_knees": "घुटने और ऊपर उठाएँ!",
+  "feedback.lower_knees": "घुटने थोड़ा नीचे करें!",
+  "feedback.adjust_left_hip": "बाएँ कूल्हे की स्थिति ठीक करें!",
+  "feedback.adjust_right_hip": "दाएँ कूल्हे की स्थिति ठीक करें!",
+  "feedback.adjust_left_ankle": "बाएँ टखने की स्थिति ठीक करें!",
+  "feedback.adjust_right_ankle": "दाएँ टखने की स्थिति ठीक करें!",
+  "feedback.adjust_left_arm": "बाएँ हाथ की स्थिति ठीक करें!",
+  "feedback.adjust_right_arm": "दाएँ हाथ की स्थिति ठीक करें!",
+  "feedback.adjust_left_shoulder": "बाएँ कंधे की स्थिति ठीक करें!",
+  "feedback.adjust_right_shoulder": "दाएँ कंधे की स्थिति ठीक करें!",
+  "feedback.adjust_hip_height": "कूल्हों की ऊँचाई ठीक करें!",
+  "feedback.adjust_shoulder_height": "कंधों की ऊँचाई ठीक करें!",
+  "feedback.align_spine": "रीढ़ सीधी रखें!",
+  "feedback.adjust_upper_body": "शरीर के ऊपरी हिस्से की स्थिति ठीक करें!",
+  "feedback.adjust_head": "सिर की स्थिति ठीक करें!",
+  "feedback.turn_hips": "वीडियो की तरह कूल्हे घुमाएँ!",
+  "feedback.turn_shoulders": "वीडियो की तरह कंधे घुमाएँ!",
+  "feedback.adjust_metric": "{metric} ठीक करें!",
+  "feedback.back_flat": "⚠️ सीधे लेट जाएँ! पीठ ज़मीन पर सपाट रखें!",
+
+  "metric.ankle_height": "टखनों की ऊँचाई",
+  "metric.head_tilt_angle": "सिर का झुकाव",
+  "metric.hip_height": "कूल्हों की ऊँचाई",
+  "metric.hip_width": "कूल्हों की चौड़ाई",
+  "metric.knee_height": "घुटनों की ऊँचाई",
+  "metric.left_ankle_angle": "बाएँ टखने का कोण",
+  "metric.left_elbow_angle": "बाईं कोहनी का कोण",
+  "metric.left_hip_angle": "बाएँ कूल्हे का कोण",
+  "metric.left_knee_angle": "बाएँ घुटने का कोण",
+  "metric.left_shoulder_angle": "बाएँ कंधे का कोण",
+  "metric.right_ankle_angle": "दाएँ टखने का कोण",
+  "metric.right_elbow_angle": "दाईं कोहनी का कोण",
+  "metric.right_hip_angle": "दाएँ कूल्हे का कोण",
+  "metric.right_knee_angle": "दाएँ घुटने का कोण",
+  "metric.right_shoulder_angle": "दाएँ कंधे का कोण",
+  "metric.shoulder_height": "कंधों की ऊँचाई",
+  "metric.shoulder_width": "कंधों की चौड़ाई",
+  "metric.spine_angle": "रीढ़ का कोण",
+  "metric.torso_angle": "धड़ का कोण",
+  "metric.back_flatness_deviation": "पीठ का सपाटपन",
+
+  "positioning.welcome": "ऐसे खड़े हों कि कैमरे में आपके शरीर का ऊपरी हिस्सा और घुटने दिखें।",
+  "positioning.too_close": "कृपया पीछे हटें। आप कैमरे के बहुत पास हैं।",
+  "positioning.too_far": "कृपया कैमरे के पास आएँ।",
+  "positioning.not_visible": "कृपया अपनी स्थिति ठीक करें। शरीर का ऊपरी हिस्सा और घुटने दिखने चाहिए।",
+  "camera.side": "कैमरा अपनी बगल में रखें। इस व्यायाम को बगल से जाँचा जाता है।",
+  "camera.front": "कैमरे की ओर मुँह करें। इस व्यायाम को सामने से जाँचा जाता है।",
+  "camera.overhead": "कैमरा अपने ऊपर रखें। इस व्यायाम को ऊपर से जाँचा जाता है।",
+  "camera.detected": "कैमरे को अभी {view} दृश्य दिख रहा है।",
+  "camera.view_side": "साइड का",
+  "camera.view_front": "सामने का",
+  "camera.view_overhead": "ऊपर का",
+
+  "session.get_ready": "बढ़िया! तैयार हो जाइए।",
+  "session.get_ready_set": "सेट {set} / {sets} के लिए तैयार हो जाइए।",
+  "session.start": "चलिए शुरू करें। चरण 1: {step}",
+  "session.start_set": "सेट {set}। चरण 1: {step}",
+  "session.match_step": "आगे बढ़ने के लिए {step} करें",
+  "session.next_step": "शाबाश! अब {step}",
+  "session.set_rest": "सेट {set} पूरा। {seconds} सेकंड आराम करें",
+  "session.seconds": "{seconds}",
+  "session.complete": "व्यायाम पूरा। बहुत बढ़िया!",
+  "session.restarting": "फिर से शुरू कर रहे हैं। ध्यान रखें कि शरीर का ऊपरी हिस्सा और घुटने दिखें।",
+
+  "status.positioning": "ऐसे खड़े हों कि आपके कंधे, कूल्हे और घुटने दिखें।",
+  "status.not_visible": "⚠ पीछे हटें - शरीर का ऊपरी हिस्सा और घुटने दिखने चाहिए",
+  "status.too_close": "⚠ कृपया पीछे हटें - आप कैमरे के बहुत पास हैं",
+  "status.too_far": "⚠ कृपया पास आएँ - आप कैमरे से बहुत दूर हैं",
+  "status.confirming": "स्थिर रहें... {percent}% पुष्टि",
+  "status.countdown": "तैयार हो जाइए... {seconds}",
+  "status.countdown_set": "सेट {set} - तैयार हो जाइए... {seconds}",
+  "status.back_not_flat": "⚠️ वीडियो रुका है - सीधे लेट जाएँ! पीठ ज़मीन पर सपाट रखें!",
+  "status.out_of_frame": "⚠ शरीर के ज़रूरी हिस्से नहीं दिख रहे - कृपया अपनी स्थिति ठीक करें",
+  "status.rest_set": "आराम - {seconds} सेकंड, फिर सेट {next}",
+  "status.completed": "🎉 व्यायाम पूरा! बहुत बढ़िया।",
+  "status.aborted": "सत्र समाप्त",
+
+  "badge.positioning": "⚠️ स्थिति ठीक करें",
+  "badge.calibrating": "⏱️ स्थिर रहें",
+  "badge.countdown": "⏱️ शुरू हो रहा है",
+  "badge.active": "✅ सक्रिय",
+  "badge.paused": "⏸ रुका हुआ",
+  "badge.rest": "☕ आराम",
+  "badge.completed": "🏁 पूरा",
+  "badge.aborted": "⏹ समाप्त",
+  "metrics.acceptable": "स्वीकार्य: {min} - {max}",
+  "screen.subtitle": "रीयल-टाइम मुद्रा पहचान और मार्गदर्शन",
+  "screen.reference_video": "▶️ संदर्भ वीडियो",
+  "screen.your_feed": "📷 आपका कैमरा",
+  "screen.model_error": "मुद्रा मॉडल लोड नहीं हो सका। जाँचें कि public/mediapipe/ ऐप के साथ डिप्लॉय किया गया है।",
+  "screen.camera_error": "कैमरा शुरू नहीं हो सका। कैमरा की अनुमति दें और पेज फिर से लोड करें।",
+  "screen.distance": "कैमरे से शरीर की दूरी:",
+  "screen.distance_too_close": "बहुत पास",
+  "screen.distance_too_far": "बहुत दूर",
+  "screen.distance_good": "बिल्कुल सही",
+  "screen.distance_unknown": "पहचान रहे हैं...",
+  "screen.step": "चरण {step}/{steps}",
+  "screen.side_counts": "बा {left} · दा {right}",
+  "screen.asymmetry": "{percent}% असमानता",
+  "screen.reps": "🔁 दोहराव:",
+  "screen.sets_done": "✓ सभी सेट पूरे",
+  "screen.set": "सेट {set}/{sets}",
+  "screen.final_step": "🏆 आख़िरी चरण - बस थोड़ा और!",
+  "screen.live_metrics": "📊 लाइव माप",
+  "screen.form_score": "मुद्रा स्कोर",
+  "screen.trends": "📈 पिछले {seconds} सेकंड",
+  "screen.progress": "कुल प्रगति: {percent}%",
+  "screen.workout_set": "🏋️ {workout} · सेट {set} / {sets}",
+  "screen.exercise": "व्यायाम: {exercise}",
+  "screen.personalized": "🎯 आपके कैलिब्रेशन के अनुसार",
+  "screen.end_workout": "वर्कआउट समाप्त करें",
+  "screen.exercises": "व्यायाम",
+  "screen.restart": "फिर से शुरू करें",
+  "screen.self_paced": "अपनी गति से",
+  "screen.video_paced": "वीडियो की गति से",
+  "screen.pacing_hint": "वीडियो के साथ चलें, या हर चरण पूरा करके आगे बढ़ें",
+  "screen.pacing_no_video": "संदर्भ वीडियो के बिना हर चरण आपकी गति से चलता है",
+  "screen.voice_on": "आवाज़ चालू",
+  "screen.voice_off": "आवाज़ बंद",
+  "screen.show_trends": "रुझान दिखाएँ",
+  "screen.hide_trends": "रुझान छिपाएँ",
+  "screen.show_ghost": "छाया दिखाएँ",
+  "screen.hide_ghost": "छाया छिपाएँ",
+  "screen.export": "निर्यात करें",
+
+  "pause.out_of_frame": "आगे बढ़ने के लिए कैमरे के सामने वापस आएँ",
+  "pause.back_not_flat": "आगे बढ़ने के लिए पीठ सपाट रखें",
+  "pause.step_boundary": "आगे बढ़ने के लिए यह चरण करें",
+  "pause.video_paused": "⏸ वीडियो रुका है - {reason}",
+
+  "coach.starting": "शुरू: {step}",
+  "coach.continuing": "जारी: {step}",
+  "coach.next": "अगला: {step}",
+  "coach.in_progress": "व्यायाम चल रहा है...",
+  "coach.doing_well": "ऐसे ही करते रहें, आप अच्छा कर रहे हैं!",
+  "coach.follow_video": "वीडियो के साथ करें। {step}। आपकी मुद्रा अभी मेल नहीं खाती।",
+  "coach.follow_video_hint": "⚠️ वीडियो के साथ करें! {step} - आपकी मुद्रा अभी मेल नहीं खाती।",
+  "coach.matching_video": "✓ बढ़िया! आपकी मुद्रा वीडियो से मेल खाती है: {step}",
+  "coach.escalate_1": "अभी भी पूरी तरह नहीं। {cue}",
+  "coach.escalate_2": "चलिए इसे ठीक करें। {cue} धीरे करें और वीडियो देखें।",
+  "coach.praise": "बिल्कुल सही, अब बेहतर है! ऐसे ही बनाए रखें।",
+  "hold.seconds_left": "{seconds} सेकंड बाकी",
+  "hold.remaining": "{seconds} सेकंड रुकें",
+  "hold.complete": "✓ होल्ड पूरा",
+  "hold.keep_holding": "✓ बढ़िया मुद्रा! ऐसे ही रुके रहें...",
+  "hold.hold_for": "✓ बढ़िया मुद्रा! {count} सेकंड और रुकें...",
+  "hold.wait_for_video": "✓ बिल्कुल सही! {count} सेकंड और रुकें...",
+
+  "reps.count": "{count}",
+  "reps.set_complete": "सेट {set} पूरा!",
+  "reps.all_complete": "सभी सेट पूरे। बहुत बढ़िया!",
+  "side.left_leg": "बायाँ पैर",
+  "side.right_leg": "दायाँ पैर",
+  "side.left_arm": "बायाँ हाथ",
+  "side.right_arm": "दायाँ हाथ",
+  "side.using": "आप अपना {side} इस्तेमाल कर रहे हैं",
+  "side.switch": "अब {side} से करें",
+  "side.switch_now": "अब {side} से करें",
+  "side.done_switch": "{side} पूरा। अब {other} से करें",
+  "side.set_complete": "{side}: सेट {set} पूरा!",
+  "side.count": "{side}: {count}",
+
+  "workout.rest": "{seconds} सेकंड आराम करें। अगला: {exercise}",
+  "workout.complete": "वर्कआउट पूरा। शानदार काम!",
+
+  "calibration.step_back": "तब तक पीछे हटें जब तक आपका पूरा शरीर न दिखे।",
+  "calibration.get_into_view": "कैमरे के सामने आएँ",
+  "calibration.not_visible": "तब तक पीछे हटें जब तक शरीर का ऊपरी हिस्सा और घुटने न दिखें",
+  "calibration.hold_still": "स्थिर रहें...",
+  "calibration.neutral": "अपने व्यायाम की शुरुआती स्थिति में स्थिर रहें",
+  "calibration.range": "धीरे-धीरे अपने घुटने, कूल्हे और बाँहें जितना आराम से हो सके मोड़ें और सीधी करें",
+  "calibration.not_recording": "(कैमरे से बाहर, रिकॉर्ड नहीं हो रहा)",
+  "calibration.complete": "कैलिब्रेशन पूरा हुआ।"
+};
+
+export default hi;
@@ -0,0 +1,31 @@
+// Localized rules
+// A rules file can carry `translations` per locale: at the top level an
+// exercise_name and cues for every step, on each step a step_name and cues
+// for that step only. Resolving them once, when the exercise is loaded, lets
+// the session, the voice and the session log keep reading exercise_name and
+// step_name, while the cue overrides travel with each step as `cues`.
+
+/**
+ * Rules with the names and cues of one locale. Anything the file doesn't
+ * translate keeps its original text.
+ *
+ * @param {{exercise_name: string, steps: Array, translations?: Object}} rules - Parsed rules file
+ * @param {string} locale - One of LOCALE_CODES
+ * @returns {Object} A copy of rules; a step with cue overrides gets `cues` (cue ID -> template)
+ */
+export const localizeRules = (rules, locale) => {
+  const exercise = (rules.translations && rules.translations[locale]) || {};
+  return {
+    ...rules,
+    exercise_name: exercise.exercise_name || rules.exercise_name,
+    steps: rules.steps.map(step => {
+      const own = (step.translations && step.translations[locale]) || {};
+      const cues = { ...exercise.cues, ...own.cues };
+      return {
+        ...step,
+        step_name: own.step_name || step.step_name,
+        ...(Object.keys(cues).length > 0 ? { cues } : {})
+      };
+    })
+  };
+};
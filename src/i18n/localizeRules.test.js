@@ -0,0 +1,40 @@
+import { localizeRules } from "./localizeRules";
+
+const rules = {
+  exercise_name: "Leg lift",
+  translations: {
+    es: { exercise_name: "Elevación de pierna", cues: { "feedback.back_flat": "¡Espalda al suelo!" } }
+  },
+  steps: [
+    { step_number: 1, step_name: "start_position", criteria: {} },
+    {
+      step_number: 2,
+      step_name: "lift your leg up",
+      criteria: {},
+      translations: {
+        es: { step_name: "levanta la pierna", cues: { "feedback.raise_legs": "¡Sube más la pierna!" } },
+        hi: { step_name: "पैर ऊपर उठाएँ" }
+      }
+    }
+  ]
+};
+
+describe("localizeRules", () => {
+  test("uses the locale's names and merges exercise and step cues", () => {
+    const localized = localizeRules(rules, "es");
+    expect(localized.exercise_name).toBe("Elevación de pierna");
+    expect(localized.steps[0]).toMatchObject({ step_name: "start_position", cues: { "feedback.back_flat": "¡Espalda al suelo!" } });
+    expect(localized.steps[1]).toMatchObject({
+      step_name: "levanta la pierna",
+      cues: { "feedback.back_flat": "¡Espalda al suelo!", "feedback.raise_legs": "¡Sube más la pierna!" }
+    });
+  });
+
+  test("keeps the original texts where nothing is translated", () => {
+    const localized = localizeRules(rules, "hi");
+    expect(localized.exercise_name).toBe("Leg lift");
+    expect(localized.steps.map(step => step.step_name)).toEqual(["start_position", "पैर ऊपर उठाएँ"]);
+    expect(localized.steps[1].cues).toBeUndefined();
+    expect(rules.steps[1].step_name).toBe("lift your leg up");
+  });
+});
@@ -0,0 +1,78 @@
+// Coaching messages
+// Every cue the app shows or speaks during a session, keyed by cue ID, with
+// one catalog per locale in locales/. Messages are templates: {name}
+// placeholders are filled in from params, and a message with one/other forms
+// is picked by params.count with the locale's plural rules. Rules files can
+// override cues per locale (see localizeRules.js). Modules import each other
+// with explicit .js extensions so they also load as plain ES modules in Node.
+import en from "./locales/en.js";
+import es from "./locales/es.js";
+import hi from "./locales/hi.js";
+
+export const DEFAULT_LOCALE = "en";
+
+// Per locale: its name in its own language, the BCP 47 tag for speech
+// synthesis and plural rules, the speaking rate and the messages
+export const LOCALES = {
+  en: { label: "English", lang: "en-US", rate: 0.9, messages: en },
+  es: { label: "Español", lang: "es-ES", rate: 0.9, messages: es },
+  hi: { label: "हिन्दी", lang: "hi-IN", rate: 0.85, messages: hi }
+};
+
+export const LOCALE_CODES = Object.keys(LOCALES);
+
+// Every cue ID, from the reference (English) catalog
+export const MESSAGE_IDS = Object.keys(en);
+
+/**
+ * The supported locale for a language tag, e.g. "es-MX" -> "es".
+ *
+ * @param {string} [tag] - BCP 47 tag, such as navigator.language
+ * @returns {string} One of LOCALE_CODES; DEFAULT_LOCALE for unsupported or missing tags
+ */
+export const resolveLocale = (tag) => {
+  if (typeof tag !== "string") return DEFAULT_LOCALE;
+  const language = tag.toLowerCase().split(/[-_]/)[0];
+  return language in LOCALES ? language : DEFAULT_LOCALE;
+};
+
+/**
+ * Fill the {name} placeholders of a template. Placeholders without a param
+ * are left as they are.
+ *
+ * @param {string} template
+ * @param {Object} [params]
+ * @returns {string}
+ */
+export const formatMessage = (template, params = {}) => (
+  template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder))
+);
+
+const pluralRules = {};
+const pluralForm = (locale, count) => {
+  if (!pluralRules[locale]) pluralRules[locale] = new Intl.PluralRules(LOCALES[locale].lang);
+  return pluralRules[locale].select(count);
+};
+
+/**
+ * A message in a locale. Missing translations fall back to English, unknown
+ * IDs to the ID itself.
+ *
+ * @param {string} locale - One of LOCALE_CODES (others use DEFAULT_LOCALE)
+ * @param {string} id - Cue ID, e.g. "session.next_step"
+ * @param {Object} [params] - Placeholder values; count also picks the plural form. A value given
+ *   as { id, params } is itself translated, e.g. { metric: { id: "metric.hip_height" } }
+ * @param {Object<string, string>} [overrides] - Cue ID -> template, e.g. a localized step's cues
+ * @returns {string}
+ */
+export const translate = (locale, id, params = {}, overrides) => {
+  const code = locale in LOCALES ? locale : DEFAULT_LOCALE;
+  const message = (overrides && overrides[id]) ?? LOCALES[code].messages[id] ?? en[id];
+  if (message === undefined) return id;
+  const template = typeof message === "string" ? message : message[pluralForm(code, params.count)] ?? message.other;
+  const values = Object.fromEntries(Object.entries(params).map(([name, value]) => [
+    name,
+    value && typeof value === "object" && "id" in value ? translate(code, value.id, value.params, overrides) : value
+  ]));
+  return formatMessage(template, values);
+};
@@ -0,0 +1,55 @@
+import { DEFAULT_LOCALE, LOCALES, MESSAGE_IDS, formatMessage, resolveLocale, translate } from "./messages";
+
+const placeholders = (message) => {
+  const templates = typeof message === "string" ? [message] : Object.values(message);
+  return [...new Set(templates.flatMap(template => template.match(/\{\w+\}/g) || []))].sort();
+};
+
+describe("translate", () => {
+  test("fills in placeholders", () => {
+    expect(translate("en", "session.next_step", { step: "lift your leg up" })).toBe("Good job! Now lift your leg up");
+    expect(translate("es", "session.get_ready_set", { set: 2, sets: 3 })).toBe("Prepárate para la serie 2 de 3.");
+  });
+
+  test("translates params given as cues", () => {
+    expect(translate("hi", "feedback.adjust_metric", { metric: { id: "metric.hip_height" } })).toBe("कूल्हों की ऊँचाई ठीक करें!");
+  });
+
+  test("picks the plural form by count", () => {
+    expect(translate("en", "hold.hold_for", { count: 1 })).toBe("✓ Great form! Hold for 1 more second...");
+    expect(translate("en", "hold.hold_for", { count: 4 })).toBe("✓ Great form! Hold for 4 more seconds...");
+    expect(translate("es", "hold.hold_for", { count: 1 })).toBe("✓ ¡Muy buena postura! Mantén 1 segundo más...");
+  });
+
+  test("prefers overrides, then the locale, then English, then the ID", () => {
+    expect(translate("es", "feedback.raise_legs", {}, { "feedback.raise_legs": "¡Sube más la pierna!" }))
+      .toBe("¡Sube más la pierna!");
+    expect(translate("fr", "session.complete")).toBe(translate(DEFAULT_LOCALE, "session.complete"));
+    expect(translate("hi", "no.such_cue")).toBe("no.such_cue");
+  });
+});
+
+describe("formatMessage", () => {
+  test("leaves placeholders without a param as they are", () => {
+    expect(formatMessage("{side}: {count}", { count: 3 })).toBe("{side}: 3");
+  });
+});
+
+describe("resolveLocale", () => {
+  test("maps language tags to supported locales", () => {
+    expect(resolveLocale("es-MX")).toBe("es");
+    expect(resolveLocale("hi_IN")).toBe("hi");
+    expect(resolveLocale("fr-FR")).toBe(DEFAULT_LOCALE);
+    expect(resolveLocale(undefined)).toBe(DEFAULT_LOCALE);
+  });
+});
+
+describe("LOCALES", () => {
+  test.each(Object.keys(LOCALES))("%s translates every cue with the same placeholders", (locale) => {
+    const { messages } = LOCALES[locale];
+    expect(Object.keys(messages).sort()).toEqual([...MESSAGE_IDS].sort());
+    MESSAGE_IDS.forEach(id => {
+      expect([id, placeholders(messages[id])]).toEqual([id, placeholders(LOCALES.en.messages[id])]);
+    });
+  });
+});
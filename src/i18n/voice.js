@@ -0,0 +1,87 @@
+// Speech voice
+// The speech-synthesis voice, language and rate of a locale.
+import { DEFAULT_LOCALE, LOCALES } from "./messages.js";
+
+// Names preferred among several voices for the same language
+const PREFERRED_VOICES = ["female", "zira", "samantha"];
+
+const normalizeTag = (tag) => (tag || "").replace(/_/g, "-").toLowerCase();
+
+/**
+ * The voice to speak a locale with: one for its exact language tag if there
+ * is one, else any voice of the same language, preferring PREFERRED_VOICES.
+ *
+ * @param {Array<{name: string, lang: string}>} voices - speechSynthesis.getVoices()
+ * @param {string} locale - One of LOCALE_CODES
+ * @returns {Object|null} null when no voice speaks the language (the browser's default is used)
+ */
+export const pickVoice = (voices, locale) => {
+  const { lang } = LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+  const tag = lang.toLowerCase();
+  const language = tag.split("-")[0];
+  const exact = voices.filter(voice => normalizeTag(voice.lang) === tag);
+  const candidates = exact.length > 0 ? exact : voices.filter(voice => normalizeTag(voice.lang).split("-")[0] === language);
+  if (candidates.length === 0) return null;
+  return candidates.find(voice => PREFERRED_VOICES.some(name => voice.name.toLowerCase().includes(name))) || candidates[0];
+};
+
+/**
+ * An utterance in the locale's language, rate and voice.
+ *
+ * @param {string} text
+ * @param {string} locale - One of LOCALE_CODES
+ * @param {{rate?: number, volume?: number}} [options] - rate scales the locale's rate; volume is 0-1
+ *   (the voice_rate and voice_volume settings, see pose/settings.js)
+ * @returns {SpeechSynthesisUtterance}
+ */
+export const createUtterance = (text, locale, { rate = 1, volume = 1 } = {}) => {
+  const settings = LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = settings.lang;
+  utterance.rate = settings.rate * rate;
+  utterance.volume = volume;
+  const voice = pickVoice(window.speechSynthesis.getVoices(), locale);
+  if (voice) utterance.voice = voice;
+  return utterance;
+};
+
+// Some browsers never report the end of an utterance: give up waiting after
+// this base time plus a per-character allowance
+const SPEECH_TIMEOUT_MS = 2000;
+const SPEECH_MS_PER_CHAR = 120;
+
+/**
+ * Say a text in the locale's voice, after whatever is being said already
+ * (nothing is cancelled). A coach's speak function (see
+ * session/coachingQueue.js) is usually built on this.
+ *
+ * @param {string} text
+ * @param {string} locale - One of LOCALE_CODES
+ * @param {{rate?: number, volume?: number}} [options] - As for createUtterance
+ * @returns {Promise<void>} Resolves once the text has been said, failed, or timed out; at once
+ *   without speech synthesis
+ */
+export const speakText = (text, locale, options) => new Promise(resolve => {
+  if (typeof window === "undefined" || !window.speechSynthesis) {
+    resolve();
+    return;
+  }
+  const synthesis = window.speechSynthesis;
+  let finished = false;
+  const done = () => {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timer);
+    resolve();
+  };
+  const timer = setTimeout(done, SPEECH_TIMEOUT_MS + text.length * SPEECH_MS_PER_CHAR);
+
+  const start = () => {
+    const utterance = createUtterance(text, locale, options);
+    utterance.onend = done;
+    utterance.onerror = done;
+    synthesis.speak(utterance);
+  };
+  if (synthesis.getVoices().length === 0) synthesis.addEventListener("voiceschanged", start, { once: true });
+  else start();
+});
@@ -0,0 +1,54 @@
+import { pickVoice, speakText } from "./voice";
+
+const voices = [
+  { name: "Google US English", lang: "en-US" },
+  { name: "Microsoft Zira - English (United States)", lang: "en-US" },
+  { name: "Paulina", lang: "es-MX" },
+  { name: "Monica", lang: "es-ES" },
+  { name: "Lekha", lang: "hi_IN" }
+];
+
+describe("pickVoice", () => {
+  test("prefers the locale's exact language tag and the preferred names", () => {
+    expect(pickVoice(voices, "en").name).toMatch(/Zira/);
+    expect(pickVoice(voices, "es").name).toBe("Monica");
+    expect(pickVoice(voices, "hi").name).toBe("Lekha");
+  });
+
+  test("falls back to another voice of the same language, or none", () => {
+    expect(pickVoice(voices.filter(voice => voice.name !== "Monica"), "es").name).toBe("Paulina");
+    expect(pickVoice(voices.slice(0, 2), "hi")).toBeNull();
+  });
+});
+
+describe("speakText", () => {
+  afterEach(() => {
+    delete window.speechSynthesis;
+    delete global.SpeechSynthesisUtterance;
+  });
+
+  test("resolves at once without speech synthesis", async () => {
+    await expect(speakText("Hello", "en")).resolves.toBeUndefined();
+  });
+
+  test("queues the utterance without cancelling and resolves once it has been said", async () => {
+    global.SpeechSynthesisUtterance = function SpeechSynthesisUtterance(text) {
+      this.text = text;
+    };
+    const spoken = [];
+    window.speechSynthesis = {
+      getVoices: () => voices,
+      cancel: jest.fn(),
+      speak: (utterance) => {
+        spoken.push(utterance);
+        setTimeout(() => utterance.onend(), 0);
+      }
+    };
+
+    await speakText("Hola", "es", { rate: 0.5, volume: 0.8 });
+    expect(spoken).toHaveLength(1);
+    expect(spoken[0]).toMatchObject({ text: "Hola", lang: "es-ES", rate: 0.45, volume: 0.8 });
+    expect(spoken[0].voice.name).toBe("Monica");
+    expect(window.speechSynthesis.cancel).not.toHaveBeenCalled();
+  });
+});
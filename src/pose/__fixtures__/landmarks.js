@@ -0,0 +1,56 @@
+// Synthetic landmark fixtures for the pose library tests
+// Side view, normalized image coordinates (y grows downwards).
+import { LANDMARKS } from "../landmarks.js";
+
+// 33 landmarks at the center of the frame, overridden by name
+// e.g. makeLandmarks({ L_KNEE: { x: 0.6, y: 0.5 } })
+export const makeLandmarks = (points = {}) => {
+  const landmarks = Array.from({ length: 33 }, () => ({ x: 0.5, y: 0.5, z: 0, visibility: 0.99 }));
+  Object.entries(points).forEach(([name, point]) => {
+    landmarks[LANDMARKS[name]] = { ...landmarks[LANDMARKS[name]], ...point };
+  });
+  return landmarks;
+};
+
+// Lying on the back with both knees bent (the "lay on your back" step)
+// hip angle ≈ 116.57°, knee angle ≈ 53.13°, back flatness 0
+export const lyingKneesBent = (overrides = {}) => makeLandmarks({
+  NOSE: { x: 0.12, y: 0.66 },
+  L_EAR: { x: 0.15, y: 0.68 },
+  R_EAR: { x: 0.17, y: 0.68 },
+  L_SHOULDER: { x: 0.25, y: 0.7 },
+  R_SHOULDER: { x: 0.27, y: 0.7 },
+  L_ELBOW: { x: 0.35, y: 0.72 },
+  R_ELBOW: { x: 0.37, y: 0.72 },
+  L_WRIST: { x: 0.45, y: 0.72 },
+  R_WRIST: { x: 0.47, y: 0.72 },
+  L_HIP: { x: 0.5, y: 0.7 },
+  R_HIP: { x: 0.52, y: 0.7 },
+  L_KNEE: { x: 0.6, y: 0.5 },
+  R_KNEE: { x: 0.62, y: 0.5 },
+  L_ANKLE: { x: 0.7, y: 0.7 },
+  R_ANKLE: { x: 0.72, y: 0.7 },
+  L_FOOT_INDEX: { x: 0.75, y: 0.65 },
+  R_FOOT_INDEX: { x: 0.77, y: 0.65 },
+  ...overrides
+});
+
+// Sitting upright - shoulders well above the hips, so the back is not flat
+export const sittingUpright = () => lyingKneesBent({
+  L_SHOULDER: { x: 0.5, y: 0.3 },
+  R_SHOULDER: { x: 0.52, y: 0.3 }
+});
+
+// Criteria block of ±spread around the given metric values
+export const criteriaAround = (metrics, names, spread) => {
+  const criteria = {};
+  names.forEach(name => {
+    criteria[name] = {
+      min: metrics[name] - spread,
+      max: metrics[name] + spread,
+      mean: metrics[name],
+      std: spread / 2
+    };
+  });
+  return criteria;
+};
@@ -0,0 +1,162 @@
+// Calibration
+// A short guided recording of one user - holding a neutral pose, then moving
+// through their comfortable range of motion - summarized into a profile: a
+// camera-distance baseline and the reachable range of every joint angle.
+// personalizeRules scales a rules file to that profile, e.g. for someone
+// rehabbing a knee that can't bend as far as the trainer's.
+import { METRIC_NAMES, calculateCameraDistance, computeMetrics } from "./metrics.js";
+import { mirrorMetricName } from "./sides.js";
+
+// Profiles saved with another version have another shape and are discarded
+export const CALIBRATION_VERSION = 2;
+
+// The guided phases, how long each is recorded for and the cue ID of its
+// instruction in the i18n catalogs
+export const CALIBRATION_PHASES = [
+  { id: "neutral", seconds: 3, cue: "calibration.neutral" },
+  { id: "range", seconds: 15, cue: "calibration.range" }
+];
+
+// Joint angles whose reachable range is recorded
+export const ROM_METRICS = METRIC_NAMES.filter(name => name.endsWith("_angle"));
+
+// Share of frames ignored at each end of a range of motion, so a single
+// mis-detected frame doesn't stretch it
+export const ROM_TRIM = 0.05;
+
+// Share of a range of motion kept clear of its ends when moving rep thresholds into it
+export const ROM_MARGIN = 0.1;
+
+// Where a rules file's normalization (see normalize.js) measures joint
+// angles: "torso" uses the image's 2D angles, "world" the 3D world landmarks
+const ANGLE_SPACES = { image: "image", torso: "image", world: "world" };
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Value at fraction p of the sorted values
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))))];
+
+// Reachable range of each of ROM_METRICS over the frames' metrics, trimmed by ROM_TRIM
+const rangeOfMotion = (allMetrics) => {
+  const rom = {};
+  ROM_METRICS.forEach(name => {
+    // Missing joints read as 0 and would fake a fully bent joint
+    const sorted = allMetrics.map(metrics => metrics[name]).filter(value => value > 0).sort((a, b) => a - b);
+    if (sorted.length === 0) return;
+    rom[name] = { min: percentile(sorted, ROM_TRIM), max: percentile(sorted, 1 - ROM_TRIM) };
+  });
+  return rom;
+};
+
+/**
+ * Summarize the recorded calibration frames into a profile.
+ *
+ * @param {{neutral: Array<Object>, range: Array<Object>}} frames - The detector's results
+ *   ({ landmarks, worldLandmarks }) recorded in each phase
+ * @param {number} now - Timestamp (ms)
+ * @returns {{version: number, created_at: number, distance: {mean_z: number, min_z: number, max_z: number},
+ *   range_of_motion: {image: Object<string, {min: number, max: number}>, world?: Object}}}
+ *   range_of_motion covers ROM_METRICS over both phases, as the image's 2D angles and, when every
+ *   frame has world landmarks, as the 3D angles "world" normalization scores
+ * @throws {Error} If either phase has no frames
+ */
+export const buildCalibrationProfile = ({ neutral, range }, now) => {
+  if (neutral.length === 0 || range.length === 0) {
+    throw new Error("Calibration needs frames from both the neutral and the range-of-motion phase");
+  }
+
+  const distances = neutral.map(frame => calculateCameraDistance(frame.landmarks));
+
+  const frames = [...neutral, ...range];
+  const range_of_motion = {
+    image: rangeOfMotion(frames.map(frame => computeMetrics(frame.landmarks)))
+  };
+  if (frames.every(frame => Array.isArray(frame.worldLandmarks))) {
+    range_of_motion.world = rangeOfMotion(frames.map(frame => computeMetrics(frame.landmarks, {
+      normalization: "world",
+      worldLandmarks: frame.worldLandmarks
+    })));
+  }
+
+  return {
+    version: CALIBRATION_VERSION,
+    created_at: now,
+    distance: { mean_z: mean(distances), min_z: Math.min(...distances), max_z: Math.max(...distances) },
+    range_of_motion
+  };
+};
+
+// Move a criterion that lies entirely outside the reachable range to its
+// nearest end, keeping its width; criteria the user can reach are unchanged
+const fitCriterion = (criterion, rom) => {
+  let shift = 0;
+  if (criterion.max < rom.min) shift = rom.min - criterion.min;
+  else if (criterion.min > rom.max) shift = rom.max - criterion.max;
+  if (shift === 0) return criterion;
+
+  const fitted = { ...criterion, min: criterion.min + shift, max: criterion.max + shift };
+  if (Number.isFinite(criterion.mean)) fitted.mean = criterion.mean + shift;
+  return fitted;
+};
+
+// Keep rep thresholds inside the reachable range (less ROM_MARGIN at each end)
+const fitReps = (reps, rom) => {
+  if (rom.max <= rom.min) return reps;
+  const margin = (rom.max - rom.min) * ROM_MARGIN;
+  const clamp = (value) => Math.min(rom.max - margin, Math.max(rom.min + margin, value));
+  const top = clamp(reps.top);
+  const bottom = clamp(reps.bottom);
+  // A range too small to hold both thresholds can't count reps - leave it to the trainer's values
+  if (top === bottom) return reps;
+  return { ...reps, top, bottom };
+};
+
+/**
+ * Scale a rules file to one user's calibration profile.
+ *
+ * The camera-distance window keeps its width but is centered on the user's
+ * baseline. Angle criteria the user can't reach at all move to the nearest
+ * end of their range of motion, and rep thresholds move inside it (inside
+ * both sides' range for bilateral steps). The range of motion is the one
+ * measured the way the rules' normalization measures angles; without it
+ * (a "world" rules file and a profile recorded without world landmarks)
+ * criteria and reps are left alone. Everything else is unchanged.
+ *
+ * @param {Object} rules - Parsed rules file
+ * @param {Object} profile - From buildCalibrationProfile
+ * @returns {Object} New rules; rules is not modified
+ */
+export const personalizeRules = (rules, profile) => {
+  const space = ANGLE_SPACES[rules.normalization] || "image";
+  const rom = (profile.range_of_motion && profile.range_of_motion[space]) || {};
+  const personalized = { ...rules };
+
+  if (rules.ideal_camera_distance && profile.distance) {
+    const { min_z, max_z } = rules.ideal_camera_distance;
+    const halfWidth = (max_z - min_z) / 2;
+    const center = profile.distance.mean_z;
+    personalized.ideal_camera_distance = { min_z: center - halfWidth, max_z: center + halfWidth, mean_z: center };
+  }
+
+  personalized.steps = rules.steps.map(step => {
+    const criteria = Object.fromEntries(Object.entries(step.criteria || {}).map(([name, criterion]) => [
+      name,
+      rom[name] ? fitCriterion(criterion, rom[name]) : criterion
+    ]));
+    const fitted = { ...step, criteria };
+
+    // Either side may do the reps of a bilateral step, so they must fit the more limited one
+    const repRoms = step.reps
+      ? [step.reps.metric, ...(step.sides ? [mirrorMetricName(step.reps.metric)] : [])].map(name => rom[name]).filter(Boolean)
+      : [];
+    if (repRoms.length > 0) {
+      fitted.reps = fitReps(step.reps, {
+        min: Math.max(...repRoms.map(r => r.min)),
+        max: Math.min(...repRoms.map(r => r.max))
+      });
+    }
+    return fitted;
+  });
+
+  return personalized;
+};
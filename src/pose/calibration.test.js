@@ -0,0 +1,102 @@
+import { buildCalibrationProfile, personalizeRules } from "./calibration";
+import { lyingKneesBent } from "./__fixtures__/landmarks";
+
+// Left knee extended: ankle straight out from the knee
+const kneeStraight = () => lyingKneesBent({ L_ANKLE: { x: 0.8, y: 0.3 }, R_ANKLE: { x: 0.82, y: 0.3 } });
+
+const profile = {
+  version: 2,
+  created_at: 0,
+  distance: { mean_z: -0.5, min_z: -0.55, max_z: -0.45 },
+  range_of_motion: {
+    image: {
+      left_knee_angle: { min: 75, max: 170 },
+      right_knee_angle: { min: 85, max: 170 }
+    }
+  }
+};
+
+// A detector result; world landmarks are the image ones in meters, at no depth
+const frame = (landmarks, withWorld = true) => ({
+  landmarks,
+  worldLandmarks: withWorld ? landmarks.map(point => ({ ...point, z: 0 })) : null
+});
+
+const rules = {
+  exercise_name: "Test exercise",
+  ideal_camera_distance: { min_z: -0.2, max_z: 0.2, mean_z: 0 },
+  steps: [
+    {
+      step_number: 1,
+      step_name: "bend",
+      start_time: 0,
+      end_time: 10,
+      criteria: {
+        left_knee_angle: { min: 40, max: 60, mean: 50, std: 5 },
+        right_knee_angle: { min: 80, max: 120 },
+        ankle_height: { min: 0.2, max: 0.4 }
+      },
+      reps: { metric: "left_knee_angle", top: 100, bottom: 60, target: 5 }
+    }
+  ]
+};
+
+describe("buildCalibrationProfile", () => {
+  test("records the reachable range of each joint angle and the distance baseline", () => {
+    const neutral = [frame(lyingKneesBent()), frame(lyingKneesBent())];
+    const range = [frame(lyingKneesBent()), frame(kneeStraight()), frame(kneeStraight())];
+    const result = buildCalibrationProfile({ neutral, range }, 1000);
+
+    expect(result.created_at).toBe(1000);
+    expect(result.distance).toEqual({ mean_z: 0, min_z: 0, max_z: 0 });
+    expect(result.range_of_motion.image.left_knee_angle.min).toBeCloseTo(53.13, 1);
+    expect(result.range_of_motion.image.left_knee_angle.max).toBeGreaterThan(100);
+    expect(result.range_of_motion.image).not.toHaveProperty("ankle_height");
+    expect(result.range_of_motion.world.left_knee_angle.min).toBeCloseTo(53.13, 1);
+  });
+
+  test("records world angles only when every frame has world landmarks", () => {
+    const neutral = [frame(lyingKneesBent())];
+    const range = [frame(kneeStraight(), false)];
+    expect(buildCalibrationProfile({ neutral, range }, 0).range_of_motion).not.toHaveProperty("world");
+  });
+
+  test("needs frames from both phases", () => {
+    expect(() => buildCalibrationProfile({ neutral: [frame(lyingKneesBent())], range: [] }, 0)).toThrow(/both/);
+  });
+});
+
+describe("personalizeRules", () => {
+  test("moves unreachable angle criteria to the edge of the range of motion", () => {
+    const { criteria } = personalizeRules(rules, profile).steps[0];
+    expect(criteria.left_knee_angle).toEqual({ min: 75, max: 95, mean: 85, std: 5 });
+    // Partly reachable, and not an angle: unchanged
+    expect(criteria.right_knee_angle).toBe(rules.steps[0].criteria.right_knee_angle);
+    expect(criteria.ankle_height).toBe(rules.steps[0].criteria.ankle_height);
+  });
+
+  test("moves rep thresholds inside the range of motion", () => {
+    // 75-170 less a 9.5 degree margin
+    expect(personalizeRules(rules, profile).steps[0].reps).toMatchObject({ top: 100, bottom: 84.5 });
+    // Bilateral steps fit the more limited side (85-170 on the right)
+    const bilateral = { ...rules, steps: [{ ...rules.steps[0], sides: { mode: "either" } }] };
+    expect(personalizeRules(bilateral, profile).steps[0].reps.bottom).toBeCloseTo(93.5);
+  });
+
+  test("uses the range of motion measured like the rules' angles", () => {
+    const world = { ...rules, normalization: "world" };
+    // No world range in the profile: angles are left alone
+    expect(personalizeRules(world, profile).steps[0].criteria.left_knee_angle).toBe(rules.steps[0].criteria.left_knee_angle);
+
+    const withWorld = { ...profile, range_of_motion: { ...profile.range_of_motion, world: { left_knee_angle: { min: 65, max: 170 } } } };
+    expect(personalizeRules(world, withWorld).steps[0].criteria.left_knee_angle).toMatchObject({ min: 65, max: 85 });
+    // Torso normalization measures angles in the image
+    const torso = { ...rules, normalization: "torso" };
+    expect(personalizeRules(torso, withWorld).steps[0].criteria.left_knee_angle).toMatchObject({ min: 75, max: 95 });
+  });
+
+  test("centers the camera distance window on the user's baseline", () => {
+    expect(personalizeRules(rules, profile).ideal_camera_distance).toEqual({ min_z: -0.7, max_z: -0.3, mean_z: -0.5 });
+    expect(rules.ideal_camera_distance.mean_z).toBe(0);
+  });
+});
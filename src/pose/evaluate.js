@@ -0,0 +1,172 @@
+// Step evaluation
+// Scores one frame of landmarks against a step rule from a rules file.
+import { computeMetrics, LENIENT_METRICS } from "./metrics.js";
+import { getFeedbackMessage } from "./feedback.js";
+import { getScoringConfig, scoreStatistical } from "./scoring.js";
+
+// Fraction of a step's criteria that must be in range for the pose to count
+export const PASSING_RATIO = 0.4;
+
+// Buffer added on both sides of a criterion's min/max, as a share of its range
+export const RANGE_BUFFER = 0.10;
+// The larger buffer of LENIENT_METRICS
+export const LENIENT_RANGE_BUFFER = 0.15;
+
+/**
+ * Check if a value is within a criterion's range with a lenient buffer.
+ * Uses min/max from the rules with a percentage-of-range buffer.
+ *
+ * @param {number} value - Metric value
+ * @param {{min: number, max: number}} criterion - Criterion from a step's criteria block
+ * @param {boolean} [useLargerBuffer=false] - Use the lenient buffer (LENIENT_METRICS) instead of the normal one
+ * @param {{range_buffer?: number, lenient_range_buffer?: number}} [buffers] - Buffers replacing
+ *   RANGE_BUFFER and LENIENT_RANGE_BUFFER (see settings.js)
+ * @returns {boolean}
+ */
+export const checkRange = (value, criterion, useLargerBuffer = false, {
+  range_buffer: rangeBuffer = RANGE_BUFFER,
+  lenient_range_buffer: lenientRangeBuffer = LENIENT_RANGE_BUFFER
+} = {}) => {
+  if (!criterion || !Number.isFinite(criterion.min) || !Number.isFinite(criterion.max)) return false;
+  
+  // Calculate the range (max - min)
+  const range = criterion.max - criterion.min;
+  
+  // Knee angles get the larger buffer (more lenient)
+  const bufferPercent = useLargerBuffer ? lenientRangeBuffer : rangeBuffer;
+  const buffer = range * bufferPercent;
+  
+  // Check if value is within min-max range with buffer
+  return value >= (criterion.min - buffer) && value <= (criterion.max + buffer);
+};
+
+// Range-mode scoring: one point (or the criterion's weight) per criterion in
+// range, plus one for a flat back when required. config is the step's scoring
+// config, which may carry the buffers and passing_ratio of the settings
+const scoreRange = (metrics, stepRule, config) => {
+  const metricScores = {};
+  const failedGates = [];
+  let score = 0;
+  let maxScore = 0;
+
+  Object.entries(stepRule.criteria || {}).forEach(([name, criterion]) => {
+    if (!(name in metrics)) return;
+    const weight = criterion.weight ?? 1;
+    const inRange = checkRange(metrics[name], criterion, LENIENT_METRICS.includes(name), config);
+
+    metricScores[name] = inRange ? 1 : 0;
+    maxScore += weight;
+    if (inRange) {
+      score += weight;
+    } else if (criterion.required) {
+      failedGates.push(name);
+    }
+  });
+
+  // Check back flatness if required
+  const backFlat = stepRule.back_flat;
+  let backFlatPassed = true;
+  if (backFlat && backFlat.should_be_flat) {
+    maxScore++;
+    // Back is flat if deviation is within max_deviation threshold
+    if (metrics.back_flatness_deviation <= backFlat.max_deviation) {
+      score++;
+      backFlatPassed = true;
+    } else {
+      // Back flatness is REQUIRED - if it fails, significantly penalize the score
+      // This ensures sitting positions are not accepted
+      backFlatPassed = false;
+      // Reduce score by 30% to make it harder to pass without flat back
+      score = Math.floor(score * 0.7);
+    }
+  }
+
+  maxScore = Math.max(maxScore, 1); // Ensure at least 1
+  return {
+    score,
+    maxScore,
+    formScore: (score / maxScore) * 100,
+    metricScores,
+    failedGates,
+    backFlatPassed,
+    isPassing: failedGates.length === 0 && isPassingScore(score, maxScore, config.passing_ratio)
+  };
+};
+
+/**
+ * Score landmarks against a step rule.
+ * Every criterion in the step whose metric computeMetrics knows is scored, in
+ * the mode chosen by the rules file's scoring block (see scoring.js). In range
+ * mode metrics in LENIENT_METRICS get the larger buffer; in statistical mode
+ * score is the rounded form score out of 100.
+ *
+ * @param {Array<{x: number, y: number, z: number}>} landmarks - 33 pose landmarks (normalized image coordinates)
+ * @param {{criteria: Object, back_flat?: {should_be_flat: boolean, max_deviation: number}}} stepRule - One entry of a rules file's steps
+ * @param {{mode?: string, pass_score?: number}} [scoring] - The rules file's top-level scoring block
+ * @param {Object} [metricOptions] - Normalization for computeMetrics, from getMetricOptions
+ * @returns {{score: number, maxScore: number, formScore: number, metricScores: Object, failedGates: string[],
+ *   backFlatPassed: boolean, isPassing: boolean, metrics: Object}}
+ *   formScore is a continuous 0-100 grade of the frame, metricScores the 0-1 grade of each scored criterion,
+ *   failedGates the required criteria (and "back_flat" in statistical mode) that failed; metrics holds every computed metric
+ */
+export const evaluateStep = (landmarks, stepRule, scoring, metricOptions) =>
+  scoreMetrics(computeMetrics(landmarks, metricOptions), stepRule, scoring);
+
+/**
+ * Score already computed metrics against a step rule, as evaluateStep does for landmarks.
+ * Lets callers score one frame's metrics against several variants of a step
+ * (e.g. both sides of a bilateral step) without recomputing them.
+ *
+ * @param {Object} metrics - Metrics from computeMetrics
+ * @param {Object} stepRule - One entry of a rules file's steps
+ * @param {Object} [scoring] - The rules file's top-level scoring block
+ * @returns {Object} Same shape as evaluateStep
+ */
+export const scoreMetrics = (metrics, stepRule, scoring) => {
+  const config = getScoringConfig(stepRule, scoring);
+
+  if (config.mode === "statistical") {
+    const result = scoreStatistical(metrics, stepRule, config);
+    return { score: Math.round(result.formScore), maxScore: 100, ...result, metrics };
+  }
+
+  return { ...scoreRange(metrics, stepRule, config), metrics };
+};
+
+/**
+ * Whether a score from evaluateStep is good enough to count as matching the step.
+ *
+ * @param {number} score
+ * @param {number} maxScore
+ * @param {number} [passingRatio=PASSING_RATIO] - Share of maxScore needed
+ * @returns {boolean}
+ */
+export const isPassingScore = (score, maxScore, passingRatio = PASSING_RATIO) =>
+  score >= Math.ceil(maxScore * passingRatio);
+
+/**
+ * Analyze one frame: landmarks plus a step rule in, metrics, score and feedback out.
+ *
+ * @param {Array<{x: number, y: number, z: number}>} landmarks - 33 pose landmarks
+ * @param {Object} stepRule - One entry of a rules file's steps
+ * @param {Object} [scoring] - The rules file's top-level scoring block
+ * @param {Object} [metricOptions] - Normalization for computeMetrics, from getMetricOptions
+ * @returns {{metrics: Object, score: number, maxScore: number, formScore: number, isPassing: boolean,
+ *   backFlatPassed: boolean, failedGates: string[], feedback: string}}
+ *   feedback is the most important correction, or "" when the pose passes
+ */
+export const analyzeFrame = (landmarks, stepRule, scoring, metricOptions) => {
+  const { score, maxScore, formScore, isPassing, backFlatPassed, failedGates, metrics } =
+    evaluateStep(landmarks, stepRule, scoring, metricOptions);
+
+  return {
+    metrics,
+    score,
+    maxScore,
+    formScore,
+    isPassing,
+    backFlatPassed,
+    failedGates,
+    feedback: isPassing ? "" : getFeedbackMessage(metrics, stepRule)
+  };
+};
@@ -0,0 +1,144 @@
+import { analyzeFrame, checkRange, evaluateStep, isPassingScore } from "./evaluate";
+import { computeMetrics, METRIC_NAMES } from "./metrics";
+import { criteriaAround, lyingKneesBent, sittingUpright } from "./__fixtures__/landmarks";
+
+const SCORED = ["left_hip_angle", "left_knee_angle", "right_knee_angle", "ankle_height", "knee_height"];
+
+const layOnBackStep = () => {
+  const metrics = computeMetrics(lyingKneesBent());
+  return {
+    step_number: 2,
+    step_name: "lay on your back",
+    start_time: 12,
+    end_time: 60,
+    criteria: {
+      ...criteriaAround(metrics, ["left_hip_angle", "left_knee_angle", "right_knee_angle"], 10),
+      ...criteriaAround(metrics, ["ankle_height", "knee_height"], 0.05)
+    },
+    back_flat: { max_deviation: 0.11, should_be_flat: true }
+  };
+};
+
+describe("checkRange", () => {
+  const criterion = { min: 100, max: 120 };
+
+  test("accepts values inside the range plus a 10% buffer", () => {
+    expect(checkRange(110, criterion)).toBe(true);
+    expect(checkRange(98, criterion)).toBe(true);
+    expect(checkRange(97, criterion)).toBe(false);
+  });
+
+  test("accepts criteria with a zero bound", () => {
+    expect(checkRange(0.05, { min: 0, max: 0.1 })).toBe(true);
+    expect(checkRange(-0.5, { min: -1, max: 0 })).toBe(true);
+    expect(checkRange(0.5, { min: 0, max: 0.1 })).toBe(false);
+  });
+
+  test("uses a 15% buffer when asked to be more lenient", () => {
+    expect(checkRange(97, criterion, true)).toBe(true);
+    expect(checkRange(123.5, criterion, true)).toBe(false);
+  });
+
+  test("takes the buffers from the settings", () => {
+    const buffers = { range_buffer: 0.05, lenient_range_buffer: 0.25 };
+    expect(checkRange(98, criterion, false, buffers)).toBe(false);
+    expect(checkRange(99, criterion, false, buffers)).toBe(true);
+    expect(checkRange(95, criterion, true, buffers)).toBe(true);
+  });
+});
+
+describe("evaluateStep", () => {
+  test("scores every criterion plus back flatness for a matching pose", () => {
+    const result = evaluateStep(lyingKneesBent(), layOnBackStep());
+    expect(result.maxScore).toBe(SCORED.length + 1);
+    expect(result.score).toBe(result.maxScore);
+    expect(result.backFlatPassed).toBe(true);
+    expect(result.metrics.left_knee_angle).toBeCloseTo(53.13, 1);
+  });
+
+  test("penalizes the score when the back must be flat but isn't", () => {
+    const result = evaluateStep(sittingUpright(), layOnBackStep());
+    expect(result.backFlatPassed).toBe(false);
+    expect(result.score).toBeLessThan(result.maxScore - 1);
+  });
+
+  test("scores every criterion generically and returns every metric", () => {
+    const metrics = computeMetrics(lyingKneesBent());
+    const names = ["head_tilt_angle", "spine_angle", "torso_angle", "hip_width", "shoulder_width"];
+    const step = { criteria: criteriaAround(metrics, names, 0.01) };
+
+    const result = evaluateStep(lyingKneesBent(), step);
+    expect(result.maxScore).toBe(names.length);
+    expect(Object.keys(result.metrics)).toEqual(expect.arrayContaining([...METRIC_NAMES, "back_flatness_deviation"]));
+
+    step.criteria.spine_angle = { min: metrics.spine_angle + 20, max: metrics.spine_angle + 30 };
+    expect(evaluateStep(lyingKneesBent(), step).score).toBe(names.length - 1);
+  });
+
+  test("ignores criteria for metrics it doesn't compute", () => {
+    const step = { criteria: { elbow_flare: { min: 10, max: 20 } } };
+    expect(evaluateStep(lyingKneesBent(), step)).toMatchObject({ score: 0, maxScore: 1 });
+  });
+
+  test("never reports a max score below 1", () => {
+    expect(evaluateStep(lyingKneesBent(), { criteria: {} }).maxScore).toBe(1);
+  });
+});
+
+describe("evaluateStep scoring modes", () => {
+  test("range mode reports a form score and fails on a required criterion", () => {
+    const step = layOnBackStep();
+    expect(evaluateStep(lyingKneesBent(), step)).toMatchObject({ formScore: 100, isPassing: true, failedGates: [] });
+
+    step.criteria.knee_height = { min: 0.1, max: 0.2, required: true };
+    const result = evaluateStep(lyingKneesBent(), step);
+    expect(result.failedGates).toEqual(["knee_height"]);
+    expect(result.isPassing).toBe(false);
+    expect(result.formScore).toBeCloseTo((5 / 6) * 100);
+  });
+
+  test("range mode counts a criterion's weight as points", () => {
+    const step = layOnBackStep();
+    step.criteria.knee_height = { min: 0.1, max: 0.2, weight: 4 };
+    expect(evaluateStep(lyingKneesBent(), step)).toMatchObject({ score: 5, maxScore: 9 });
+  });
+
+  test("statistical mode scores out of 100", () => {
+    const result = evaluateStep(lyingKneesBent(), layOnBackStep(), { mode: "statistical" });
+    expect(result).toMatchObject({ score: 100, maxScore: 100, isPassing: true });
+    expect(result.metricScores.left_knee_angle).toBe(1);
+  });
+
+  test("statistical mode gates on a flat back", () => {
+    const result = evaluateStep(sittingUpright(), layOnBackStep(), { mode: "statistical" });
+    expect(result.failedGates).toContain("back_flat");
+    expect(result.isPassing).toBe(false);
+  });
+});
+
+describe("isPassingScore", () => {
+  test("requires 40% of the criteria", () => {
+    expect(isPassingScore(2, 5)).toBe(true);
+    expect(isPassingScore(1, 5)).toBe(false);
+  });
+
+  test("takes another share when given one", () => {
+    expect(isPassingScore(2, 5, 0.6)).toBe(false);
+    expect(isPassingScore(3, 5, 0.6)).toBe(true);
+  });
+});
+
+describe("analyzeFrame", () => {
+  test("returns metrics, score and no feedback for a matching pose", () => {
+    const result = analyzeFrame(lyingKneesBent(), layOnBackStep());
+    expect(result.isPassing).toBe(true);
+    expect(result.feedback).toBe("");
+    expect(result.metrics).toHaveProperty("back_flatness_deviation");
+  });
+
+  test("returns the most important correction for a failing pose", () => {
+    const result = analyzeFrame(sittingUpright(), layOnBackStep());
+    expect(result.isPassing).toBe(false);
+    expect(result.feedback).toMatch(/back flat/i);
+  });
+});
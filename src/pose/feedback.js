@@ -0,0 +1,140 @@
+// Feedback messages
+// Turns out-of-range metrics into a coaching cue, using a wider buffer than
+// scoring so users aren't corrected for poses that still pass. Cues are
+// message IDs of the i18n catalog, rendered in the session's locale.
+import { DEFAULT_LOCALE, MESSAGE_IDS, translate } from "../i18n/messages.js";
+import { LENIENT_METRICS } from "./metrics.js";
+
+// Minimum time between two spoken corrections (ms)
+export const FEEDBACK_COOLDOWN = 15000;
+
+// Cue ID per metric (see i18n/locales/en.js), for a value below (too_low)
+// or above (too_high) its criterion - a single ID is used for both
+// directions. Keys are in priority order: when several metrics are out of
+// range, the first one wins. Metrics without a template get the generic
+// "feedback.adjust_metric" cue, naming the metric by its "metric.<name>"
+// message when the catalog has one.
+export const FEEDBACK_TEMPLATES = {
+  left_knee_angle: { too_low: "feedback.bend_left_knee", too_high: "feedback.straighten_left_knee" },
+  right_knee_angle: { too_low: "feedback.bend_right_knee", too_high: "feedback.straighten_right_knee" },
+  ankle_height: { too_low: "feedback.raise_legs", too_high: "feedback.lower_legs" },
+  knee_height: { too_low: "feedback.raise_knees", too_high: "feedback.lower_knees" },
+  left_hip_angle: "feedback.adjust_left_hip",
+  right_hip_angle: "feedback.adjust_right_hip",
+  left_ankle_angle: "feedback.adjust_left_ankle",
+  right_ankle_angle: "feedback.adjust_right_ankle",
+  left_elbow_angle: "feedback.adjust_left_arm",
+  right_elbow_angle: "feedback.adjust_right_arm",
+  left_shoulder_angle: "feedback.adjust_left_shoulder",
+  right_shoulder_angle: "feedback.adjust_right_shoulder",
+  hip_height: "feedback.adjust_hip_height",
+  shoulder_height: "feedback.adjust_shoulder_height",
+  spine_angle: "feedback.align_spine",
+  torso_angle: "feedback.adjust_upper_body",
+  head_tilt_angle: "feedback.adjust_head",
+  hip_width: "feedback.turn_hips",
+  shoulder_width: "feedback.turn_shoulders"
+};
+
+/**
+ * Cue for one out-of-range metric.
+ *
+ * @param {string} metric - Metric name
+ * @param {"too_low"|"too_high"} status - Which side of the criterion the value is on
+ * @returns {{id: string, params: Object}} Cue ID and its placeholder values
+ */
+export const getMetricCue = (metric, status) => {
+  const template = FEEDBACK_TEMPLATES[metric];
+  if (!template) {
+    const label = MESSAGE_IDS.includes(`metric.${metric}`) ? { id: `metric.${metric}` } : metric.replace(/_/g, " ");
+    return { id: "feedback.adjust_metric", params: { metric: label } };
+  }
+  return { id: typeof template === "string" ? template : template[status], params: {} };
+};
+
+/**
+ * Coaching cue for one out-of-range metric.
+ *
+ * @param {string} metric - Metric name
+ * @param {"too_low"|"too_high"} status - Which side of the criterion the value is on
+ * @param {string} [locale=DEFAULT_LOCALE] - Language of the cue
+ * @returns {string}
+ */
+export const getMetricFeedback = (metric, status, locale = DEFAULT_LOCALE) => {
+  const { id, params } = getMetricCue(metric, status);
+  return translate(locale, id, params);
+};
+
+/**
+ * Pick the single most important correction for the user.
+ * Back flatness comes first, then the step's criteria in FEEDBACK_TEMPLATES
+ * order, then any other criteria in the order the rules file lists them.
+ *
+ * @param {Object} metrics - Metrics returned by evaluateStep
+ * @param {Object} stepRule - One entry of a rules file's steps
+ * @returns {{id: string, params: Object}|null} The correction's cue, or null when nothing is out of range
+ */
+export const getFeedbackCue = (metrics, stepRule) => {
+  // Skip feedback for step 1 (start_position)
+  if (stepRule.step_number === 1) {
+    return null;
+  }
+  
+  const c = stepRule.criteria || {};
+  
+  // Helper to check if value is outside range with buffer
+  // Uses min/max from JSON with percentage-based buffer for feedback
+  const isOutsideRange = (value, criterion, useLargerBuffer = false) => {
+    if (!criterion || !Number.isFinite(criterion.min) || !Number.isFinite(criterion.max)) return null;
+    
+    // Calculate the range (max - min)
+    const range = criterion.max - criterion.min;
+    
+    // For lenient metrics (knee angles), use 20% of range as buffer for feedback
+    // For other metrics, use 15% of range as buffer
+    const bufferPercent = useLargerBuffer ? 0.20 : 0.15;
+    const buffer = range * bufferPercent;
+    
+    const min = criterion.min - buffer;
+    const max = criterion.max + buffer;
+    
+    if (value < min) return "too_low";
+    if (value > max) return "too_high";
+    return null;
+  };
+  
+  // PRIORITY CHECK: Back flatness (highest priority when required)
+  const backFlat = stepRule.back_flat;
+  if (backFlat && backFlat.should_be_flat) {
+    if (metrics.back_flatness_deviation > backFlat.max_deviation) {
+      return { id: "feedback.back_flat", params: {} };
+    }
+  }
+  
+  const prioritized = Object.keys(FEEDBACK_TEMPLATES).filter(name => c[name]);
+  const others = Object.keys(c).filter(name => !(name in FEEDBACK_TEMPLATES));
+  
+  for (const name of [...prioritized, ...others]) {
+    if (!(name in metrics)) continue;
+    const status = isOutsideRange(metrics[name], c[name], LENIENT_METRICS.includes(name));
+    if (status) {
+      return getMetricCue(name, status);
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * The most important correction as text (see getFeedbackCue), using the
+ * step's own cue overrides when a localized rules file has them.
+ *
+ * @param {Object} metrics - Metrics returned by evaluateStep
+ * @param {Object} stepRule - One entry of a rules file's steps
+ * @param {string} [locale=DEFAULT_LOCALE] - Language of the correction
+ * @returns {string} The correction to show/speak, or "" when nothing is out of range
+ */
+export const getFeedbackMessage = (metrics, stepRule, locale = DEFAULT_LOCALE) => {
+  const cue = getFeedbackCue(metrics, stepRule);
+  return cue ? translate(locale, cue.id, cue.params, stepRule.cues) : "";
+};
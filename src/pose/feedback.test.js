@@ -0,0 +1,100 @@
+import { FEEDBACK_TEMPLATES, getFeedbackCue, getFeedbackMessage, getMetricFeedback } from "./feedback";
+import { MESSAGE_IDS } from "../i18n/messages";
+import { METRIC_NAMES } from "./metrics";
+
+const step = (criteria, back_flat = { max_deviation: 0.1, should_be_flat: true }) => ({
+  step_number: 3,
+  step_name: "lift your leg up",
+  criteria,
+  back_flat
+});
+
+const baseMetrics = {
+  left_knee_angle: 90,
+  right_knee_angle: 90,
+  ankle_height: 0.5,
+  back_flatness_deviation: 0
+};
+
+describe("getFeedbackMessage", () => {
+  test("never gives feedback on the start position", () => {
+    expect(getFeedbackMessage({ ...baseMetrics, back_flatness_deviation: 1 }, { ...step({}), step_number: 1 })).toBe("");
+  });
+
+  test("puts back flatness before any other correction", () => {
+    const metrics = { ...baseMetrics, back_flatness_deviation: 0.5, left_knee_angle: 10 };
+    const message = getFeedbackMessage(metrics, step({ left_knee_angle: { min: 80, max: 100 } }));
+    expect(message).toMatch(/back flat/i);
+  });
+
+  test("asks to bend or straighten the knee outside the buffered range", () => {
+    const criteria = { left_knee_angle: { min: 80, max: 100 } };
+    expect(getFeedbackMessage({ ...baseMetrics, left_knee_angle: 70 }, step(criteria))).toBe("Bend your left knee more!");
+    expect(getFeedbackMessage({ ...baseMetrics, left_knee_angle: 110 }, step(criteria))).toBe("Straighten your left knee!");
+    // within the 20% feedback buffer
+    expect(getFeedbackMessage({ ...baseMetrics, left_knee_angle: 77 }, step(criteria))).toBe("");
+  });
+
+  test("corrects leg height", () => {
+    const criteria = { ankle_height: { min: 0.3, max: 0.4 } };
+    expect(getFeedbackMessage({ ...baseMetrics, ankle_height: 0.2 }, step(criteria))).toBe("Raise your legs higher!");
+    expect(getFeedbackMessage({ ...baseMetrics, ankle_height: 0.6 }, step(criteria))).toBe("Lower your legs slightly!");
+  });
+
+  test("corrects metrics whose criterion has a zero bound", () => {
+    const criteria = { hip_width: { min: 0, max: 0.05 } };
+    expect(getFeedbackMessage({ ...baseMetrics, hip_width: 0.2 }, step(criteria))).toBe("Turn your hips to match the video!");
+  });
+
+  test("corrects metrics that used to be scored silently", () => {
+    const criteria = { spine_angle: { min: 150, max: 170 } };
+    expect(getFeedbackMessage({ ...baseMetrics, spine_angle: 120 }, step(criteria))).toBe("Keep your spine aligned!");
+  });
+
+  test("follows the template priority order, not the rules file order", () => {
+    const criteria = { head_tilt_angle: { min: 20, max: 40 }, right_knee_angle: { min: 80, max: 100 } };
+    const metrics = { ...baseMetrics, head_tilt_angle: 60, right_knee_angle: 130 };
+    expect(getFeedbackMessage(metrics, step(criteria))).toBe("Straighten your right knee!");
+  });
+
+  test("falls back to a generic cue for metrics without a template", () => {
+    const criteria = { elbow_flare: { min: 10, max: 20 } };
+    expect(getFeedbackMessage({ ...baseMetrics, elbow_flare: 40 }, step(criteria))).toBe("Adjust your elbow flare!");
+  });
+});
+
+describe("localized feedback", () => {
+  const criteria = { ankle_height: { min: 0.3, max: 0.4 } };
+  const metrics = { ...baseMetrics, ankle_height: 0.2 };
+
+  test("returns the correction as a cue", () => {
+    expect(getFeedbackCue(metrics, step(criteria))).toEqual({ id: "feedback.raise_legs", params: {} });
+    expect(getFeedbackCue({ ...baseMetrics, ankle_height: 0.35 }, step(criteria))).toBeNull();
+  });
+
+  test("renders the correction in the locale, preferring the step's own cues", () => {
+    expect(getFeedbackMessage(metrics, step(criteria), "es")).toBe("¡Sube más las piernas!");
+    const localizedStep = { ...step(criteria), cues: { "feedback.raise_legs": "¡Sube más la pierna!" } };
+    expect(getFeedbackMessage(metrics, localizedStep, "es")).toBe("¡Sube más la pierna!");
+  });
+
+  test("names metrics without a cue of their own in the locale", () => {
+    expect(getMetricFeedback("back_flatness_deviation", "too_high", "es")).toBe("¡Ajusta: espalda recta!");
+    expect(getMetricFeedback("elbow_flare", "too_high", "hi")).toBe("elbow flare ठीक करें!");
+  });
+});
+
+describe("FEEDBACK_TEMPLATES", () => {
+  test("has a cue for every computed metric", () => {
+    expect(Object.keys(FEEDBACK_TEMPLATES).sort()).toEqual(METRIC_NAMES);
+  });
+
+  test("has a name in the catalog for every computed metric", () => {
+    METRIC_NAMES.forEach(name => expect(MESSAGE_IDS).toContain(`metric.${name}`));
+  });
+
+  test("uses a single-string template for both directions", () => {
+    expect(getMetricFeedback("left_hip_angle", "too_low")).toBe(getMetricFeedback("left_hip_angle", "too_high"));
+    expect(getMetricFeedback("ankle_height", "too_high")).toBe("Lower your legs slightly!");
+  });
+});
@@ -0,0 +1,181 @@
+// Ghost skeleton
+// The instructor's pose from the reference video, laid over the user's: the
+// landmarks at the video's current time (precomputed in the rules file's
+// reference_landmarks by the rule authoring tool) are moved and
+// scaled so the instructor's torso sits on the user's, and every limb is
+// compared with the user's own. Drawing is left to the caller.
+//
+//   "reference_landmarks": {
+//     "aspect_ratio": 1.7778,
+//     "frames": [{ "time": 0.2, "landmarks": [[0.512, 0.318, 0.99], ...] }]
+//   }
+//
+// Landmarks are [x, y, visibility] in the video's image coordinates, all 33
+// per frame, frames in time order.
+import { LANDMARKS } from "./landmarks.js";
+
+// Limb -> landmarks of its two ends, compared by direction
+export const GHOST_LIMBS = {
+  left_upper_arm: [LANDMARKS.L_SHOULDER, LANDMARKS.L_ELBOW],
+  left_forearm: [LANDMARKS.L_ELBOW, LANDMARKS.L_WRIST],
+  right_upper_arm: [LANDMARKS.R_SHOULDER, LANDMARKS.R_ELBOW],
+  right_forearm: [LANDMARKS.R_ELBOW, LANDMARKS.R_WRIST],
+  left_torso: [LANDMARKS.L_SHOULDER, LANDMARKS.L_HIP],
+  right_torso: [LANDMARKS.R_SHOULDER, LANDMARKS.R_HIP],
+  left_thigh: [LANDMARKS.L_HIP, LANDMARKS.L_KNEE],
+  left_shin: [LANDMARKS.L_KNEE, LANDMARKS.L_ANKLE],
+  right_thigh: [LANDMARKS.R_HIP, LANDMARKS.R_KNEE],
+  right_shin: [LANDMARKS.R_KNEE, LANDMARKS.R_ANKLE]
+};
+
+// A limb more than this many degrees from the instructor's is "near", more
+// than LIMB_OFF_DEGREES "out"
+export const LIMB_NEAR_DEGREES = 15;
+export const LIMB_OFF_DEGREES = 30;
+
+// Frames per second of video kept in a rules file's reference_landmarks
+export const REFERENCE_TRACK_FPS = 5;
+
+// How far (s) the nearest reference frame may be from the requested time
+export const REFERENCE_MAX_GAP = 0.5;
+
+// Shoulders and hips further apart horizontally than this share of the torso
+// show which way the body faces; closer (facing the camera) they don't
+const FACING_MIN_SHARE = 0.25;
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+/**
+ * One frame of a reference track.
+ *
+ * @param {number} time - Video time in seconds
+ * @param {Array<{x: number, y: number, visibility?: number}>} landmarks - 33 pose landmarks (image coordinates)
+ * @returns {{time: number, landmarks: number[][]}} Landmarks as rounded [x, y, visibility]
+ */
+export const toReferenceFrame = (time, landmarks) => ({
+  time: round(time, 3),
+  landmarks: landmarks.map(point => [round(point.x, 3), round(point.y, 3), round(point.visibility ?? 1, 2)])
+});
+
+/**
+ * The reference_landmarks block of a rules file, from extracted video landmarks.
+ *
+ * @param {Array<{time: number, landmarks: Array}>} frames - Landmarks per sampled frame, time in seconds
+ * @param {{aspectRatio?: number, fps?: number}} [options] - aspectRatio is the video's width / height;
+ *   frames are kept at most every 1 / fps seconds
+ * @returns {{aspect_ratio: number, frames: Array}}
+ */
+export const buildReferenceTrack = (frames, { aspectRatio = 1, fps = REFERENCE_TRACK_FPS } = {}) => {
+  const kept = [];
+  frames.forEach(frame => {
+    const last = kept[kept.length - 1];
+    if (!last || frame.time - last.time >= 1 / fps - 1e-6) kept.push(frame);
+  });
+  return {
+    aspect_ratio: round(aspectRatio, 4),
+    frames: kept.map(frame => toReferenceFrame(frame.time, frame.landmarks))
+  };
+};
+
+/**
+ * The instructor's landmarks at a video time: those of the nearest frame.
+ *
+ * @param {Array<{time: number, landmarks: number[][]}>} frames - A track's frames, in time order
+ * @param {number} time - Video time in seconds
+ * @param {number} [maxGap=REFERENCE_MAX_GAP] - Furthest the frame may be from time (s)
+ * @returns {Array<{x: number, y: number, visibility: number}>|null} null without a frame close enough
+ */
+export const referencePoseAt = (frames, time, maxGap = REFERENCE_MAX_GAP) => {
+  if (!frames || frames.length === 0 || !Number.isFinite(time)) return null;
+
+  // First frame at or after time, then whichever neighbor is closer
+  let low = 0;
+  let high = frames.length - 1;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (frames[middle].time < time) low = middle + 1;
+    else high = middle;
+  }
+  const nearest = low > 0 && time - frames[low - 1].time < Math.abs(frames[low].time - time)
+    ? frames[low - 1]
+    : frames[low];
+  if (Math.abs(nearest.time - time) > maxGap) return null;
+
+  return nearest.landmarks.map(([x, y, visibility = 1]) => ({ x, y, visibility }));
+};
+
+/**
+ * Move and scale the instructor's landmarks onto the user: the hips'
+ * midpoint onto the user's, the torso (hips' to shoulders' midpoint) to the
+ * user's torso length, mirrored when the two face opposite ways. The pose is
+ * not rotated, so a torso at a different angle from the instructor's shows.
+ *
+ * @param {Array<{x: number, y: number, visibility?: number}>} reference - The instructor's 33 landmarks
+ * @param {Array<{x: number, y: number, visibility?: number}>} user - The user's 33 landmarks
+ * @param {number} [referenceAspect=1] - Width / height of the reference video
+ * @param {number} [userAspect=1] - Width / height of the user's image
+ * @returns {Array<{x: number, y: number, visibility: number}>|null} The ghost, in the user's image
+ *   coordinates; null when either torso isn't detected
+ */
+export const alignPose = (reference, user, referenceAspect = 1, userAspect = 1) => {
+  const torso = [LANDMARKS.L_SHOULDER, LANDMARKS.R_SHOULDER, LANDMARKS.L_HIP, LANDMARKS.R_HIP];
+  if (torso.some(index => !reference[index] || !user[index])) return null;
+
+  // Measure in units of image height, so both images have square units
+  const measure = (landmarks, aspect) => {
+    const [lShoulder, rShoulder, lHip, rHip] = torso.map(index => ({
+      x: landmarks[index].x * aspect,
+      y: landmarks[index].y
+    }));
+    const shoulder = midpoint(lShoulder, rShoulder);
+    const hip = midpoint(lHip, rHip);
+    return { hip, shoulder, length: Math.hypot(shoulder.x - hip.x, shoulder.y - hip.y) };
+  };
+  const from = measure(reference, referenceAspect);
+  const to = measure(user, userAspect);
+  if (from.length === 0 || to.length === 0) return null;
+
+  const facing = ({ hip, shoulder, length }) => {
+    const dx = shoulder.x - hip.x;
+    return Math.abs(dx) > FACING_MIN_SHARE * length ? Math.sign(dx) : 0;
+  };
+  const mirror = facing(from) * facing(to) < 0 ? -1 : 1;
+  const scale = to.length / from.length;
+
+  return reference.map(point => ({
+    x: (to.hip.x + mirror * scale * (point.x * referenceAspect - from.hip.x)) / userAspect,
+    y: to.hip.y + scale * (point.y - from.hip.y),
+    visibility: point.visibility ?? 1
+  }));
+};
+
+/**
+ * How far each of the user's limbs points from the ghost's.
+ *
+ * @param {Array<{x: number, y: number, visibility?: number}>} user - The user's 33 landmarks
+ * @param {Array<{x: number, y: number, visibility?: number}>} ghost - From alignPose
+ * @param {{visibilityThreshold?: number, aspect?: number}} [options] - Limbs with an end below
+ *   visibilityThreshold in either pose are left out; aspect is the user's image width / height
+ * @returns {Array<{limb: string, user: Object[], ghost: Object[], degrees: number, status: string}>}
+ *   user and ghost are the limb's two ends; degrees from 0 to 180; status "in", "near" or "out"
+ *   (see LIMB_NEAR_DEGREES), as for overlay.js's rangeStatus
+ */
+export const limbDifferences = (user, ghost, { visibilityThreshold = 0, aspect = 1 } = {}) => {
+  const visible = point => point && (point.visibility ?? 1) >= visibilityThreshold;
+  const direction = ([a, b]) => Math.atan2(b.y - a.y, (b.x - a.x) * aspect);
+
+  return Object.entries(GHOST_LIMBS)
+    .map(([limb, indices]) => {
+      const userEnds = indices.map(index => user[index]);
+      const ghostEnds = indices.map(index => ghost[index]);
+      if (![...userEnds, ...ghostEnds].every(visible)) return null;
+
+      const difference = Math.abs(direction(userEnds) - direction(ghostEnds)) * 180 / Math.PI;
+      const degrees = difference > 180 ? 360 - difference : difference;
+      const status = degrees > LIMB_OFF_DEGREES ? "out" : degrees > LIMB_NEAR_DEGREES ? "near" : "in";
+      return { limb, user: userEnds, ghost: ghostEnds, degrees, status };
+    })
+    .filter(Boolean);
+};
@@ -0,0 +1,101 @@
+import {
+  alignPose,
+  buildReferenceTrack,
+  limbDifferences,
+  referencePoseAt,
+  toReferenceFrame
+} from "./ghost";
+import { LANDMARKS } from "./landmarks";
+import { lyingKneesBent } from "./__fixtures__/landmarks";
+
+const expectPosesClose = (actual, expected) => {
+  expected.forEach((point, index) => {
+    expect(actual[index].x).toBeCloseTo(point.x, 6);
+    expect(actual[index].y).toBeCloseTo(point.y, 6);
+  });
+};
+
+describe("buildReferenceTrack", () => {
+  test("keeps a frame every 1 / fps seconds, rounded", () => {
+    const landmarks = lyingKneesBent().map(point => ({ ...point, x: point.x + 0.00012 }));
+    const frames = [0, 0.1, 0.2, 0.3, 0.4].map(time => ({ time, landmarks }));
+    const track = buildReferenceTrack(frames, { aspectRatio: 16 / 9 });
+
+    expect(track.aspect_ratio).toBe(1.7778);
+    expect(track.frames.map(frame => frame.time)).toEqual([0, 0.2, 0.4]);
+    expect(track.frames[0].landmarks).toHaveLength(33);
+    expect(track.frames[0].landmarks[LANDMARKS.L_KNEE]).toEqual([0.6, 0.5, 0.99]);
+  });
+});
+
+describe("referencePoseAt", () => {
+  const frames = [0, 0.2, 0.4].map(time => toReferenceFrame(time, lyingKneesBent({ NOSE: { x: time, y: 0 } })));
+
+  test("takes the nearest frame as landmark objects", () => {
+    expect(referencePoseAt(frames, 0.25)[LANDMARKS.NOSE]).toEqual({ x: 0.2, y: 0, visibility: 0.99 });
+    expect(referencePoseAt(frames, 0.35)[LANDMARKS.NOSE].x).toBe(0.4);
+    expect(referencePoseAt(frames, 0.8)[LANDMARKS.NOSE].x).toBe(0.4);
+  });
+
+  test("is null without a frame close enough", () => {
+    expect(referencePoseAt(frames, 2)).toBeNull();
+    expect(referencePoseAt([], 0)).toBeNull();
+    expect(referencePoseAt(undefined, 0)).toBeNull();
+  });
+});
+
+describe("alignPose", () => {
+  const user = lyingKneesBent();
+
+  test("moves and scales the instructor onto the user's torso", () => {
+    const reference = user.map(point => ({ ...point, x: 0.1 + point.x / 2, y: 0.2 + point.y / 2 }));
+    expectPosesClose(alignPose(reference, user), user);
+  });
+
+  test("mirrors an instructor facing the other way", () => {
+    const reference = user.map(point => ({ ...point, x: 1 - point.x }));
+    expectPosesClose(alignPose(reference, user), user);
+  });
+
+  test("accounts for a reference video of another shape", () => {
+    const reference = user.map(point => ({ ...point, x: point.x / 2 }));
+    expectPosesClose(alignPose(reference, user, 2), user);
+  });
+
+  test("is null without a torso", () => {
+    expect(alignPose([], user)).toBeNull();
+  });
+});
+
+describe("limbDifferences", () => {
+  test("matches every limb of the same pose", () => {
+    const user = lyingKneesBent();
+    const differences = limbDifferences(user, alignPose(user, user));
+    expect(differences).toHaveLength(10);
+    differences.forEach(difference => {
+      expect(difference.degrees).toBeCloseTo(0, 6);
+      expect(difference.status).toBe("in");
+    });
+  });
+
+  test("flags the limbs pointing elsewhere", () => {
+    const ghost = lyingKneesBent();
+    // Left shin held level where the ghost's points down
+    const user = lyingKneesBent({ L_ANKLE: { x: 0.8, y: 0.5 } });
+    const byLimb = Object.fromEntries(limbDifferences(user, ghost).map(d => [d.limb, d]));
+    expect(byLimb.left_shin.degrees).toBeCloseTo(63.43, 1);
+    expect(byLimb.left_shin.status).toBe("out");
+    expect(byLimb.left_thigh.status).toBe("in");
+
+    const nearUser = lyingKneesBent({ L_ANKLE: { x: 0.75, y: 0.62 } });
+    const near = limbDifferences(nearUser, ghost).find(d => d.limb === "left_shin");
+    expect(near.status).toBe("near");
+  });
+
+  test("leaves out limbs that aren't visible", () => {
+    const user = lyingKneesBent({ L_WRIST: { visibility: 0.1 } });
+    const limbs = limbDifferences(user, lyingKneesBent(), { visibilityThreshold: 0.5 }).map(d => d.limb);
+    expect(limbs).not.toContain("left_forearm");
+    expect(limbs).toContain("left_upper_arm");
+  });
+});
@@ -0,0 +1,77 @@
+// Hold timing
+// Steps declare how long a pose must be held in seconds, so progress no longer
+// depends on camera FPS or inference speed:
+//   "hold": { "seconds": 10, "tolerance": 1 }
+// `tolerance` is how long (seconds) the pose may drop out - a missed frame,
+// a wobble - before the hold restarts. The timer pauses during a dropout.
+// Timestamps are wall-clock milliseconds supplied by the caller, so the timer
+// works with or without a reference video playing.
+
+// Used for steps without a hold block - a short settle time so a single lucky
+// frame can't complete a step
+export const DEFAULT_HOLD = { seconds: 0.5, tolerance: 0.3 };
+
+// Gaps between frames longer than this (tab in background, stalled camera)
+// are not counted as hold time
+const MAX_FRAME_GAP_MS = 500;
+
+/**
+ * Fresh hold state for a step.
+ *
+ * @returns {{heldMs: number, dropoutMs: number, lastTime: number|null, complete: boolean}}
+ */
+export const initialHoldState = () => ({
+  heldMs: 0,
+  dropoutMs: 0,
+  lastTime: null,
+  complete: false
+});
+
+/**
+ * The step's hold requirement, falling back to DEFAULT_HOLD.
+ *
+ * @param {{hold?: {seconds: number, tolerance?: number}}} stepRule
+ * @returns {{seconds: number, tolerance: number}}
+ */
+export const getHoldRule = (stepRule) => ({
+  ...DEFAULT_HOLD,
+  ...(stepRule && stepRule.hold)
+});
+
+/**
+ * Advance the hold timer by one frame.
+ *
+ * @param {Object} state - Previous state from initialHoldState / updateHold
+ * @param {boolean} isPassing - Whether this frame matches the step
+ * @param {number} now - Frame timestamp in ms
+ * @param {{seconds: number, tolerance: number}} holdRule - From getHoldRule
+ * @returns {Object} New state; complete stays true once the hold has been reached
+ */
+export const updateHold = (state, isPassing, now, holdRule) => {
+  if (state.complete) return state;
+
+  const delta = state.lastTime === null ? 0 : Math.min(Math.max(now - state.lastTime, 0), MAX_FRAME_GAP_MS);
+  const next = { ...state, lastTime: now };
+
+  if (isPassing) {
+    next.heldMs = state.heldMs + delta;
+    next.dropoutMs = 0;
+  } else {
+    next.dropoutMs = state.dropoutMs + delta;
+    if (next.dropoutMs > holdRule.tolerance * 1000) {
+      next.heldMs = 0;
+    }
+  }
+
+  next.complete = next.heldMs >= holdRule.seconds * 1000;
+  return next;
+};
+
+/**
+ * Milliseconds of hold still needed.
+ *
+ * @param {Object} state - Hold state
+ * @param {{seconds: number}} holdRule
+ * @returns {number}
+ */
+export const holdRemainingMs = (state, holdRule) => Math.max(holdRule.seconds * 1000 - state.heldMs, 0);
@@ -0,0 +1,60 @@
+import { DEFAULT_HOLD, getHoldRule, holdRemainingMs, initialHoldState, updateHold } from "./hold";
+
+// Feed (isPassing, time ms) pairs through the hold timer
+const run = (frames, holdRule, state = initialHoldState()) =>
+  frames.reduce((s, [isPassing, time]) => updateHold(s, isPassing, time, holdRule), state);
+
+const fiveSeconds = { seconds: 5, tolerance: 1 };
+
+// One frame every 100ms from `from` to `to` (inclusive)
+const frames = (isPassing, from, to) => {
+  const result = [];
+  for (let t = from; t <= to; t += 100) result.push([isPassing, t]);
+  return result;
+};
+
+describe("updateHold", () => {
+  test("completes after the required seconds of passing frames", () => {
+    expect(run(frames(true, 0, 4900), fiveSeconds).complete).toBe(false);
+    expect(run(frames(true, 0, 5000), fiveSeconds).complete).toBe(true);
+  });
+
+  test("depends on elapsed time, not on the number of frames", () => {
+    const slow = [[true, 0], [true, 400], [true, 800], [true, 1200]];
+    expect(run(slow, { seconds: 1, tolerance: 0 }).complete).toBe(true);
+  });
+
+  test("pauses but keeps the hold during a dropout within tolerance", () => {
+    const state = run([...frames(true, 0, 2000), ...frames(false, 2100, 2800), [true, 2900]], fiveSeconds);
+    expect(state.heldMs).toBe(2100);
+  });
+
+  test("restarts the hold when a dropout exceeds the tolerance", () => {
+    const state = run([...frames(true, 0, 3000), ...frames(false, 3100, 4300), [true, 4400]], fiveSeconds);
+    expect(state.heldMs).toBe(100);
+  });
+
+  test("does not count long gaps between frames", () => {
+    const state = run([[true, 0], [true, 10000]], fiveSeconds);
+    expect(state.complete).toBe(false);
+  });
+
+  test("stays complete once reached", () => {
+    const done = run(frames(true, 0, 5000), fiveSeconds);
+    expect(run(frames(false, 5100, 9000), fiveSeconds, done).complete).toBe(true);
+  });
+});
+
+describe("getHoldRule", () => {
+  test("falls back to the default hold", () => {
+    expect(getHoldRule({})).toEqual(DEFAULT_HOLD);
+    expect(getHoldRule({ hold: { seconds: 8 } })).toEqual({ seconds: 8, tolerance: DEFAULT_HOLD.tolerance });
+  });
+});
+
+describe("holdRemainingMs", () => {
+  test("counts down to zero", () => {
+    expect(holdRemainingMs(run(frames(true, 0, 2000), fiveSeconds), fiveSeconds)).toBe(3000);
+    expect(holdRemainingMs(run(frames(true, 0, 6000), fiveSeconds), fiveSeconds)).toBe(0);
+  });
+});
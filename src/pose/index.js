@@ -0,0 +1,133 @@
+// Pose analysis library
+// Framework-free scoring core shared by the live instructor, rule authoring
+// and any Node tooling: landmarks plus a step rule in, metrics, score and
+// feedback out. Modules import each other with explicit .js extensions so
+// they also load as plain ES modules in Node.
+export { LANDMARKS } from "./landmarks.js";
+export {
+  LENIENT_METRICS,
+  METRIC_NAMES,
+  calculateAngle,
+  calculateAngle3D,
+  calculateBackFlatness,
+  calculateCameraDistance,
+  computeMetrics
+} from "./metrics.js";
+export {
+  CAMERA_VIEWS,
+  NORMALIZATION_MODES,
+  OVERHEAD_VIEW_MIN_RATIO,
+  SIDE_VIEW_MAX_RATIO,
+  detectCameraView,
+  dominantCameraView,
+  getMetricOptions,
+  torsoLength
+} from "./normalize.js";
+export {
+  REQUIRED_VISIBLE_LANDMARKS,
+  VISIBILITY_THRESHOLD,
+  checkBodyVisibility,
+  checkCameraDistance
+} from "./positioning.js";
+export {
+  LENIENT_RANGE_BUFFER,
+  PASSING_RATIO,
+  RANGE_BUFFER,
+  analyzeFrame,
+  checkRange,
+  evaluateStep,
+  isPassingScore,
+  scoreMetrics
+} from "./evaluate.js";
+export {
+  FEEDBACK_COOLDOWN,
+  FEEDBACK_TEMPLATES,
+  getFeedbackCue,
+  getFeedbackMessage,
+  getMetricCue,
+  getMetricFeedback
+} from "./feedback.js";
+export {
+  DEFAULT_PASS_SCORE,
+  FULL_CREDIT_Z,
+  GATE_PENALTY,
+  SCORING_MODES,
+  ZERO_CREDIT_Z,
+  criterionStats,
+  getScoringConfig,
+  scoreStatistical,
+  zScore,
+  zScoreCredit
+} from "./scoring.js";
+export {
+  DEFAULT_PRESET,
+  PRESETS,
+  PRESET_NAMES,
+  SETTINGS,
+  SETTING_NAMES,
+  resolveSettings,
+  sanitizeSettings,
+  scoringWithSettings
+} from "./settings.js";
+export {
+  OVERLAY_JOINTS,
+  SPARKLINE_WINDOW_MS,
+  appendMetricSample,
+  flatBackGuide,
+  jointAngles,
+  metricSeries,
+  rangeStatus,
+  scoredMetricNames
+} from "./overlay.js";
+export {
+  GHOST_LIMBS,
+  LIMB_NEAR_DEGREES,
+  LIMB_OFF_DEGREES,
+  REFERENCE_MAX_GAP,
+  REFERENCE_TRACK_FPS,
+  alignPose,
+  buildReferenceTrack,
+  limbDifferences,
+  referencePoseAt,
+  toReferenceFrame
+} from "./ghost.js";
+export { DEFAULT_HOLD, getHoldRule, holdRemainingMs, initialHoldState, updateHold } from "./hold.js";
+export { areRepsComplete, countRep, initialRepState } from "./reps.js";
+export {
+  LIMBS,
+  SIDES,
+  SIDE_MODES,
+  SIDE_SWITCH_FRAMES,
+  SIDE_SWITCH_MARGIN,
+  areSidesComplete,
+  completeSide,
+  expectedSide,
+  getSideConfig,
+  initialSideState,
+  mirrorMetricName,
+  mirrorStepRule,
+  orientStepRule,
+  otherSide,
+  sideAsymmetry,
+  sideLabel,
+  updateSide
+} from "./sides.js";
+export { buildRecordingReport, findStepIndexAtTime } from "./recordingReport.js";
+export {
+  CALIBRATION_PHASES,
+  CALIBRATION_VERSION,
+  ROM_MARGIN,
+  ROM_METRICS,
+  ROM_TRIM,
+  buildCalibrationProfile,
+  personalizeRules
+} from "./calibration.js";
+export { CRITERIA_STD_MULTIPLIER, buildExerciseRules, summarizeSamples } from "./rulesBuilder.js";
+export { RULES_SCHEMA } from "./rulesSchema.js";
+export {
+  RulesValidationError,
+  checkStepsWithinVideo,
+  formatIssue,
+  validateAgainstSchema,
+  validateRules
+} from "./rulesValidator.js";
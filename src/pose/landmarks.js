@@ -0,0 +1,21 @@
+// MediaPipe Pose landmark indices (33-point BlazePose topology)
+// https://developers.google.com/mediapipe/solutions/vision/pose_landmarker
+export const LANDMARKS = {
+  NOSE: 0,
+  L_EAR: 7,
+  R_EAR: 8,
+  L_SHOULDER: 11,
+  R_SHOULDER: 12,
+  L_ELBOW: 13,
+  R_ELBOW: 14,
+  L_WRIST: 15,
+  R_WRIST: 16,
+  L_HIP: 23,
+  R_HIP: 24,
+  L_KNEE: 25,
+  R_KNEE: 26,
+  L_ANKLE: 27,
+  R_ANKLE: 28,
+  L_FOOT_INDEX: 31,
+  R_FOOT_INDEX: 32
+};
@@ -0,0 +1,228 @@
+// Pose metrics
+// The single place where landmark positions are turned into the metrics that
+// validation rules are written against. The live instructor and the rule
+// authoring tool both go through computeMetrics, so thresholds generated from
+// a reference video always use the same math as runtime scoring.
+import { LANDMARKS } from "./landmarks.js";
+import { torsoLength } from "./normalize.js";
+
+// Every metric computeMetrics produces, in the (alphabetical) order used by
+// the criteria blocks of the rules files
+export const METRIC_NAMES = [
+  "ankle_height",
+  "head_tilt_angle",
+  "hip_height",
+  "hip_width",
+  "knee_height",
+  "left_ankle_angle",
+  "left_elbow_angle",
+  "left_hip_angle",
+  "left_knee_angle",
+  "left_shoulder_angle",
+  "right_ankle_angle",
+  "right_elbow_angle",
+  "right_hip_angle",
+  "right_knee_angle",
+  "right_shoulder_angle",
+  "shoulder_height",
+  "shoulder_width",
+  "spine_angle",
+  "torso_angle"
+];
+
+// Metrics that vary a lot between people and are judged with a wider buffer,
+// both when scoring and before giving feedback
+export const LENIENT_METRICS = ["left_knee_angle", "right_knee_angle"];
+
+// Extra weight calculateBackFlatness gives the shoulders rising above the
+// hips (sitting up) over them dropping below
+export const SITTING_PENALTY = 2;
+
+/**
+ * Angle at b (in degrees, 0-180) formed by the segments b->a and b->c.
+ *
+ * @param {{x: number, y: number}} a
+ * @param {{x: number, y: number}} b - Vertex
+ * @param {{x: number, y: number}} c
+ * @returns {number}
+ */
+export const calculateAngle = (a, b, c) => {
+  const radians = Math.atan2(c.y - b.y, c.x - b.x) - Math.atan2(a.y - b.y, a.x - b.x);
+  let angle = Math.abs((radians * 180.0) / Math.PI);
+  if (angle > 180.0) angle = 360 - angle;
+  return angle;
+};
+
+/**
+ * Angle at b (in degrees, 0-180) between b->a and b->c in 3D, for world landmarks.
+ *
+ * @param {{x: number, y: number, z: number}} a
+ * @param {{x: number, y: number, z: number}} b - Vertex
+ * @param {{x: number, y: number, z: number}} c
+ * @returns {number} 0 when a segment has no length
+ */
+export const calculateAngle3D = (a, b, c) => {
+  const u = [a.x - b.x, a.y - b.y, (a.z || 0) - (b.z || 0)];
+  const v = [c.x - b.x, c.y - b.y, (c.z || 0) - (b.z || 0)];
+  const lengths = Math.hypot(...u) * Math.hypot(...v);
+  if (lengths === 0) return 0;
+  const cos = (u[0] * v[0] + u[1] * v[1] + u[2] * v[2]) / lengths;
+  return (Math.acos(Math.min(1, Math.max(-1, cos))) * 180.0) / Math.PI;
+};
+
+/**
+ * Maximum deviation from a flat back (0 = perfectly flat).
+ * When sitting, shoulders are much higher than hips, so deviation is large.
+ *
+ * @param {Array<{y: number}>} landmarks - 33 pose landmarks
+ * @returns {number} 1.0 when a shoulder or hip is missing
+ */
+export const calculateBackFlatness = (landmarks) => {
+  const l_shoulder = landmarks[LANDMARKS.L_SHOULDER];
+  const r_shoulder = landmarks[LANDMARKS.R_SHOULDER];
+  const l_hip = landmarks[LANDMARKS.L_HIP];
+  const r_hip = landmarks[LANDMARKS.R_HIP];
+  
+  if (!l_shoulder || !r_shoulder || !l_hip || !r_hip) return 1.0; // Invalid if missing
+  
+  // Calculate average shoulder and hip positions
+  const avgShoulderY = (l_shoulder.y + r_shoulder.y) / 2;
+  const avgHipY = (l_hip.y + r_hip.y) / 2;
+  
+  // Primary check: Vertical deviation between shoulders and hips
+  // When lying flat, shoulders and hips should be at similar Y positions
+  // When sitting, shoulders are much higher (lower Y value) than hips
+  const verticalDeviation = Math.abs(avgShoulderY - avgHipY);
+  
+  // Additional check: Individual shoulder/hip alignment (lateral tilt)
+  const shoulderDeviation = Math.abs(l_shoulder.y - r_shoulder.y);
+  const hipDeviation = Math.abs(l_hip.y - r_hip.y);
+  
+  // For lying down, we also check if shoulders are too high (sitting position)
+  // If shoulders are significantly above hips (lower Y value), person is sitting
+  const shoulderAboveHip = avgShoulderY < avgHipY; // Lower Y = higher on screen
+  const sittingIndicator = shoulderAboveHip ? (avgHipY - avgShoulderY) * SITTING_PENALTY : 0; // Penalize sitting more
+  
+  // Maximum deviation - prioritize vertical deviation and sitting detection
+  return Math.max(
+    verticalDeviation + sittingIndicator, // Main check with sitting penalty
+    shoulderDeviation * 0.5, // Lateral tilt is less critical
+    hipDeviation * 0.5
+  );
+};
+
+/**
+ * Camera distance proxy: average z of the shoulders and hips.
+ *
+ * @param {Array<{z: number}>} landmarks - 33 pose landmarks
+ * @returns {number} 0 when none of the points are present
+ */
+export const calculateCameraDistance = (landmarks) => {
+  const keyPoints = [LANDMARKS.L_SHOULDER, LANDMARKS.R_SHOULDER, LANDMARKS.L_HIP, LANDMARKS.R_HIP];
+  let totalZ = 0;
+  let count = 0;
+  
+  for (let idx of keyPoints) {
+    if (landmarks[idx]) {
+      totalZ += landmarks[idx].z;
+      count++;
+    }
+  }
+  
+  return count > 0 ? totalZ / count : 0;
+};
+
+// Average of the y coordinate of a left/right landmark pair
+const averageY = (left, right) => (left && right ? (left.y + right.y) / 2 : (left?.y || right?.y || 0));
+
+/**
+ * Compute every metric in METRIC_NAMES plus back_flatness_deviation.
+ * Angles are in degrees. Heights and widths are in normalized image units by
+ * default; with "torso" or "world" normalization (see normalize.js) heights
+ * are measured from the torso center (positive = below it) and both are in
+ * torso lengths. "world" without worldLandmarks falls back to "torso".
+ * back_flatness_deviation is always measured in the image.
+ *
+ * @param {Array<{x: number, y: number, z: number}>} landmarks - 33 pose landmarks
+ * @param {{normalization?: "image"|"torso"|"world", worldLandmarks?: Array}} [options] - See getMetricOptions
+ * @returns {Object<string, number>}
+ */
+export const computeMetrics = (landmarks, { normalization = "image", worldLandmarks } = {}) => {
+  const useWorld = normalization === "world" && Array.isArray(worldLandmarks);
+  const points = useWorld ? worldLandmarks : landmarks;
+  const angle = useWorld ? calculateAngle3D : calculateAngle;
+
+  const l_shoulder = points[LANDMARKS.L_SHOULDER];
+  const l_hip = points[LANDMARKS.L_HIP];
+  const l_knee = points[LANDMARKS.L_KNEE];
+  const l_ankle = points[LANDMARKS.L_ANKLE];
+  const l_elbow = points[LANDMARKS.L_ELBOW];
+  const l_wrist = points[LANDMARKS.L_WRIST];
+  const l_foot_index = points[LANDMARKS.L_FOOT_INDEX];
+  
+  const r_shoulder = points[LANDMARKS.R_SHOULDER];
+  const r_hip = points[LANDMARKS.R_HIP];
+  const r_knee = points[LANDMARKS.R_KNEE];
+  const r_ankle = points[LANDMARKS.R_ANKLE];
+  const r_elbow = points[LANDMARKS.R_ELBOW];
+  const r_wrist = points[LANDMARKS.R_WRIST];
+  const r_foot_index = points[LANDMARKS.R_FOOT_INDEX];
+  
+  const nose = points[LANDMARKS.NOSE];
+  const l_ear = points[LANDMARKS.L_EAR];
+  const r_ear = points[LANDMARKS.R_EAR];
+
+  const hasTorso = l_shoulder && r_shoulder && l_hip && r_hip;
+
+  // Scale and origin for heights and widths
+  const normalized = normalization !== "image";
+  const torso = normalized ? torsoLength(points, { use3d: useWorld }) : 1;
+  const torsoCenterY = hasTorso ? (averageY(l_shoulder, r_shoulder) + averageY(l_hip, r_hip)) / 2 : 0;
+  const height = (left, right) => {
+    if (!normalized) return averageY(left, right);
+    return torso > 0 ? (averageY(left, right) - torsoCenterY) / torso : 0;
+  };
+  const width = (a, b) => {
+    if (!a || !b) return 0;
+    const distance = useWorld ? Math.hypot(a.x - b.x, a.y - b.y, (a.z || 0) - (b.z || 0)) : Math.abs(a.x - b.x);
+    if (!normalized) return distance;
+    return torso > 0 ? distance / torso : 0;
+  };
+
+  return {
+    // Angles for both sides
+    left_hip_angle: angle(l_shoulder, l_hip, l_knee),
+    left_knee_angle: angle(l_hip, l_knee, l_ankle),
+    // Ankle angle: knee-ankle-foot_index
+    left_ankle_angle: l_knee && l_ankle && l_foot_index ? angle(l_knee, l_ankle, l_foot_index) : 0,
+    // Elbow angle: shoulder-elbow-wrist
+    left_elbow_angle: l_shoulder && l_elbow && l_wrist ? angle(l_shoulder, l_elbow, l_wrist) : 0,
+    // Shoulder angle: hip-shoulder-elbow
+    left_shoulder_angle: l_hip && l_shoulder && l_elbow ? angle(l_hip, l_shoulder, l_elbow) : 0,
+
+    right_hip_angle: angle(r_shoulder, r_hip, r_knee),
+    right_knee_angle: angle(r_hip, r_knee, r_ankle),
+    right_ankle_angle: r_knee && r_ankle && r_foot_index ? angle(r_knee, r_ankle, r_foot_index) : 0,
+    right_elbow_angle: r_shoulder && r_elbow && r_wrist ? angle(r_shoulder, r_elbow, r_wrist) : 0,
+    right_shoulder_angle: r_hip && r_shoulder && r_elbow ? angle(r_hip, r_shoulder, r_elbow) : 0,
+
+    // Average heights (normalized image y, or torso lengths from the torso center; both sides)
+    ankle_height: height(l_ankle, r_ankle),
+    knee_height: height(l_knee, r_knee),
+    hip_height: height(l_hip, r_hip),
+    shoulder_height: height(l_shoulder, r_shoulder),
+
+    // Distance between the hips / shoulders (horizontal only in the image)
+    hip_width: width(l_hip, r_hip),
+    shoulder_width: width(l_shoulder, r_shoulder),
+
+    // Head tilt angle (angle between nose and ears)
+    head_tilt_angle: nose && l_ear && r_ear ? angle(l_ear, nose, r_ear) : 0,
+    // Spine angle (angle between shoulders and hips)
+    spine_angle: hasTorso ? angle(l_shoulder, l_hip, r_hip) : 0,
+    // Torso angle (angle between shoulders and hips, different calculation)
+    torso_angle: hasTorso ? angle(r_shoulder, l_shoulder, l_hip) : 0,
+
+    back_flatness_deviation: calculateBackFlatness(landmarks)
+  };
+};
@@ -0,0 +1,117 @@
+import {
+  calculateAngle,
+  calculateAngle3D,
+  calculateBackFlatness,
+  calculateCameraDistance,
+  computeMetrics,
+  METRIC_NAMES
+} from "./metrics";
+import { lyingKneesBent, makeLandmarks, sittingUpright } from "./__fixtures__/landmarks";
+
+describe("calculateAngle", () => {
+  test("returns 90 for a right angle", () => {
+    expect(calculateAngle({ x: 0, y: 1 }, { x: 0, y: 0 }, { x: 1, y: 0 })).toBeCloseTo(90);
+  });
+
+  test("returns 180 for a straight line and never more", () => {
+    expect(calculateAngle({ x: -1, y: 0 }, { x: 0, y: 0 }, { x: 1, y: 0 })).toBeCloseTo(180);
+    expect(calculateAngle({ x: -1, y: 0.1 }, { x: 0, y: 0 }, { x: 1, y: 0.1 })).toBeLessThanOrEqual(180);
+  });
+});
+
+describe("calculateAngle3D", () => {
+  test("uses depth that the 2D angle can't see", () => {
+    const a = { x: 0, y: 0, z: 1 };
+    const b = { x: 0, y: 0, z: 0 };
+    const c = { x: 1, y: 0, z: 0 };
+    expect(calculateAngle3D(a, b, c)).toBeCloseTo(90);
+    expect(calculateAngle3D({ x: -1, y: 0, z: 0 }, b, c)).toBeCloseTo(180);
+  });
+
+  test("returns 0 for a zero-length segment", () => {
+    expect(calculateAngle3D({ x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 })).toBe(0);
+  });
+});
+
+describe("calculateBackFlatness", () => {
+  test("is 0 when shoulders and hips are level", () => {
+    expect(calculateBackFlatness(lyingKneesBent())).toBeCloseTo(0);
+  });
+
+  test("penalizes shoulders above the hips (sitting)", () => {
+    // vertical 0.4 + sitting penalty 0.4 * 2
+    expect(calculateBackFlatness(sittingUpright())).toBeCloseTo(1.2);
+  });
+
+  test("returns 1 when a shoulder or hip is missing", () => {
+    const landmarks = lyingKneesBent();
+    landmarks[23] = undefined;
+    expect(calculateBackFlatness(landmarks)).toBe(1.0);
+  });
+});
+
+describe("calculateCameraDistance", () => {
+  test("averages z over shoulders and hips", () => {
+    const landmarks = makeLandmarks({
+      L_SHOULDER: { z: -0.1 },
+      R_SHOULDER: { z: -0.3 },
+      L_HIP: { z: 0.1 },
+      R_HIP: { z: 0.1 }
+    });
+    expect(calculateCameraDistance(landmarks)).toBeCloseTo(-0.05);
+  });
+});
+
+describe("computeMetrics", () => {
+  test("computes every named metric plus back flatness", () => {
+    const metrics = computeMetrics(lyingKneesBent());
+    METRIC_NAMES.forEach(name => {
+      expect(Number.isFinite(metrics[name])).toBe(true);
+    });
+    expect(metrics).toHaveProperty("back_flatness_deviation");
+  });
+
+  test("measures joint angles and heights of the lying fixture", () => {
+    const metrics = computeMetrics(lyingKneesBent());
+    expect(metrics.left_hip_angle).toBeCloseTo(116.57, 1);
+    expect(metrics.left_knee_angle).toBeCloseTo(53.13, 1);
+    expect(metrics.right_knee_angle).toBeCloseTo(53.13, 1);
+    expect(metrics.ankle_height).toBeCloseTo(0.7);
+    expect(metrics.knee_height).toBeCloseTo(0.5);
+    expect(metrics.hip_width).toBeCloseTo(0.02);
+  });
+  test("torso normalization doesn't depend on framing or body size", () => {
+    const near = lyingKneesBent();
+    // The same pose, 1.5 times larger and shifted in the frame
+    const far = near.map(lm => ({ ...lm, x: 0.2 + lm.x * 1.5, y: lm.y * 1.5 - 0.4 }));
+
+    expect(computeMetrics(far).ankle_height).not.toBeCloseTo(computeMetrics(near).ankle_height);
+    const nearTorso = computeMetrics(near, { normalization: "torso" });
+    const farTorso = computeMetrics(far, { normalization: "torso" });
+    ["ankle_height", "knee_height", "hip_width", "left_knee_angle"].forEach(name => {
+      expect(farTorso[name]).toBeCloseTo(nearTorso[name]);
+    });
+    // torso length 0.25, knees 0.2 above the torso center
+    expect(nearTorso.knee_height).toBeCloseTo(-0.8);
+    expect(nearTorso.hip_width).toBeCloseTo(0.08);
+  });
+
+  test("world normalization measures angles in 3D from the world landmarks", () => {
+    const landmarks = lyingKneesBent();
+    // Knee bent towards the camera: straight in the image, 90 degrees in 3D
+    const world = makeLandmarks({
+      L_SHOULDER: { x: -0.5, y: 0, z: 0 },
+      R_SHOULDER: { x: -0.5, y: 0, z: 0 },
+      L_HIP: { x: 0, y: 0, z: 0 },
+      R_HIP: { x: 0, y: 0, z: 0 },
+      L_KNEE: { x: 0.4, y: 0, z: 0 },
+      L_ANKLE: { x: 0.4, y: 0, z: -0.4 }
+    });
+
+    const metrics = computeMetrics(landmarks, { normalization: "world", worldLandmarks: world });
+    expect(metrics.left_knee_angle).toBeCloseTo(90);
+    expect(metrics.back_flatness_deviation).toBeCloseTo(0);
+    // Falls back to torso normalization without world landmarks
+    expect(computeMetrics(landmarks, { normalization: "world" })).toEqual(computeMetrics(landmarks, { normalization: "torso" }));
+  });
+});
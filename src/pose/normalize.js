@@ -0,0 +1,88 @@
+// Metric normalization and camera view
+// Raw metrics are measured in the image: angles from 2D x/y and heights as
+// normalized y, so they change with where the camera stands and how big the
+// user appears. A rules file can ask for metrics that depend on form only:
+//   "normalization": "torso"  heights relative to the torso center (midway
+//                             between the shoulder and hip centers) and
+//                             widths, both in torso lengths (angles stay 2D)
+//   "normalization": "world"  as "torso", but measured on MediaPipe's 3D world
+//                             landmarks, so angles don't depend on the view
+// "image" (the default) keeps the raw metrics the bundled rules were written
+// with. Rules files also declare the camera_view they were recorded from,
+// which the live instructor compares with detectCameraView.
+import { LANDMARKS } from "./landmarks.js";
+
+export const NORMALIZATION_MODES = ["image", "torso", "world"];
+export const CAMERA_VIEWS = ["side", "front", "overhead"];
+
+// Shoulder span / torso length below which the camera is at the user's side
+export const SIDE_VIEW_MAX_RATIO = 0.4;
+// Shoulder span / torso length above which the torso is foreshortened from above
+export const OVERHEAD_VIEW_MIN_RATIO = 1.5;
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, z: ((a.z || 0) + (b.z || 0)) / 2 });
+
+/**
+ * Distance from the shoulder midpoint to the hip midpoint.
+ *
+ * @param {Array<{x: number, y: number, z?: number}>} landmarks - 33 pose landmarks
+ * @param {{use3d?: boolean}} [options] - Include z (for world landmarks)
+ * @returns {number} 0 when a shoulder or hip is missing
+ */
+export const torsoLength = (landmarks, { use3d = false } = {}) => {
+  const l_shoulder = landmarks[LANDMARKS.L_SHOULDER];
+  const r_shoulder = landmarks[LANDMARKS.R_SHOULDER];
+  const l_hip = landmarks[LANDMARKS.L_HIP];
+  const r_hip = landmarks[LANDMARKS.R_HIP];
+  if (!l_shoulder || !r_shoulder || !l_hip || !r_hip) return 0;
+
+  const shoulders = midpoint(l_shoulder, r_shoulder);
+  const hips = midpoint(l_hip, r_hip);
+  const dz = use3d ? shoulders.z - hips.z : 0;
+  return Math.hypot(shoulders.x - hips.x, shoulders.y - hips.y, dz);
+};
+
+/**
+ * The metric options a rules file asks for, to pass to computeMetrics.
+ *
+ * @param {{normalization?: string}} rules - Parsed rules file
+ * @param {Array} [worldLandmarks] - MediaPipe poseWorldLandmarks of the frame
+ * @returns {{normalization: string, worldLandmarks?: Array}}
+ */
+export const getMetricOptions = (rules, worldLandmarks) => ({
+  normalization: (rules && rules.normalization) || "image",
+  ...(worldLandmarks && { worldLandmarks })
+});
+
+/**
+ * Guess where the camera is from the apparent shoulder span: narrow from the
+ * side, wide from the front, wider than the torso is long from above.
+ *
+ * @param {Array<{x: number, y: number}>} landmarks - 33 pose landmarks (normalized image coordinates)
+ * @returns {"side"|"front"|"overhead"|null} null when the torso isn't detected
+ */
+export const detectCameraView = (landmarks) => {
+  const l_shoulder = landmarks[LANDMARKS.L_SHOULDER];
+  const r_shoulder = landmarks[LANDMARKS.R_SHOULDER];
+  const torso = torsoLength(landmarks);
+  if (!l_shoulder || !r_shoulder || torso === 0) return null;
+
+  const ratio = Math.abs(l_shoulder.x - r_shoulder.x) / torso;
+  if (ratio < SIDE_VIEW_MAX_RATIO) return "side";
+  if (ratio > OVERHEAD_VIEW_MIN_RATIO) return "overhead";
+  return "front";
+};
+
+/**
+ * The most frequent view in a list of per-frame detections.
+ *
+ * @param {Array<string|null>} views - detectCameraView results
+ * @returns {string|null} null when no frame had a view
+ */
+export const dominantCameraView = (views) => {
+  const counts = {};
+  views.forEach(view => {
+    if (view) counts[view] = (counts[view] || 0) + 1;
+  });
+  return Object.keys(counts).reduce((best, view) => (best === null || counts[view] > counts[best] ? view : best), null);
+};
@@ -0,0 +1,58 @@
+import { detectCameraView, dominantCameraView, getMetricOptions, torsoLength } from "./normalize";
+import { lyingKneesBent, makeLandmarks } from "./__fixtures__/landmarks";
+
+// Standing, seen from the front: shoulders 0.2 apart, torso 0.3 long
+const standingFront = (overrides = {}) => makeLandmarks({
+  L_SHOULDER: { x: 0.6, y: 0.3 },
+  R_SHOULDER: { x: 0.4, y: 0.3 },
+  L_HIP: { x: 0.58, y: 0.6 },
+  R_HIP: { x: 0.42, y: 0.6 },
+  ...overrides
+});
+
+describe("torsoLength", () => {
+  test("measures shoulder midpoint to hip midpoint", () => {
+    expect(torsoLength(standingFront())).toBeCloseTo(0.3);
+    expect(torsoLength(lyingKneesBent())).toBeCloseTo(0.25);
+  });
+
+  test("includes depth only when asked", () => {
+    const leaning = standingFront({ L_SHOULDER: { x: 0.6, y: 0.3, z: 0.4 }, R_SHOULDER: { x: 0.4, y: 0.3, z: 0.4 } });
+    expect(torsoLength(leaning)).toBeCloseTo(0.3);
+    expect(torsoLength(leaning, { use3d: true })).toBeCloseTo(0.5);
+  });
+
+  test("is 0 without a torso", () => {
+    const landmarks = standingFront();
+    landmarks[11] = undefined;
+    expect(torsoLength(landmarks)).toBe(0);
+  });
+});
+
+describe("detectCameraView", () => {
+  test("tells side, front and overhead views apart", () => {
+    expect(detectCameraView(lyingKneesBent())).toBe("side");
+    expect(detectCameraView(standingFront())).toBe("front");
+    // Seen from above the torso is foreshortened to less than the shoulder span
+    expect(detectCameraView(standingFront({ L_HIP: { x: 0.58, y: 0.4 }, R_HIP: { x: 0.42, y: 0.4 } }))).toBe("overhead");
+  });
+
+  test("returns null when the torso has no length", () => {
+    expect(detectCameraView(makeLandmarks())).toBeNull();
+  });
+});
+
+describe("dominantCameraView", () => {
+  test("picks the most frequent view, ignoring frames without one", () => {
+    expect(dominantCameraView(["side", null, "front", "side", null, null])).toBe("side");
+    expect(dominantCameraView([null])).toBeNull();
+  });
+});
+
+describe("getMetricOptions", () => {
+  test("defaults to image normalization", () => {
+    expect(getMetricOptions({})).toEqual({ normalization: "image" });
+    const world = [{ x: 0, y: 0, z: 0 }];
+    expect(getMetricOptions({ normalization: "world" }, world)).toEqual({ normalization: "world", worldLandmarks: world });
+  });
+});
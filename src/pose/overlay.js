@@ -0,0 +1,138 @@
+// Analysis overlay
+// What the live instructor draws over the user's skeleton while a step is
+// scored: an arc and the value at each hip, knee and elbow, colored by where
+// the joint's angle sits against the step's criteria; the line a flat back
+// would follow; and the last few seconds of every scored metric for the
+// sparklines. Drawing is left to the caller.
+import { checkRange } from "./evaluate.js";
+import { LANDMARKS } from "./landmarks.js";
+import { LENIENT_METRICS, SITTING_PENALTY } from "./metrics.js";
+
+// Angle metric -> landmarks of the angle: one end, the joint, the other end
+// (the points computeMetrics measures the angle between)
+export const OVERLAY_JOINTS = {
+  left_hip_angle: [LANDMARKS.L_SHOULDER, LANDMARKS.L_HIP, LANDMARKS.L_KNEE],
+  right_hip_angle: [LANDMARKS.R_SHOULDER, LANDMARKS.R_HIP, LANDMARKS.R_KNEE],
+  left_knee_angle: [LANDMARKS.L_HIP, LANDMARKS.L_KNEE, LANDMARKS.L_ANKLE],
+  right_knee_angle: [LANDMARKS.R_HIP, LANDMARKS.R_KNEE, LANDMARKS.R_ANKLE],
+  left_elbow_angle: [LANDMARKS.L_SHOULDER, LANDMARKS.L_ELBOW, LANDMARKS.L_WRIST],
+  right_elbow_angle: [LANDMARKS.R_SHOULDER, LANDMARKS.R_ELBOW, LANDMARKS.R_WRIST]
+};
+
+// How long the sparklines look back (ms)
+export const SPARKLINE_WINDOW_MS = 10000;
+
+/**
+ * Where a value sits against a criterion.
+ *
+ * @param {number} value - Metric value
+ * @param {{min: number, max: number}} [criterion] - The step's criterion for the metric
+ * @param {boolean} [lenient=false] - Use the lenient buffer (LENIENT_METRICS)
+ * @param {Object} [buffers] - range_buffer / lenient_range_buffer, as for checkRange
+ * @returns {"in"|"near"|"out"|"none"} "near" is outside min/max but within the buffer
+ *   scoring allows; "none" when the step has no criterion for the metric
+ */
+export const rangeStatus = (value, criterion, lenient = false, buffers) => {
+  if (!criterion || !Number.isFinite(criterion.min) || !Number.isFinite(criterion.max)) return "none";
+  if (value >= criterion.min && value <= criterion.max) return "in";
+  return checkRange(value, criterion, lenient, buffers) ? "near" : "out";
+};
+
+/**
+ * The joint angles to draw for a frame.
+ *
+ * @param {Array<{x: number, y: number, visibility?: number}>} landmarks - 33 pose landmarks (image coordinates)
+ * @param {Object} metrics - The frame's metrics
+ * @param {Object} stepRule - The step being scored
+ * @param {{buffers?: Object, visibilityThreshold?: number}} [options] - buffers as for checkRange (e.g. the
+ *   scoring block from scoringWithSettings); joints with a landmark below visibilityThreshold are left out
+ * @returns {Array<{metric: string, points: Array<Object>, value: number, status: string}>}
+ *   points are the angle's landmarks (end, joint, end); status as for rangeStatus
+ */
+export const jointAngles = (landmarks, metrics, stepRule, { buffers, visibilityThreshold = 0 } = {}) => {
+  const criteria = stepRule.criteria || {};
+  return Object.entries(OVERLAY_JOINTS)
+    .map(([metric, indices]) => {
+      const points = indices.map(index => landmarks[index]);
+      const visible = points.every(point => point && (point.visibility ?? 1) >= visibilityThreshold);
+      if (!visible || !Number.isFinite(metrics[metric])) return null;
+      const status = rangeStatus(metrics[metric], criteria[metric], LENIENT_METRICS.includes(metric), buffers);
+      return { metric, points, value: metrics[metric], status };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * The "ghost" line of the flat-back check: lying flat, the shoulders are at
+ * the height of the hips, so the line runs from the hips' midpoint level
+ * to below (or above) the shoulders' midpoint. back_flatness_deviation is
+ * always measured on the raw landmarks, so max_deviation is a share of the
+ * image height whatever the rules' normalization; shoulders above the hips
+ * count (1 + SITTING_PENALTY) times, so the band is narrower on that side.
+ *
+ * @param {Array<{x: number, y: number}>} landmarks - 33 pose landmarks (image coordinates)
+ * @param {Object} metrics - The frame's metrics (back_flatness_deviation)
+ * @param {Object} stepRule - The step being scored
+ * @returns {{hip: Object, shoulder: Object, target: Object, tolerance: {above: number, below: number}, flat: boolean}|null}
+ *   target is where the shoulders' midpoint belongs; tolerance how far above and below it they may
+ *   be, in image height; null when the step doesn't require a flat back or the torso isn't detected
+ */
+export const flatBackGuide = (landmarks, metrics, stepRule) => {
+  const backFlat = stepRule.back_flat;
+  if (!backFlat || !backFlat.should_be_flat) return null;
+  const torso = [LANDMARKS.L_SHOULDER, LANDMARKS.R_SHOULDER, LANDMARKS.L_HIP, LANDMARKS.R_HIP].map(index => landmarks[index]);
+  if (torso.some(point => !point)) return null;
+
+  const [lShoulder, rShoulder, lHip, rHip] = torso;
+  const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+  const shoulder = midpoint(lShoulder, rShoulder);
+  const hip = midpoint(lHip, rHip);
+  return {
+    hip,
+    shoulder,
+    target: { x: shoulder.x, y: hip.y },
+    tolerance: {
+      above: backFlat.max_deviation / (1 + SITTING_PENALTY),
+      below: backFlat.max_deviation
+    },
+    flat: metrics.back_flatness_deviation <= backFlat.max_deviation
+  };
+};
+
+/**
+ * The metrics the step scores, in the order of its criteria, with the back's
+ * deviation last when the step requires a flat back.
+ *
+ * @param {Object} stepRule - One entry of a rules file's steps
+ * @returns {string[]}
+ */
+export const scoredMetricNames = (stepRule) => {
+  const names = Object.keys(stepRule.criteria || {});
+  return stepRule.back_flat && stepRule.back_flat.should_be_flat ? [...names, "back_flatness_deviation"] : names;
+};
+
+/**
+ * Add a frame's metrics to the sparkline history, forgetting samples older than the window.
+ *
+ * @param {Array<{t: number, metrics: Object}>} history
+ * @param {Object} metrics - The frame's metrics
+ * @param {number} now - ms since epoch
+ * @param {number} [windowMs=SPARKLINE_WINDOW_MS]
+ * @returns {Array<{t: number, metrics: Object}>} A new array, oldest first
+ */
+export const appendMetricSample = (history, metrics, now, windowMs = SPARKLINE_WINDOW_MS) => [
+  ...history.filter(sample => now - sample.t < windowMs),
+  { t: now, metrics }
+];
+
+/**
+ * One metric of the history as chart points, in seconds before now.
+ *
+ * @param {Array<{t: number, metrics: Object}>} history - From appendMetricSample
+ * @param {string} name - Metric name
+ * @param {number} now - ms since epoch
+ * @returns {Array<{x: number, y: number}>} x from -window to 0
+ */
+export const metricSeries = (history, name, now) => history
+  .filter(sample => Number.isFinite(sample.metrics[name]))
+  .map(sample => ({ x: (sample.t - now) / 1000, y: sample.metrics[name] }));
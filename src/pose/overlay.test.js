@@ -0,0 +1,104 @@
+import { computeMetrics } from "./metrics";
+import {
+  appendMetricSample,
+  flatBackGuide,
+  jointAngles,
+  metricSeries,
+  rangeStatus,
+  scoredMetricNames
+} from "./overlay";
+import { lyingKneesBent, sittingUpright } from "./__fixtures__/landmarks";
+
+const step = {
+  step_number: 2,
+  criteria: {
+    left_hip_angle: { min: 110, max: 120 },
+    left_knee_angle: { min: 80, max: 100 },
+    ankle_height: { min: 0.6, max: 0.8 }
+  },
+  back_flat: { should_be_flat: true, max_deviation: 0.05 }
+};
+
+describe("rangeStatus", () => {
+  test("tells inside, within the buffer and outside apart", () => {
+    const criterion = { min: 100, max: 120 };
+    expect(rangeStatus(110, criterion)).toBe("in");
+    expect(rangeStatus(98, criterion)).toBe("near");
+    expect(rangeStatus(97, criterion)).toBe("out");
+    expect(rangeStatus(97, criterion, true)).toBe("near");
+    expect(rangeStatus(98, criterion, false, { range_buffer: 0 })).toBe("out");
+    expect(rangeStatus(98, undefined)).toBe("none");
+  });
+});
+
+describe("jointAngles", () => {
+  test("grades each visible hip, knee and elbow against the step", () => {
+    const landmarks = lyingKneesBent();
+    const angles = jointAngles(landmarks, computeMetrics(landmarks), step);
+    const byMetric = Object.fromEntries(angles.map(angle => [angle.metric, angle]));
+
+    expect(Object.keys(byMetric)).toHaveLength(6);
+    expect(byMetric.left_hip_angle.status).toBe("in");
+    expect(byMetric.left_knee_angle.status).toBe("out");
+    expect(byMetric.right_knee_angle.status).toBe("none");
+    expect(byMetric.left_knee_angle.points[1]).toBe(landmarks[25]);
+  });
+
+  test("leaves out joints the camera can't see well", () => {
+    const landmarks = lyingKneesBent({ L_WRIST: { x: 0.45, y: 0.72, visibility: 0.2 } });
+    const angles = jointAngles(landmarks, computeMetrics(landmarks), step, { visibilityThreshold: 0.5 });
+    expect(angles.map(angle => angle.metric)).not.toContain("left_elbow_angle");
+  });
+});
+
+describe("flatBackGuide", () => {
+  test("puts the target at the hips' height below the shoulders", () => {
+    const landmarks = sittingUpright();
+    const guide = flatBackGuide(landmarks, computeMetrics(landmarks), step);
+    expect(guide.target).toEqual({ x: guide.shoulder.x, y: guide.hip.y });
+    expect(guide.shoulder.y).toBeCloseTo(0.3);
+    expect(guide.flat).toBe(false);
+
+    const lying = lyingKneesBent();
+    expect(flatBackGuide(lying, computeMetrics(lying), step).flat).toBe(true);
+  });
+
+  test("narrows the band above the hips the way the deviation penalizes sitting", () => {
+    const guideAt = (y) => {
+      const landmarks = lyingKneesBent({ L_SHOULDER: { x: 0.25, y }, R_SHOULDER: { x: 0.27, y } });
+      return flatBackGuide(landmarks, computeMetrics(landmarks), step);
+    };
+    const { tolerance } = guideAt(0.7);
+    expect(tolerance.above).toBeCloseTo(0.05 / 3);
+    expect(tolerance.below).toBe(0.05);
+
+    expect(guideAt(0.7 - 0.9 * tolerance.above).flat).toBe(true);
+    expect(guideAt(0.7 - 1.1 * tolerance.above).flat).toBe(false);
+    expect(guideAt(0.7 + 0.9 * tolerance.below).flat).toBe(true);
+    expect(guideAt(0.7 + 1.1 * tolerance.below).flat).toBe(false);
+  });
+
+  test("is only drawn for steps that require a flat back", () => {
+    const landmarks = lyingKneesBent();
+    expect(flatBackGuide(landmarks, computeMetrics(landmarks), { criteria: {} })).toBeNull();
+  });
+});
+
+describe("sparkline history", () => {
+  test("keeps the last window of samples and reads one metric from it", () => {
+    let history = [];
+    [0, 4000, 8000, 12000].forEach(t => {
+      history = appendMetricSample(history, { left_knee_angle: t / 100 }, t);
+    });
+    expect(history.map(sample => sample.t)).toEqual([4000, 8000, 12000]);
+    expect(metricSeries(history, "left_knee_angle", 12000)).toEqual([
+      { x: -8, y: 40 }, { x: -4, y: 80 }, { x: 0, y: 120 }
+    ]);
+    expect(metricSeries(history, "ankle_height", 12000)).toEqual([]);
+  });
+
+  test("charts the step's criteria and its back flatness", () => {
+    expect(scoredMetricNames(step)).toEqual(["left_hip_angle", "left_knee_angle", "ankle_height", "back_flatness_deviation"]);
+    expect(scoredMetricNames({ criteria: { ankle_height: {} } })).toEqual(["ankle_height"]);
+  });
+});
@@ -0,0 +1,50 @@
+// Positioning checks
+// Decide whether the user is framed well enough to be scored: key landmarks
+// visible and standing at the distance the reference was recorded at.
+import { LANDMARKS } from "./landmarks.js";
+
+// Shoulders, hips, knees (ankles not required)
+export const REQUIRED_VISIBLE_LANDMARKS = [
+  LANDMARKS.L_SHOULDER, LANDMARKS.R_SHOULDER,
+  LANDMARKS.L_HIP, LANDMARKS.R_HIP,
+  LANDMARKS.L_KNEE, LANDMARKS.R_KNEE
+];
+
+export const VISIBILITY_THRESHOLD = 0.5;
+
+/**
+ * Check whether the user stands at the distance the exercise was recorded at.
+ *
+ * @param {number} avgZ - Average shoulder/hip z from calculateCameraDistance
+ * @param {{min_z: number, max_z: number}} [idealDistance] - The rules file's ideal_camera_distance
+ * @returns {"too_close"|"too_far"|"good"|"unknown"} "unknown" when the rules declare no ideal distance
+ */
+export const checkCameraDistance = (avgZ, idealDistance) => {
+  if (!idealDistance) return "unknown";
+  
+  const buffer = 0.02; // 5cm buffer for flexibility
+  
+  if (avgZ < idealDistance.min_z - buffer) {
+    return "too_close";
+  } else if (avgZ > idealDistance.max_z + buffer) {
+    return "too_far";
+  } else {
+    return "good";
+  }
+};
+
+/**
+ * Check that every landmark needed for scoring is visible.
+ *
+ * @param {Array<{visibility?: number}>} landmarks - 33 pose landmarks
+ * @param {number} [threshold=VISIBILITY_THRESHOLD] - Visibility each landmark needs (see settings.js)
+ * @returns {boolean} true when shoulders, hips and knees all reach the threshold
+ */
+export const checkBodyVisibility = (landmarks, threshold = VISIBILITY_THRESHOLD) => {
+  for (let idx of REQUIRED_VISIBLE_LANDMARKS) {
+    if (!landmarks[idx] || landmarks[idx].visibility < threshold) {
+      return false;
+    }
+  }
+  return true;
+};
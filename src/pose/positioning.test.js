@@ -0,0 +1,31 @@
+import { checkBodyVisibility, checkCameraDistance } from "./positioning";
+import { makeLandmarks } from "./__fixtures__/landmarks";
+
+describe("checkBodyVisibility", () => {
+  test("passes when shoulders, hips and knees are visible", () => {
+    expect(checkBodyVisibility(makeLandmarks())).toBe(true);
+  });
+
+  test("fails when a knee drops below the visibility threshold", () => {
+    expect(checkBodyVisibility(makeLandmarks({ R_KNEE: { visibility: 0.2 } }))).toBe(false);
+  });
+
+  test("does not require the ankles", () => {
+    expect(checkBodyVisibility(makeLandmarks({ L_ANKLE: { visibility: 0 } }))).toBe(true);
+  });
+});
+
+describe("checkCameraDistance", () => {
+  const ideal = { min_z: -0.2, max_z: 0.05 };
+
+  test("classifies against the ideal range with a small buffer", () => {
+    expect(checkCameraDistance(-0.3, ideal)).toBe("too_close");
+    expect(checkCameraDistance(0.1, ideal)).toBe("too_far");
+    expect(checkCameraDistance(-0.21, ideal)).toBe("good");
+    expect(checkCameraDistance(0, ideal)).toBe("good");
+  });
+
+  test("is unknown without an ideal distance", () => {
+    expect(checkCameraDistance(0, undefined)).toBe("unknown");
+  });
+});
@@ -0,0 +1,136 @@
+// Recording report
+// Scores landmarks extracted from a recorded workout against the step windows
+// of a rules file, the same way the live instructor scores the camera feed.
+import { analyzeFrame } from "./evaluate.js";
+import { FEEDBACK_COOLDOWN } from "./feedback.js";
+import { computeMetrics } from "./metrics.js";
+import { detectCameraView, dominantCameraView, getMetricOptions } from "./normalize.js";
+import { checkBodyVisibility } from "./positioning.js";
+import { countRep, initialRepState } from "./reps.js";
+import { getSideConfig, initialSideState, orientStepRule, sideAsymmetry, updateSide } from "./sides.js";
+
+/**
+ * Index of the step whose [start_time, end_time) window contains time.
+ *
+ * @param {Array<{start_time: number, end_time: number}>} steps
+ * @param {number} time - Seconds
+ * @returns {number} -1 when time falls between or outside the step windows
+ */
+export const findStepIndexAtTime = (steps, time) =>
+  steps.findIndex(step => time >= step.start_time && time < step.end_time);
+
+// Metrics worth plotting for a step: its criteria plus back flatness when required
+const timelineMetrics = (step, metrics) => {
+  const names = Object.keys(step.criteria || {}).filter(name => name in metrics);
+  if (step.back_flat && step.back_flat.should_be_flat) names.push("back_flatness_deviation");
+  return names;
+};
+
+/**
+ * Build a per-step report for a recorded session.
+ *
+ * @param {Array<{time: number, landmarks: Array, worldLandmarks?: Array}>} frames - Landmarks per sampled frame, sorted by time (seconds)
+ * @param {{exercise_name: string, steps: Array}} rules - Parsed rules file
+ * @param {{feedbackCooldown?: number}} [options] - Minimum ms between two feedback messages, as in a live session
+ * @returns {{exercise_name: string, frames: number, cameraView: {expected: string|null, detected: string|null},
+ *   steps: Array, feedback: Array}}
+ *   cameraView holds the rules file's camera_view and the view detected in most visible frames;
+ *   steps[i] holds frame counts, passPercentage (0-100, of visible frames), meanFormScore (0-100, null
+ *   without visible frames), metric timelines, the feedback
+ *   fired in that step and, for steps with a rep definition, reps ({ count, setsCompleted }) - of the last working side
+ *   for bilateral steps, which also get sides ({ side, completedSides, reps: {left, right}, asymmetry });
+ *   feedback lists every message that would have been spoken, with its time and step number
+ */
+export const buildRecordingReport = (frames, rules, { feedbackCooldown = FEEDBACK_COOLDOWN } = {}) => {
+  const steps = rules.steps.map(step => ({
+    step_number: step.step_number,
+    step_name: step.step_name,
+    start_time: step.start_time,
+    end_time: step.end_time,
+    frames: 0,
+    visibleFrames: 0,
+    passedFrames: 0,
+    passPercentage: 0,
+    meanFormScore: null,
+    timelines: {},
+    feedback: [],
+    reps: step.reps ? initialRepState() : null,
+    sides: getSideConfig(step) ? initialSideState(step) : null
+  }));
+  const formScoreTotals = rules.steps.map(() => 0);
+  const feedback = [];
+  const views = [];
+  let lastFeedbackTime = -Infinity;
+
+  frames.forEach(({ time, landmarks, worldLandmarks }) => {
+    const stepIndex = findStepIndexAtTime(rules.steps, time);
+    if (stepIndex === -1) return;
+
+    const stepRule = rules.steps[stepIndex];
+    const report = steps[stepIndex];
+    report.frames++;
+
+    // Out-of-frame poses are not scored, just like in a live session
+    if (!checkBodyVisibility(landmarks)) return;
+    report.visibleFrames++;
+    views.push(detectCameraView(landmarks));
+
+    const metricOptions = getMetricOptions(rules, worldLandmarks);
+
+    // Bilateral steps are scored against the side the user is working
+    let activeRule = stepRule;
+    if (report.sides) {
+      report.sides = updateSide(report.sides, computeMetrics(landmarks, metricOptions), stepRule, rules.scoring);
+      activeRule = orientStepRule(stepRule, report.sides.side);
+    }
+
+    const result = analyzeFrame(landmarks, activeRule, rules.scoring, metricOptions);
+    formScoreTotals[stepIndex] += result.formScore;
+    if (result.isPassing) report.passedFrames++;
+
+    if (report.sides && stepRule.reps) {
+      report.reps = report.sides.reps[report.sides.side];
+    } else if (stepRule.reps) {
+      report.reps = countRep(report.reps, result.metrics[stepRule.reps.metric], stepRule.reps);
+    }
+
+    timelineMetrics(stepRule, result.metrics).forEach(name => {
+      if (!report.timelines[name]) report.timelines[name] = [];
+      report.timelines[name].push({ time, value: result.metrics[name] });
+    });
+
+    if (result.feedback && (time - lastFeedbackTime) * 1000 > feedbackCooldown) {
+      const event = { time, step_number: stepRule.step_number, message: result.feedback };
+      report.feedback.push(event);
+      feedback.push(event);
+      lastFeedbackTime = time;
+    }
+  });
+
+  const repSummary = (repState) => ({ count: repState.count, setsCompleted: repState.setsCompleted });
+
+  steps.forEach((report, stepIndex) => {
+    if (report.reps) report.reps = repSummary(report.reps);
+    if (report.sides) {
+      const { side, completedSides, reps } = report.sides;
+      report.sides = {
+        side,
+        completedSides,
+        reps: { left: repSummary(reps.left), right: repSummary(reps.right) },
+        asymmetry: sideAsymmetry(report.sides)
+      };
+    }
+    report.passPercentage = report.visibleFrames > 0
+      ? (report.passedFrames / report.visibleFrames) * 100
+      : 0;
+    report.meanFormScore = report.visibleFrames > 0 ? formScoreTotals[stepIndex] / report.visibleFrames : null;
+  });
+
+  return {
+    exercise_name: rules.exercise_name,
+    frames: frames.length,
+    cameraView: { expected: rules.camera_view || null, detected: dominantCameraView(views) },
+    steps,
+    feedback
+  };
+};
@@ -0,0 +1,116 @@
+import { buildRecordingReport, findStepIndexAtTime } from "./recordingReport";
+import { computeMetrics } from "./metrics";
+import { criteriaAround, lyingKneesBent, sittingUpright } from "./__fixtures__/landmarks";
+
+const lyingMetrics = computeMetrics(lyingKneesBent());
+
+const rules = {
+  exercise_name: "Test exercise",
+  steps: [
+    {
+      step_number: 1,
+      step_name: "start_position",
+      start_time: 0,
+      end_time: 2,
+      criteria: criteriaAround(lyingMetrics, ["left_knee_angle"], 10),
+      back_flat: { max_deviation: 0, should_be_flat: false }
+    },
+    {
+      step_number: 2,
+      step_name: "lay on your back",
+      start_time: 3,
+      end_time: 10,
+      criteria: criteriaAround(lyingMetrics, ["left_hip_angle", "left_knee_angle", "knee_height"], 0.05),
+      back_flat: { max_deviation: 0.11, should_be_flat: true }
+    }
+  ]
+};
+
+describe("findStepIndexAtTime", () => {
+  test("maps a time to its step window", () => {
+    expect(findStepIndexAtTime(rules.steps, 0)).toBe(0);
+    expect(findStepIndexAtTime(rules.steps, 5)).toBe(1);
+  });
+
+  test("returns -1 between and after the windows", () => {
+    expect(findStepIndexAtTime(rules.steps, 2.5)).toBe(-1);
+    expect(findStepIndexAtTime(rules.steps, 10)).toBe(-1);
+  });
+});
+
+describe("buildRecordingReport", () => {
+  const frames = [
+    { time: 0, landmarks: lyingKneesBent() },
+    { time: 2.5, landmarks: lyingKneesBent() },
+    { time: 3, landmarks: lyingKneesBent() },
+    { time: 4, landmarks: sittingUpright() },
+    { time: 5, landmarks: sittingUpright() },
+    { time: 25, landmarks: sittingUpright() }
+  ];
+
+  test("computes the pass percentage per step", () => {
+    const report = buildRecordingReport(frames, rules);
+    expect(report.steps[0].passPercentage).toBe(100);
+    expect(report.steps[1].frames).toBe(3);
+    expect(report.steps[1].passPercentage).toBeCloseTo(100 / 3);
+  });
+
+  test("compares the detected camera view with the rules", () => {
+    expect(buildRecordingReport(frames, rules).cameraView).toEqual({ expected: null, detected: "side" });
+    expect(buildRecordingReport(frames, { ...rules, camera_view: "front" }).cameraView.expected).toBe("front");
+  });
+
+  test("records metric timelines for the scored criteria", () => {
+    const { timelines } = buildRecordingReport(frames, rules).steps[1];
+    expect(Object.keys(timelines)).toEqual(["left_hip_angle", "left_knee_angle", "knee_height", "back_flatness_deviation"]);
+    expect(timelines.left_knee_angle.map(point => point.time)).toEqual([3, 4, 5]);
+  });
+
+  test("lists the feedback that would have fired, respecting the cooldown", () => {
+    const report = buildRecordingReport(frames, rules);
+    expect(report.feedback).toHaveLength(1);
+    expect(report.feedback[0]).toMatchObject({ time: 4, step_number: 2 });
+    expect(report.feedback[0].message).toMatch(/back flat/i);
+
+    const chatty = buildRecordingReport(frames, rules, { feedbackCooldown: 0 });
+    expect(chatty.steps[1].feedback).toHaveLength(2);
+  });
+
+  test("does not score frames where the body is out of view", () => {
+    const hidden = lyingKneesBent({ L_KNEE: { x: 0.6, y: 0.5, visibility: 0.1 } });
+    const report = buildRecordingReport([{ time: 1, landmarks: hidden }], rules);
+    expect(report.steps[0].frames).toBe(1);
+    expect(report.steps[0].visibleFrames).toBe(0);
+    expect(report.steps[0].passPercentage).toBe(0);
+  });
+
+  test("counts reps for steps with a rep definition", () => {
+    const reps = { metric: "left_knee_angle", top: 100, bottom: 60, target: 2, sets: 1 };
+    const bent = lyingKneesBent();
+    const straight = lyingKneesBent({ L_ANKLE: { x: 0.7, y: 0.3 } });
+    const repRules = { ...rules, steps: [{ ...rules.steps[0], end_time: 10, reps }] };
+    const repFrames = [bent, straight, bent, straight, bent, straight, bent]
+      .map((landmarks, i) => ({ time: i, landmarks }));
+
+    const report = buildRecordingReport(repFrames, repRules);
+    expect(report.steps[0].reps).toEqual({ count: 1, setsCompleted: 1 });
+    expect(buildRecordingReport(frames, rules).steps[0].reps).toBeNull();
+  });
+
+  test("counts reps per side for bilateral steps", () => {
+    // Written for the right leg, worked with the left one
+    const reps = { metric: "right_knee_angle", top: 100, bottom: 60, target: 2 };
+    const bent = lyingKneesBent();
+    const straight = lyingKneesBent({ L_ANKLE: { x: 0.7, y: 0.3 } });
+    const sideRules = { ...rules, steps: [{ ...rules.steps[0], end_time: 10, reps, sides: { mode: "either" } }] };
+    const sideFrames = [bent, straight, bent, straight, bent]
+      .map((landmarks, i) => ({ time: i, landmarks }));
+
+    const { sides, reps: workingReps } = buildRecordingReport(sideFrames, sideRules).steps[0];
+    expect(sides.side).toBe("left");
+    expect(sides.completedSides).toEqual(["left"]);
+    expect(sides.reps.right).toEqual({ count: 0, setsCompleted: 0 });
+    expect(workingReps).toEqual({ count: 0, setsCompleted: 1 });
+    expect(sides.asymmetry).toBeNull();
+  });
+});
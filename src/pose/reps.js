@@ -0,0 +1,87 @@
+// Repetition counting
+// A step can declare a rep definition to describe a repeated movement instead
+// of a static hold:
+//   "reps": { "metric": "right_knee_angle", "top": 100, "bottom": 60, "target": 10, "sets": 1 }
+// A rep is counted when the metric goes past `top` and then back past
+// `bottom`. Values between the two thresholds never change the phase, so
+// jitter around a single threshold can't produce extra reps (hysteresis).
+// `top` may be above or below `bottom`, e.g. for image-space heights where a
+// higher limb has a smaller y.
+
+/**
+ * Fresh rep-counting state for a step.
+ *
+ * @returns {{phase: "bottom"|"top"|null, count: number, setsCompleted: number, repCompleted: boolean, setCompleted: boolean,
+ *   repMin: number|null, repMax: number|null, lastRange: number|null}}
+ *   phase is null until the metric first reaches the bottom threshold; repMin / repMax are the extremes of the
+ *   rep in progress and lastRange the range of motion (max - min) of the last completed rep
+ */
+export const initialRepState = () => ({
+  phase: null,
+  count: 0,
+  setsCompleted: 0,
+  repCompleted: false,
+  setCompleted: false,
+  repMin: null,
+  repMax: null,
+  lastRange: null
+});
+
+// Whether value has gone past threshold in the direction of the other threshold
+const isPast = (value, threshold, other) => (threshold >= other ? value >= threshold : value <= threshold);
+
+/**
+ * Advance the rep counter with one metric value.
+ *
+ * @param {Object} state - Previous state from initialRepState / countRep
+ * @param {number} value - Current value of repRule.metric
+ * @param {{top: number, bottom: number, target?: number, sets?: number}} repRule - The step's reps block
+ * @returns {Object} New state; repCompleted / setCompleted are true only on the frame a rep / set finished.
+ *   count restarts at 0 after each completed set of `target` reps.
+ */
+export const countRep = (state, value, repRule) => {
+  const next = { ...state, repCompleted: false, setCompleted: false };
+  if (!Number.isFinite(value)) return next;
+
+  if (state.phase !== null) {
+    next.repMin = state.repMin === null ? value : Math.min(state.repMin, value);
+    next.repMax = state.repMax === null ? value : Math.max(state.repMax, value);
+  }
+
+  const atTop = isPast(value, repRule.top, repRule.bottom);
+  const atBottom = isPast(value, repRule.bottom, repRule.top);
+
+  // The counter is armed by the first bottom, so starting mid-movement or at
+  // the top never yields a half rep
+  if (atTop && state.phase === "bottom") {
+    next.phase = "top";
+  } else if (atBottom && state.phase !== "bottom") {
+    if (state.phase === "top") {
+      next.count = state.count + 1;
+      next.repCompleted = true;
+      next.lastRange = next.repMax - next.repMin;
+
+      if (repRule.target && next.count >= repRule.target) {
+        next.count = 0;
+        next.setsCompleted = state.setsCompleted + 1;
+        next.setCompleted = true;
+      }
+    }
+    next.phase = "bottom";
+    // A rep starts at the bottom
+    next.repMin = value;
+    next.repMax = value;
+  }
+
+  return next;
+};
+
+/**
+ * Whether every set of a rep definition has been completed.
+ *
+ * @param {Object} state - Rep state
+ * @param {{sets?: number, target?: number}} repRule
+ * @returns {boolean} Always false without a target
+ */
+export const areRepsComplete = (state, repRule) =>
+  Boolean(repRule.target) && state.setsCompleted >= (repRule.sets || 1);
@@ -0,0 +1,52 @@
+import { areRepsComplete, countRep, initialRepState } from "./reps";
+
+const run = (values, repRule) => values.reduce((state, value) => countRep(state, value, repRule), initialRepState());
+
+describe("countRep", () => {
+  const kneeExtension = { metric: "right_knee_angle", top: 100, bottom: 60 };
+
+  test("counts a rep on the way back from the top", () => {
+    expect(run([40, 120], kneeExtension).count).toBe(0);
+    expect(run([40, 120, 40], kneeExtension).count).toBe(1);
+    expect(run([40, 120, 40, 120, 40], kneeExtension).count).toBe(2);
+  });
+
+  test("ignores jitter between the thresholds", () => {
+    expect(run([40, 70, 55, 95, 58, 99, 50], kneeExtension).count).toBe(0);
+    expect(run([40, 101, 99, 102, 98, 61, 59], kneeExtension).count).toBe(1);
+  });
+
+  test("doesn't count a rep when starting at the top", () => {
+    expect(run([120, 40], kneeExtension).count).toBe(0);
+  });
+
+  test("supports a top threshold below the bottom one", () => {
+    // image y shrinks as the leg goes up
+    const legRaise = { metric: "ankle_height", top: 0.3, bottom: 0.45 };
+    expect(run([0.5, 0.25, 0.5, 0.4, 0.2, 0.6], legRaise).count).toBe(2);
+  });
+
+  test("flags the frame on which a rep completes", () => {
+    const state = run([40, 120], kneeExtension);
+    const next = countRep(state, 40, kneeExtension);
+    expect(next.repCompleted).toBe(true);
+    expect(countRep(next, 40, kneeExtension).repCompleted).toBe(false);
+  });
+
+  test("records the range of motion of the last rep", () => {
+    expect(run([40, 120], kneeExtension).lastRange).toBeNull();
+    // armed at 50, peaks at 130, back down to 45
+    expect(run([70, 50, 90, 130, 110, 45], kneeExtension).lastRange).toBe(85);
+  });
+
+  test("completes sets of target reps", () => {
+    const rule = { ...kneeExtension, target: 2, sets: 2 };
+    const state = run([40, 120, 40, 120, 40, 120, 40], rule);
+    expect(state.setsCompleted).toBe(1);
+    expect(state.count).toBe(1);
+    expect(areRepsComplete(state, rule)).toBe(false);
+
+    const done = run([40, 120, 40, 120, 40, 120, 40, 120, 40], rule);
+    expect(areRepsComplete(done, rule)).toBe(true);
+  });
+});
@@ -0,0 +1,90 @@
+// Rules builder
+// Turns landmarks extracted from a reference video plus trainer-marked step
+// windows into a rules file in the same shape as public/exercises/*.json.
+import { METRIC_NAMES, calculateCameraDistance, computeMetrics } from "./metrics.js";
+import { detectCameraView, dominantCameraView } from "./normalize.js";
+
+// Criteria ranges are mean ± 2 standard deviations of the reference
+// performance, which is how the bundled rules files were generated
+export const CRITERIA_STD_MULTIPLIER = 2;
+
+/**
+ * mean / std (population) / min / max for a list of samples, with min and max
+ * derived from the spread so a single outlier frame doesn't widen the range.
+ *
+ * @param {number[]} values - At least one sample
+ * @returns {{min: number, max: number, mean: number, std: number}}
+ */
+export const summarizeSamples = (values) => {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  const std = Math.sqrt(variance);
+
+  return {
+    min: mean - CRITERIA_STD_MULTIPLIER * std,
+    max: mean + CRITERIA_STD_MULTIPLIER * std,
+    mean,
+    std
+  };
+};
+
+/**
+ * Build a rules file from reference-video landmarks and marked step windows.
+ *
+ * @param {Array<{time: number, landmarks: Array, worldLandmarks?: Array}>} frames - Landmarks per sampled frame, time in seconds
+ * @param {Array<{step_name: string, start_time: number, end_time: number, back_should_be_flat?: boolean}>} steps
+ * @param {{exerciseName?: string, normalization?: string}} [options] - normalization is written to the rules
+ *   file and used to measure the criteria (default "image")
+ * @returns {Object} Rules in the public/exercises/*.json format, with the camera_view detected in the video
+ * @throws {Error} If a step window contains no detected pose
+ */
+export const buildExerciseRules = (frames, steps, { exerciseName, normalization = "image" } = {}) => {
+  const frameMetrics = frames.map(frame => ({
+    time: frame.time,
+    metrics: computeMetrics(frame.landmarks, { normalization, worldLandmarks: frame.worldLandmarks }),
+    distance: calculateCameraDistance(frame.landmarks)
+  }));
+  const camera_view = dominantCameraView(frames.map(frame => detectCameraView(frame.landmarks)));
+
+  const distances = frameMetrics.map(f => f.distance);
+  const ideal_camera_distance = distances.length > 0 ? {
+    min_z: Math.min(...distances),
+    max_z: Math.max(...distances),
+    mean_z: distances.reduce((sum, z) => sum + z, 0) / distances.length
+  } : undefined;
+
+  const builtSteps = steps.map((step, index) => {
+    const inWindow = frameMetrics.filter(f => f.time >= step.start_time && f.time < step.end_time);
+    if (inWindow.length === 0) {
+      throw new Error(`No pose detected in step "${step.step_name}" (${step.start_time}s - ${step.end_time}s)`);
+    }
+
+    const criteria = {};
+    METRIC_NAMES.forEach(name => {
+      criteria[name] = summarizeSamples(inWindow.map(f => f.metrics[name]));
+    });
+
+    let back_flat = { max_deviation: 0, should_be_flat: false };
+    if (step.back_should_be_flat) {
+      const deviation = summarizeSamples(inWindow.map(f => f.metrics.back_flatness_deviation));
+      back_flat = { max_deviation: deviation.max, should_be_flat: true };
+    }
+
+    return {
+      step_number: index + 1,
+      step_name: step.step_name,
+      start_time: step.start_time,
+      end_time: step.end_time,
+      criteria,
+      back_flat
+    };
+  });
+
+  return {
+    exercise_name: exerciseName || "Untitled exercise",
+    ...(ideal_camera_distance && { ideal_camera_distance }),
+    ...(camera_view && { camera_view }),
+    ...(normalization !== "image" && { normalization }),
+    steps: builtSteps
+  };
+};
@@ -0,0 +1,60 @@
+import { buildExerciseRules, summarizeSamples } from "./rulesBuilder";
+import { METRIC_NAMES } from "./metrics";
+import { lyingKneesBent, sittingUpright } from "./__fixtures__/landmarks";
+
+describe("summarizeSamples", () => {
+  test("derives min and max from mean ± 2 std", () => {
+    const summary = summarizeSamples([1, 3]);
+    expect(summary.mean).toBe(2);
+    expect(summary.std).toBe(1);
+    expect(summary.min).toBe(0);
+    expect(summary.max).toBe(4);
+  });
+});
+
+describe("buildExerciseRules", () => {
+  const frames = [
+    { time: 0, landmarks: sittingUpright() },
+    { time: 1, landmarks: sittingUpright() },
+    { time: 2, landmarks: lyingKneesBent() },
+    { time: 3, landmarks: lyingKneesBent() }
+  ];
+  const steps = [
+    { step_name: "start_position", start_time: 0, end_time: 2 },
+    { step_name: "lay on your back", start_time: 2, end_time: 4, back_should_be_flat: true }
+  ];
+
+  test("writes a criteria block for every metric of every step", () => {
+    const rules = buildExerciseRules(frames, steps, { exerciseName: "Test" });
+    expect(rules.exercise_name).toBe("Test");
+    expect(rules.steps.map(s => s.step_number)).toEqual([1, 2]);
+    expect(Object.keys(rules.steps[1].criteria)).toEqual(METRIC_NAMES);
+    expect(rules.steps[1].criteria.left_knee_angle.mean).toBeCloseTo(53.13, 1);
+  });
+
+  test("only requires a flat back where the trainer marked it", () => {
+    const rules = buildExerciseRules(frames, steps);
+    expect(rules.steps[0].back_flat).toEqual({ max_deviation: 0, should_be_flat: false });
+    expect(rules.steps[1].back_flat.should_be_flat).toBe(true);
+    expect(rules.steps[1].back_flat.max_deviation).toBeCloseTo(0);
+  });
+
+  test("records the observed camera distance", () => {
+    expect(buildExerciseRules(frames, steps).ideal_camera_distance).toEqual({ min_z: 0, max_z: 0, mean_z: 0 });
+  });
+
+  test("records the detected camera view and the normalization", () => {
+    const rules = buildExerciseRules(frames, steps);
+    expect(rules.camera_view).toBe("side");
+    expect(rules).not.toHaveProperty("normalization");
+
+    const torsoRules = buildExerciseRules(frames, steps, { normalization: "torso" });
+    expect(torsoRules.normalization).toBe("torso");
+    expect(torsoRules.steps[1].criteria.knee_height.mean).toBeCloseTo(-0.8);
+  });
+
+  test("fails when a step window has no detected pose", () => {
+    expect(() => buildExerciseRules(frames, [{ step_name: "late", start_time: 10, end_time: 12 }]))
+      .toThrow(/No pose detected in step "late"/);
+  });
+});
@@ -0,0 +1,183 @@
+// Rules file schema
+// JSON Schema (draft 2020-12) for the exercise rules files in
+// public/exercises/. validateRules checks files against it on load and from
+// the validate-rules CLI, which can also print it for editor support.
+import { LOCALE_CODES, MESSAGE_IDS } from "../i18n/messages.js";
+import { METRIC_NAMES } from "./metrics.js";
+import { CAMERA_VIEWS, NORMALIZATION_MODES } from "./normalize.js";
+import { SCORING_MODES } from "./scoring.js";
+import { PRESET_NAMES, SETTINGS } from "./settings.js";
+import { LIMBS, SIDES, SIDE_MODES } from "./sides.js";
+
+const metricName = { type: "string", enum: METRIC_NAMES, title: "metric" };
+
+// Cue ID -> template in the locale, replacing the catalog's message
+const cues = {
+  type: "object",
+  propertyNames: { type: "string", enum: MESSAGE_IDS, title: "cue" },
+  additionalProperties: { type: "string" }
+};
+
+// Locale -> texts in that locale (see i18n/localizeRules.js)
+const translations = (properties) => ({
+  type: "object",
+  propertyNames: { type: "string", enum: LOCALE_CODES, title: "locale" },
+  additionalProperties: { type: "object", additionalProperties: false, properties }
+});
+
+const criterion = {
+  type: "object",
+  required: ["min", "max"],
+  additionalProperties: false,
+  properties: {
+    min: { type: "number" },
+    max: { type: "number" },
+    mean: { type: "number" },
+    std: { type: "number", minimum: 0 },
+    weight: { type: "number", minimum: 0 },
+    required: { type: "boolean" },
+    max_z: { type: "number", exclusiveMinimum: 0 }
+  }
+};
+
+const scoring = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    mode: { type: "string", enum: SCORING_MODES },
+    pass_score: { type: "number", minimum: 0, maximum: 100 }
+  }
+};
+
+// Values of the coaching settings, within their bounds
+const settingValues = Object.fromEntries(Object.entries(SETTINGS).map(([name, { min, max, integer }]) => (
+  [name, { type: integer ? "integer" : "number", minimum: min, maximum: max }]
+)));
+
+// Coaching settings for every preset, and per preset (see settings.js)
+const settings = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    ...settingValues,
+    presets: {
+      type: "object",
+      propertyNames: { type: "string", enum: PRESET_NAMES, title: "preset" },
+      additionalProperties: { type: "object", additionalProperties: false, properties: settingValues }
+    }
+  }
+};
+
+// The instructor's landmarks through the reference video, for the ghost
+// skeleton (see ghost.js): [x, y, visibility] of all 33 per frame
+const referenceLandmarks = {
+  type: "object",
+  required: ["aspect_ratio", "frames"],
+  additionalProperties: false,
+  properties: {
+    aspect_ratio: { type: "number", exclusiveMinimum: 0 },
+    frames: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["time", "landmarks"],
+        additionalProperties: false,
+        properties: {
+          time: { type: "number", minimum: 0 },
+          landmarks: {
+            type: "array",
+            minItems: 33,
+            items: { type: "array", minItems: 2, items: { type: "number" } }
+          }
+        }
+      }
+    }
+  }
+};
+
+const step = {
+  type: "object",
+  required: ["step_number", "step_name", "start_time", "end_time", "criteria"],
+  additionalProperties: false,
+  properties: {
+    step_number: { type: "integer", minimum: 1 },
+    step_name: { type: "string" },
+    start_time: { type: "number", minimum: 0 },
+    end_time: { type: "number", minimum: 0 },
+    criteria: {
+      type: "object",
+      propertyNames: metricName,
+      additionalProperties: criterion
+    },
+    back_flat: {
+      type: "object",
+      required: ["should_be_flat", "max_deviation"],
+      additionalProperties: false,
+      properties: {
+        should_be_flat: { type: "boolean" },
+        max_deviation: { type: "number", minimum: 0 }
+      }
+    },
+    hold: {
+      type: "object",
+      required: ["seconds"],
+      additionalProperties: false,
+      properties: {
+        seconds: { type: "number", exclusiveMinimum: 0 },
+        tolerance: { type: "number", minimum: 0 }
+      }
+    },
+    reps: {
+      type: "object",
+      required: ["metric", "top", "bottom"],
+      additionalProperties: false,
+      properties: {
+        metric: metricName,
+        top: { type: "number" },
+        bottom: { type: "number" },
+        target: { type: "integer", minimum: 1 },
+        sets: { type: "integer", minimum: 1 }
+      }
+    },
+    sides: {
+      type: "object",
+      required: ["mode"],
+      additionalProperties: false,
+      properties: {
+        mode: { type: "string", enum: SIDE_MODES },
+        reference: { type: "string", enum: SIDES },
+        limb: { type: "string", enum: LIMBS }
+      }
+    },
+    scoring,
+    translations: translations({ step_name: { type: "string" }, cues })
+  }
+};
+
+export const RULES_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  title: "Exercise rules",
+  type: "object",
+  required: ["exercise_name", "steps"],
+  additionalProperties: false,
+  properties: {
+    exercise_name: { type: "string" },
+    ideal_camera_distance: {
+      type: "object",
+      required: ["min_z", "max_z"],
+      additionalProperties: false,
+      properties: {
+        min_z: { type: "number" },
+        max_z: { type: "number" },
+        mean_z: { type: "number" }
+      }
+    },
+    camera_view: { type: "string", enum: CAMERA_VIEWS },
+    normalization: { type: "string", enum: NORMALIZATION_MODES },
+    scoring,
+    settings,
+    reference_landmarks: referenceLandmarks,
+    translations: translations({ exercise_name: { type: "string" }, cues }),
+    steps: { type: "array", minItems: 1, items: step }
+  }
+};
@@ -0,0 +1,199 @@
+// Rules validator
+// Checks a parsed rules file against RULES_SCHEMA plus the rules the schema
+// can't express (min <= max, step windows in order, steps inside the
+// reference video). Used when an exercise is loaded and by the
+// validate-rules CLI. Errors make a file unusable; warnings are suspicious
+// but loadable.
+import { RULES_SCHEMA } from "./rulesSchema.js";
+
+// Seconds a step may run past the end of the reference video (rounding)
+const DURATION_TOLERANCE = 0.05;
+
+/**
+ * One issue as a single line, e.g. `steps[2].criteria.hip_height: min (0.6) is greater than max (0.4)`.
+ *
+ * @param {{path: string, message: string}} issue
+ * @returns {string}
+ */
+export const formatIssue = ({ path, message }) => (path ? `${path}: ${message}` : message);
+
+/**
+ * A rules file that failed validation.
+ */
+export class RulesValidationError extends Error {
+  /**
+   * @param {string} source - File or URL the rules came from
+   * @param {Array<{path: string, message: string}>} errors
+   */
+  constructor(source, errors) {
+    super(`${source} has ${errors.length} problem${errors.length === 1 ? "" : "s"}: ${errors.map(formatIssue).join("; ")}`);
+    this.name = "RulesValidationError";
+    this.source = source;
+    this.errors = errors;
+  }
+}
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+};
+
+const joinPath = (path, key) => (typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+/**
+ * Validate a value against the subset of JSON Schema used by RULES_SCHEMA:
+ * type, enum, required, properties, additionalProperties, propertyNames,
+ * items, minItems, minimum, exclusiveMinimum and maximum.
+ *
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [path=""] - Path of value inside the document
+ * @returns {Array<{path: string, message: string}>}
+ */
+export const validateAgainstSchema = (value, schema, path = "") => {
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [{ path, message: `expected ${schema.type}, got ${typeOf(value)}` }];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path, message: `"${value}" is not one of ${schema.enum.join(", ")}` }];
+  }
+
+  const issues = [];
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      issues.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      issues.push({ path, message: `must be greater than ${schema.exclusiveMinimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      issues.push({ path, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      issues.push({ path, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? "" : "s"}` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => issues.push(...validateAgainstSchema(item, schema.items, joinPath(path, index))));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) issues.push({ path, message: `missing required "${key}"` });
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = joinPath(path, key);
+      if (schema.properties && key in schema.properties) {
+        issues.push(...validateAgainstSchema(child, schema.properties[key], childPath));
+        return;
+      }
+      if (schema.propertyNames && schema.propertyNames.enum && !schema.propertyNames.enum.includes(key)) {
+        issues.push({ path: childPath, message: `unknown ${schema.propertyNames.title || "name"} "${key}"` });
+        return;
+      }
+      if (schema.additionalProperties === false) {
+        issues.push({ path: childPath, message: `unknown property "${key}"` });
+      } else if (typeof schema.additionalProperties === "object") {
+        issues.push(...validateAgainstSchema(child, schema.additionalProperties, childPath));
+      }
+    });
+  }
+
+  return issues;
+};
+
+/**
+ * Steps that run past the end of the reference video.
+ *
+ * @param {{steps: Array}} rules
+ * @param {number} videoDuration - Seconds
+ * @returns {Array<{path: string, message: string}>}
+ */
+export const checkStepsWithinVideo = (rules, videoDuration) => rules.steps
+  .map((step, index) => ({ step, index }))
+  .filter(({ step }) => step.end_time > videoDuration + DURATION_TOLERANCE)
+  .map(({ step, index }) => ({
+    path: `steps[${index}]`,
+    message: `"${step.step_name}" ends at ${step.end_time}s, after the reference video ends (${videoDuration.toFixed(1)}s)`
+  }));
+
+/**
+ * Validate a parsed rules file.
+ *
+ * Errors: schema violations (including unknown metric names), a criterion
+ * with min > max, a step that ends before it starts or overlaps the previous
+ * step, and - when videoDuration is given - a step past the end of the video.
+ * Warnings: zero-valued criterion bounds, gaps between steps and step numbers
+ * out of sequence.
+ *
+ * @param {Object} rules - Parsed rules file
+ * @param {{videoDuration?: number}} [options] - Reference video length in seconds
+ * @returns {{errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>}}
+ */
+export const validateRules = (rules, { videoDuration } = {}) => {
+  const errors = validateAgainstSchema(rules, RULES_SCHEMA);
+  const warnings = [];
+  if (typeOf(rules) !== "object" || !Array.isArray(rules.steps)) return { errors, warnings };
+
+  let previous = null;
+  rules.steps.forEach((step, index) => {
+    if (typeOf(step) !== "object") return;
+    const path = `steps[${index}]`;
+
+    Object.entries(typeOf(step.criteria) === "object" ? step.criteria : {}).forEach(([name, criterion]) => {
+      if (typeOf(criterion) !== "object") return;
+      const { min, max } = criterion;
+      if (typeof min === "number" && typeof max === "number" && min > max) {
+        errors.push({ path: `${path}.criteria.${name}`, message: `min (${min}) is greater than max (${max})` });
+      }
+      ["min", "max"].forEach(bound => {
+        if (criterion[bound] === 0) {
+          warnings.push({
+            path: `${path}.criteria.${name}`,
+            message: `${bound} is 0 - check the metric was measured (a missing landmark reads as 0)`
+          });
+        }
+      });
+    });
+
+    if (step.step_number !== index + 1) {
+      warnings.push({ path, message: `step_number is ${step.step_number}, expected ${index + 1}` });
+    }
+
+    const { start_time: start, end_time: end } = step;
+    if (typeof start !== "number" || typeof end !== "number") return;
+
+    if (end <= start) {
+      errors.push({ path, message: `"${step.step_name}" ends (${end}s) before it starts (${start}s)` });
+    }
+    if (previous) {
+      if (start < previous.end_time) {
+        errors.push({
+          path,
+          message: `"${step.step_name}" starts at ${start}s, before "${previous.step_name}" ends (${previous.end_time}s)`
+        });
+      } else if (start > previous.end_time) {
+        warnings.push({ path, message: `${Number((start - previous.end_time).toFixed(2))}s gap after "${previous.step_name}"` });
+      }
+    }
+    previous = step;
+  });
+
+  if (typeof videoDuration === "number" && Number.isFinite(videoDuration)) {
+    errors.push(...checkStepsWithinVideo(rules, videoDuration));
+  }
+
+  return { errors, warnings };
+};
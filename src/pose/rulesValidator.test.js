@@ -0,0 +1,158 @@
+import { RulesValidationError, formatIssue, validateAgainstSchema, validateRules } from "./rulesValidator";
+
+const makeRules = () => ({
+  exercise_name: "Test exercise",
+  ideal_camera_distance: { min_z: -0.2, max_z: 0.05, mean_z: 0 },
+  steps: [
+    {
+      step_number: 1,
+      step_name: "start_position",
+      start_time: 0,
+      end_time: 10,
+      criteria: { left_knee_angle: { min: 80, max: 100, mean: 90, std: 5 } },
+      back_flat: { max_deviation: 0, should_be_flat: false }
+    },
+    {
+      step_number: 2,
+      step_name: "lift your leg up",
+      start_time: 10,
+      end_time: 30,
+      hold: { seconds: 5, tolerance: 1 },
+      reps: { metric: "right_knee_angle", top: 100, bottom: 60, target: 10 },
+      criteria: { ankle_height: { min: 0.3, max: 0.5, weight: 2, required: true } },
+      back_flat: { max_deviation: 0.1, should_be_flat: true }
+    }
+  ]
+});
+
+const paths = (issues) => issues.map(issue => issue.path);
+
+describe("validateRules", () => {
+  test("accepts a well-formed rules file", () => {
+    expect(validateRules(makeRules(), { videoDuration: 30 })).toEqual({ errors: [], warnings: [] });
+  });
+
+  test("reports unknown metrics in criteria and rep definitions", () => {
+    const rules = makeRules();
+    rules.steps[0].criteria.left_kne_angle = { min: 1, max: 2 };
+    rules.steps[1].reps.metric = "knee";
+
+    const { errors } = validateRules(rules);
+    expect(errors.map(formatIssue)).toEqual([
+      'steps[0].criteria.left_kne_angle: unknown metric "left_kne_angle"',
+      expect.stringMatching(/^steps\[1\]\.reps\.metric: "knee" is not one of/)
+    ]);
+  });
+
+  test("accepts coaching settings and reports unknown or out-of-range ones", () => {
+    const rules = makeRules();
+    rules.settings = { visibility_threshold: 0.4, presets: { strict: { passing_ratio: 0.5 } } };
+    expect(validateRules(rules).errors).toEqual([]);
+
+    rules.settings.smoothing_frames = 2.5;
+    rules.settings.presets.expert = {};
+    expect(paths(validateRules(rules).errors)).toEqual(["settings.presets.expert", "settings.smoothing_frames"]);
+  });
+
+  test("accepts reference landmarks and reports incomplete frames", () => {
+    const rules = makeRules();
+    const landmarks = Array.from({ length: 33 }, () => [0.5, 0.5, 0.9]);
+    rules.reference_landmarks = { aspect_ratio: 1.7778, frames: [{ time: 0, landmarks }] };
+    expect(validateRules(rules).errors).toEqual([]);
+
+    rules.reference_landmarks.frames.push({ time: 0.2, landmarks: landmarks.slice(0, 10) });
+    expect(paths(validateRules(rules).errors)).toEqual(["reference_landmarks.frames[1].landmarks"]);
+  });
+
+  test("accepts translations and reports unknown locales and cues", () => {
+    const rules = makeRules();
+    rules.translations = { es: { exercise_name: "Ejercicio" } };
+    rules.steps[1].translations = { hi: { step_name: "पैर ऊपर उठाएँ", cues: { "feedback.raise_legs": "पैर ऊपर!" } } };
+    expect(validateRules(rules).errors).toEqual([]);
+
+    rules.translations.fr = { exercise_name: "Exercice" };
+    rules.steps[1].translations.hi.cues["feedback.raise_leg"] = "पैर ऊपर!";
+    expect(validateRules(rules).errors.map(formatIssue)).toEqual([
+      'steps[1].translations.hi.cues.feedback.raise_leg: unknown cue "feedback.raise_leg"',
+      'translations.fr: unknown locale "fr"'
+    ]);
+  });
+
+  test("reports min greater than max", () => {
+    const rules = makeRules();
+    rules.steps[1].criteria.ankle_height = { min: 0.6, max: 0.4 };
+    expect(validateRules(rules).errors).toEqual([
+      { path: "steps[1].criteria.ankle_height", message: "min (0.6) is greater than max (0.4)" }
+    ]);
+  });
+
+  test("warns about zero-valued bounds", () => {
+    const rules = makeRules();
+    rules.steps[1].criteria.ankle_height.min = 0;
+    const { errors, warnings } = validateRules(rules);
+    expect(errors).toEqual([]);
+    expect(warnings[0].message).toMatch(/^min is 0/);
+  });
+
+  test("reports steps that end before they start or overlap the previous step", () => {
+    const rules = makeRules();
+    rules.steps[0].end_time = 12;
+    rules.steps[1].end_time = 8;
+    expect(validateRules(rules).errors.map(issue => issue.message)).toEqual([
+      '"lift your leg up" ends (8s) before it starts (10s)',
+      '"lift your leg up" starts at 10s, before "start_position" ends (12s)'
+    ]);
+  });
+
+  test("warns about gaps and step numbers out of sequence", () => {
+    const rules = makeRules();
+    rules.steps[1].start_time = 12;
+    rules.steps[1].step_number = 3;
+    expect(validateRules(rules).warnings.map(issue => issue.message)).toEqual([
+      "step_number is 3, expected 2",
+      '2s gap after "start_position"'
+    ]);
+  });
+
+  test("reports steps past the end of the reference video", () => {
+    const { errors } = validateRules(makeRules(), { videoDuration: 25 });
+    expect(paths(errors)).toEqual(["steps[1]"]);
+    expect(errors[0].message).toMatch(/after the reference video ends \(25\.0s\)/);
+  });
+
+  test("reports structural problems from the schema", () => {
+    const rules = makeRules();
+    delete rules.exercise_name;
+    rules.steps[0].start_time = "0";
+    rules.steps[1].hold.seconds = 0;
+    rules.steps[1].criteria.ankle_height.wieght = 2;
+
+    expect(validateRules(rules).errors.map(formatIssue)).toEqual([
+      'missing required "exercise_name"',
+      "steps[0].start_time: expected number, got string",
+      "steps[1].hold.seconds: must be greater than 0",
+      'steps[1].criteria.ankle_height.wieght: unknown property "wieght"'
+    ]);
+  });
+
+  test("does not throw on input that is not a rules object", () => {
+    expect(validateRules(null).errors).toEqual([{ path: "", message: "expected object, got null" }]);
+    expect(validateRules({ exercise_name: "x", steps: [] }).errors[0].message).toBe("must have at least 1 item");
+  });
+});
+
+describe("validateAgainstSchema", () => {
+  test("treats integers as numbers but not the other way round", () => {
+    expect(validateAgainstSchema(3, { type: "number" })).toEqual([]);
+    expect(validateAgainstSchema(1.5, { type: "integer" })).toEqual([{ path: "", message: "expected integer, got number" }]);
+  });
+});
+
+describe("RulesValidationError", () => {
+  test("lists the problems in its message", () => {
+    const error = new RulesValidationError("rules.json", [{ path: "steps[0]", message: "broken" }]);
+    expect(error.message).toBe("rules.json has 1 problem: steps[0]: broken");
+    expect(error.errors).toHaveLength(1);
+    expect(error).toBeInstanceOf(Error);
+  });
+});
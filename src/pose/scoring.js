@@ -0,0 +1,134 @@
+// Scoring modes
+// A rules file can pick how frames are graded with a top-level "scoring"
+// block (a step may override it with its own):
+//
+//   "scoring": { "mode": "statistical", "pass_score": 60 }
+//
+// "range" (the default) gives one point per criterion inside min/max plus a
+// buffer and passes at PASSING_RATIO of the points. "statistical" grades each
+// metric by how many standard deviations it is from the criterion's mean and
+// averages the grades into a continuous 0-100 form score. In both modes a
+// criterion may carry a "weight" (default 1) and "required": true to make it
+// a mandatory gate - a frame that fails a gate never passes.
+//
+// The live instructor adds the range-mode settings passing_ratio, range_buffer
+// and lenient_range_buffer to the block it scores with (see settings.js).
+import { CRITERIA_STD_MULTIPLIER } from "./rulesBuilder.js";
+
+export const SCORING_MODES = ["range", "statistical"];
+
+// Form score (0-100) a frame needs to pass in statistical mode
+export const DEFAULT_PASS_SCORE = 60;
+
+// Full credit within FULL_CREDIT_Z standard deviations of the mean, falling
+// linearly to none at ZERO_CREDIT_Z - half credit at the criterion's min/max
+export const FULL_CREDIT_Z = 1;
+export const ZERO_CREDIT_Z = 3;
+
+// Share of the form score kept when a gate fails, as for back flatness
+export const GATE_PENALTY = 0.7;
+
+/**
+ * Scoring config for a step: defaults, then the rules file's block, then the step's.
+ *
+ * @param {Object} stepRule - One entry of a rules file's steps
+ * @param {{mode?: string, pass_score?: number}} [scoring] - The rules file's top-level scoring block
+ * @returns {{mode: string, pass_score: number}}
+ */
+export const getScoringConfig = (stepRule, scoring) => ({
+  mode: "range",
+  pass_score: DEFAULT_PASS_SCORE,
+  ...scoring,
+  ...stepRule.scoring
+});
+
+/**
+ * Mean and standard deviation of a criterion. Criteria without them (hand
+ * written ones) are read as min/max = mean ± CRITERIA_STD_MULTIPLIER × std.
+ *
+ * @param {{min: number, max: number, mean?: number, std?: number}} criterion
+ * @returns {{mean: number, std: number}}
+ */
+export const criterionStats = (criterion) => ({
+  mean: Number.isFinite(criterion.mean) ? criterion.mean : (criterion.min + criterion.max) / 2,
+  std: criterion.std > 0 ? criterion.std : (criterion.max - criterion.min) / (2 * CRITERIA_STD_MULTIPLIER)
+});
+
+/**
+ * Distance of a value from a criterion's mean, in standard deviations.
+ *
+ * @param {number} value
+ * @param {Object} criterion
+ * @returns {number} Infinity when the criterion has no spread and the value is off the mean
+ */
+export const zScore = (value, criterion) => {
+  const { mean, std } = criterionStats(criterion);
+  if (std > 0) return Math.abs(value - mean) / std;
+  return value === mean ? 0 : Infinity;
+};
+
+/**
+ * Credit (0-1) for a metric that is z standard deviations from the mean.
+ *
+ * @param {number} z
+ * @returns {number}
+ */
+export const zScoreCredit = (z) => {
+  if (z <= FULL_CREDIT_Z) return 1;
+  if (z >= ZERO_CREDIT_Z) return 0;
+  return 1 - (z - FULL_CREDIT_Z) / (ZERO_CREDIT_Z - FULL_CREDIT_Z);
+};
+
+/**
+ * Statistical scoring of computed metrics against a step rule.
+ * A required criterion passes its gate within "max_z" standard deviations
+ * (default CRITERIA_STD_MULTIPLIER, i.e. inside min/max); a step whose back
+ * must be flat gates on back_flatness_deviation as well, and is scored on it
+ * alone when it has no criteria.
+ *
+ * @param {Object<string, number>} metrics - computeMetrics output
+ * @param {Object} stepRule - One entry of a rules file's steps
+ * @param {{pass_score: number}} config - From getScoringConfig
+ * @returns {{formScore: number, metricScores: Object<string, number>, failedGates: string[],
+ *   backFlatPassed: boolean, isPassing: boolean}}
+ *   formScore is 0-100; metricScores holds the 0-1 credit of each scored criterion
+ */
+export const scoreStatistical = (metrics, stepRule, config) => {
+  const metricScores = {};
+  const failedGates = [];
+  let weighted = 0;
+  let totalWeight = 0;
+
+  Object.entries(stepRule.criteria || {}).forEach(([name, criterion]) => {
+    if (!(name in metrics)) return;
+    const weight = criterion.weight ?? 1;
+    const z = zScore(metrics[name], criterion);
+
+    metricScores[name] = zScoreCredit(z);
+    weighted += weight * metricScores[name];
+    totalWeight += weight;
+
+    if (criterion.required && z > (criterion.max_z ?? CRITERIA_STD_MULTIPLIER)) {
+      failedGates.push(name);
+    }
+  });
+
+  const backFlat = stepRule.back_flat;
+  const checksBack = Boolean(backFlat && backFlat.should_be_flat);
+  const backFlatPassed = !checksBack || metrics.back_flatness_deviation <= backFlat.max_deviation;
+  if (!backFlatPassed) failedGates.push("back_flat");
+
+  // A step with no criteria is graded on its back alone, as in range mode
+  let formScore = totalWeight > 0
+    ? (weighted / totalWeight) * 100
+    : (checksBack && backFlatPassed ? 100 : 0);
+  if (failedGates.length > 0) formScore *= GATE_PENALTY;
+
+  return {
+    formScore,
+    metricScores,
+    failedGates,
+    backFlatPassed,
+    isPassing: failedGates.length === 0 && formScore >= config.pass_score
+  };
+};
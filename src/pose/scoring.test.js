@@ -0,0 +1,86 @@
+import {
+  criterionStats,
+  getScoringConfig,
+  scoreStatistical,
+  zScore,
+  zScoreCredit
+} from "./scoring";
+
+const config = { mode: "statistical", pass_score: 60 };
+
+describe("getScoringConfig", () => {
+  test("defaults to range mode, step settings override the rules file", () => {
+    expect(getScoringConfig({})).toEqual({ mode: "range", pass_score: 60 });
+    expect(getScoringConfig({ scoring: { pass_score: 80 } }, { mode: "statistical" }))
+      .toEqual({ mode: "statistical", pass_score: 80 });
+  });
+});
+
+describe("criterionStats / zScore", () => {
+  test("uses the criterion's mean and std", () => {
+    expect(zScore(110, { min: 80, max: 120, mean: 100, std: 5 })).toBe(2);
+  });
+
+  test("derives mean and std from min/max when missing", () => {
+    expect(criterionStats({ min: 80, max: 120 })).toEqual({ mean: 100, std: 10 });
+    expect(zScore(85, { min: 80, max: 120 })).toBe(1.5);
+  });
+});
+
+describe("zScoreCredit", () => {
+  test("full credit near the mean, none far away, linear in between", () => {
+    expect(zScoreCredit(0.5)).toBe(1);
+    expect(zScoreCredit(2)).toBe(0.5);
+    expect(zScoreCredit(3)).toBe(0);
+    expect(zScoreCredit(Infinity)).toBe(0);
+  });
+});
+
+describe("scoreStatistical", () => {
+  const step = {
+    criteria: {
+      left_knee_angle: { min: 80, max: 120, mean: 100, std: 10, weight: 3 },
+      ankle_height: { min: 0.4, max: 0.6, mean: 0.5, std: 0.05 }
+    }
+  };
+
+  test("weights the per-metric credit into a 0-100 form score", () => {
+    const result = scoreStatistical({ left_knee_angle: 100, ankle_height: 0.6 }, step, config);
+    expect(result.metricScores.left_knee_angle).toBe(1);
+    expect(result.metricScores.ankle_height).toBeCloseTo(0.5);
+    expect(result.formScore).toBeCloseTo(87.5);
+    expect(result.isPassing).toBe(true);
+  });
+
+  test("fails below the pass score", () => {
+    const result = scoreStatistical({ left_knee_angle: 125, ankle_height: 0.5 }, step, config);
+    expect(result.formScore).toBeCloseTo(43.75);
+    expect(result.isPassing).toBe(false);
+  });
+
+  test("a failed gate fails the frame and penalizes the score", () => {
+    const gated = {
+      criteria: { ...step.criteria, ankle_height: { ...step.criteria.ankle_height, required: true } },
+      back_flat: { should_be_flat: true, max_deviation: 0.1 }
+    };
+    const result = scoreStatistical({ left_knee_angle: 100, ankle_height: 0.65, back_flatness_deviation: 0.2 }, gated, config);
+
+    expect(result.failedGates).toEqual(["ankle_height", "back_flat"]);
+    expect(result.backFlatPassed).toBe(false);
+    expect(result.formScore).toBeCloseTo(((3 + 0) / 4) * 100 * 0.7);
+    expect(result.isPassing).toBe(false);
+  });
+
+  test("max_z widens a gate", () => {
+    const gated = { criteria: { ankle_height: { min: 0.4, max: 0.6, mean: 0.5, std: 0.05, required: true, max_z: 3 } } };
+    expect(scoreStatistical({ ankle_height: 0.62 }, gated, config).failedGates).toEqual([]);
+  });
+
+  test("grades a step without criteria on its back alone", () => {
+    const backOnly = { back_flat: { should_be_flat: true, max_deviation: 0.1 } };
+    const flat = scoreStatistical({ back_flatness_deviation: 0.05 }, backOnly, config);
+    expect(flat.formScore).toBe(100);
+    expect(flat.isPassing).toBe(true);
+    expect(scoreStatistical({ back_flatness_deviation: 0.2 }, backOnly, config)).toMatchObject({ formScore: 0, isPassing: false });
+  });
+});
@@ -0,0 +1,125 @@
+// Coaching settings
+// The tuning of a live session - how much the landmarks are smoothed, how long
+// the position is confirmed, how forgiving scoring is, how often corrections
+// repeat and how the voice sounds - as one flat object of named values. A
+// difficulty preset gives every value; the rules file of an exercise may
+// adjust them with a top-level "settings" block, for every preset or for one:
+//
+//   "settings": { "visibility_threshold": 0.4, "presets": { "strict": { "passing_ratio": 0.5 } } }
+//
+// and the user's advanced overrides (see storage/settingsStore.js) come last.
+import { LENIENT_RANGE_BUFFER, PASSING_RATIO, RANGE_BUFFER } from "./evaluate.js";
+import { FEEDBACK_COOLDOWN } from "./feedback.js";
+import { VISIBILITY_THRESHOLD } from "./positioning.js";
+
+// Every setting with its bounds; integer settings are rounded
+export const SETTINGS = {
+  smoothing_frames: { label: "Smoothing frames", min: 1, max: 15, step: 1, integer: true },
+  confirm_frames: { label: "Frames to confirm the position", min: 5, max: 120, step: 1, integer: true },
+  passing_ratio: { label: "Share of criteria needed to pass", min: 0.1, max: 1, step: 0.05 },
+  range_buffer: { label: "Tolerance around a range", min: 0, max: 0.5, step: 0.01 },
+  lenient_range_buffer: { label: "Tolerance around a knee range", min: 0, max: 0.5, step: 0.01 },
+  visibility_threshold: { label: "Landmark visibility needed", min: 0.1, max: 0.95, step: 0.05 },
+  feedback_cooldown: { label: "Seconds before a correction repeats", min: 3, max: 60, step: 1, integer: true },
+  voice_rate: { label: "Voice speed", min: 0.5, max: 2, step: 0.05 },
+  voice_volume: { label: "Voice volume", min: 0, max: 1, step: 0.05 }
+};
+
+export const SETTING_NAMES = Object.keys(SETTINGS);
+
+// "standard" is how sessions always ran: the module defaults of each value
+// (smoothing_frames is SMOOTHING_FRAMES in detection/frameProcessor.js and
+// confirm_frames CONFIRM_FRAMES in session/sessionMachine.js). voice_rate
+// scales the locale's own rate (see i18n/voice.js).
+export const PRESETS = {
+  beginner: {
+    smoothing_frames: 7,
+    confirm_frames: 20,
+    passing_ratio: 0.3,
+    range_buffer: 0.15,
+    lenient_range_buffer: 0.2,
+    visibility_threshold: 0.4,
+    feedback_cooldown: 20,
+    voice_rate: 0.9,
+    voice_volume: 0.8
+  },
+  standard: {
+    smoothing_frames: 5,
+    confirm_frames: 30,
+    passing_ratio: PASSING_RATIO,
+    range_buffer: RANGE_BUFFER,
+    lenient_range_buffer: LENIENT_RANGE_BUFFER,
+    visibility_threshold: VISIBILITY_THRESHOLD,
+    feedback_cooldown: FEEDBACK_COOLDOWN / 1000,
+    voice_rate: 1,
+    voice_volume: 0.8
+  },
+  strict: {
+    smoothing_frames: 3,
+    confirm_frames: 45,
+    passing_ratio: 0.6,
+    range_buffer: 0.05,
+    lenient_range_buffer: 0.1,
+    visibility_threshold: 0.6,
+    feedback_cooldown: 10,
+    voice_rate: 1,
+    voice_volume: 0.8
+  }
+};
+
+export const PRESET_NAMES = Object.keys(PRESETS);
+
+export const DEFAULT_PRESET = "standard";
+
+/**
+ * Keep the known settings of an object, clamped to their bounds.
+ * Anything else - unknown names, values that aren't finite numbers - is dropped,
+ * so stored overrides from an older version can't break a session.
+ *
+ * @param {Object} [values]
+ * @returns {Object} Only the valid settings
+ */
+export const sanitizeSettings = (values) => {
+  const sanitized = {};
+  Object.entries(values || {}).forEach(([name, value]) => {
+    const setting = SETTINGS[name];
+    if (!setting || typeof value !== "number" || !Number.isFinite(value)) return;
+    const clamped = Math.min(Math.max(value, setting.min), setting.max);
+    sanitized[name] = setting.integer ? Math.round(clamped) : clamped;
+  });
+  return sanitized;
+};
+
+/**
+ * The settings a session runs with: the preset, then the rules file's settings
+ * block (its values for every preset, then those for this preset), then the
+ * user's overrides.
+ *
+ * @param {{preset?: string, overrides?: Object}} [choice] - The user's preset (one of PRESET_NAMES) and overrides
+ * @param {{settings?: Object}} [rules] - Parsed rules file
+ * @returns {Object} A value for every name in SETTINGS
+ */
+export const resolveSettings = ({ preset = DEFAULT_PRESET, overrides } = {}, rules) => {
+  const { presets, ...exercise } = (rules && rules.settings) || {};
+  return {
+    ...(PRESETS[preset] || PRESETS[DEFAULT_PRESET]),
+    ...sanitizeSettings(exercise),
+    ...sanitizeSettings(presets && presets[preset]),
+    ...sanitizeSettings(overrides)
+  };
+};
+
+/**
+ * The rules file's scoring block with the scoring settings added, as
+ * scoreMetrics reads them.
+ *
+ * @param {Object} [scoring] - The rules file's top-level scoring block
+ * @param {Object} settings - From resolveSettings
+ * @returns {Object}
+ */
+export const scoringWithSettings = (scoring, settings) => ({
+  ...scoring,
+  passing_ratio: settings.passing_ratio,
+  range_buffer: settings.range_buffer,
+  lenient_range_buffer: settings.lenient_range_buffer
+});
@@ -0,0 +1,63 @@
+import { SMOOTHING_FRAMES } from "../detection/frameProcessor";
+import { CONFIRM_FRAMES } from "../session/sessionMachine";
+import { FEEDBACK_COOLDOWN } from "./feedback";
+import { PRESETS, SETTING_NAMES, resolveSettings, sanitizeSettings, scoringWithSettings } from "./settings";
+
+describe("PRESETS", () => {
+  test("give every setting, within its bounds", () => {
+    Object.values(PRESETS).forEach(preset => {
+      expect(Object.keys(preset).sort()).toEqual([...SETTING_NAMES].sort());
+      expect(sanitizeSettings(preset)).toEqual(preset);
+    });
+  });
+
+  test("standard keeps the module defaults", () => {
+    expect(PRESETS.standard).toMatchObject({
+      smoothing_frames: SMOOTHING_FRAMES,
+      confirm_frames: CONFIRM_FRAMES,
+      passing_ratio: 0.4,
+      range_buffer: 0.1,
+      lenient_range_buffer: 0.15,
+      visibility_threshold: 0.5,
+      feedback_cooldown: FEEDBACK_COOLDOWN / 1000
+    });
+  });
+});
+
+describe("sanitizeSettings", () => {
+  test("drops unknown names and non-numbers, clamps and rounds the rest", () => {
+    expect(sanitizeSettings({ smoothing_frames: 40.2, passing_ratio: "0.5", voice_volume: -1, speed: 2 }))
+      .toEqual({ smoothing_frames: 15, voice_volume: 0 });
+    expect(sanitizeSettings(null)).toEqual({});
+  });
+});
+
+describe("resolveSettings", () => {
+  const rules = {
+    settings: {
+      visibility_threshold: 0.4,
+      passing_ratio: 0.5,
+      presets: { strict: { passing_ratio: 0.55 } }
+    }
+  };
+
+  test("defaults to the standard preset", () => {
+    expect(resolveSettings()).toEqual(PRESETS.standard);
+    expect(resolveSettings({ preset: "expert" })).toEqual(PRESETS.standard);
+  });
+
+  test("applies the rules file, then its preset block, then the user's overrides", () => {
+    expect(resolveSettings({ preset: "beginner" }, rules))
+      .toEqual({ ...PRESETS.beginner, visibility_threshold: 0.4, passing_ratio: 0.5 });
+    expect(resolveSettings({ preset: "strict", overrides: { visibility_threshold: 0.7 } }, rules))
+      .toEqual({ ...PRESETS.strict, visibility_threshold: 0.7, passing_ratio: 0.55 });
+  });
+});
+
+describe("scoringWithSettings", () => {
+  test("adds the range-mode settings to the scoring block", () => {
+    expect(scoringWithSettings({ mode: "range" }, PRESETS.strict)).toEqual({
+      mode: "range", passing_ratio: 0.6, range_buffer: 0.05, lenient_range_buffer: 0.1
+    });
+  });
+});
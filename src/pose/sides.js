@@ -0,0 +1,236 @@
+// Bilateral steps
+// Rules files are recorded from one reference video, so their criteria name
+// the side the instructor used (e.g. right_knee_angle for a right leg lift).
+// A step can declare that either side may do the work, or that both sides
+// must take a turn:
+//   "sides": { "mode": "either", "reference": "right", "limb": "leg" }
+// mode is "either" or "alternate"; reference is the side the criteria are
+// written for (default: the side of reps.metric, else "right"); limb is what
+// the user is told to move (default: inferred from reps.metric, else "leg").
+// The working side is detected per frame by scoring the metrics against the
+// step as written and mirrored (left_* <-> right_*), and reps are counted for
+// each side separately.
+import { areRepsComplete, countRep, initialRepState } from "./reps.js";
+import { scoreMetrics } from "./evaluate.js";
+
+export const SIDES = ["left", "right"];
+export const SIDE_MODES = ["either", "alternate"];
+export const LIMBS = ["leg", "arm"];
+
+// Form score points the other side must lead by before the working side changes
+export const SIDE_SWITCH_MARGIN = 10;
+// Consecutive frames the other side must lead for before the working side changes
+export const SIDE_SWITCH_FRAMES = 5;
+
+const ARM_JOINTS = ["elbow", "shoulder", "wrist"];
+
+/**
+ * The opposite side.
+ *
+ * @param {"left"|"right"} side
+ * @returns {"left"|"right"}
+ */
+export const otherSide = (side) => (side === "left" ? "right" : "left");
+
+/**
+ * Swap the side prefix of a metric name; metrics without one are unchanged.
+ *
+ * @param {string} name - e.g. "right_knee_angle"
+ * @returns {string} e.g. "left_knee_angle"
+ */
+export const mirrorMetricName = (name) => {
+  if (name.startsWith("left_")) return `right_${name.slice(5)}`;
+  if (name.startsWith("right_")) return `left_${name.slice(6)}`;
+  return name;
+};
+
+/**
+ * A step rule with every left_* / right_* criterion and the rep metric swapped.
+ *
+ * @param {Object} stepRule - One entry of a rules file's steps
+ * @returns {Object} New step rule; stepRule is not modified
+ */
+export const mirrorStepRule = (stepRule) => {
+  const mirrored = {
+    ...stepRule,
+    criteria: Object.fromEntries(
+      Object.entries(stepRule.criteria || {}).map(([name, criterion]) => [mirrorMetricName(name), criterion])
+    )
+  };
+  if (stepRule.reps) mirrored.reps = { ...stepRule.reps, metric: mirrorMetricName(stepRule.reps.metric) };
+  return mirrored;
+};
+
+const metricSide = (name) => SIDES.find(side => name && name.startsWith(`${side}_`)) || null;
+
+/**
+ * The step's sides block with defaults filled in.
+ *
+ * @param {Object} stepRule - One entry of a rules file's steps
+ * @returns {{mode: "either"|"alternate", reference: "left"|"right", limb: string}|null} null for one-sided steps
+ */
+export const getSideConfig = (stepRule) => {
+  if (!stepRule || !stepRule.sides) return null;
+  const repMetric = stepRule.reps && stepRule.reps.metric;
+  const inferredLimb = repMetric && ARM_JOINTS.some(joint => repMetric.includes(`_${joint}_`)) ? "arm" : "leg";
+  return {
+    mode: stepRule.sides.mode,
+    reference: stepRule.sides.reference || metricSide(repMetric) || "right",
+    limb: stepRule.sides.limb || inferredLimb
+  };
+};
+
+/**
+ * The step rule as it applies to one working side.
+ *
+ * @param {Object} stepRule - One entry of a rules file's steps
+ * @param {"left"|"right"|null} side - Working side; one-sided steps are returned unchanged
+ * @returns {Object}
+ */
+export const orientStepRule = (stepRule, side) => {
+  const config = getSideConfig(stepRule);
+  return config && side && side !== config.reference ? mirrorStepRule(stepRule) : stepRule;
+};
+
+/**
+ * Message ID of the name a side is given to the user (see i18n/locales/en.js).
+ *
+ * @param {Object} stepRule - One entry of a rules file's steps
+ * @param {"left"|"right"} side
+ * @returns {string} e.g. "side.left_leg"
+ */
+export const sideLabel = (stepRule, side) => {
+  const config = getSideConfig(stepRule);
+  return `side.${side}_${config ? config.limb : "leg"}`;
+};
+
+/**
+ * Fresh side-tracking state for a step.
+ *
+ * @param {Object} stepRule - One entry of a rules file's steps
+ * @returns {{side: "left"|"right", leadFrames: number, switched: boolean, reps: {left: Object, right: Object},
+ *   ranges: {left: number[], right: number[]}, repSide: string|null, wrongSide: boolean, completedSides: string[]}}
+ *   side starts on the reference side; reps holds one rep state per side (see reps.js) and ranges the
+ *   range of motion of each completed rep
+ */
+export const initialSideState = (stepRule) => {
+  const config = getSideConfig(stepRule);
+  return {
+    side: config ? config.reference : "right",
+    leadFrames: 0,
+    switched: false,
+    reps: { left: initialRepState(), right: initialRepState() },
+    ranges: { left: [], right: [] },
+    repSide: null,
+    wrongSide: false,
+    completedSides: []
+  };
+};
+
+/**
+ * Mark a side as done (its reps or hold completed).
+ *
+ * @param {Object} state - Side state
+ * @param {"left"|"right"} side
+ * @returns {Object} New state
+ */
+export const completeSide = (state, side) => (
+  state.completedSides.includes(side) ? state : { ...state, completedSides: [...state.completedSides, side] }
+);
+
+/**
+ * Whether the step's side requirement is met: one side for "either", both for "alternate".
+ *
+ * @param {Object} state - Side state
+ * @param {Object} stepRule - One entry of a rules file's steps
+ * @returns {boolean} Always true for one-sided steps
+ */
+export const areSidesComplete = (state, stepRule) => {
+  const config = getSideConfig(stepRule);
+  if (!config) return true;
+  return state.completedSides.length >= (config.mode === "alternate" ? 2 : 1);
+};
+
+/**
+ * The side the user should be working: in "alternate" mode the first side
+ * not yet done, otherwise the detected side.
+ *
+ * @param {Object} state - Side state
+ * @param {Object} stepRule - One entry of a rules file's steps
+ * @returns {"left"|"right"}
+ */
+export const expectedSide = (state, stepRule) => {
+  const config = getSideConfig(stepRule);
+  if (!config || config.mode !== "alternate" || !state.completedSides.includes(state.side)) return state.side;
+  return otherSide(state.side);
+};
+
+/**
+ * Left/right asymmetry of the rep range of motion, as a percentage of the larger side.
+ *
+ * @param {Object} state - Side state
+ * @returns {number|null} 0 for identical sides; null until both sides have a completed rep
+ */
+export const sideAsymmetry = (state) => {
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  if (state.ranges.left.length === 0 || state.ranges.right.length === 0) return null;
+  const left = mean(state.ranges.left);
+  const right = mean(state.ranges.right);
+  const larger = Math.max(left, right);
+  return larger > 0 ? (Math.abs(left - right) / larger) * 100 : 0;
+};
+
+/**
+ * Advance side tracking with one frame of metrics.
+ *
+ * The working side changes when the mirrored step outscores the current one
+ * by SIDE_SWITCH_MARGIN for SIDE_SWITCH_FRAMES frames in a row, or at once
+ * when a rep is completed on the other side. With a reps block both sides
+ * are counted separately, each on its own side's metric.
+ *
+ * @param {Object} state - Previous state from initialSideState / updateSide
+ * @param {Object} metrics - Metrics from computeMetrics
+ * @param {Object} stepRule - One entry of a rules file's steps, with a sides block
+ * @param {Object} [scoring] - The rules file's top-level scoring block
+ * @returns {Object} New state; switched, repSide and wrongSide describe this frame only:
+ *   repSide is the side that completed a rep, wrongSide is true when that side was already done in "alternate" mode
+ */
+export const updateSide = (state, metrics, stepRule, scoring) => {
+  const config = getSideConfig(stepRule);
+  const next = { ...state, switched: false, repSide: null, wrongSide: false };
+  if (!config) return next;
+
+  const current = scoreMetrics(metrics, orientStepRule(stepRule, state.side), scoring).formScore;
+  const other = scoreMetrics(metrics, orientStepRule(stepRule, otherSide(state.side)), scoring).formScore;
+  next.leadFrames = other - current >= SIDE_SWITCH_MARGIN ? state.leadFrames + 1 : 0;
+  if (next.leadFrames >= SIDE_SWITCH_FRAMES) {
+    next.side = otherSide(state.side);
+    next.leadFrames = 0;
+    next.switched = true;
+  }
+
+  if (!stepRule.reps) return next;
+
+  next.reps = { ...state.reps };
+  SIDES.forEach(side => {
+    const repRule = orientStepRule(stepRule, side).reps;
+    const repState = countRep(state.reps[side], metrics[repRule.metric], repRule);
+    next.reps[side] = repState;
+    if (!repState.repCompleted) return;
+
+    next.repSide = side;
+    next.wrongSide = config.mode === "alternate" && state.completedSides.includes(side) &&
+      !state.completedSides.includes(otherSide(side));
+    next.ranges = { ...next.ranges, [side]: [...next.ranges[side], repState.lastRange] };
+    if (next.side !== side) {
+      next.side = side;
+      next.leadFrames = 0;
+      next.switched = true;
+    }
+    if (areRepsComplete(repState, repRule)) {
+      next.completedSides = completeSide(next, side).completedSides;
+    }
+  });
+
+  return next;
+};
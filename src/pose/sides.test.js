@@ -0,0 +1,117 @@
+import {
+  SIDE_SWITCH_FRAMES,
+  areSidesComplete,
+  expectedSide,
+  getSideConfig,
+  initialSideState,
+  mirrorMetricName,
+  mirrorStepRule,
+  orientStepRule,
+  sideAsymmetry,
+  sideLabel,
+  updateSide
+} from "./sides";
+
+const legLift = {
+  step_number: 3,
+  step_name: "lift your leg up",
+  sides: { mode: "either" },
+  reps: { metric: "right_knee_angle", top: 100, bottom: 60, target: 2 },
+  criteria: {
+    right_knee_angle: { min: 60, max: 120 },
+    left_knee_angle: { min: 20, max: 40 },
+    ankle_height: { min: 0.2, max: 0.6 }
+  }
+};
+
+// The working knee extends while the resting knee stays bent at 40 degrees
+const frame = (side, angle) => ({
+  [`${side}_knee_angle`]: angle,
+  [`${side === "left" ? "right" : "left"}_knee_angle`]: 40,
+  ankle_height: 0.4
+});
+
+const run = (frames, stepRule) =>
+  frames.reduce((state, metrics) => updateSide(state, metrics, stepRule), initialSideState(stepRule));
+
+describe("mirroring", () => {
+  test("swaps side prefixes only", () => {
+    expect(mirrorMetricName("right_knee_angle")).toBe("left_knee_angle");
+    expect(mirrorMetricName("left_elbow_angle")).toBe("right_elbow_angle");
+    expect(mirrorMetricName("ankle_height")).toBe("ankle_height");
+  });
+
+  test("mirrors criteria and the rep metric without touching the original", () => {
+    const mirrored = mirrorStepRule(legLift);
+    expect(mirrored.criteria.left_knee_angle).toBe(legLift.criteria.right_knee_angle);
+    expect(mirrored.criteria.right_knee_angle).toBe(legLift.criteria.left_knee_angle);
+    expect(mirrored.reps.metric).toBe("left_knee_angle");
+    expect(legLift.reps.metric).toBe("right_knee_angle");
+  });
+
+  test("orients a step only when the side differs from the reference", () => {
+    expect(orientStepRule(legLift, "right")).toBe(legLift);
+    expect(orientStepRule(legLift, "left").reps.metric).toBe("left_knee_angle");
+    const oneSided = { ...legLift, sides: undefined };
+    expect(orientStepRule(oneSided, "left")).toBe(oneSided);
+  });
+});
+
+describe("getSideConfig", () => {
+  test("infers the reference side and limb from the rep metric", () => {
+    expect(getSideConfig(legLift)).toEqual({ mode: "either", reference: "right", limb: "leg" });
+    const curl = { sides: { mode: "alternate" }, reps: { metric: "left_elbow_angle", top: 150, bottom: 60 } };
+    expect(getSideConfig(curl)).toEqual({ mode: "alternate", reference: "left", limb: "arm" });
+    expect(sideLabel(curl, "right")).toBe("side.right_arm");
+  });
+
+  test("is null for one-sided steps", () => {
+    expect(getSideConfig({ criteria: {} })).toBeNull();
+  });
+});
+
+describe("updateSide", () => {
+  test("switches to the side that matches the step after a few frames", () => {
+    const leftHeld = Array(SIDE_SWITCH_FRAMES).fill(frame("left", 90));
+    expect(run(leftHeld.slice(1), legLift).side).toBe("right");
+
+    const state = run(leftHeld, legLift);
+    expect(state.side).toBe("left");
+    expect(state.switched).toBe(true);
+  });
+
+  test("counts reps per side and takes the side of a completed rep", () => {
+    const state = run([frame("left", 40), frame("left", 120), frame("left", 40)], legLift);
+    expect(state.repSide).toBe("left");
+    expect(state.side).toBe("left");
+    expect(state.reps.left.count).toBe(1);
+    expect(state.reps.right.count).toBe(0);
+  });
+
+  test("either mode is complete once one side finishes its reps", () => {
+    const state = run([40, 120, 40, 120, 40].map(angle => frame("left", angle)), legLift);
+    expect(state.completedSides).toEqual(["left"]);
+    expect(areSidesComplete(state, legLift)).toBe(true);
+  });
+
+  test("alternate mode needs both sides and flags extra reps on a finished side", () => {
+    const alternate = { ...legLift, sides: { mode: "alternate" } };
+    const leftDone = run([40, 120, 40, 120, 40].map(angle => frame("left", angle)), alternate);
+    expect(areSidesComplete(leftDone, alternate)).toBe(false);
+    expect(expectedSide(leftDone, alternate)).toBe("right");
+
+    const extra = [40, 120, 40].reduce((state, angle) => updateSide(state, frame("left", angle), alternate), leftDone);
+    expect(extra.wrongSide).toBe(true);
+
+    const both = [40, 120, 40, 120, 40].reduce((state, angle) => updateSide(state, frame("right", angle), alternate), leftDone);
+    expect(areSidesComplete(both, alternate)).toBe(true);
+  });
+
+  test("measures asymmetry between the sides' range of motion", () => {
+    const left = [40, 120, 40].map(angle => frame("left", angle));
+    const right = [40, 100, 40].map(angle => frame("right", angle));
+    expect(sideAsymmetry(run(left, legLift))).toBeNull();
+    // 80 degrees on the left, 60 on the right
+    expect(sideAsymmetry(run([...left, ...right], legLift))).toBeCloseTo(25);
+  });
+});
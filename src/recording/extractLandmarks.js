@@ -0,0 +1,70 @@
+// Offline landmark extraction
+// Runs a video file through the same pose detector the live instructor uses
+// (see detection/poseDetector.js), by seeking frame by frame instead of
+// playing it back, so processing is only bound by inference speed rather than
+// playback speed.
+import { createPoseDetector } from "../detection/poseDetector";
+
+const waitForEvent = (target, eventName) => new Promise((resolve, reject) => {
+  const onEvent = () => {
+    target.removeEventListener("error", onError);
+    resolve();
+  };
+  const onError = () => {
+    target.removeEventListener(eventName, onEvent);
+    reject(new Error("Could not read the video file"));
+  };
+  target.addEventListener(eventName, onEvent, { once: true });
+  target.addEventListener("error", onError, { once: true });
+});
+
+// Extract pose landmarks from a video URL (object URL or public path)
+// Options: fps (sampling rate), onProgress(fraction 0-1, videoTime in seconds),
+// signal (AbortSignal)
+// Resolves to { duration, aspectRatio (width / height), frames: [{ time,
+// landmarks, worldLandmarks }] };
+// frames without a detected pose are skipped.
+export const extractVideoLandmarks = async (videoUrl, { fps = 10, onProgress, signal } = {}) => {
+  const video = document.createElement("video");
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = "auto";
+  video.crossOrigin = "anonymous";
+  video.src = videoUrl;
+  await waitForEvent(video, "loadeddata");
+
+  const duration = video.duration;
+  if (!Number.isFinite(duration) || duration <= 0) {
+    throw new Error("The video has no known duration");
+  }
+  const aspectRatio = video.videoWidth && video.videoHeight ? video.videoWidth / video.videoHeight : 1;
+
+  const detector = await createPoseDetector();
+  const frames = [];
+  const totalFrames = Math.floor(duration * fps);
+
+  try {
+    for (let i = 0; i <= totalFrames; i++) {
+      if (signal?.aborted) {
+        throw new DOMException("Landmark extraction aborted", "AbortError");
+      }
+
+      const time = Math.min(i / fps, duration);
+      video.currentTime = time;
+      await waitForEvent(video, "seeked");
+
+      const result = await detector.detect(video, time * 1000);
+      if (result) {
+        frames.push({ time, landmarks: result.landmarks, worldLandmarks: result.worldLandmarks || undefined });
+      }
+
+      if (onProgress) onProgress(totalFrames > 0 ? i / totalFrames : 1, time);
+    }
+  } finally {
+    detector.close();
+    video.removeAttribute("src");
+    video.load();
+  }
+
+  return { duration, aspectRatio, frames };
+};
@@ -0,0 +1,239 @@
+// Coaching queue
+// Decides what the voice says next, so cues never cut each other off: every
+// cue waits in a queue ordered by priority (safety, transition, correction,
+// encouragement) and is spoken once the previous one has finished. A cue
+// given recently is suppressed, a cue that waited too long is dropped, a
+// fault that persists is repeated with stronger wording, and a fault that was
+// pointed out and then stays fixed earns a word of praise.
+//
+// The policy is a set of pure functions over a small state; createCoach wraps
+// them around a speak function, like createSessionMachine does for the
+// session state machine.
+import { translate } from "../i18n/messages.js";
+import { FEEDBACK_COOLDOWN } from "../pose/feedback.js";
+
+// Most urgent first
+export const CUE_PRIORITIES = ["safety", "transition", "correction", "encouragement"];
+
+// Category of a cue ID: exact IDs first, then by the ID's prefix
+const CATEGORY_BY_ID = {
+  "feedback.back_flat": "safety",
+  "side.switch": "correction",
+  "coach.follow_video": "correction",
+  "reps.set_complete": "transition",
+  "reps.all_complete": "transition"
+};
+const CATEGORY_BY_PREFIX = {
+  feedback: "correction",
+  positioning: "correction",
+  camera: "correction",
+  session: "transition",
+  side: "transition",
+  workout: "transition",
+  calibration: "transition",
+  coach: "encouragement",
+  hold: "encouragement",
+  reps: "encouragement"
+};
+
+// Shortest time between two identical cues, per category (ms)
+export const REPEAT_INTERVALS = {
+  safety: 8000,
+  transition: 2000,
+  correction: FEEDBACK_COOLDOWN,
+  encouragement: 2000
+};
+
+// Longest a cue may wait in the queue before it is stale, per category (ms)
+export const MAX_QUEUE_AGE = {
+  safety: 5000,
+  transition: 6000,
+  correction: 3000,
+  encouragement: 1500
+};
+
+// A fault still there this long after it was (last) spoken is repeated with
+// the next escalation level's wording. This and the correction interval are
+// defaults: a coach can run on another feedback cooldown (see coachOptions)
+export const ESCALATION_INTERVAL = FEEDBACK_COOLDOWN;
+export const MAX_ESCALATION = 2;
+// A fault gone for this long counts as fixed
+export const FIXED_AFTER = 3000;
+// Shortest time between two words of praise
+export const PRAISE_INTERVAL = 20000;
+
+/**
+ * Timing of a coach: corrections repeat, and persisting faults escalate,
+ * after the feedback cooldown.
+ *
+ * @param {{feedbackCooldown?: number}} [options] - ms, e.g. the feedback_cooldown setting (see pose/settings.js)
+ * @returns {{repeatIntervals: Object<string, number>, escalationInterval: number}}
+ */
+export const coachOptions = ({ feedbackCooldown = FEEDBACK_COOLDOWN } = {}) => ({
+  repeatIntervals: { ...REPEAT_INTERVALS, correction: feedbackCooldown },
+  escalationInterval: feedbackCooldown
+});
+
+/**
+ * Category of a cue.
+ *
+ * @param {string} id - Cue ID of the i18n catalog
+ * @returns {string} One of CUE_PRIORITIES
+ */
+export const cueCategory = (id) => CATEGORY_BY_ID[id] || CATEGORY_BY_PREFIX[id.split(".")[0]] || "encouragement";
+
+/**
+ * The state a coach starts in.
+ *
+ * @returns {{queue: Array<Object>, lastSpoken: Object<string, number>, fault: Object|null}}
+ *   queue holds the waiting cues; lastSpoken maps a cue's text to when it was last spoken;
+ *   fault is the correction being tracked: {id, text, since, lastSeen, level, spokenAt}
+ */
+export const initialCoachState = () => ({
+  queue: [],
+  lastSpoken: {},
+  fault: null
+});
+
+/**
+ * Queue a cue, unless the same words were spoken or queued recently.
+ *
+ * @param {Object} state - Coach state
+ * @param {{id: string, text: string, repeatAfter?: number}} cue - Cue ID and its text; repeatAfter
+ *   overrides the category's repeat interval
+ * @param {number} now - ms since epoch
+ * @param {Object} [options] - From coachOptions
+ * @returns {Object} New state (the same object when the cue is suppressed)
+ */
+export const queueCue = (state, cue, now, options = coachOptions()) => {
+  const category = cueCategory(cue.id);
+  const repeatAfter = cue.repeatAfter ?? options.repeatIntervals[category];
+  const lastSpoken = state.lastSpoken[cue.text];
+  if (lastSpoken !== undefined && now - lastSpoken < repeatAfter) return state;
+  if (state.queue.some(queued => queued.text === cue.text)) return state;
+  return { ...state, queue: [...state.queue, { ...cue, category, queuedAt: now }] };
+};
+
+/**
+ * Take the cue to speak now: the most urgent one, oldest first, after
+ * dropping stale cues.
+ *
+ * @param {Object} state - Coach state
+ * @param {number} now - ms since epoch
+ * @returns {{state: Object, cue: Object|null}} cue carries its category
+ */
+export const nextCue = (state, now) => {
+  const fresh = state.queue.filter(cue => now - cue.queuedAt <= MAX_QUEUE_AGE[cue.category]);
+  if (fresh.length === 0) return { state: fresh.length === state.queue.length ? state : { ...state, queue: [] }, cue: null };
+
+  const rank = (cue) => CUE_PRIORITIES.indexOf(cue.category);
+  const cue = fresh.reduce((best, candidate) => (rank(candidate) < rank(best) ? candidate : best));
+  const fault = state.fault && cue.fault === state.fault.id ? { ...state.fault, spokenAt: now } : state.fault;
+  return {
+    state: {
+      queue: fresh.filter(queued => queued !== cue),
+      lastSpoken: { ...state.lastSpoken, [cue.text]: now },
+      fault
+    },
+    cue
+  };
+};
+
+/**
+ * Track the most important correction of the latest scored frame: a new
+ * fault is queued, one that persists the escalation interval after it was spoken
+ * comes back with stronger wording, and one that was spoken and has been
+ * gone for FIXED_AFTER is praised (at most every PRAISE_INTERVAL).
+ *
+ * @param {Object} state - Coach state
+ * @param {{id: string, text: string}|null} fault - The frame's correction, or null when nothing is wrong
+ * @param {number} now - ms since epoch
+ * @param {string} locale - Language of the escalated wording and the praise
+ * @param {Object} [options] - From coachOptions
+ * @returns {Object} New state
+ */
+export const observeFault = (state, fault, now, locale, options = coachOptions()) => {
+  const current = state.fault;
+
+  if (!fault) {
+    if (!current || now - current.lastSeen < FIXED_AFTER) return state;
+    const cleared = { ...state, fault: null };
+    if (current.spokenAt === null) return cleared;
+    const praise = { id: "coach.praise", text: translate(locale, "coach.praise"), repeatAfter: PRAISE_INTERVAL };
+    return queueCue(cleared, praise, now, options);
+  }
+
+  if (!current || current.id !== fault.id) {
+    const next = { ...state, fault: { id: fault.id, text: fault.text, since: now, lastSeen: now, level: 0, spokenAt: null } };
+    const queued = queueCue(next, { ...fault, fault: fault.id }, now, options);
+    // Just said for an earlier occurrence: that counts as pointing it out
+    const lastSpoken = state.lastSpoken[fault.text];
+    if (queued === next && lastSpoken !== undefined) return { ...next, fault: { ...next.fault, spokenAt: lastSpoken } };
+    return queued;
+  }
+
+  const seen = { ...current, lastSeen: now };
+  if (seen.spokenAt === null || now - seen.spokenAt < options.escalationInterval) return { ...state, fault: seen };
+
+  // Persisting after it was pointed out: say it again, more firmly
+  const level = Math.min(seen.level + 1, MAX_ESCALATION);
+  const escalated = { ...seen, level, spokenAt: now };
+  const text = translate(locale, `coach.escalate_${level}`, { cue: fault.text });
+  return queueCue({ ...state, fault: escalated }, { id: fault.id, text, fault: fault.id }, now, options);
+};
+
+/**
+ * Stop tracking the current fault without praise, e.g. when the step changes.
+ *
+ * @param {Object} state - Coach state
+ * @returns {Object}
+ */
+export const dropFault = (state) => (state.fault ? { ...state, fault: null } : state);
+
+/**
+ * A running coach around a speak function.
+ *
+ * @param {{locale: string, speak: function(Object): Promise, feedbackCooldown?: number}} options - speak
+ *   says a cue ({id, text, category, fault?}) and resolves once it has been said; feedbackCooldown as for
+ *   coachOptions
+ * @returns {{say: function(Object), observe: function(Object|null), dropFault: function(), clear: function(),
+ *   getState: function(): Object}} say queues a cue ({id, text}); observe tracks the latest frame's fault;
+ *   clear forgets waiting cues and the tracked fault
+ */
+export const createCoach = ({ locale, speak, feedbackCooldown }) => {
+  const options = coachOptions({ feedbackCooldown });
+  let state = initialCoachState();
+  let speaking = false;
+
+  const pump = () => {
+    if (speaking) return;
+    const result = nextCue(state, Date.now());
+    state = result.state;
+    if (!result.cue) return;
+    speaking = true;
+    Promise.resolve(speak(result.cue))
+      .catch(err => console.warn("Speech error:", err))
+      .finally(() => {
+        speaking = false;
+        pump();
+      });
+  };
+
+  return {
+    say: (cue) => {
+      state = queueCue(state, cue, Date.now(), options);
+      pump();
+    },
+    observe: (fault) => {
+      state = observeFault(state, fault, Date.now(), locale, options);
+      pump();
+    },
+    dropFault: () => {
+      state = dropFault(state);
+    },
+    clear: () => {
+      state = { ...initialCoachState(), lastSpoken: state.lastSpoken };
+    },
+    getState: () => state
+  };
+};
@@ -0,0 +1,147 @@
+import {
+  ESCALATION_INTERVAL,
+  FIXED_AFTER,
+  MAX_QUEUE_AGE,
+  PRAISE_INTERVAL,
+  REPEAT_INTERVALS,
+  coachOptions,
+  createCoach,
+  cueCategory,
+  dropFault,
+  initialCoachState,
+  nextCue,
+  observeFault,
+  queueCue
+} from "./coachingQueue";
+
+const cue = (id, text = id) => ({ id, text });
+const backFlat = { id: "feedback.back_flat", text: "Keep your back flat!" };
+const raiseLegs = { id: "feedback.raise_legs", text: "Raise your legs higher!" };
+
+// Speak every queued cue at `now`, returning the texts in order
+const drain = (state, now) => {
+  const spoken = [];
+  let current = state;
+  for (;;) {
+    const result = nextCue(current, now);
+    current = result.state;
+    if (!result.cue) return { state: current, spoken };
+    spoken.push(result.cue.text);
+  }
+};
+
+describe("cueCategory", () => {
+  test("ranks cues by ID", () => {
+    expect(cueCategory("feedback.back_flat")).toBe("safety");
+    expect(cueCategory("session.next_step")).toBe("transition");
+    expect(cueCategory("feedback.raise_legs")).toBe("correction");
+    expect(cueCategory("hold.seconds_left")).toBe("encouragement");
+  });
+});
+
+describe("queueCue / nextCue", () => {
+  test("speaks the most urgent cue first, oldest first within a priority", () => {
+    let state = initialCoachState();
+    ["hold.seconds_left", "feedback.raise_legs", "session.next_step", "session.set_rest", "feedback.back_flat"]
+      .forEach((id, i) => { state = queueCue(state, cue(id), 1000 + i); });
+    expect(drain(state, 1010).spoken)
+      .toEqual(["feedback.back_flat", "session.next_step", "session.set_rest", "feedback.raise_legs", "hold.seconds_left"]);
+  });
+
+  test("suppresses cues spoken recently or already waiting", () => {
+    let state = queueCue(initialCoachState(), raiseLegs, 0);
+    expect(queueCue(state, raiseLegs, 100)).toBe(state);
+    state = drain(state, 200).state;
+    expect(queueCue(state, raiseLegs, 200 + REPEAT_INTERVALS.correction - 1)).toBe(state);
+    expect(queueCue(state, raiseLegs, 200 + REPEAT_INTERVALS.correction).queue).toHaveLength(1);
+  });
+
+  test("drops cues that waited too long", () => {
+    const state = queueCue(initialCoachState(), cue("reps.count", "4"), 0);
+    expect(nextCue(state, MAX_QUEUE_AGE.encouragement + 1)).toEqual({ state: { ...state, queue: [] }, cue: null });
+  });
+});
+
+describe("observeFault", () => {
+  test("escalates a fault that persists after it was spoken", () => {
+    let state = observeFault(initialCoachState(), raiseLegs, 0, "en");
+    let result = drain(state, 0);
+    expect(result.spoken).toEqual(["Raise your legs higher!"]);
+
+    state = observeFault(result.state, raiseLegs, ESCALATION_INTERVAL - 1, "en");
+    expect(drain(state, ESCALATION_INTERVAL - 1).spoken).toEqual([]);
+
+    state = observeFault(state, raiseLegs, ESCALATION_INTERVAL, "en");
+    result = drain(state, ESCALATION_INTERVAL);
+    expect(result.spoken).toEqual(["Still not quite. Raise your legs higher!"]);
+    expect(result.state.fault.level).toBe(1);
+
+    state = observeFault(result.state, raiseLegs, 3 * ESCALATION_INTERVAL, "es");
+    expect(drain(state, 3 * ESCALATION_INTERVAL).spoken[0]).toMatch(/^Vamos a corregirlo\. Raise your legs higher!/);
+  });
+
+  test("praises a spoken fault once it stays fixed", () => {
+    let state = drain(observeFault(initialCoachState(), raiseLegs, 0, "en"), 0).state;
+    state = observeFault(state, null, FIXED_AFTER - 1, "en");
+    expect(state.fault).not.toBeNull();
+
+    state = observeFault(state, null, FIXED_AFTER, "en");
+    expect(state.fault).toBeNull();
+    const result = drain(state, FIXED_AFTER);
+    expect(result.spoken).toEqual(["That's it, much better! Keep it there."]);
+
+    // The next fix within PRAISE_INTERVAL goes unpraised
+    state = drain(observeFault(result.state, backFlat, FIXED_AFTER + 1000, "en"), FIXED_AFTER + 1000).state;
+    state = observeFault(state, null, 2 * FIXED_AFTER + 1000, "en");
+    expect(drain(state, 2 * FIXED_AFTER + 1000).spoken).toEqual([]);
+    expect(PRAISE_INTERVAL).toBeGreaterThan(2 * FIXED_AFTER);
+  });
+
+  test("doesn't praise a fault that was never spoken", () => {
+    let state = observeFault(initialCoachState(), raiseLegs, 0, "en");
+    state = dropFault(observeFault(state, raiseLegs, 10, "en"));
+    expect(state.fault).toBeNull();
+    state = { ...observeFault(state, raiseLegs, 20, "en"), queue: [] };
+    expect(observeFault(state, null, 20 + FIXED_AFTER, "en").queue).toEqual([]);
+  });
+
+  test("repeats and escalates corrections after the configured feedback cooldown", () => {
+    const options = coachOptions({ feedbackCooldown: 5000 });
+    const spoken = drain(observeFault(initialCoachState(), raiseLegs, 0, "en", options), 0).state;
+    expect(queueCue(spoken, raiseLegs, 4999, options)).toBe(spoken);
+    expect(queueCue(spoken, raiseLegs, 5000, options).queue).toHaveLength(1);
+
+    const state = observeFault(spoken, raiseLegs, 5000, "en", options);
+    expect(drain(state, 5000).spoken).toEqual(["Still not quite. Raise your legs higher!"]);
+  });
+
+  test("counts a fault said for an earlier occurrence as spoken", () => {
+    let state = drain(observeFault(initialCoachState(), raiseLegs, 0, "en"), 0).state;
+    state = observeFault(state, backFlat, 1000, "en");
+    state = observeFault(state, raiseLegs, 2000, "en");
+    expect(state.fault).toMatchObject({ id: "feedback.raise_legs", spokenAt: 0 });
+  });
+});
+
+describe("createCoach", () => {
+  test("waits for each cue to be said instead of cutting it off", async () => {
+    const said = [];
+    const pending = [];
+    const coach = createCoach({
+      locale: "en",
+      speak: (spoken) => {
+        said.push(spoken.text);
+        return new Promise(resolve => pending.push(resolve));
+      }
+    });
+
+    coach.say(cue("session.next_step", "Good job! Now lift your leg up"));
+    coach.say(cue("positioning.too_close", "Please step back."));
+    coach.observe(backFlat);
+    expect(said).toEqual(["Good job! Now lift your leg up"]);
+
+    pending.shift()();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(said).toEqual(["Good job! Now lift your leg up", "Keep your back flat!"]);
+  });
+});
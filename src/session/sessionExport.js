@@ -0,0 +1,149 @@
+// Session export
+// Turns a session log (see sessionLog.js) into files a physiotherapist can
+// attach to a patient record: raw per-frame metrics as CSV, a structured JSON
+// session file, and the form deviations shown on the printable summary.
+// Everything here is plain data in, string or object out - downloading and
+// printing happen in the browser.
+
+import { summarizeSession } from "./sessionLog.js";
+
+// Identifies exported session files
+export const SESSION_EXPORT_FORMAT = "pose-instructor-session";
+export const SESSION_EXPORT_VERSION = 1;
+
+// How many deviations the printable summary lists
+export const TOP_DEVIATION_COUNT = 5;
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// Quote a CSV field when it contains a delimiter, quote or newline
+const csvField = (value) => {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Metric names present in a session's recorded frames, sorted.
+ *
+ * @param {Object} log - Session log
+ * @returns {string[]}
+ */
+export const getRecordedMetricNames = (log) => {
+  const names = new Set();
+  log.frameRows.forEach(row => Object.keys(row.metrics).forEach(name => names.add(name)));
+  return [...names].sort();
+};
+
+/**
+ * Raw per-frame metrics as CSV, one row per scored frame.
+ * Columns: time_s (since session start), step_number, step_name, passing,
+ * then one column per metric. Missing or non-finite values are left empty.
+ *
+ * @param {Object} log - Session log
+ * @returns {string}
+ */
+export const sessionToCsv = (log) => {
+  const metricNames = getRecordedMetricNames(log);
+  const header = ["time_s", "step_number", "step_name", "passing", ...metricNames];
+
+  const rows = log.frameRows.map(row => {
+    const step = log.steps[row.stepIndex];
+    return [
+      round((row.time - log.startedAt) / 1000, 3),
+      step.step_number,
+      step.step_name,
+      row.isPassing ? 1 : 0,
+      ...metricNames.map(name => (Number.isFinite(row.metrics[name]) ? round(row.metrics[name], 4) : ""))
+    ];
+  });
+
+  return [header, ...rows].map(fields => fields.map(csvField).join(",")).join("\n") + "\n";
+};
+
+// Ranges a step is scored against: its criteria plus the back-flat limit
+const stepRanges = (stepRule) => {
+  const ranges = { ...(stepRule.criteria || {}) };
+  if (stepRule.back_flat && stepRule.back_flat.should_be_flat) {
+    ranges.back_flatness_deviation = { min: 0, max: stepRule.back_flat.max_deviation };
+  }
+  return ranges;
+};
+
+/**
+ * Metrics that strayed furthest from their criteria, across all steps.
+ * Ranked by the fraction of the step's frames spent out of range, then by
+ * how far out of range they were on average relative to the range's width,
+ * so degrees and normalized heights compare fairly.
+ *
+ * @param {Object} log - Session log
+ * @param {{steps: Array}} rules - Rules the session was scored against
+ * @param {number} [limit=TOP_DEVIATION_COUNT]
+ * @returns {Array<{step_number: number, step_name: string, metric: string, min: number, max: number,
+ *   out_of_range_ratio: number, mean_deviation: number, worst_value: number}>}
+ *   mean_deviation is the average distance outside the range over out-of-range frames
+ */
+export const findFormDeviations = (log, rules, limit = TOP_DEVIATION_COUNT) => {
+  const deviations = [];
+
+  rules.steps.forEach((stepRule, stepIndex) => {
+    const rows = log.frameRows.filter(row => row.stepIndex === stepIndex);
+    if (rows.length === 0) return;
+
+    Object.entries(stepRanges(stepRule)).forEach(([metric, { min, max }]) => {
+      let outOfRange = 0;
+      let totalDeviation = 0;
+      let worst = null;
+
+      rows.forEach(row => {
+        const value = row.metrics[metric];
+        if (!Number.isFinite(value)) return;
+        const deviation = value < min ? min - value : value > max ? value - max : 0;
+        if (deviation === 0) return;
+
+        outOfRange++;
+        totalDeviation += deviation;
+        if (worst === null || deviation > worst.deviation) worst = { value, deviation };
+      });
+
+      if (outOfRange === 0) return;
+      deviations.push({
+        step_number: stepRule.step_number,
+        step_name: stepRule.step_name,
+        metric,
+        min,
+        max,
+        out_of_range_ratio: outOfRange / rows.length,
+        mean_deviation: totalDeviation / outOfRange,
+        worst_value: worst.value
+      });
+    });
+  });
+
+  const relative = (d) => d.mean_deviation / (d.max - d.min || 1);
+  return deviations
+    .sort((a, b) => b.out_of_range_ratio - a.out_of_range_ratio || relative(b) - relative(a))
+    .slice(0, limit);
+};
+
+/**
+ * Structured JSON session file: the history summary, the biggest form
+ * deviations and every recorded frame.
+ *
+ * @param {Object} log - Session log
+ * @param {{steps: Array}} rules - Rules the session was scored against
+ * @param {number} now - Export time in ms since epoch
+ * @returns {Object}
+ */
+export const buildSessionExport = (log, rules, now) => ({
+  format: SESSION_EXPORT_FORMAT,
+  version: SESSION_EXPORT_VERSION,
+  exported_at: new Date(now).toISOString(),
+  summary: summarizeSession(log, now),
+  deviations: findFormDeviations(log, rules, Infinity),
+  frames: log.frameRows.map(row => ({
+    time: round((row.time - log.startedAt) / 1000, 3),
+    step_number: log.steps[row.stepIndex].step_number,
+    passing: row.isPassing,
+    metrics: row.metrics
+  }))
+});
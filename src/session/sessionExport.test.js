@@ -0,0 +1,82 @@
+import { createSessionLog, recordFrame } from "./sessionLog";
+import { buildSessionExport, findFormDeviations, sessionToCsv } from "./sessionExport";
+
+const rules = {
+  exercise_name: "Test exercise",
+  steps: [
+    {
+      step_number: 1,
+      step_name: "start, flat",
+      criteria: { left_knee_angle: { min: 80, max: 100 } },
+      back_flat: { should_be_flat: true, max_deviation: 5 }
+    },
+    {
+      step_number: 2,
+      step_name: "lift your leg up",
+      criteria: { hip_height: { min: 0.4, max: 0.6 }, left_knee_angle: { min: 150, max: 180 } }
+    }
+  ]
+};
+
+const makeLog = () => {
+  const log = createSessionLog(rules, "test", 10000);
+  recordFrame(log, 0, true, { left_knee_angle: 90, back_flatness_deviation: 2 }, 10000);
+  recordFrame(log, 0, false, { left_knee_angle: 110, back_flatness_deviation: 8 }, 10500);
+  recordFrame(log, 1, false, { hip_height: 0.35, left_knee_angle: 120 }, 12000);
+  recordFrame(log, 1, false, { hip_height: 0.5, left_knee_angle: NaN }, 12250);
+  return log;
+};
+
+describe("sessionToCsv", () => {
+  test("writes one row per frame with every recorded metric as a column", () => {
+    const lines = sessionToCsv(makeLog()).trim().split("\n");
+
+    expect(lines[0]).toBe("time_s,step_number,step_name,passing,back_flatness_deviation,hip_height,left_knee_angle");
+    expect(lines[1]).toBe('0,1,"start, flat",1,2,,90');
+    expect(lines[3]).toBe("2,2,lift your leg up,0,,0.35,120");
+    expect(lines[4]).toBe("2.25,2,lift your leg up,0,,0.5,");
+    expect(lines).toHaveLength(5);
+  });
+
+  test("only the header when no frames were recorded", () => {
+    const log = createSessionLog(rules, "test", 0);
+    recordFrame(log, 0, true, { left_knee_angle: 90 });
+    expect(sessionToCsv(log)).toBe("time_s,step_number,step_name,passing\n");
+  });
+});
+
+describe("findFormDeviations", () => {
+  test("ranks metrics by time spent out of range, then by relative distance", () => {
+    const deviations = findFormDeviations(makeLog(), rules);
+
+    expect(deviations.map(d => `${d.step_number}:${d.metric}`)).toEqual([
+      "2:left_knee_angle",
+      "1:back_flatness_deviation",
+      "1:left_knee_angle",
+      "2:hip_height"
+    ]);
+    expect(deviations[0]).toMatchObject({ out_of_range_ratio: 0.5, mean_deviation: 30, worst_value: 120 });
+    expect(deviations[1]).toMatchObject({ min: 0, max: 5, mean_deviation: 3, worst_value: 8 });
+    expect(deviations[3].mean_deviation).toBeCloseTo(0.05);
+  });
+
+  test("limits the number of deviations", () => {
+    expect(findFormDeviations(makeLog(), rules, 2)).toHaveLength(2);
+  });
+});
+
+describe("buildSessionExport", () => {
+  test("bundles summary, deviations and frames", () => {
+    const exported = buildSessionExport(makeLog(), rules, 20000);
+
+    expect(exported.format).toBe("pose-instructor-session");
+    expect(exported.summary).toMatchObject({ exercise_id: "test", frames: 4 });
+    expect(exported.deviations).toHaveLength(4);
+    expect(exported.frames[1]).toEqual({
+      time: 0.5,
+      step_number: 1,
+      passing: false,
+      metrics: { left_knee_angle: 110, back_flatness_deviation: 8 }
+    });
+  });
+});
@@ -0,0 +1,165 @@
+// Session log
+// Accumulates what happens during a live session (frames scored per step,
+// step completion times, spoken feedback, running metric statistics) and
+// condenses it into the summary stored in session history. The raw per-frame
+// metrics are kept too, downsampled, for export (see sessionExport.js). The log is a plain
+// object kept in a ref; the record* helpers mutate it in place because they
+// run on every camera frame.
+
+// How many of the most frequent feedback messages a summary keeps
+export const TOP_FEEDBACK_COUNT = 5;
+
+// Frames kept for export are at least this far apart (5 per second); the
+// statistics in the summary still use every frame
+export const RECORDED_FRAME_INTERVAL_MS = 200;
+
+// Raw frames kept for export - one hour at 5 fps
+export const MAX_RECORDED_FRAMES = 18000;
+
+const emptyStepLog = (step) => ({
+  step_number: step.step_number,
+  step_name: step.step_name,
+  frames: 0,
+  passedFrames: 0,
+  enteredAt: null,
+  completedAt: null,
+  metricStats: {} // name -> { count, sum, sumSq }
+});
+
+/**
+ * Start logging a session.
+ *
+ * @param {{exercise_name: string, steps: Array}} rules - Parsed rules file
+ * @param {string} exerciseId - Catalog id of the exercise
+ * @param {number} now - Start time in ms since epoch
+ * @returns {Object} A new session log
+ */
+export const createSessionLog = (rules, exerciseId, now) => ({
+  exerciseId,
+  exerciseName: rules.exercise_name,
+  startedAt: now,
+  frames: 0,
+  steps: rules.steps.map(emptyStepLog),
+  feedback: {}, // message -> count
+  frameRows: [], // { time, stepIndex, isPassing, metrics } per recorded frame
+  lastRecordedAt: null
+});
+
+/**
+ * Mark the moment the user starts working on a step.
+ *
+ * @param {Object} log - Session log
+ * @param {number} stepIndex
+ * @param {number} now - ms since epoch
+ */
+export const recordStepEntered = (log, stepIndex, now) => {
+  const step = log.steps[stepIndex];
+  if (step && step.enteredAt === null) step.enteredAt = now;
+};
+
+/**
+ * Mark a step as completed (the user advanced past it).
+ *
+ * @param {Object} log - Session log
+ * @param {number} stepIndex
+ * @param {number} now - ms since epoch
+ */
+export const recordStepCompleted = (log, stepIndex, now) => {
+  const step = log.steps[stepIndex];
+  if (step && step.completedAt === null) step.completedAt = now;
+};
+
+/**
+ * Record one scored frame.
+ *
+ * @param {Object} log - Session log
+ * @param {number} stepIndex - Step the frame was scored against
+ * @param {boolean} isPassing
+ * @param {Object<string, number>} metrics - Metrics returned by evaluateStep
+ * @param {number} [now] - ms since epoch; frames without a time, or within
+ *   RECORDED_FRAME_INTERVAL_MS of the last kept one, are not kept for export
+ */
+export const recordFrame = (log, stepIndex, isPassing, metrics, now) => {
+  const step = log.steps[stepIndex];
+  if (!step) return;
+
+  log.frames++;
+  step.frames++;
+  if (isPassing) step.passedFrames++;
+
+  if (now !== undefined && log.frameRows.length < MAX_RECORDED_FRAMES &&
+      (log.lastRecordedAt === null || now - log.lastRecordedAt >= RECORDED_FRAME_INTERVAL_MS)) {
+    log.frameRows.push({ time: now, stepIndex, isPassing, metrics });
+    log.lastRecordedAt = now;
+  }
+
+  Object.entries(metrics).forEach(([name, value]) => {
+    if (!Number.isFinite(value)) return;
+    const stats = step.metricStats[name] || (step.metricStats[name] = { count: 0, sum: 0, sumSq: 0 });
+    stats.count++;
+    stats.sum += value;
+    stats.sumSq += value * value;
+  });
+};
+
+/**
+ * Record a feedback message that was given to the user.
+ *
+ * @param {Object} log - Session log
+ * @param {string} message
+ */
+export const recordFeedback = (log, message) => {
+  if (!message) return;
+  log.feedback[message] = (log.feedback[message] || 0) + 1;
+};
+
+const summarizeStats = ({ count, sum, sumSq }) => {
+  const mean = sum / count;
+  return { mean, std: Math.sqrt(Math.max(sumSq / count - mean * mean, 0)) };
+};
+
+/**
+ * Condense a session log into the summary stored in history.
+ *
+ * @param {Object} log - Session log
+ * @param {number} now - End time in ms since epoch
+ * @returns {{exercise_id: string, exercise_name: string, started_at: number, ended_at: number,
+ *   frames: number, steps_reached: number, steps_completed: number, steps: Array, top_feedback: Array}}
+ *   steps[i] has pass_ratio (0-1), time_to_complete (seconds or null) and metrics ({ name: { mean, std } })
+ */
+export const summarizeSession = (log, now) => {
+  const steps = log.steps.map(step => {
+    const metrics = {};
+    Object.entries(step.metricStats).forEach(([name, stats]) => {
+      metrics[name] = summarizeStats(stats);
+    });
+
+    return {
+      step_number: step.step_number,
+      step_name: step.step_name,
+      frames: step.frames,
+      pass_ratio: step.frames > 0 ? step.passedFrames / step.frames : 0,
+      time_to_complete: step.enteredAt !== null && step.completedAt !== null
+        ? (step.completedAt - step.enteredAt) / 1000
+        : null,
+      metrics
+    };
+  });
+
+  const top_feedback = Object.entries(log.feedback)
+    .map(([message, count]) => ({ message, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, TOP_FEEDBACK_COUNT);
+
+  return {
+    exercise_id: log.exerciseId,
+    exercise_name: log.exerciseName,
+    started_at: log.startedAt,
+    ended_at: now,
+    frames: log.frames,
+    steps_reached: log.steps.filter(step => step.enteredAt !== null).length,
+    steps_completed: log.steps.filter(step => step.completedAt !== null).length,
+    steps,
+    top_feedback
+  };
+};
@@ -0,0 +1,69 @@
+import {
+  RECORDED_FRAME_INTERVAL_MS,
+  createSessionLog,
+  recordFeedback,
+  recordFrame,
+  recordStepCompleted,
+  recordStepEntered,
+  summarizeSession
+} from "./sessionLog";
+
+const rules = {
+  exercise_name: "Test exercise",
+  steps: [
+    { step_number: 1, step_name: "start_position" },
+    { step_number: 2, step_name: "lift your leg up" }
+  ]
+};
+
+describe("summarizeSession", () => {
+  test("summarizes pass ratio, completion time and metric statistics per step", () => {
+    const log = createSessionLog(rules, "test", 1000);
+    recordStepEntered(log, 0, 1000);
+    recordFrame(log, 0, true, { left_knee_angle: 80 });
+    recordFrame(log, 0, false, { left_knee_angle: 100 });
+    recordFrame(log, 0, true, { left_knee_angle: 90, ankle_height: NaN });
+    recordFrame(log, 0, true, { left_knee_angle: 90 });
+    recordStepCompleted(log, 0, 4500);
+    recordStepEntered(log, 1, 4500);
+
+    const summary = summarizeSession(log, 9000);
+    expect(summary).toMatchObject({
+      exercise_id: "test",
+      exercise_name: "Test exercise",
+      started_at: 1000,
+      ended_at: 9000,
+      frames: 4,
+      steps_reached: 2,
+      steps_completed: 1
+    });
+    expect(summary.steps[0].pass_ratio).toBe(0.75);
+    expect(summary.steps[0].time_to_complete).toBe(3.5);
+    expect(summary.steps[0].metrics.left_knee_angle.mean).toBe(90);
+    expect(summary.steps[0].metrics.left_knee_angle.std).toBeCloseTo(Math.sqrt(50));
+    expect(summary.steps[0].metrics).not.toHaveProperty("ankle_height");
+    expect(summary.steps[1]).toMatchObject({ frames: 0, pass_ratio: 0, time_to_complete: null });
+  });
+
+  test("keeps the most frequent feedback messages first", () => {
+    const log = createSessionLog(rules, "test", 0);
+    ["Raise your legs higher!", "Bend your left knee more!", "Raise your legs higher!", ""]
+      .forEach(message => recordFeedback(log, message));
+
+    expect(summarizeSession(log, 1).top_feedback).toEqual([
+      { message: "Raise your legs higher!", count: 2 },
+      { message: "Bend your left knee more!", count: 1 }
+    ]);
+  });
+});
+
+describe("recordFrame", () => {
+  test("keeps frames for export at most every interval but counts them all", () => {
+    const log = createSessionLog(rules, "test", 0);
+    [0, 33, 66, 100, 200, 233, 400].forEach(time => recordFrame(log, 0, true, { left_knee_angle: 90 }, time));
+
+    expect(RECORDED_FRAME_INTERVAL_MS).toBe(200);
+    expect(log.frameRows.map(row => row.time)).toEqual([0, 200, 400]);
+    expect(summarizeSession(log, 400).steps[0].frames).toBe(7);
+  });
+});
@@ -0,0 +1,418 @@
+// Session state machine
+// The flow of a live session, from getting into view to finishing the last
+// step, as one pure transition function and a small event emitter around it:
+//
+//   positioning ──in view──▶ calibrating ──confirmFrames──▶ countdown ──▶ active
+//   active ◀──▶ paused (out of frame, back not flat, video at the end of an unmatched step)
+//   active ──last step done──▶ rest ──▶ countdown (next set) ... ──last set──▶ completed
+//   any ──ABORT──▶ aborted, any ──RESTART──▶ positioning
+//
+// Steps are either video-paced - the reference video's position decides the
+// step and the user follows along - or self-paced: a step ends when the user
+// has met it, and the video seeks to that step's segment.
+//
+// Inputs are events sent by the pose loop, the reference video and the UI
+// (POSE, BACK, BOUNDARY, ADVANCE, FINISH, PACE, REPLAY, ABORT, RESTART,
+// each with a `now` in ms since epoch). The
+// side effects of a transition - what the voice says (a cue ID of the i18n
+// catalog and its text in the session's locale), what the reference video
+// does, what is logged - are declared here and published as events
+// ("state", "speak", "video", "started", "step", "set_completed" for every
+// set but the last, "completed", "aborted") that the UI, voice, video and
+// session log subscribe to. Time only advances on POSE events, which arrive with every
+// camera frame.
+
+import { DEFAULT_LOCALE, translate } from "../i18n/messages.js";
+
+export const SESSION_STATUSES = ["positioning", "calibrating", "countdown", "active", "paused", "rest", "completed", "aborted"];
+
+export const PACINGS = ["video", "self"];
+
+// Consecutive in-position frames before the countdown starts, unless the
+// confirmFrames option sets another number
+export const CONFIRM_FRAMES = 30;
+
+// Seconds counted down before the first step of every set
+export const COUNTDOWN_SECONDS = 3;
+
+// Rest seconds left from which every second is spoken
+const SPOKEN_REST_SECONDS = 3;
+
+// Shortest time between two spoken positioning warnings
+export const POSITION_WARNING_INTERVAL = 15000;
+
+// Speech is published with its cue ID and the text in the session's locale
+const speak = (options, cue, params) => ({ type: "speak", cue, text: translate(options.locale, cue, params) });
+const video = (action) => ({ type: "video", action });
+const seek = (time) => ({ type: "video", action: "seek", time });
+
+// Self-paced sessions show the segment of the step the user is on
+const seekToStep = (state, rules) => seek(rules.steps[state.stepIndex].start_time);
+
+// Pauses during which frames are still scored - scoring is what ends them
+const SCORED_PAUSES = ["back_not_flat", "step_boundary"];
+
+/**
+ * Options of a session, with defaults for a single set in English.
+ *
+ * @param {{sets?: number, restSeconds?: number, countdownSeconds?: number, locale?: string,
+ *   confirmFrames?: number}} [options]
+ *   sets of the whole step sequence, rest between two sets, the "get ready" countdown before each,
+ *   the language spoken (one of LOCALE_CODES) and the in-position frames that start the countdown
+ * @returns {{sets: number, restSeconds: number, countdownSeconds: number, locale: string, confirmFrames: number}}
+ */
+export const sessionOptions = ({
+  sets = 1, restSeconds = 0, countdownSeconds = COUNTDOWN_SECONDS, locale = DEFAULT_LOCALE,
+  confirmFrames = CONFIRM_FRAMES
+} = {}) => ({
+  sets,
+  restSeconds,
+  countdownSeconds,
+  locale,
+  confirmFrames
+});
+
+/**
+ * The state a session starts in.
+ *
+ * @returns {{status: string, pacing: string, pauseReason: string|null, problem: string|null, set: number,
+ *   stepIndex: number, shownStep: number,
+ *   confirmFrames: number, countdownLeft: number|null, restMs: number, restLeft: number|null,
+ *   since: number|null, startedAt: number|null, lastWarningAt: number}}
+ *   pacing is one of PACINGS; problem is the latest positioning problem ("not_visible", "too_close", "too_far") or null;
+ *   set counts from 1; shownStep is the step whose segment of the reference video is shown (the
+ *   current step unless another one is being replayed); rest is always between two sets;
+ *   since is when the current status was entered; startedAt when the current set began
+ */
+export const initialSessionState = () => ({
+  status: "positioning",
+  pacing: "video",
+  pauseReason: null,
+  problem: null,
+  set: 1,
+  stepIndex: 0,
+  shownStep: 0,
+  confirmFrames: 0,
+  countdownLeft: null,
+  restMs: 0,
+  restLeft: null,
+  since: null,
+  startedAt: null,
+  lastWarningAt: -Infinity
+});
+
+/**
+ * Whether frames should be scored against the current step: while active,
+ * while paused for a back that isn't flat (scoring is what notices it is
+ * flat again) and while the video waits at the end of a step the user hasn't
+ * matched yet.
+ *
+ * @param {Object} state - Session state
+ * @returns {boolean}
+ */
+export const isScoring = (state) => (
+  state.status === "active" || (state.status === "paused" && SCORED_PAUSES.includes(state.pauseReason))
+);
+
+// Why a POSE event doesn't count as in position, or null when it does
+const positionProblem = ({ visible, distance }) => {
+  if (!visible) return "not_visible";
+  return distance === "too_close" || distance === "too_far" ? distance : null;
+};
+
+const advance = (state, event) => (
+  event.stepIndex > state.stepIndex ? { stepIndex: event.stepIndex, shownStep: event.stepIndex } : null
+);
+
+// The last step of a set is done: rest before the next set, or complete
+const finish = (state, event, options) => {
+  if (state.set >= options.sets) return { status: "completed", pauseReason: null };
+  return { status: "rest", pauseReason: null, restMs: options.restSeconds * 1000, restLeft: options.restSeconds };
+};
+
+// Per status: event type -> changes to the state (null when nothing changes)
+const TRANSITIONS = {
+  positioning: {
+    POSE: (state, event) => (positionProblem(event) ? null : { status: "calibrating", confirmFrames: 1 })
+  },
+  calibrating: {
+    POSE: (state, event, options) => {
+      if (positionProblem(event)) return { status: "positioning", confirmFrames: 0 };
+      const confirmFrames = state.confirmFrames + 1;
+      return confirmFrames > options.confirmFrames
+        ? { status: "countdown", confirmFrames, countdownLeft: options.countdownSeconds }
+        : { confirmFrames };
+    }
+  },
+  countdown: {
+    POSE: (state, event, options) => {
+      if (positionProblem(event)) return { status: "positioning", confirmFrames: 0, countdownLeft: null };
+      const countdownLeft = options.countdownSeconds - Math.floor((event.now - state.since) / 1000);
+      if (countdownLeft <= 0) return { status: "active", countdownLeft: null, startedAt: event.now };
+      return countdownLeft !== state.countdownLeft ? { countdownLeft } : null;
+    }
+  },
+  active: {
+    POSE: (state, event) => (positionProblem(event) ? { status: "paused", pauseReason: "out_of_frame" } : null),
+    BACK: (state, event) => (event.flat ? null : { status: "paused", pauseReason: "back_not_flat" }),
+    BOUNDARY: () => ({ status: "paused", pauseReason: "step_boundary" }),
+    ADVANCE: advance,
+    FINISH: finish
+  },
+  paused: {
+    POSE: (state, event) => {
+      if (positionProblem(event)) return state.pauseReason === "out_of_frame" ? null : { pauseReason: "out_of_frame" };
+      return state.pauseReason === "out_of_frame" ? { status: "active", pauseReason: null } : null;
+    },
+    BACK: (state, event) => (
+      state.pauseReason === "back_not_flat" && event.flat ? { status: "active", pauseReason: null } : null
+    ),
+    // Matching the step the video waits on lets it play on
+    ADVANCE: (state, event) => {
+      const changes = advance(state, event);
+      return changes && state.pauseReason === "step_boundary" ? { ...changes, status: "active", pauseReason: null } : changes;
+    },
+    FINISH: finish
+  },
+  rest: {
+    POSE: (state, event, options) => {
+      const remainingMs = state.restMs - (event.now - state.since);
+      // The next set starts from the first step after a "get ready" countdown
+      if (remainingMs <= 0) {
+        return {
+          status: "countdown", restMs: 0, restLeft: null,
+          set: state.set + 1, stepIndex: 0, shownStep: 0, countdownLeft: options.countdownSeconds
+        };
+      }
+      const restLeft = Math.ceil(remainingMs / 1000);
+      return restLeft !== state.restLeft ? { restLeft } : null;
+    }
+  },
+  completed: {},
+  aborted: {}
+};
+
+// Side effects of entering a status, given the state it was entered from
+const ON_ENTER = {
+  positioning: () => [],
+  calibrating: () => [],
+  countdown: (state, previous, event, rules, options) => [
+    options.sets > 1
+      ? speak(options, "session.get_ready_set", { set: state.set, sets: options.sets })
+      : speak(options, "session.get_ready")
+  ],
+  active: (state, previous, event, rules, options) => {
+    const step = rules.steps[state.stepIndex];
+    if (previous.status === "countdown") {
+      // Every set runs the reference video from the start (of the first step when self-paced)
+      let position = [];
+      if (state.pacing === "self") position = [seekToStep(state, rules)];
+      else if (state.set > 1) position = [video("rewind")];
+      return [
+        { type: "started", at: event.now, set: state.set },
+        state.set > 1
+          ? speak(options, "session.start_set", { set: state.set, step: step.step_name })
+          : speak(options, "session.start", { step: step.step_name }),
+        ...position,
+        video("play")
+      ];
+    }
+    return [video("play")];
+  },
+  paused: (state, previous, event, rules, options) => [
+    video("pause"),
+    ...(state.pauseReason === "step_boundary"
+      ? [speak(options, "session.match_step", { step: rules.steps[state.stepIndex].step_name })]
+      : [])
+  ],
+  rest: (state, previous, event, rules, options) => [
+    { type: "set_completed", set: state.set, at: event.now },
+    video("pause"),
+    speak(options, "session.set_rest", { set: state.set, seconds: state.restLeft })
+  ],
+  completed: (state, previous, event, rules, options) => [
+    { type: "completed", at: event.now },
+    video("pause"),
+    speak(options, "session.complete")
+  ],
+  aborted: (state, previous, event) => [{ type: "aborted", at: event.now }, video("pause")]
+};
+
+const isFinished = (state) => state.status === "completed" || state.status === "aborted";
+
+// Countdown and the end of a rest are spoken second by second
+const tickEffects = (state, next, options) => {
+  if (next.status !== state.status) return [];
+  if (next.status === "countdown" && next.countdownLeft !== state.countdownLeft) {
+    return [speak(options, "session.seconds", { seconds: next.countdownLeft })];
+  }
+  if (next.status === "rest" && next.restLeft !== state.restLeft && next.restLeft <= SPOKEN_REST_SECONDS) {
+    return [speak(options, "session.seconds", { seconds: next.restLeft })];
+  }
+  return [];
+};
+
+/**
+ * Apply one input event.
+ *
+ * @param {Object} state - Current state (from initialSessionState / transition)
+ * @param {{type: string, now: number}} event - POSE {visible, distance}, BACK {flat},
+ *   BOUNDARY (the video reached the end of the current step, which isn't matched yet), ADVANCE {stepIndex},
+ *   FINISH, PACE {pacing}, REPLAY {stepIndex} (show a step's segment again, the current
+ *   step by default), ABORT or RESTART
+ * @param {{steps: Array}} rules - Parsed rules file
+ * @param {Object} [options] - Sets, rest, countdown, locale and confirmFrames (see sessionOptions)
+ * @returns {{state: Object, effects: Array<Object>}} New state (the same object when nothing changed)
+ *   and the events the transition publishes, in order
+ */
+export const transition = (state, event, rules, options = sessionOptions()) => {
+  if (event.type === "RESTART") {
+    return {
+      state: { ...initialSessionState(), pacing: state.pacing, since: event.now },
+      effects: [video("rewind"), speak(options, "session.restarting")]
+    };
+  }
+
+  // Switching to self-paced mid-step brings the video to the step's segment
+  if (event.type === "PACE") {
+    if (event.pacing === state.pacing) return { state, effects: [] };
+    const next = { ...state, pacing: event.pacing, shownStep: state.stepIndex };
+    const running = next.status === "active" || next.status === "paused";
+    return { state: next, effects: running && next.pacing === "self" ? [seekToStep(next, rules)] : [] };
+  }
+
+  // Replaying plays the step's segment from its start, also when the video
+  // was waiting at the end of the step
+  if (event.type === "REPLAY") {
+    if (state.status !== "active" && state.status !== "paused") return { state, effects: [] };
+    const shownStep = event.stepIndex ?? state.stepIndex;
+    const resumes = state.status === "active" || state.pauseReason === "step_boundary";
+    const next = {
+      ...state,
+      shownStep,
+      ...(state.status === "paused" && resumes ? { status: "active", pauseReason: null, since: event.now } : {})
+    };
+    return { state: next, effects: [seek(rules.steps[shownStep].start_time), ...(resumes ? [video("play")] : [])] };
+  }
+
+  let changes = null;
+  if (event.type === "ABORT") {
+    changes = isFinished(state) ? null : { status: "aborted", pauseReason: null };
+  } else {
+    const handler = TRANSITIONS[state.status][event.type];
+    changes = handler ? handler(state, event, options) : null;
+  }
+
+  const effects = [];
+  let next = changes ? { ...state, ...changes } : state;
+
+  if (next.status !== state.status) {
+    next = { ...next, since: event.now };
+    effects.push(...ON_ENTER[next.status](next, state, event, rules, options));
+  }
+  effects.push(...tickEffects(state, next, options));
+
+  if (event.type === "ADVANCE" && next.stepIndex !== state.stepIndex) {
+    effects.push(
+      { type: "step", from: state.stepIndex, to: next.stepIndex, at: event.now },
+      speak(options, "session.next_step", { step: rules.steps[next.stepIndex].step_name }),
+      ...(next.pacing === "self" ? [seekToStep(next, rules)] : []),
+      // Leaving a pause already plays the video
+      ...(next.status === state.status ? [video("play")] : [])
+    );
+  }
+
+  // Positioning problems are remembered for the UI and, while they keep the
+  // session from running, spoken now and then
+  if (event.type === "POSE" && !isFinished(next)) {
+    const problem = positionProblem(event);
+    if (problem !== next.problem) next = { ...next, problem };
+    const waiting = next.status === "positioning" || (next.status === "paused" && next.pauseReason === "out_of_frame");
+    if (problem && waiting && event.now - next.lastWarningAt > POSITION_WARNING_INTERVAL) {
+      next = { ...next, lastWarningAt: event.now };
+      effects.push(speak(options, `positioning.${problem}`));
+    }
+  }
+
+  return { state: next, effects };
+};
+
+/**
+ * The instruction shown for the current status, or null while active or
+ * waiting at the end of a step (when the step's own feedback is shown instead).
+ *
+ * @param {Object} state - Session state
+ * @param {string} [locale=DEFAULT_LOCALE] - Language of the message
+ * @param {number} [confirmFrames=CONFIRM_FRAMES] - The session's confirmFrames option
+ * @returns {{type: "positioning"|"confirming"|"ready"|"feedback", message: string}|null}
+ */
+export const describeSession = (state, locale = DEFAULT_LOCALE, confirmFrames = CONFIRM_FRAMES) => {
+  const t = (id, params) => translate(locale, id, params);
+  const distanceProblem = state.problem === "too_close" || state.problem === "too_far";
+  switch (state.status) {
+    case "positioning":
+      if (distanceProblem) return { type: "positioning", message: t(`status.${state.problem}`) };
+      return { type: "positioning", message: t(state.problem ? "status.not_visible" : "status.positioning") };
+    case "calibrating":
+      return {
+        type: "confirming",
+        message: t("status.confirming", { percent: Math.round(Math.min(state.confirmFrames / confirmFrames, 1) * 100) })
+      };
+    case "countdown":
+      return {
+        type: "confirming",
+        message: state.set > 1
+          ? t("status.countdown_set", { set: state.set, seconds: state.countdownLeft })
+          : t("status.countdown", { seconds: state.countdownLeft })
+      };
+    case "paused":
+      if (state.pauseReason === "back_not_flat") return { type: "feedback", message: t("status.back_not_flat") };
+      if (state.pauseReason === "step_boundary") return null;
+      return { type: "positioning", message: t(distanceProblem ? `status.${state.problem}` : "status.out_of_frame") };
+    case "rest":
+      return {
+        type: "confirming",
+        message: t("status.rest_set", { seconds: state.restLeft, next: state.set + 1 })
+      };
+    case "completed":
+      return { type: "ready", message: t("status.completed") };
+    case "aborted":
+      return { type: "positioning", message: t("status.aborted") };
+    default:
+      return null;
+  }
+};
+
+/**
+ * A running state machine for one session.
+ *
+ * @param {{steps: Array}} rules - Parsed rules file
+ * @param {Object} [options] - Sets, rest, countdown, locale and confirmFrames (see sessionOptions)
+ * @returns {{send: function(Object): Object, getState: function(): Object,
+ *   subscribe: function(function(Object)): function()}}
+ *   send applies an input event and returns the new state; subscribe registers a
+ *   listener for every published event and returns its unsubscribe function.
+ *   A "state" event {state, previous} follows the effects of every change.
+ */
+export const createSessionMachine = (rules, options) => {
+  const resolvedOptions = sessionOptions(options);
+  let state = initialSessionState();
+  const listeners = new Set();
+  const publish = (event) => listeners.forEach(listener => listener(event));
+
+  return {
+    send: (event) => {
+      const previous = state;
+      const result = transition(state, event, rules, resolvedOptions);
+      state = result.state;
+      result.effects.forEach(publish);
+      if (state !== previous) publish({ type: "state", state, previous });
+      return state;
+    },
+    getState: () => state,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+};
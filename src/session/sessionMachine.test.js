@@ -0,0 +1,302 @@
+import {
+  CONFIRM_FRAMES,
+  COUNTDOWN_SECONDS,
+  POSITION_WARNING_INTERVAL,
+  createSessionMachine,
+  describeSession,
+  initialSessionState,
+  isScoring,
+  sessionOptions,
+  transition
+} from "./sessionMachine";
+
+const rules = {
+  steps: [
+    { step_number: 1, step_name: "lay on your back", start_time: 0, end_time: 5 },
+    { step_number: 2, step_name: "lift your leg up", start_time: 6, end_time: 12 }
+  ]
+};
+
+const inView = (now) => ({ type: "POSE", now, visible: true, distance: "good" });
+const outOfView = (now) => ({ type: "POSE", now, visible: false, distance: "unknown" });
+
+// Run events through transition, collecting every effect
+const run = (events, state = initialSessionState()) => events.reduce((acc, event) => {
+  const result = transition(acc.state, event, rules);
+  return { state: result.state, effects: [...acc.effects, ...result.effects] };
+}, { state, effects: [] });
+
+// A session that has just entered the active status at t = 10000
+const activeSession = () => {
+  const confirm = Array.from({ length: CONFIRM_FRAMES + 1 }, (_, i) => inView(i));
+  const countdown = run([...confirm, inView(10000 - COUNTDOWN_SECONDS * 1000), inView(10000)]);
+  expect(countdown.state.status).toBe("active");
+  return countdown.state;
+};
+
+const types = (effects) => effects.map(effect => (effect.type === "video" ? `video:${effect.action}` : effect.type));
+
+describe("transition", () => {
+  test("confirms the position over CONFIRM_FRAMES frames before counting down", () => {
+    let result = run([inView(0)]);
+    expect(result.state.status).toBe("calibrating");
+
+    result = run(Array.from({ length: CONFIRM_FRAMES }, (_, i) => inView(i)));
+    expect(result.state.status).toBe("calibrating");
+    expect(describeSession(result.state).message).toBe("Hold still... 100% confirmed");
+
+    result = run([inView(CONFIRM_FRAMES)], result.state);
+    expect(result.state.status).toBe("countdown");
+    expect(result.state.countdownLeft).toBe(COUNTDOWN_SECONDS);
+  });
+
+  test("confirms over the confirmFrames option when it is set", () => {
+    const options = sessionOptions({ confirmFrames: 10 });
+    const state = Array.from({ length: 10 }, (_, i) => inView(i))
+      .reduce((acc, event) => transition(acc, event, rules, options).state, initialSessionState());
+    expect(describeSession(state, "en", 10).message).toBe("Hold still... 100% confirmed");
+    expect(transition(state, inView(10), rules, options).state.status).toBe("countdown");
+  });
+
+  test("goes back to positioning when the user leaves during calibration or countdown", () => {
+    expect(run([inView(0), inView(1), outOfView(2)]).state.status).toBe("positioning");
+
+    const confirm = Array.from({ length: CONFIRM_FRAMES + 1 }, (_, i) => inView(i));
+    const result = run([...confirm, outOfView(100)]);
+    expect(result.state.status).toBe("positioning");
+    expect(result.state.confirmFrames).toBe(0);
+  });
+
+  test("a distance problem keeps the session in positioning", () => {
+    const result = run([{ type: "POSE", now: 0, visible: true, distance: "too_close" }]);
+    expect(result.state.status).toBe("positioning");
+    expect(result.state.problem).toBe("too_close");
+    expect(describeSession(result.state).message).toMatch(/too close/);
+  });
+
+  test("starts the first step after the countdown and plays the video", () => {
+    const confirm = Array.from({ length: CONFIRM_FRAMES + 1 }, (_, i) => inView(i));
+    const result = run([...confirm, inView(1000), inView(4000)]);
+    expect(result.state.status).toBe("active");
+    expect(result.state.startedAt).toBe(4000);
+    expect(types(result.effects)).toEqual(["speak", "started", "speak", "video:play"]);
+    expect(result.effects[2].text).toBe("Let's start. Step 1: lay on your back");
+  });
+
+  test("counts the countdown down in whole seconds", () => {
+    const confirm = Array.from({ length: CONFIRM_FRAMES + 1 }, (_, i) => inView(i));
+    const result = run([...confirm, inView(CONFIRM_FRAMES + 1500)]);
+    expect(result.state.countdownLeft).toBe(COUNTDOWN_SECONDS - 1);
+  });
+
+  test("pauses the video when the user leaves the frame and resumes without a new countdown", () => {
+    const active = activeSession();
+    let result = run([outOfView(11000)], active);
+    expect(result.state).toMatchObject({ status: "paused", pauseReason: "out_of_frame" });
+    expect(types(result.effects)).toContain("video:pause");
+    expect(isScoring(result.state)).toBe(false);
+
+    result = run([inView(12000)], result.state);
+    expect(result.state.status).toBe("active");
+    expect(types(result.effects)).toEqual(["video:play"]);
+  });
+
+  test("pauses for a back that isn't flat but keeps scoring until it is", () => {
+    let result = run([{ type: "BACK", now: 11000, flat: false }], activeSession());
+    expect(result.state).toMatchObject({ status: "paused", pauseReason: "back_not_flat" });
+    expect(isScoring(result.state)).toBe(true);
+    expect(describeSession(result.state).type).toBe("feedback");
+
+    result = run([{ type: "BACK", now: 11500, flat: true }], result.state);
+    expect(result.state.status).toBe("active");
+  });
+
+  test("leaving the frame while paused for the back switches the reason", () => {
+    const result = run([{ type: "BACK", now: 11000, flat: false }, outOfView(11100)], activeSession());
+    expect(result.state).toMatchObject({ status: "paused", pauseReason: "out_of_frame" });
+    expect(isScoring(result.state)).toBe(false);
+  });
+
+  test("advances steps forward only and announces them", () => {
+    let result = run([{ type: "ADVANCE", now: 11000, stepIndex: 1 }], activeSession());
+    expect(result.state.stepIndex).toBe(1);
+    expect(result.effects[0]).toEqual({ type: "step", from: 0, to: 1, at: 11000 });
+    expect(result.effects[1].text).toBe("Good job! Now lift your leg up");
+
+    result = run([{ type: "ADVANCE", now: 12000, stepIndex: 0 }], result.state);
+    expect(result.state.stepIndex).toBe(1);
+    expect(result.effects).toEqual([]);
+  });
+
+  test("completes, and ignores frames afterwards", () => {
+    let result = run([{ type: "FINISH", now: 20000 }], activeSession());
+    expect(result.state.status).toBe("completed");
+    expect(types(result.effects)).toEqual(["completed", "video:pause", "speak"]);
+
+    const completed = result.state;
+    result = run([outOfView(21000), { type: "ABORT", now: 22000 }], completed);
+    expect(result.state).toBe(completed);
+    expect(result.effects).toEqual([]);
+  });
+
+  test("aborts from any running status", () => {
+    const result = run([{ type: "ABORT", now: 11000 }], activeSession());
+    expect(result.state.status).toBe("aborted");
+    expect(types(result.effects)).toEqual(["aborted", "video:pause"]);
+  });
+
+  test("restart returns to positioning and rewinds the video", () => {
+    const result = run([{ type: "RESTART", now: 30000 }], activeSession());
+    expect(result.state).toMatchObject({ status: "positioning", stepIndex: 0, startedAt: null });
+    expect(types(result.effects)).toEqual(["video:rewind", "speak"]);
+  });
+
+  test("speaks positioning warnings at most every POSITION_WARNING_INTERVAL", () => {
+    const result = run([outOfView(0), outOfView(1000), outOfView(POSITION_WARNING_INTERVAL + 1)]);
+    const warnings = result.effects.filter(effect => effect.type === "speak");
+    expect(warnings).toHaveLength(2);
+    expect(warnings[0].text).toMatch(/adjust your position/);
+  });
+
+  test("returns the same state object when nothing changes", () => {
+    const active = activeSession();
+    expect(transition(active, inView(11000), rules).state).toBe(active);
+  });
+});
+
+describe("pacing", () => {
+  const seeks = (effects) => effects.filter(effect => effect.action === "seek").map(effect => effect.time);
+
+  test("self-paced steps seek the video to their segment", () => {
+    const active = { ...activeSession(), pacing: "self" };
+    const result = run([{ type: "ADVANCE", now: 11000, stepIndex: 1 }], active);
+    expect(types(result.effects)).toEqual(["step", "speak", "video:seek", "video:play"]);
+    expect(seeks(result.effects)).toEqual([6]);
+  });
+
+  test("a self-paced set starts at the first step's segment", () => {
+    const confirm = Array.from({ length: CONFIRM_FRAMES + 1 }, (_, i) => inView(i));
+    const result = run([{ type: "PACE", now: 0, pacing: "self" }, ...confirm, inView(4000)]);
+    expect(result.state.status).toBe("active");
+    expect(types(result.effects)).toEqual(["speak", "started", "speak", "video:seek", "video:play"]);
+  });
+
+  test("switching to self-paced mid-step seeks to the current step", () => {
+    let result = run([{ type: "PACE", now: 11000, pacing: "self" }], { ...activeSession(), stepIndex: 1 });
+    expect(result.state.pacing).toBe("self");
+    expect(seeks(result.effects)).toEqual([6]);
+
+    result = run([{ type: "PACE", now: 12000, pacing: "self" }], result.state);
+    expect(result.effects).toEqual([]);
+    expect(run([{ type: "PACE", now: 0, pacing: "self" }]).effects).toEqual([]);
+  });
+
+  test("restart keeps the pacing", () => {
+    const result = run([{ type: "RESTART", now: 30000 }], { ...activeSession(), pacing: "self" });
+    expect(result.state.pacing).toBe("self");
+  });
+});
+
+describe("step boundaries and replays", () => {
+  test("waits at the end of an unmatched step and plays on once it is matched", () => {
+    let result = run([{ type: "BOUNDARY", now: 11000 }], activeSession());
+    expect(result.state).toMatchObject({ status: "paused", pauseReason: "step_boundary" });
+    expect(types(result.effects)).toEqual(["video:pause", "speak"]);
+    expect(result.effects[1].text).toBe("Match lay on your back to continue");
+    expect(isScoring(result.state)).toBe(true);
+    expect(describeSession(result.state)).toBeNull();
+
+    result = run([{ type: "ADVANCE", now: 12000, stepIndex: 1 }], result.state);
+    expect(result.state).toMatchObject({ status: "active", stepIndex: 1, shownStep: 1 });
+    expect(types(result.effects)).toEqual(["video:play", "step", "speak"]);
+  });
+
+  test("replays a step from its start, resuming a video waiting at the boundary", () => {
+    const waiting = run([{ type: "BOUNDARY", now: 11000 }], { ...activeSession(), stepIndex: 1 }).state;
+    let result = run([{ type: "REPLAY", now: 12000 }], waiting);
+    expect(result.state).toMatchObject({ status: "active", shownStep: 1 });
+    expect(result.effects).toEqual([{ type: "video", action: "seek", time: 6 }, { type: "video", action: "play" }]);
+
+    result = run([{ type: "REPLAY", now: 13000, stepIndex: 0 }], result.state);
+    expect(result.state).toMatchObject({ shownStep: 0, stepIndex: 1 });
+  });
+
+  test("replaying while out of frame only seeks", () => {
+    const outOfFrame = run([outOfView(11000)], activeSession()).state;
+    const result = run([{ type: "REPLAY", now: 12000 }], outOfFrame);
+    expect(result.state.status).toBe("paused");
+    expect(types(result.effects)).toEqual(["video:seek"]);
+    expect(run([{ type: "REPLAY", now: 0 }]).effects).toEqual([]);
+  });
+});
+
+describe("sets", () => {
+  const options = sessionOptions({ sets: 2, restSeconds: 5, countdownSeconds: 2 });
+  const runSets = (events, state) => events.reduce((acc, event) => {
+    const result = transition(acc.state, event, rules, options);
+    return { state: result.state, effects: [...acc.effects, ...result.effects] };
+  }, { state, effects: [] });
+
+  test("rests after a set and counts down into the next one from the first step", () => {
+    const active = { ...activeSession(), stepIndex: 1 };
+    let result = runSets([{ type: "FINISH", now: 20000 }], active);
+    expect(result.state).toMatchObject({ status: "rest", restLeft: 5, set: 1 });
+    expect(result.effects[0]).toEqual({ type: "set_completed", set: 1, at: 20000 });
+    expect(result.effects[2].text).toBe("Set 1 done. Rest for 5 seconds");
+    expect(describeSession(result.state).message).toBe("Rest - 5s, then set 2");
+
+    result = runSets([inView(22500), inView(23000), inView(25000)], result.state);
+    expect(result.effects.filter(effect => effect.type === "speak").map(effect => effect.text))
+      .toEqual(["3", "2", "Get ready for set 2 of 2."]);
+    expect(result.state).toMatchObject({ status: "countdown", set: 2, stepIndex: 0, countdownLeft: 2 });
+
+    result = runSets([inView(26000), inView(27000)], result.state);
+    expect(result.state).toMatchObject({ status: "active", startedAt: 27000 });
+    expect(types(result.effects)).toEqual(["speak", "started", "speak", "video:rewind", "video:play"]);
+    expect(result.effects[1]).toEqual({ type: "started", at: 27000, set: 2 });
+    expect(result.effects[2].text).toBe("Set 2. Step 1: lay on your back");
+  });
+
+  test("completes after the last set", () => {
+    const result = runSets([{ type: "FINISH", now: 20000 }], { ...activeSession(), set: 2 });
+    expect(result.state.status).toBe("completed");
+    expect(types(result.effects)).toEqual(["completed", "video:pause", "speak"]);
+  });
+});
+
+describe("locale", () => {
+  test("speaks and describes the session in the session's locale, with cue IDs", () => {
+    const options = sessionOptions({ locale: "es" });
+    const result = transition(activeSession(), { type: "ADVANCE", now: 11000, stepIndex: 1 }, rules, options);
+    expect(result.effects.find(effect => effect.type === "speak"))
+      .toEqual({ type: "speak", cue: "session.next_step", text: "¡Buen trabajo! Ahora lift your leg up" });
+
+    const rest = transition(result.state, { type: "FINISH", now: 12000 }, rules, { ...options, sets: 2, restSeconds: 5 });
+    expect(describeSession(rest.state, "es").message).toBe("Descanso - 5s, luego la serie 2");
+  });
+
+  test("defaults to English", () => {
+    expect(sessionOptions().locale).toBe("en");
+    expect(describeSession({ ...initialSessionState(), status: "aborted" }).message).toBe("Session ended");
+  });
+});
+
+describe("createSessionMachine", () => {
+  test("publishes effects followed by the state change", () => {
+    const machine = createSessionMachine(rules);
+    const events = [];
+    const unsubscribe = machine.subscribe(event => events.push(event));
+
+    machine.send(inView(0));
+    expect(events.map(event => event.type)).toEqual(["state"]);
+    expect(events[0].previous.status).toBe("positioning");
+    expect(events[0].state).toBe(machine.getState());
+
+    machine.send({ type: "RESTART", now: 1 });
+    expect(events.map(event => event.type)).toEqual(["state", "video", "speak", "state"]);
+
+    unsubscribe();
+    machine.send(inView(2));
+    expect(events).toHaveLength(4);
+  });
+});
@@ -0,0 +1,41 @@
+// Step timeline
+// Maps the step windows of a rules file (start_time / end_time, in seconds
+// of the reference video) onto the video: which step a moment of the video
+// shows, and the segments of the step-segmented timeline under the video.
+
+/**
+ * Index of the step whose window contains a moment of the reference video.
+ *
+ * @param {Array<{start_time: number, end_time: number}>} steps - Steps of a rules file
+ * @param {number} time - Seconds into the video
+ * @returns {number} Step index, or -1 between two windows and outside all of them
+ */
+export const stepAtTime = (steps, time) => steps.findIndex(step => time >= step.start_time && time < step.end_time);
+
+/**
+ * One timeline segment per step, positioned in percent of the video.
+ *
+ * @param {Array<{step_name: string, start_time: number, end_time: number}>} steps - Steps of a rules file
+ * @param {number} duration - Video length in seconds; until it is known (NaN, 0) the last step's end is used
+ * @returns {Array<{stepIndex: number, name: string, start: number, end: number, left: number, width: number}>}
+ *   start and end in seconds, clipped to the video; left and width in percent of the timeline
+ */
+export const buildStepTimeline = (steps, duration) => {
+  const total = Number.isFinite(duration) && duration > 0
+    ? duration
+    : steps.reduce((max, step) => Math.max(max, step.end_time), 0);
+  if (total <= 0) return [];
+
+  return steps.map((step, stepIndex) => {
+    const start = Math.min(step.start_time, total);
+    const end = Math.min(step.end_time, total);
+    return {
+      stepIndex,
+      name: step.step_name,
+      start,
+      end,
+      left: (start / total) * 100,
+      width: ((end - start) / total) * 100
+    };
+  });
+};
@@ -0,0 +1,33 @@
+import { buildStepTimeline, stepAtTime } from "./stepTimeline";
+
+const steps = [
+  { step_name: "start_position", start_time: 0, end_time: 4 },
+  { step_name: "lift your leg up", start_time: 5, end_time: 10 }
+];
+
+describe("stepAtTime", () => {
+  test("finds the step window containing the time", () => {
+    expect(stepAtTime(steps, 0)).toBe(0);
+    expect(stepAtTime(steps, 5)).toBe(1);
+    expect(stepAtTime(steps, 4.5)).toBe(-1);
+    expect(stepAtTime(steps, 10)).toBe(-1);
+  });
+});
+
+describe("buildStepTimeline", () => {
+  test("positions every step in percent of the video", () => {
+    expect(buildStepTimeline(steps, 20)).toEqual([
+      { stepIndex: 0, name: "start_position", start: 0, end: 4, left: 0, width: 20 },
+      { stepIndex: 1, name: "lift your leg up", start: 5, end: 10, left: 25, width: 25 }
+    ]);
+  });
+
+  test("falls back to the last step's end until the duration is known", () => {
+    expect(buildStepTimeline(steps, NaN)[1]).toMatchObject({ left: 50, width: 50 });
+  });
+
+  test("clips steps to a shorter video", () => {
+    expect(buildStepTimeline(steps, 8)[1]).toMatchObject({ start: 5, end: 8, width: 37.5 });
+    expect(buildStepTimeline([], NaN)).toEqual([]);
+  });
+});
@@ -0,0 +1,143 @@
+// Workout programs
+// A program strings exercises from the catalog into a routine: each exercise
+// runs for a number of sets with a rest between them, a "get ready"
+// countdown opens every set and there is a longer rest between two
+// exercises. Programs are listed under "programs" in
+// public/exercises/index.json next to the exercises they use:
+//
+//   { "id": "core-basics", "name": "Core basics", "get_ready_seconds": 5, "rest_between_exercises": 60,
+//     "exercises": [{ "exercise": "no-doming-leg-lift", "sets": 3, "rest_seconds": 30 }] }
+//
+// The sets of one exercise run inside a single live session (see
+// sessionMachine.js); this module checks programs, expands them into blocks
+// and condenses the finished sets into the completion summary.
+import { validateAgainstSchema } from "../pose/rulesValidator.js";
+import { COUNTDOWN_SECONDS } from "./sessionMachine.js";
+
+// Rest between two exercises when a program doesn't set rest_between_exercises
+export const DEFAULT_EXERCISE_REST_SECONDS = 60;
+
+// Rest between two sets when an exercise doesn't set rest_seconds
+export const DEFAULT_SET_REST_SECONDS = 30;
+
+export const PROGRAM_SCHEMA = {
+  type: "object",
+  required: ["id", "name", "exercises"],
+  additionalProperties: false,
+  properties: {
+    id: { type: "string" },
+    name: { type: "string" },
+    description: { type: "string" },
+    get_ready_seconds: { type: "integer", minimum: 1, maximum: 30 },
+    rest_between_exercises: { type: "integer", minimum: 0 },
+    exercises: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["exercise"],
+        additionalProperties: false,
+        properties: {
+          exercise: { type: "string" },
+          sets: { type: "integer", minimum: 1 },
+          rest_seconds: { type: "integer", minimum: 0 }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Check a program against PROGRAM_SCHEMA and the catalog.
+ *
+ * @param {Object} program - One entry of "programs" in the catalog
+ * @param {Array<string>} exerciseIds - Ids of the exercises in the catalog
+ * @returns {Array<{path: string, message: string}>} Errors; the program is usable when empty
+ */
+export const validateProgram = (program, exerciseIds) => {
+  const errors = validateAgainstSchema(program, PROGRAM_SCHEMA);
+  if (errors.length > 0) return errors;
+
+  return program.exercises
+    .map((item, index) => (exerciseIds.includes(item.exercise)
+      ? null
+      : { path: `exercises[${index}].exercise`, message: `unknown exercise "${item.exercise}"` }))
+    .filter(Boolean);
+};
+
+/**
+ * Expand a program into the blocks that are run one after another.
+ *
+ * @param {Object} program - A valid program
+ * @returns {Array<{exerciseId: string, sets: number, restSeconds: number, countdownSeconds: number,
+ *   restAfter: number}>} restSeconds is the rest between sets, restAfter the rest before the next block (0 for the last)
+ */
+export const buildWorkoutPlan = (program) => {
+  const countdownSeconds = program.get_ready_seconds || COUNTDOWN_SECONDS;
+  const exerciseRest = program.rest_between_exercises ?? DEFAULT_EXERCISE_REST_SECONDS;
+
+  return program.exercises.map((item, index) => ({
+    exerciseId: item.exercise,
+    sets: item.sets || 1,
+    restSeconds: item.rest_seconds ?? DEFAULT_SET_REST_SECONDS,
+    countdownSeconds,
+    restAfter: index < program.exercises.length - 1 ? exerciseRest : 0
+  }));
+};
+
+// Share of scored frames that passed, over the steps of a set summary
+const passRatio = (steps) => {
+  const frames = steps.reduce((sum, step) => sum + step.frames, 0);
+  const passed = steps.reduce((sum, step) => sum + step.pass_ratio * step.frames, 0);
+  return frames > 0 ? passed / frames : null;
+};
+
+/**
+ * Condense the sets done during a program into its completion summary.
+ *
+ * @param {Object} program - The program that was run
+ * @param {Array<Object>} sets - One session summary (see sessionLog.summarizeSession) per set done,
+ *   each with the block index and set number added as `block` and `set`, and `incomplete: true`
+ *   for a set the user ended early
+ * @param {number} startedAt - ms since epoch
+ * @param {number} endedAt - ms since epoch
+ * @returns {{program_id: string, program_name: string, started_at: number, ended_at: number,
+ *   sets_planned: number, sets_completed: number, pass_ratio: number|null, exercises: Array}}
+ *   A set counts as completed when it wasn't ended early and every step was completed; exercises has
+ *   one entry per block with its sets ({set, duration, steps_completed, steps, pass_ratio, incomplete})
+ *   and their overall pass_ratio
+ */
+export const summarizeWorkout = (program, sets, startedAt, endedAt) => {
+  const plan = buildWorkoutPlan(program);
+
+  const exercises = plan.map((block, index) => {
+    const done = sets.filter(set => set.block === index).sort((a, b) => a.set - b.set);
+    return {
+      exercise_id: block.exerciseId,
+      exercise_name: done.length > 0 ? done[0].exercise_name : block.exerciseId,
+      sets_planned: block.sets,
+      sets: done.map(set => ({
+        set: set.set,
+        duration: (set.ended_at - set.started_at) / 1000,
+        steps_completed: set.steps_completed,
+        steps: set.steps.length,
+        pass_ratio: passRatio(set.steps),
+        incomplete: Boolean(set.incomplete)
+      })),
+      pass_ratio: passRatio(done.flatMap(set => set.steps))
+    };
+  });
+
+  return {
+    program_id: program.id,
+    program_name: program.name,
+    started_at: startedAt,
+    ended_at: endedAt,
+    sets_planned: plan.reduce((sum, block) => sum + block.sets, 0),
+    sets_completed: sets.filter(set => (
+      !set.incomplete && set.steps.length > 0 && set.steps_completed === set.steps.length
+    )).length,
+    pass_ratio: passRatio(sets.flatMap(set => set.steps)),
+    exercises
+  };
+};
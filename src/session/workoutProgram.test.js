@@ -0,0 +1,99 @@
+import { COUNTDOWN_SECONDS } from "./sessionMachine";
+import {
+  DEFAULT_EXERCISE_REST_SECONDS,
+  DEFAULT_SET_REST_SECONDS,
+  buildWorkoutPlan,
+  summarizeWorkout,
+  validateProgram
+} from "./workoutProgram";
+
+const program = {
+  id: "core-basics",
+  name: "Core basics",
+  get_ready_seconds: 5,
+  exercises: [
+    { exercise: "leg-lift", sets: 2, rest_seconds: 20 },
+    { exercise: "bridge" }
+  ]
+};
+
+// A session summary of one set, as built by summarizeSession
+const setSummary = (block, set, stepsCompleted, frames) => ({
+  block,
+  set,
+  exercise_name: block === 0 ? "Leg lift" : "Bridge",
+  started_at: 1000,
+  ended_at: 31000,
+  steps_completed: stepsCompleted,
+  steps: frames.map(([total, passed]) => ({ frames: total, pass_ratio: total > 0 ? passed / total : 0 }))
+});
+
+describe("validateProgram", () => {
+  test("accepts a program of known exercises", () => {
+    expect(validateProgram(program, ["leg-lift", "bridge"])).toEqual([]);
+  });
+
+  test("reports schema problems and unknown exercises", () => {
+    expect(validateProgram({ ...program, exercises: [] }, ["leg-lift"])).toEqual([
+      { path: "exercises", message: "must have at least 1 item" }
+    ]);
+    expect(validateProgram({ ...program, exercises: [{ exercise: "leg-lift", sets: 0 }] }, ["leg-lift"])).toEqual([
+      { path: "exercises[0].sets", message: "must be at least 1" }
+    ]);
+    expect(validateProgram(program, ["leg-lift"])).toEqual([
+      { path: "exercises[1].exercise", message: 'unknown exercise "bridge"' }
+    ]);
+  });
+});
+
+describe("buildWorkoutPlan", () => {
+  test("fills in defaults and rests only between exercises", () => {
+    expect(buildWorkoutPlan(program)).toEqual([
+      { exerciseId: "leg-lift", sets: 2, restSeconds: 20, countdownSeconds: 5, restAfter: DEFAULT_EXERCISE_REST_SECONDS },
+      { exerciseId: "bridge", sets: 1, restSeconds: DEFAULT_SET_REST_SECONDS, countdownSeconds: 5, restAfter: 0 }
+    ]);
+  });
+
+  test("uses the session countdown without get_ready_seconds", () => {
+    const [block] = buildWorkoutPlan({ ...program, get_ready_seconds: undefined, rest_between_exercises: 0 });
+    expect(block).toMatchObject({ countdownSeconds: COUNTDOWN_SECONDS, restAfter: 0 });
+  });
+});
+
+describe("summarizeWorkout", () => {
+  test("groups sets per exercise and weighs pass ratios by frames", () => {
+    const sets = [
+      setSummary(0, 1, 2, [[10, 10], [30, 15]]),
+      setSummary(0, 2, 1, [[20, 10], [0, 0]])
+    ];
+    const summary = summarizeWorkout(program, sets, 0, 120000);
+
+    expect(summary).toMatchObject({
+      program_id: "core-basics",
+      sets_planned: 3,
+      sets_completed: 1,
+      started_at: 0,
+      ended_at: 120000
+    });
+    expect(summary.pass_ratio).toBeCloseTo(35 / 60, 6);
+    expect(summary.exercises[0]).toMatchObject({ exercise_name: "Leg lift", sets_planned: 2 });
+    expect(summary.exercises[0].sets[0]).toEqual({
+      set: 1, duration: 30, steps_completed: 2, steps: 2, pass_ratio: 25 / 40, incomplete: false
+    });
+    expect(summary.exercises[1]).toEqual({
+      exercise_id: "bridge",
+      exercise_name: "bridge",
+      sets_planned: 1,
+      sets: [],
+      pass_ratio: null
+    });
+  });
+
+  test("keeps a set ended early, without counting it as completed", () => {
+    const ended = { ...setSummary(0, 1, 2, [[10, 10], [10, 10]]), incomplete: true };
+    const summary = summarizeWorkout(program, [ended], 0, 60000);
+    expect(summary.sets_completed).toBe(0);
+    expect(summary.exercises[0].sets[0]).toMatchObject({ set: 1, steps_completed: 2, incomplete: true });
+    expect(summary.pass_ratio).toBe(1);
+  });
+});
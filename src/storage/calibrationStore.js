@@ -0,0 +1,29 @@
+// Calibration profile storage
+// The user's calibration profile (see pose/calibration.js) is small and read
+// synchronously when an exercise starts, so it lives in localStorage rather
+// than next to the session history in IndexedDB.
+import { CALIBRATION_VERSION } from "../pose";
+
+const STORAGE_KEY = "pose-instructor.calibration";
+
+// The saved profile, or null when there is none, it can't be read or it was
+// saved by another CALIBRATION_VERSION
+export const loadCalibration = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    const profile = stored ? JSON.parse(stored) : null;
+    return profile && profile.version === CALIBRATION_VERSION ? profile : null;
+  } catch (err) {
+    console.warn("Could not read the calibration profile:", err);
+    return null;
+  }
+};
+
+// Replace the saved profile
+export const saveCalibration = (profile) => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+};
+
+export const clearCalibration = () => {
+  window.localStorage.removeItem(STORAGE_KEY);
+};
@@ -0,0 +1,22 @@
+// Coaching language storage
+// The locale cues are shown and spoken in, kept in localStorage next to the
+// calibration profile. Until the user picks one, the browser's language
+// decides (see i18n/messages.js).
+import { resolveLocale } from "../i18n/messages";
+
+const STORAGE_KEY = "pose-instructor.locale";
+
+// The saved locale, or the one matching the browser's language
+export const loadLocale = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    if (stored) return resolveLocale(stored);
+  } catch (err) {
+    console.warn("Could not read the coaching language:", err);
+  }
+  return resolveLocale(window.navigator.language);
+};
+
+export const saveLocale = (locale) => {
+  window.localStorage.setItem(STORAGE_KEY, locale);
+};
@@ -0,0 +1,58 @@
+// Session history storage
+// Session summaries (see session/sessionLog.js) are kept in IndexedDB so they
+// survive restarts and reloads.
+
+const DB_NAME = "pose-instructor";
+const DB_VERSION = 1;
+const SESSIONS_STORE = "sessions";
+
+let dbPromise = null;
+
+// Wrap an IDBRequest in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    if (typeof indexedDB === "undefined") {
+      return Promise.reject(new Error("IndexedDB is not available in this browser"));
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+        const store = db.createObjectStore(SESSIONS_STORE, { keyPath: "id", autoIncrement: true });
+        store.createIndex("started_at", "started_at");
+        store.createIndex("exercise_id", "exercise_id");
+      }
+    };
+    dbPromise = promisify(request).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+// Save a session summary, resolves to its generated id
+export const saveSession = async (summary) => {
+  const db = await openDatabase();
+  const tx = db.transaction(SESSIONS_STORE, "readwrite");
+  return promisify(tx.objectStore(SESSIONS_STORE).add(summary));
+};
+
+// All stored sessions, oldest first
+export const listSessions = async () => {
+  const db = await openDatabase();
+  const tx = db.transaction(SESSIONS_STORE, "readonly");
+  return promisify(tx.objectStore(SESSIONS_STORE).index("started_at").getAll());
+};
+
+export const deleteSession = async (id) => {
+  const db = await openDatabase();
+  const tx = db.transaction(SESSIONS_STORE, "readwrite");
+  return promisify(tx.objectStore(SESSIONS_STORE).delete(id));
+};
@@ -0,0 +1,28 @@
+// Coaching settings storage
+// The user's difficulty preset and advanced overrides (see pose/settings.js),
+// kept in localStorage next to the coaching language. Overrides are
+// sanitized on load, so values saved by an older version can't break a
+// session.
+import { DEFAULT_PRESET, PRESET_NAMES, sanitizeSettings } from "../pose";
+
+const STORAGE_KEY = "pose-instructor.settings";
+
+// The saved { preset, overrides }, or the default preset without overrides
+export const loadSettings = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "null");
+    if (stored) {
+      return {
+        preset: PRESET_NAMES.includes(stored.preset) ? stored.preset : DEFAULT_PRESET,
+        overrides: sanitizeSettings(stored.overrides)
+      };
+    }
+  } catch (err) {
+    console.warn("Could not read the coaching settings:", err);
+  }
+  return { preset: DEFAULT_PRESET, overrides: {} };
+};
+
+export const saveSettings = (settings) => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+};